@@ -15,6 +15,8 @@ module.exports = {
     database: process.env.DB_DATABASE || 'launch_test_db',
     host: process.env.DB_HOST || 'localhost',
     dialect: process.env.DB_DIALECT || 'mysql',
+    // Only used by the sqlite dialect (":memory:" in the jest setup)
+    storage: process.env.DB_STORAGE,
     logging: false
   },
   production: {
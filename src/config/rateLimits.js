@@ -0,0 +1,21 @@
+/**
+ * Request rate limits per route group
+ *
+ *   max     - Requests allowed per window
+ *   window  - Window length in seconds
+ *   keyBy   - Who a limit counts: 'ip', or 'user' (the API key for API key requests,
+ *             otherwise the signed-in user, otherwise the IP)
+ *
+ * Override a group with RATE_LIMIT_<GROUP>_MAX and RATE_LIMIT_<GROUP>_WINDOW,
+ * e.g. RATE_LIMIT_LOGIN_MAX=20.
+ */
+module.exports = {
+  // Password and two-factor login attempts
+  login: { max: 20, window: 900, keyBy: 'ip' },
+  // Registration, password reset and email verification
+  auth: { max: 60, window: 900, keyBy: 'ip' },
+  // Email validation, which makes the server run DNS and SMTP checks
+  validate: { max: 60, window: 900, keyBy: 'ip' },
+  // Every authenticated request
+  api: { max: 600, window: 60, keyBy: 'user' }
+};
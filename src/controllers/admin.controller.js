@@ -0,0 +1,114 @@
+const { User } = require('../models');
+const { validationResult } = require('express-validator');
+const settingService = require('../services/settingService');
+const twoFactorService = require('../services/twoFactorService');
+const sessionService = require('../services/sessionService');
+
+// Get the system-wide settings
+exports.getSettings = async (req, res) => {
+  try {
+    const settings = await settingService.getAll();
+
+    return res.status(200).json({
+      success: true,
+      settings
+    });
+  } catch (error) {
+    console.error('Get settings error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Change system-wide settings
+exports.updateSettings = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const settings = await settingService.update(req.body);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Settings updated successfully',
+      settings
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update settings error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error updating settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Remove a user's two-factor authentication, e.g. after they lost their device
+exports.resetTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await twoFactorService.reset(user);
+    // Whoever had the device may also have the password
+    await sessionService.revokeAll(user.id, 'two_factor_reset');
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication reset; the user has been signed out'
+    });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error resetting two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Lift a login lockout
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await user.update({ failedLoginAttempts: 0, lockedUntil: null });
+
+    return res.status(200).json({
+      success: true,
+      message: 'User unlocked successfully'
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error unlocking user',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,91 @@
+const { ApiKey } = require('../models');
+const { validationResult } = require('express-validator');
+const apiKeyService = require('../services/apiKeyService');
+
+// Get your API keys in the current workspace
+exports.getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await apiKeyService.list(req.user.id, req.organization.id);
+
+    return res.status(200).json({
+      success: true,
+      apiKeys: apiKeys.map(apiKey => apiKeyService.serialize(apiKey))
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving API keys',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Create an API key for the current workspace
+exports.createApiKey = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    const { apiKey, key } = await apiKeyService.create(req.user, req.membership, { name, scopes, expiresAt });
+
+    return res.status(201).json({
+      success: true,
+      message: 'API key created; copy the key now, it is only shown once',
+      key,
+      apiKey: apiKeyService.serialize(apiKey)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create API key error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error creating API key',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Revoke one of your API keys
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({
+      where: {
+        id: req.params.id,
+        userId: req.user.id,
+        organizationId: req.organization.id
+      }
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    await apiKeyService.revoke(apiKey);
+
+    return res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error revoking API key',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
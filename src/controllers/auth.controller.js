@@ -1,7 +1,48 @@
-const { User } = require('../models');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const { User, Organization, OrganizationMember, Session, sequelize } = require('../models');
 const { validationResult } = require('express-validator');
+const accountService = require('../services/accountService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+
+/**
+ * Device details recorded with a session
+ * @param {Object} req - Request
+ * @returns {Object} - { userAgent, ipAddress }
+ */
+const getClient = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ipAddress: req.ip
+});
+
+/**
+ * Sign a user in once every factor has been checked: open a session and record the login
+ * @param {Object} req - Request
+ * @param {User} user - User
+ * @returns {Promise<Object>} - Response fields: tokens, user and whether two-factor setup is required
+ */
+const signIn = async (req, user) => {
+  // Open a session with an access token and a refresh token
+  const { token, refreshToken, refreshTokenExpiresAt } = await sessionService.createSession(user, getClient(req));
+
+  // Update last login; a successful login also clears the failed attempts
+  await user.update({ lastLogin: new Date(), failedLoginAttempts: 0, lockedUntil: null });
+
+  return {
+    token,
+    refreshToken,
+    refreshTokenExpiresAt,
+    twoFactorSetupRequired: await twoFactorService.needsSetup(user),
+    user: {
+      id: user.id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email,
+      role: user.role,
+      emailVerified: Boolean(user.emailVerifiedAt),
+      twoFactorEnabled: Boolean(user.twoFactorEnabledAt)
+    }
+  };
+};
 
 // Register a new user
 exports.register = async (req, res) => {
@@ -22,36 +63,43 @@ exports.register = async (req, res) => {
       });
     }
 
-    // Create user
-    const user = await User.create({
-      firstName,
-      lastName,
-      email,
-      password,
-      role: 'user'
-    });
+    // Create user together with a personal workspace they own
+    const user = await sequelize.transaction(async (transaction) => {
+      const newUser = await User.create({
+        firstName,
+        lastName,
+        email,
+        password,
+        role: 'user'
+      }, { transaction });
+
+      const organization = await Organization.create({
+        name: `${firstName}'s Workspace`
+      }, { transaction });
 
-    // Generate JWT
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+      await OrganizationMember.create({
+        organizationId: organization.id,
+        userId: newUser.id,
+        role: 'owner'
+      }, { transaction });
+
+      return newUser;
+    });
 
-    // Update last login
-    await user.update({ lastLogin: new Date() });
+    // The account works right away, but sending needs a verified address
+    let emailVerificationSent = false;
+    try {
+      await accountService.sendVerificationEmail(user, { force: true });
+      emailVerificationSent = true;
+    } catch (emailError) {
+      console.error('Verification email error:', emailError);
+    }
 
     return res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      token,
-      user: {
-        id: user.id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        role: user.role
-      }
+      emailVerificationSent,
+      ...(await signIn(req, user))
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -90,38 +138,48 @@ exports.login = async (req, res) => {
       });
     }
 
+    // Locked accounts are refused even with the right password
+    accountService.assertNotLocked(user);
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await accountService.recordFailedLogin(user);
+      // The attempt that locks the account says so
+      accountService.assertNotLocked(user);
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Generate JWT
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
-
-    // Update last login
-    await user.update({ lastLogin: new Date() });
+    // With two-factor on, the password only earns a challenge for the second step
+    if (user.twoFactorEnabledAt) {
+      return res.status(200).json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.createChallenge(user)
+      });
+    }
 
     return res.status(200).json({
       success: true,
       message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        role: user.role
-      }
+      ...(await signIn(req, user))
     });
   } catch (error) {
+    if (error.status) {
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Login error:', error);
     return res.status(500).json({
       success: false,
@@ -131,6 +189,59 @@ exports.login = async (req, res) => {
   }
 };
 
+// Second login step: the challenge from the password step plus a two-factor code
+exports.loginTwoFactor = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const user = await twoFactorService.readChallenge(challengeToken);
+    accountService.assertNotLocked(user);
+
+    let verified;
+    try {
+      verified = await twoFactorService.verify(user, { code, recoveryCode });
+    } catch (error) {
+      // Wrong codes count towards the lockout like wrong passwords
+      if (error.status === 401) {
+        await accountService.recordFailedLogin(user);
+        accountService.assertNotLocked(user);
+      }
+      throw error;
+    }
+    const { method, recoveryCodesLeft } = verified;
+
+    return res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      ...(await signIn(req, user)),
+      // Tell the user when they are running out of recovery codes
+      ...(method === 'recovery_code' ? { recoveryCodesLeft } : {})
+    });
+  } catch (error) {
+    if (error.status) {
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Two-factor login error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error logging in',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // Get current user
 exports.me = async (req, res) => {
   try {
@@ -157,4 +268,377 @@ exports.me = async (req, res) => {
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-}; 
\ No newline at end of file
+};
+
+// Exchange a refresh token for a new access token and refresh token
+exports.refresh = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { token, refreshToken, refreshTokenExpiresAt } = await sessionService.refresh(req.body.refreshToken, getClient(req));
+
+    return res.status(200).json({
+      success: true,
+      token,
+      refreshToken,
+      refreshTokenExpiresAt
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error refreshing token',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Log out: end the session holding the refresh token
+exports.logout = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    await sessionService.revokeByRefreshToken(req.body.refreshToken);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error logging out',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get the current user's active sessions
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      sessions: sessions.map(session => sessionService.serialize(session, req.user.sid))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Revoke one of the current user's sessions
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await sessionService.revoke(session, 'revoked');
+
+    return res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error revoking session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Revoke every session of the current user except the one making the request
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAll(req.user.id, 'revoked', { exceptSessionId: req.user.sid });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Other sessions revoked successfully',
+      revoked
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error revoking sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Email a password reset link
+exports.forgotPassword = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    await accountService.requestPasswordReset(req.body.email);
+
+    // Same answer whether or not the account exists
+    return res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error requesting password reset',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Set a new password with a reset token
+exports.resetPassword = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { token, password } = req.body;
+    await accountService.resetPassword(token, password);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Password reset successfully; log in with your new password'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Reset password error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error resetting password',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Verify an email address with the token from the verification email
+exports.verifyEmail = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    await accountService.verifyEmail(req.body.token);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Email address verified successfully'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Verify email error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error verifying email address',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Send the current user another verification email
+exports.resendVerification = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    await accountService.sendVerificationEmail(user);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Resend verification error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error sending verification email',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Start setting up two-factor authentication
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    const { secret, otpauthUrl, qrCode } = await twoFactorService.beginSetup(user);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm a code to enable two-factor authentication',
+      secret,
+      otpauthUrl,
+      qrCode
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Two-factor setup error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error setting up two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Confirm a code from the authenticator app to enable two-factor authentication
+exports.enableTwoFactor = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findByPk(req.user.id);
+    const recoveryCodes = await twoFactorService.enable(user, req.body.code);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled; store the recovery codes somewhere safe',
+      recoveryCodes
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Enable two-factor error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error enabling two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Turn two-factor authentication off
+exports.disableTwoFactor = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findByPk(req.user.id);
+    await twoFactorService.disable(user, { password, code, recoveryCode });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Disable two-factor error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error disabling two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Replace the recovery codes
+exports.regenerateRecoveryCodes = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findByPk(req.user.id);
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user, req.body.code);
+
+    return res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated; the old ones no longer work',
+      recoveryCodes
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Regenerate recovery codes error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error generating recovery codes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
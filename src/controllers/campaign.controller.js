@@ -1,108 +1,50 @@
-const { Campaign, Template, ContactList, CampaignStat, Contact, User, sequelize } = require('../models');
+const { Campaign, Template, TemplateVersion, ContactList, Segment, CampaignStat, CampaignSnapshot, CampaignRecipient, Contact, EmailEvent, User, sequelize } = require('../models');
 const { Op } = require('sequelize');
 const { validationResult } = require('express-validator');
+const { createError } = require('../utils/error');
 const schedulerService = require('../services/schedulerService');
-const axios = require('axios');
-
-// Worker configuration
-const WORKER_URL = process.env.WORKER_URL || 'https://worker.gravitypointmedia.com';
-const WORKER_API_KEY = process.env.WORKER_API_KEY;
-const MAX_RETRIES = 3; // Maximum retry attempts for worker communication
-const RETRY_DELAY = 1000; // Delay between retries in milliseconds
-
-if (!WORKER_API_KEY) {
-  console.error('WARNING: WORKER_API_KEY environment variable is not set!');
-}
-
-// Helper function to make authenticated requests to the worker
-const workerClient = axios.create({
-  baseURL: WORKER_URL,
-  headers: {
-    'Content-Type': 'application/json',
-    'Authorization': `Bearer ${WORKER_API_KEY}`
-  },
-  validateStatus: function (status) {
-    return status < 500; // Resolve only if the status code is less than 500
-  }
-});
+const jobService = require('../services/jobService');
+const segmentService = require('../services/segmentService');
+const abTestService = require('../services/abTestService');
+const sendingService = require('../services/sendingService');
+const snapshotService = require('../services/snapshotService');
+const templateService = require('../services/templateService');
+const {
+  workerClient,
+  executeWithRetry
+} = require('../services/workerService');
 
 /**
- * Execute a worker API call with retry logic
- * @param {Function} apiCall - The API call function to execute
- * @param {string} operation - Name of operation for logging
- * @param {number} maxRetries - Maximum number of retry attempts
- * @returns {Promise} - API response
+ * Check a campaign's subject and template against the fields of its audience
+ * Problems don't block saving the campaign; they are returned as warnings.
+ * @param {Campaign} campaign - Campaign
+ * @returns {Promise<Object[]>} - Syntax errors and unknown variables, empty when there are none
  */
-const executeWithRetry = async (apiCall, operation, maxRetries = MAX_RETRIES) => {
-  let lastError;
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`${operation}: Attempt ${attempt + 1}/${maxRetries + 1}`);
-      const response = await apiCall();
-      
-      // Check for unsuccessful response
-      if (response.data && !response.data.success) {
-        const errorMessage = response.data.message || `HTTP ${response.status}: ${response.statusText || 'Unknown error'}`;
-        console.warn(`${operation} returned non-success: ${errorMessage}`);
-        
-        // If this was the last attempt, throw an error
-        if (attempt === maxRetries) {
-          throw new Error(`Operation '${operation}' failed after ${maxRetries + 1} attempts: ${errorMessage}`);
-        }
-      } else {
-        // Success, return the response
-        return response;
-      }
-    } catch (error) {
-      lastError = error;
-      console.warn(`${operation} attempt ${attempt + 1} failed: ${error.message}`);
-      
-      // If this was the last attempt, rethrow the error
-      if (attempt === maxRetries) {
-        throw new Error(`Operation '${operation}' failed after ${maxRetries + 1} attempts: ${error.message}`);
-      }
-      
-      // Wait before retrying
-      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
-    }
+const getTemplateWarnings = async (campaign) => {
+  try {
+    const template = await Template.findByPk(campaign.templateId, { attributes: ['subject', 'content'] });
+    if (!template) return [];
+
+    const fields = await templateService.getAvailableFields(campaign.segmentId
+      ? { segmentId: campaign.segmentId }
+      : { contactListId: campaign.contactListId });
+    const { errors, unknownVariables } = templateService.validate({
+      subject: campaign.subject || template.subject,
+      content: template.content
+    }, fields);
+
+    return [
+      ...errors.map(error => ({ ...error, type: 'syntax' })),
+      ...unknownVariables.map(variable => ({
+        ...variable,
+        type: 'unknown_variable',
+        message: `Variable "${variable.variable}" is not a field of any contact the campaign is sent to`
+      }))
+    ];
+  } catch (error) {
+    console.warn(`Template check failed for campaign ${campaign.id}:`, error.message);
+    return [];
   }
-  
-  // This should never be reached due to the throw in the loop, but just in case
-  throw lastError;
-};
-
-/**
- * Helper function to prepare campaign data for worker
- * @param {Object} campaign - Campaign model instance with associations loaded
- * @returns {Object} - Formatted campaign data for worker
- */
-const prepareCampaignDataForWorker = (campaign) => {
-  if (!campaign || !campaign.template || !campaign.contactList) {
-    throw new Error('Campaign data incomplete');
-  }
-
-  return {
-    id: campaign.id,
-    name: campaign.name,
-    subject: campaign.subject,
-    sendingMode: campaign.sendingMode || 'normal',
-    emailsPerMinute: campaign.emailsPerMinute,
-    maxConcurrentBatches: campaign.maxConcurrentBatches || 10,
-    template: {
-      id: campaign.template.id,
-      subject: campaign.subject || campaign.template.subject,
-      content: campaign.template.html || campaign.template.content
-    },
-    recipients: (campaign.contactList.contacts || []).map(contact => ({
-      id: contact.id,
-      email: contact.email,
-      firstName: contact.firstName,
-      lastName: contact.lastName,
-      metadata: contact.metadata || {}
-    })),
-    status: 'initialized',
-    initializedAt: new Date().toISOString()
-  };
 };
 
 // Get all campaigns
@@ -112,7 +54,7 @@ exports.getCampaigns = async (req, res) => {
     const { page = 1, limit = 50 } = req.query;
     const offset = (page - 1) * limit;
     
-    let whereClause = { userId: req.user.id };
+    let whereClause = { organizationId: req.organization.id };
     
     // Filter by status if provided
     if (status && status !== 'all') {
@@ -137,6 +79,11 @@ exports.getCampaigns = async (req, res) => {
           model: ContactList,
           as: 'contactList',
           attributes: ['id', 'name', 'count']
+        },
+        {
+          model: Segment,
+          as: 'segment',
+          attributes: ['id', 'name']
         }
       ],
       limit: parseInt(limit),
@@ -170,7 +117,7 @@ exports.getCampaign = async (req, res) => {
     const campaign = await Campaign.findOne({ 
       where: { 
         id: req.params.id,
-        userId: req.user.id
+        organizationId: req.organization.id
       },
       include: [
         {
@@ -178,10 +125,25 @@ exports.getCampaign = async (req, res) => {
           as: 'template',
           attributes: { exclude: ['createdAt', 'updatedAt'] }
         },
+        {
+          model: TemplateVersion,
+          as: 'templateVersion',
+          attributes: ['id', 'version', 'subject', 'createdAt']
+        },
+        {
+          model: CampaignSnapshot,
+          as: 'snapshot',
+          attributes: ['id', 'fromAddress', 'recipientCount', 'renderedAt']
+        },
         {
           model: ContactList,
           as: 'contactList',
           attributes: { exclude: ['createdAt', 'updatedAt'] }
+        },
+        {
+          model: Segment,
+          as: 'segment',
+          attributes: { exclude: ['createdAt', 'updatedAt'] }
         }
       ]
     });
@@ -191,8 +153,13 @@ exports.getCampaign = async (req, res) => {
         success: false,
         message: 'Campaign not found'
       });
-    }      // If campaign is active or completed, fetch real-time stats from the worker
-    if (['processing', 'sending', 'completed', 'stopped'].includes(campaign.status)) {
+    }      campaign.dataValues.abTest = await abTestService.getSummary(campaign);
+
+    // Campaigns sent by the server engine report their progress locally
+    if (sendingService.isServerCampaign(campaign)) {
+      campaign.dataValues.progress = sendingService.getProgress(campaign);
+    } else if (['processing', 'sending', 'completed', 'stopped'].includes(campaign.status)) {
+      // If campaign is active or completed, fetch real-time stats from the worker
       try {
         // Get status with retry mechanism
         const workerResponse = await executeWithRetry(
@@ -253,12 +220,27 @@ exports.createCampaign = async (req, res) => {
       subject, 
       templateId, 
       contactListId, 
+      segmentId,
       scheduledFor,
       sendingMode = 'normal',
       emailsPerMinute,
-      maxConcurrentBatches = 10
+      maxConcurrentBatches = 10,
+      sendingEngine,
+      fromAddress,
+      abTestPercentage,
+      abWinnerMetric,
+      abWaitMinutes,
+      variants
     } = req.body;
 
+    if (variants !== undefined && (abTestPercentage === undefined || abTestPercentage === null)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'abTestPercentage is required for an A/B test'
+      });
+    }
+
     // Validate turtle send parameters
     if (sendingMode === 'turtle') {
       if (!emailsPerMinute || emailsPerMinute < 1 || emailsPerMinute > 600) {
@@ -270,11 +252,11 @@ exports.createCampaign = async (req, res) => {
       }
     }
 
-    // Check if template exists and belongs to user
+    // Check if template exists and belongs to the workspace
     const template = await Template.findOne({
       where: {
         id: templateId,
-        userId: req.user.id
+        organizationId: req.organization.id
       }
     });
 
@@ -286,37 +268,70 @@ exports.createCampaign = async (req, res) => {
       });
     }
 
-    // Check if contact list exists and belongs to user
-    const contactList = await ContactList.findOne({
-      where: {
-        id: contactListId,
-        userId: req.user.id
+    // Check if the contact list or segment exists and belongs to the workspace
+    let totalRecipients;
+    if (segmentId) {
+      const segment = await Segment.findOne({
+        where: {
+          id: segmentId,
+          organizationId: req.organization.id
+        }
+      });
+
+      if (!segment) {
+        await transaction.rollback();
+        return res.status(404).json({
+          success: false,
+          message: 'Segment not found or access denied'
+        });
       }
-    });
 
-    if (!contactList) {
-      await transaction.rollback();
-      return res.status(404).json({
-        success: false,
-        message: 'Contact list not found or access denied'
+      // Estimate only; the segment is evaluated again when the campaign is sent
+      totalRecipients = await segmentService.count(segment, { unsubscribed: false, status: 'active' });
+    } else {
+      const contactList = await ContactList.findOne({
+        where: {
+          id: contactListId,
+          organizationId: req.organization.id
+        }
       });
+
+      if (!contactList) {
+        await transaction.rollback();
+        return res.status(404).json({
+          success: false,
+          message: 'Contact list not found or access denied'
+        });
+      }
+
+      totalRecipients = contactList.count;
     }
 
     // Create campaign - use status values compatible with worker
     const campaign = await Campaign.create({
       userId: req.user.id,
+      organizationId: req.organization.id,
       name,
       subject,
       templateId,
-      contactListId,
-      totalRecipients: contactList.count,
-      status: scheduledFor ? 'scheduled' : 'draft',
-      scheduledFor: scheduledFor || null,
+      contactListId: segmentId ? null : contactListId,
+      segmentId: segmentId || null,
+      totalRecipients,
+      status: 'draft',
       sendingMode,
       emailsPerMinute,
-      maxConcurrentBatches
+      maxConcurrentBatches,
+      sendingEngine: sendingEngine || null,
+      fromAddress: fromAddress || null,
+      abTestPercentage: abTestPercentage !== undefined ? abTestPercentage : null,
+      abWinnerMetric,
+      abWaitMinutes
     }, { transaction });
 
+    if (abTestService.isTest(campaign)) {
+      await abTestService.setVariants(campaign, variants, transaction);
+    }
+
     // Update template usage data
     await template.update({
       usageCount: template.usageCount + 1,
@@ -325,13 +340,29 @@ exports.createCampaign = async (req, res) => {
 
     await transaction.commit();
 
+    // Scheduling goes through the scheduler, like POST /:id/schedule
+    if (scheduledFor) {
+      await schedulerService.scheduleCampaign(campaign.id, new Date(scheduledFor));
+      await campaign.reload();
+    }
+
     return res.status(201).json({
       success: true,
       message: 'Campaign created successfully',
-      campaign
+      campaign,
+      abTest: await abTestService.getSummary(campaign),
+      templateWarnings: await getTemplateWarnings(campaign)
     });
   } catch (error) {
-    await transaction.rollback();
+    if (!transaction.finished) await transaction.rollback();
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Create campaign error:', error);
     return res.status(500).json({
       success: false,
@@ -351,13 +382,27 @@ exports.updateCampaign = async (req, res) => {
   const transaction = await sequelize.transaction();
 
   try {
-    const { name, subject, templateId, contactListId, scheduledFor, status } = req.body;
+    const {
+      name,
+      subject,
+      templateId,
+      contactListId,
+      segmentId,
+      scheduledFor,
+      status,
+      sendingEngine,
+      fromAddress,
+      abTestPercentage,
+      abWinnerMetric,
+      abWaitMinutes,
+      variants
+    } = req.body;
 
-    // Check if campaign exists and belongs to user
+    // Check if campaign exists and belongs to the workspace
     const campaign = await Campaign.findOne({
       where: {
         id: req.params.id,
-        userId: req.user.id
+        organizationId: req.organization.id
       }
     });
 
@@ -378,12 +423,45 @@ exports.updateCampaign = async (req, res) => {
       });
     }
 
-    // Check if template exists and belongs to user if changed
+    // Scheduling and unscheduling go through the scheduler, which checks the date and
+    // that nothing is sending; a new date for a scheduled campaign reschedules it
+    const wasScheduled = campaign.status === 'scheduled';
+    const schedules = wasScheduled
+      ? ['scheduled', undefined].includes(status) && scheduledFor !== undefined
+      : status === 'scheduled';
+    const unschedules = wasScheduled && status === 'draft';
+    const scheduleAt = scheduledFor || campaign.scheduledFor ? new Date(scheduledFor || campaign.scheduledFor) : null;
+    if (schedules && !['draft', 'scheduled'].includes(campaign.status)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft campaigns can be scheduled'
+      });
+    }
+    if (schedules && !scheduleAt) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Scheduled date is required'
+      });
+    }
+
+    // The A/B test setup is fixed once the campaign starts sending
+    const changesAbTest = [abTestPercentage, abWinnerMetric, abWaitMinutes, variants].some(value => value !== undefined);
+    if (changesAbTest && !['draft', 'scheduled'].includes(campaign.status)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'The A/B test can only be changed before the campaign is sent'
+      });
+    }
+
+    // Check if template exists and belongs to the workspace if changed
     if (templateId && templateId !== campaign.templateId) {
       const template = await Template.findOne({
         where: {
           id: templateId,
-          userId: req.user.id
+          organizationId: req.organization.id
         }
       });
 
@@ -402,12 +480,12 @@ exports.updateCampaign = async (req, res) => {
       }, { transaction });
     }
 
-    // Check if contact list exists and belongs to user if changed
+    // Check if contact list exists and belongs to the workspace if changed
     if (contactListId && contactListId !== campaign.contactListId) {
       const contactList = await ContactList.findOne({
         where: {
           id: contactListId,
-          userId: req.user.id
+          organizationId: req.organization.id
         }
       });
 
@@ -423,21 +501,72 @@ exports.updateCampaign = async (req, res) => {
       req.body.totalRecipients = contactList.count;
     }
 
+    // Check if segment exists and belongs to the workspace if changed
+    if (segmentId && segmentId !== campaign.segmentId) {
+      const segment = await Segment.findOne({
+        where: {
+          id: segmentId,
+          organizationId: req.organization.id
+        }
+      });
+
+      if (!segment) {
+        await transaction.rollback();
+        return res.status(404).json({
+          success: false,
+          message: 'Segment not found or access denied'
+        });
+      }
+
+      // Update recipient estimate
+      req.body.totalRecipients = await segmentService.count(segment, { unsubscribed: false, status: 'active' });
+    }
+
     // Update campaign
     const updatedCampaign = await campaign.update({
       name: name || campaign.name,
       subject: subject || campaign.subject,
       templateId: templateId || campaign.templateId,
-      contactListId: contactListId || campaign.contactListId,
+      // Choosing a list replaces the segment and vice versa
+      contactListId: segmentId ? null : contactListId || campaign.contactListId,
+      segmentId: contactListId ? null : segmentId || campaign.segmentId,
       totalRecipients: req.body.totalRecipients || campaign.totalRecipients,
-      status: status || campaign.status,
-      scheduledFor: scheduledFor !== undefined ? scheduledFor : campaign.scheduledFor
+      status: schedules || unschedules ? campaign.status : status || campaign.status,
+      scheduledFor: schedules || unschedules || scheduledFor === undefined ? campaign.scheduledFor : scheduledFor,
+      sendingEngine: sendingEngine !== undefined ? sendingEngine : campaign.sendingEngine,
+      fromAddress: fromAddress !== undefined ? fromAddress || null : campaign.fromAddress,
+      abTestPercentage: abTestPercentage !== undefined ? abTestPercentage : campaign.abTestPercentage,
+      abWinnerMetric: abWinnerMetric || campaign.abWinnerMetric,
+      abWaitMinutes: abWaitMinutes !== undefined ? abWaitMinutes : campaign.abWaitMinutes
     }, { transaction });
 
+    if (!abTestService.isTest(updatedCampaign)) {
+      await abTestService.removeTest(updatedCampaign, transaction);
+    } else if (variants !== undefined) {
+      await abTestService.setVariants(updatedCampaign, variants, transaction);
+    } else if ((await abTestService.getVariants(updatedCampaign.id, { transaction })).length === 0) {
+      throw createError('variants are required for an A/B test', 400);
+    }
+
     await transaction.commit();
 
-    // If campaign is being updated and was previously active, stop it in the worker
-    if (['processing', 'sending', 'scheduled'].includes(campaign.status)) {
+    if (unschedules || (schedules && wasScheduled)) {
+      await schedulerService.cancelScheduledCampaign(updatedCampaign.id);
+    }
+    if (schedules) {
+      await schedulerService.scheduleCampaign(updatedCampaign.id, scheduleAt);
+    }
+    await updatedCampaign.reload();
+
+    // If campaign is being updated and was previously active, stop it. Scheduled campaigns
+    // keep their schedule: they are snapshotted with the edited content when they launch.
+    if (sendingService.isServerCampaign(campaign) && ['processing', 'sending', 'paused', 'testing'].includes(campaign.status)) {
+      await updatedCampaign.update({
+        status: 'stopped'
+      });
+      sendingService.signal(updatedCampaign.id, 'stopped');
+      console.log(`Campaign ${updatedCampaign.id} stopped due to update`);
+    } else if (['processing', 'sending'].includes(campaign.status)) {
       try {
         // Stop the campaign in the worker
         await executeWithRetry(
@@ -463,10 +592,20 @@ exports.updateCampaign = async (req, res) => {
     return res.status(200).json({
       success: true,
       message: 'Campaign updated successfully',
-      campaign: updatedCampaign
+      campaign: updatedCampaign,
+      abTest: await abTestService.getSummary(updatedCampaign),
+      templateWarnings: await getTemplateWarnings(updatedCampaign)
     });
   } catch (error) {
-    await transaction.rollback();
+    if (!transaction.finished) await transaction.rollback();
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Update campaign error:', error);
     return res.status(500).json({
       success: false,
@@ -482,7 +621,7 @@ exports.deleteCampaign = async (req, res) => {
     const campaign = await Campaign.findOne({
       where: {
         id: req.params.id,
-        userId: req.user.id
+        organizationId: req.organization.id
       }
     });
 
@@ -493,6 +632,20 @@ exports.deleteCampaign = async (req, res) => {
       });
     }
 
+    if (sendingService.isServerCampaign(campaign)) {
+      // Stop the server engine run; there is no worker data to clean up
+      if (['sending', 'processing', 'paused', 'testing'].includes(campaign.status)) {
+        await sendingService.stopCampaign(campaign);
+      }
+
+      await campaign.destroy();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Campaign deleted successfully'
+      });
+    }
+
     // If the campaign is sending, try to stop it in the worker first
     if (campaign.status === 'sending' || campaign.status === 'processing') {
       try {
@@ -548,7 +701,7 @@ exports.getCampaignStats = async (req, res) => {
     const campaign = await Campaign.findOne({
       where: {
         id: req.params.id,
-        userId: req.user.id
+        organizationId: req.organization.id
       },
       include: [
         {
@@ -580,12 +733,16 @@ exports.getCampaignStats = async (req, res) => {
       opened: campaign.stats.filter(stat => stat.opened).length,
       clicked: campaign.stats.filter(stat => stat.clicked).length,
       bounced: campaign.stats.filter(stat => stat.bounced).length,
+      totalOpens: campaign.opens,
+      totalClicks: campaign.clicks,
+      uniqueOpens: campaign.uniqueOpens,
+      uniqueClicks: campaign.uniqueClicks,
       openRate: campaign.openRate,
       clickRate: campaign.clickRate,
     };
 
     // For active campaigns, fetch the latest stats from the worker
-    if (['processing', 'sending', 'completed'].includes(campaign.status)) {
+    if (!sendingService.isServerCampaign(campaign) && ['processing', 'sending', 'completed'].includes(campaign.status)) {
       try {
         const workerResponse = await workerClient.get(`/api/campaign/${campaign.id}/status`);
         
@@ -631,6 +788,8 @@ exports.getCampaignStats = async (req, res) => {
         sentAt: campaign.sentAt
       },
       stats: localStats,
+      progress: sendingService.isServerCampaign(campaign) ? sendingService.getProgress(campaign) : undefined,
+      abTest: await abTestService.getSummary(campaign),
       recipients: campaign.stats
     });
   } catch (error) {
@@ -643,40 +802,19 @@ exports.getCampaignStats = async (req, res) => {
   }
 };
 
-// Schedule a campaign
-exports.scheduleCampaign = async (req, res) => {
+// Get the per-recipient event log of a campaign
+exports.getCampaignEvents = async (req, res) => {
   try {
-    const { scheduledFor } = req.body;
-    
-    if (!scheduledFor) {
-      return res.status(400).json({
-        success: false,
-        message: 'Scheduled date is required'
-      });
-    }
+    const { type, contactId, from, to } = req.query;
+    const { page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
 
     const campaign = await Campaign.findOne({
       where: {
         id: req.params.id,
-        userId: req.user.id
+        organizationId: req.organization.id
       },
-      include: [
-        {
-          model: Template,
-          as: 'template'
-        },
-        {
-          model: ContactList,
-          as: 'contactList',
-          include: [
-            {
-              model: Contact,
-              as: 'contacts',
-              attributes: ['id', 'email', 'firstName', 'lastName']
-            }
-          ]
-        }
-      ]
+      attributes: ['id']
     });
 
     if (!campaign) {
@@ -686,48 +824,259 @@ exports.scheduleCampaign = async (req, res) => {
       });
     }
 
-    if (campaign.status !== 'draft') {
-      return res.status(400).json({
+    const whereClause = { campaignId: campaign.id };
+
+    // Filter by event type(s), e.g. ?type=open,click
+    if (type) {
+      const types = type.split(',');
+      const unknownTypes = types.filter(t => !EmailEvent.TYPES.includes(t));
+      if (unknownTypes.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown event type: ${unknownTypes.join(', ')}`
+        });
+      }
+      whereClause.type = { [Op.in]: types };
+    }
+
+    if (contactId) {
+      whereClause.contactId = contactId;
+    }
+
+    // Filter by date range
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+
+      if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date range'
+        });
+      }
+
+      whereClause.occurredAt = {
+        ...(fromDate ? { [Op.gte]: fromDate } : {}),
+        ...(toDate ? { [Op.lte]: toDate } : {})
+      };
+    }
+
+    const { count, rows: events } = await EmailEvent.findAndCountAll({
+      where: whereClause,
+      include: [
+        {
+          model: Contact,
+          as: 'contact',
+          attributes: ['id', 'email', 'firstName', 'lastName']
+        }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['occurredAt', 'DESC']]
+    });
+
+    return res.status(200).json({
+      success: true,
+      events,
+      total: count,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get campaign events error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving campaign events',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Load the snapshot of a workspace campaign, answering 404 when there is none
+ * @returns {Promise<CampaignSnapshot|null>} - Snapshot, or null when the response was sent
+ */
+const findCampaignSnapshot = async (req, res) => {
+  const campaign = await Campaign.findOne({
+    where: {
+      id: req.params.id,
+      organizationId: req.organization.id
+    },
+    attributes: ['id']
+  });
+
+  if (!campaign) {
+    res.status(404).json({
+      success: false,
+      message: 'Campaign not found or access denied'
+    });
+    return null;
+  }
+
+  const snapshot = await snapshotService.getSnapshot(campaign.id);
+  if (!snapshot) {
+    res.status(404).json({
+      success: false,
+      message: 'Campaign has not been sent yet'
+    });
+    return null;
+  }
+
+  return snapshot;
+};
+
+// Get what a campaign was sent with
+exports.getCampaignSnapshot = async (req, res) => {
+  try {
+    const snapshot = await findCampaignSnapshot(req, res);
+    if (!snapshot) return;
+
+    return res.status(200).json({
+      success: true,
+      snapshot
+    });
+  } catch (error) {
+    console.error('Get campaign snapshot error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving campaign snapshot',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get the recipients a campaign was sent to
+exports.getCampaignRecipients = async (req, res) => {
+  try {
+    const { search } = req.query;
+    const { page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const snapshot = await findCampaignSnapshot(req, res);
+    if (!snapshot) return;
+
+    const whereClause = { campaignId: snapshot.campaignId };
+    if (search) {
+      whereClause.email = { [Op.like]: `%${search}%` };
+    }
+
+    const { count, rows: recipients } = await CampaignRecipient.findAndCountAll({
+      where: whereClause,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['email', 'ASC']]
+    });
+
+    return res.status(200).json({
+      success: true,
+      recipients,
+      total: count,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get campaign recipients error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving campaign recipients',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Render the email a recipient was sent
+exports.getCampaignRecipientEmail = async (req, res) => {
+  try {
+    const snapshot = await findCampaignSnapshot(req, res);
+    if (!snapshot) return;
+
+    const recipient = await CampaignRecipient.findOne({
+      where: {
+        campaignId: snapshot.campaignId,
+        contactId: req.params.contactId
+      }
+    });
+
+    if (!recipient) {
+      return res.status(404).json({
         success: false,
-        message: 'Only draft campaigns can be scheduled'
+        message: 'Contact was not a recipient of this campaign'
       });
     }
 
-    // 1. Initialize campaign in the worker using our helper function
-    const campaignData = prepareCampaignDataForWorker(campaign);
+    let content;
+    if (recipient.variantId) {
+      const campaign = await Campaign.findByPk(snapshot.campaignId);
+      content = (await abTestService.getVariantContents(campaign, snapshot)).get(recipient.variantId);
+    }
 
-    try {
-      // Initialize the campaign in the worker with retry mechanism
-      const initResponse = await executeWithRetry(
-        () => workerClient.post(`/api/campaign/${campaign.id}/initialize`, campaignData),
-        `Initialize campaign ${campaign.id} for scheduling`
-      );
+    const { from, to, subject, html, text } = snapshotService.renderEmail(snapshot, recipient, content);
 
-      // 2. Schedule the campaign in the database
-      const scheduledCampaign = await schedulerService.scheduleCampaign(
-        campaign.id,
-        new Date(scheduledFor)
-      );
+    return res.status(200).json({
+      success: true,
+      email: { from, to, subject, html, text }
+    });
+  } catch (error) {
+    console.error('Get campaign recipient email error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error rendering campaign email',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
 
-      // 3. Add to the worker's scheduler
-      await workerClient.put(`/api/scheduled_campaign:${campaign.id}`, {
-        scheduledFor: new Date(scheduledFor).toISOString()
+// Schedule a campaign
+exports.scheduleCampaign = async (req, res) => {
+  try {
+    const { scheduledFor } = req.body;
+    
+    if (!scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scheduled date is required'
       });
+    }
 
-      return res.status(200).json({
-        success: true,
-        campaign: scheduledCampaign,
-        workerStatus: initResponse.data
-      });
-    } catch (workerError) {
-      console.error('Worker initialization error:', workerError);
-      return res.status(500).json({
+    const campaign = await Campaign.findOne({
+      where: {
+        id: req.params.id,
+        organizationId: req.organization.id
+      }
+    });
+
+    if (!campaign) {
+      return res.status(404).json({
         success: false,
-        message: 'Error initializing campaign in worker',
-        error: process.env.NODE_ENV === 'development' ? workerError.message : undefined
+        message: 'Campaign not found or access denied'
       });
     }
+
+    // The scheduler picks the campaign up from the database once it is due
+    // and hands it to the worker through the same path as sendCampaignNow
+    const scheduledCampaign = await schedulerService.scheduleCampaign(
+      campaign.id,
+      new Date(scheduledFor)
+    );
+
+    return res.status(200).json({
+      success: true,
+      campaign: scheduledCampaign
+    });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Schedule campaign error:', error);
     return res.status(500).json({
       success: false,
@@ -743,7 +1092,7 @@ exports.cancelSchedule = async (req, res) => {
     const campaign = await Campaign.findOne({
       where: {
         id: req.params.id,
-        userId: req.user.id
+        organizationId: req.organization.id
       }
     });
 
@@ -754,39 +1103,28 @@ exports.cancelSchedule = async (req, res) => {
       });
     }
 
-    if (campaign.status !== 'scheduled') {
-      return res.status(400).json({
-        success: false,
-        message: 'Only scheduled campaigns can be cancelled'
-      });
-    }
+    const cancelledCampaign = await schedulerService.cancelScheduledCampaign(campaign.id);
 
+    // Campaigns scheduled before the database scheduler existed may still be
+    // registered with the worker's own scheduler, so remove them there as well
     try {
-      // Remove from worker's scheduler with retry mechanism
-      await executeWithRetry(
-        () => workerClient.delete(`/api/scheduled_campaign:${campaign.id}`),
-        `Cancel scheduled campaign ${campaign.id}`
-      );
-      
-      // Cancel in the database
-      const cancelledCampaign = await schedulerService.cancelScheduledCampaign(campaign.id);
-
-      return res.status(200).json({
-        success: true,
-        campaign: cancelledCampaign
-      });
+      await workerClient.delete(`/api/scheduled_campaign:${campaign.id}`);
     } catch (workerError) {
-      console.warn('Worker cancel error (continuing with local cancel):', workerError);
-      // Continue with local cancellation if worker is unavailable
-      const cancelledCampaign = await schedulerService.cancelScheduledCampaign(campaign.id);
-      
-      return res.status(200).json({
-        success: true,
-        campaign: cancelledCampaign,
-        workerWarning: 'Campaign canceled in database, but worker notification failed'
-      });
+      console.warn(`Failed to remove worker schedule for campaign ${campaign.id}:`, workerError.message);
     }
+
+    return res.status(200).json({
+      success: true,
+      campaign: cancelledCampaign
+    });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Cancel schedule error:', error);
     return res.status(500).json({
       success: false,
@@ -802,25 +1140,8 @@ exports.sendCampaignNow = async (req, res) => {
     const campaign = await Campaign.findOne({
       where: {
         id: req.params.id,
-        userId: req.user.id
-      },
-      include: [
-        {
-          model: Template,
-          as: 'template'
-        },
-        {
-          model: ContactList,
-          as: 'contactList',
-          include: [
-            {
-              model: Contact,
-              as: 'contacts',
-              attributes: ['id', 'email', 'firstName', 'lastName']
-            }
-          ]
-        }
-      ]
+        organizationId: req.organization.id
+      }
     });
 
     if (!campaign) {
@@ -837,47 +1158,26 @@ exports.sendCampaignNow = async (req, res) => {
       });
     }
 
-    // Prepare campaign data for the worker using our helper function
-    const campaignData = prepareCampaignDataForWorker(campaign);
-
-    try {
-      // 1. Initialize the campaign in the worker with retry mechanism
-      const initResponse = await executeWithRetry(
-        () => workerClient.post(`/api/campaign/${campaign.id}/initialize`, campaignData),
-        `Initialize campaign ${campaign.id}`
-      );
-      
-      // 2. Start the campaign processing with retry mechanism
-      const startResponse = await executeWithRetry(
-        () => workerClient.post(`/api/campaign/${campaign.id}/start`),
-        `Start campaign ${campaign.id}`
-      );
-
-      // Update campaign status in database
-      await campaign.update({
-        status: 'sending',
-        sentAt: new Date()
-      });
-
-      return res.status(200).json({
-        success: true,
-        message: 'Campaign sending started successfully',
-        campaign: {
-          id: campaign.id,
-          name: campaign.name,
-          status: 'sending',
-          sentAt: campaign.sentAt
-        },
-        workerStatus: startResponse.data
-      });
-    } catch (workerError) {
-      console.error('Worker send error:', workerError);
-      return res.status(500).json({
+    // Preparing the campaign (snapshot, engine hand-off) runs as a background job;
+    // claiming it first keeps the scheduler from queueing it at the same time
+    const job = await schedulerService.queueLaunch(campaign, ['draft', 'scheduled'], req.user.id);
+    if (!job) {
+      return res.status(409).json({
         success: false,
-        message: 'Error sending campaign through worker',
-        error: process.env.NODE_ENV === 'development' ? workerError.message : undefined
+        message: 'Campaign is already being sent'
       });
     }
+
+    return res.status(202).json({
+      success: true,
+      message: 'Campaign queued for sending',
+      campaign: {
+        id: campaign.id,
+        name: campaign.name,
+        status: 'queued'
+      },
+      job: jobService.serialize(job)
+    });
   } catch (error) {
     console.error('Send campaign error:', error);
     return res.status(500).json({
@@ -894,7 +1194,7 @@ exports.stopCampaign = async (req, res) => {
     const campaign = await Campaign.findOne({
       where: {
         id: req.params.id,
-        userId: req.user.id
+        organizationId: req.organization.id
       }
     });
 
@@ -905,6 +1205,20 @@ exports.stopCampaign = async (req, res) => {
       });
     }
 
+    if (sendingService.isServerCampaign(campaign)) {
+      await sendingService.stopCampaign(campaign);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Campaign stopped successfully',
+        campaign: {
+          id: campaign.id,
+          name: campaign.name,
+          status: 'stopped'
+        }
+      });
+    }
+
     // Only allow stopping campaigns that are currently sending or processing
     if (!['sending', 'processing'].includes(campaign.status)) {
       return res.status(400).json({
@@ -945,6 +1259,13 @@ exports.stopCampaign = async (req, res) => {
       });
     }
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Stop campaign error:', error);
     return res.status(500).json({
       success: false,
@@ -952,4 +1273,96 @@ exports.stopCampaign = async (req, res) => {
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-};
\ No newline at end of file
+};
+
+// Pause a campaign sent by the server engine
+exports.pauseCampaign = async (req, res) => {
+  try {
+    const campaign = await Campaign.findOne({
+      where: {
+        id: req.params.id,
+        organizationId: req.organization.id
+      }
+    });
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found or access denied'
+      });
+    }
+
+    await sendingService.pauseCampaign(campaign);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Campaign paused successfully',
+      campaign: {
+        id: campaign.id,
+        name: campaign.name,
+        status: campaign.status
+      },
+      progress: sendingService.getProgress(campaign)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Pause campaign error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error pausing campaign',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Resume a paused campaign sent by the server engine
+exports.resumeCampaign = async (req, res) => {
+  try {
+    const campaign = await Campaign.findOne({
+      where: {
+        id: req.params.id,
+        organizationId: req.organization.id
+      }
+    });
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found or access denied'
+      });
+    }
+
+    await sendingService.resumeCampaign(campaign);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Campaign resumed successfully',
+      campaign: {
+        id: campaign.id,
+        name: campaign.name,
+        status: campaign.status
+      },
+      progress: sendingService.getProgress(campaign)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Resume campaign error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error resuming campaign',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
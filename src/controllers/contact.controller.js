@@ -1,6 +1,29 @@
-const { Contact, ContactList, ContactListContacts, sequelize } = require('../models');
-const { Op } = require('sequelize');
+const { Contact, ContactList, ContactListContacts, Campaign, ImportJob, ImportJobError, sequelize } = require('../models');
 const { validationResult } = require('express-validator');
+const importService = require('../services/importService');
+const exportService = require('../services/exportService');
+const validationService = require('../services/validationService');
+
+/**
+ * Build the lookup for a contact email coming from the worker.
+ * Contacts are owned per workspace, so the worker passes the campaign
+ * to resolve which workspace's copy of the contact it refers to.
+ * @param {string} email - Contact email
+ * @param {string} [campaignId] - Campaign the lookup is made for
+ * @returns {Promise<Object>} - Where clause for Contact queries
+ */
+const buildWorkerContactLookup = async (email, campaignId) => {
+  const where = { email: email.toLowerCase() };
+
+  if (campaignId) {
+    const campaign = await Campaign.findByPk(campaignId, { attributes: ['organizationId'] });
+    if (campaign) {
+      where.organizationId = campaign.organizationId;
+    }
+  }
+
+  return where;
+};
 
 // Get all contacts
 exports.getContacts = async (req, res) => {
@@ -9,23 +32,7 @@ exports.getContacts = async (req, res) => {
     const { page = 1, limit = 50 } = req.query;
     const offset = (page - 1) * limit;
     
-    let whereClause = {};
-    
-    // Filter by search term if provided
-    if (search) {
-      whereClause = {
-        [Op.or]: [
-          { email: { [Op.like]: `%${search}%` } },
-          { firstName: { [Op.like]: `%${search}%` } },
-          { lastName: { [Op.like]: `%${search}%` } }
-        ]
-      };
-    }
-    
-    // Filter by status if provided
-    if (status) {
-      whereClause.status = status;
-    }
+    const whereClause = exportService.buildContactWhere(req.organization.id, { search, status });
 
     // Use findAndCountAll to get both total count and paginated results
     const { count, rows: contacts } = await Contact.findAndCountAll({
@@ -55,10 +62,55 @@ exports.getContacts = async (req, res) => {
   }
 };
 
+// Export the workspace's contacts as CSV or NDJSON, with the filters of getContacts
+exports.exportContacts = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { search, status, format = 'csv' } = req.query;
+    const fields = exportService.parseFields(req.query.fields);
+    const { contentType, extension } = exportService.getFormat(format);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="contacts-${new Date().toISOString().slice(0, 10)}.${extension}"`);
+
+    await exportService.writeContacts(res, {
+      where: exportService.buildContactWhere(req.organization.id, { search, status }),
+      fields,
+      format
+    });
+    return res.end();
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Export contacts error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    return res.status(500).json({
+      success: false,
+      message: 'Error exporting contacts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // Get contact by ID
 exports.getContact = async (req, res) => {
   try {
-    const contact = await Contact.findByPk(req.params.id, {
+    const contact = await Contact.findOne({
+      where: {
+        id: req.params.id,
+        organizationId: req.organization.id
+      },
       include: [
         {
           model: ContactList,
@@ -111,7 +163,10 @@ exports.createContact = async (req, res) => {
 
     // Check if contact already exists
     const existingContact = await Contact.findOne({
-      where: { email },
+      where: {
+        email,
+        organizationId: req.organization.id
+      },
       transaction
     });
 
@@ -126,6 +181,8 @@ exports.createContact = async (req, res) => {
 
     // Create the contact
     const contact = await Contact.create({
+      userId: req.user.id,
+      organizationId: req.organization.id,
       email,
       firstName,
       lastName,
@@ -136,12 +193,18 @@ exports.createContact = async (req, res) => {
 
 
     if (listId) {
-      const list = await ContactList.findByPk(listId, { transaction });
+      const list = await ContactList.findOne({
+        where: {
+          id: listId,
+          organizationId: req.organization.id
+        },
+        transaction
+      });
       if (!list) {
         await transaction.rollback();
         return res.status(404).json({
           success: false,
-          message: 'Contact list not found'
+          message: 'Contact list not found or access denied'
         });
       }
 
@@ -199,7 +262,11 @@ exports.updateContact = async (req, res) => {
   try {
     const { firstName, lastName, phone, status, metadata, listId } = req.body;
 
-    const contact = await Contact.findByPk(req.params.id, {
+    const contact = await Contact.findOne({
+      where: {
+        id: req.params.id,
+        organizationId: req.organization.id
+      },
       include: [
         {
           model: ContactList,
@@ -250,12 +317,18 @@ exports.updateContact = async (req, res) => {
 
         // Add to new list if listId is provided
         if (listId) {
-          const newList = await ContactList.findByPk(listId, { transaction });
+          const newList = await ContactList.findOne({
+            where: {
+              id: listId,
+              organizationId: req.organization.id
+            },
+            transaction
+          });
           if (!newList) {
             await transaction.rollback();
             return res.status(404).json({
               success: false,
-              message: 'New contact list not found'
+              message: 'New contact list not found or access denied'
             });
           }
 
@@ -312,7 +385,11 @@ exports.deleteContact = async (req, res) => {
   const transaction = await sequelize.transaction();
   
   try {
-    const contact = await Contact.findByPk(req.params.id, {
+    const contact = await Contact.findOne({
+      where: {
+        id: req.params.id,
+        organizationId: req.organization.id
+      },
       include: [
         {
           model: ContactList,
@@ -360,14 +437,12 @@ exports.deleteContact = async (req, res) => {
 };
 
 // Import multiple contacts
+// Invalid addresses don't fail the request; they are reported per contact in failed
 exports.importContacts = async (req, res) => {
-  const transaction = await sequelize.transaction();
-  
   try {
-    const { contacts, listId } = req.body;
-    
+    const { contacts, listId = null, mode, merge, attachExisting } = req.body;
+
     if (!Array.isArray(contacts)) {
-      await transaction.rollback();
       return res.status(400).json({
         success: false,
         message: 'Contacts must be an array'
@@ -375,145 +450,310 @@ exports.importContacts = async (req, res) => {
     }
 
     // Check if list exists if listId is provided
-    let list = null;
     if (listId) {
-      list = await ContactList.findByPk(listId, { transaction });
+      const list = await ContactList.findOne({
+        where: {
+          id: listId,
+          organizationId: req.organization.id
+        }
+      });
       if (!list) {
-        await transaction.rollback();
         return res.status(404).json({
           success: false,
-          message: 'Contact list not found'
+          message: 'Contact list not found or access denied'
         });
       }
-      console.log('Found list:', list.id);
     }
 
-    // Extract all emails for batch validation
-    const emails = contacts.map(contact => contact.email);
-    
-    // Use validation service directly instead of HTTP requests
-    const validationService = require('../services/validationService');
-    const validationResults = await validationService.validateBatch(emails, listId);
-    
+    const options = importService.resolveOptions({ mode, merge, attachExisting }, listId);
+
+    // Existing contacts are handled by the import mode, so only the addresses are checked
+    const validationResults = await validationService.validateBatch(
+      contacts.map(contact => contact.email),
+      listId,
+      req.organization.id,
+      { checkDuplicates: false }
+    );
+
     if (!validationResults.success) {
-      await transaction.rollback();
       return res.status(400).json({
         success: false,
         message: 'Email validation failed',
       });
     }
-    
+
     // Create a map of email validation results for quick lookup
     const emailValidationMap = new Map();
     validationResults.results.forEach(result => {
       emailValidationMap.set(result.email, result);
     });
 
-    const results = {
-      success: true,
-      count: 0,
-      failed: []
-    };
+    const failed = [];
+    const rows = [];
+    const seen = new Set();
 
-    // Process each contact
     for (const contactData of contacts) {
-      try {
-        // Check if email is valid using the validation result from the batch
-        const validationResult = emailValidationMap.get(contactData.email);
-        
-        console.log('Processing contact:', contactData.email, 'Validation result:', validationResult);
-        
-        if (!validationResult || !validationResult.success || !validationResult.isValid) {
-          results.failed.push({
-            contact: contactData,
-            reason: validationResult ? validationResult.reason || 'Email validation failed' : 'Email validation failed'
-          });
-          continue;
-        }
-        
-        // Check for existing contact in the same list
-        const existingContact = await Contact.findOne({
-          where: { email: contactData.email },
-          include: [{
-            model: ContactList,
-            as: 'lists',
-            where: listId ? { id: listId } : {},
-            required: listId ? true : false
-          }],
-          transaction
+      const validation = emailValidationMap.get(contactData.email);
+      if (!validation || !validation.success || !validation.isValid) {
+        failed.push({
+          contact: contactData,
+          reason: (validation && validation.reason) || 'Email validation failed'
         });
+        continue;
+      }
 
-        if (existingContact) {
-          results.failed.push({
-            contact: contactData,
-            reason: listId 
-              ? 'Email already exists in this list'
-              : 'Email already exists in the system'
-          });
-          continue;
-        }
+      const email = contactData.email.toLowerCase();
+      if (seen.has(email)) {
+        failed.push({ contact: contactData, reason: 'Duplicate email in the import' });
+        continue;
+      }
+      seen.add(email);
 
-        // Create the contact
-        const contact = await Contact.create({
-          email: contactData.email,
-          firstName: contactData.firstName,
-          lastName: contactData.lastName,
-          phone: contactData.phone,
-          status: contactData.status || 'active',
-          metadata: contactData.metadata
-        }, { transaction });
+      const data = { email };
+      ['firstName', 'lastName', 'company', 'status', 'metadata'].forEach(field => {
+        if (contactData[field] !== undefined && contactData[field] !== null) data[field] = contactData[field];
+      });
+      rows.push({ contact: contactData, data });
+    }
 
-        // Add to list if specified - with explicit timestamp values
-        if (list) {
-          await contact.addList(list, { 
-            transaction,
-            through: { 
-              createdAt: new Date(),
-              updatedAt: new Date() 
-            }
-          });
-          results.count++;
-        }
-      } catch (error) {
-        console.error('Error processing contact:', contactData.email, error);
-        results.failed.push({
-          contact: contactData,
-          reason: error.message || 'Failed to create contact'
-        });
-      }
+    const counts = await sequelize.transaction(transaction => importService.upsertContacts({
+      organizationId: req.organization.id,
+      userId: req.user.id,
+      contactListId: listId,
+      options
+    }, rows, transaction));
+
+    counts.failures.forEach(row => failed.push({ contact: row.contact, reason: row.error }));
+    await importService.updateListCount({ contactListId: listId });
+
+    return res.status(200).json({
+      success: true,
+      count: counts.created,
+      created: counts.created,
+      updated: counts.updated,
+      attached: counts.attached,
+      skipped: counts.skipped,
+      failed
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
     }
 
-    // Get the actual count of contacts in the list after adding new contacts
-    if (list && results.count > 0) {
-      // Get the actual count from the database instead of relying on in-memory value
-      const currentCount = await Contact.count({
-        include: [
-          {
-            model: ContactList,
-            as: 'lists',
-            where: { id: list.id },
-            attributes: []
-          }
-        ],
-        transaction
+    console.error('Import contacts error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error importing contacts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Find an import job of the current workspace, answering 404 when there is none
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @returns {Promise<ImportJob|null>} - Import job, or null when the response was sent
+ */
+const findWorkspaceImport = async (req, res) => {
+  const importJob = await ImportJob.findOne({
+    where: {
+      id: req.params.importId,
+      organizationId: req.organization.id
+    }
+  });
+
+  if (!importJob) {
+    res.status(404).json({
+      success: false,
+      message: 'Import not found or access denied'
+    });
+  }
+
+  return importJob;
+};
+
+// Upload a CSV or XLSX file to import
+exports.uploadImport = async (req, res) => {
+  try {
+    const { job, sample, suggestedMapping } = await importService.createJob(req.file, {
+      userId: req.user.id,
+      organizationId: req.organization.id
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'File uploaded; map its columns to start the import',
+      importJob: importService.serialize(job),
+      sample,
+      suggestedMapping
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
       });
+    }
 
-      // Update list count with accurate count from database
-      await list.update({
-        count: currentCount,
-        lastUpdated: new Date()
-      }, { transaction });
+    console.error('Upload import error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error uploading import file',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Map the columns of an uploaded file and start importing it
+exports.startImport = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const importJob = await findWorkspaceImport(req, res);
+    if (!importJob) return;
+
+    const { mapping, listId, mode, merge, attachExisting } = req.body;
+    await importService.start(importJob, {
+      mapping,
+      contactListId: listId || null,
+      mode,
+      merge,
+      attachExisting
+    });
+
+    return res.status(202).json({
+      success: true,
+      message: 'Import started',
+      importJob: importService.serialize(importJob)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
     }
 
-    await transaction.commit();
+    console.error('Start import error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error starting import',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get the imports of the current workspace
+exports.getImports = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await ImportJob.findAndCountAll({
+      where: { organizationId: req.organization.id },
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['createdAt', 'DESC']]
+    });
+
+    return res.status(200).json({
+      success: true,
+      importJobs: rows.map(job => importService.serialize(job)),
+      total: count,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get imports error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving imports',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
 
-    return res.status(200).json(results);
+// Get an import with its progress and summary
+exports.getImport = async (req, res) => {
+  try {
+    const importJob = await findWorkspaceImport(req, res);
+    if (!importJob) return;
+
+    return res.status(200).json({
+      success: true,
+      importJob: importService.serialize(importJob)
+    });
   } catch (error) {
-    await transaction.rollback();
-    console.error('Import contacts error:', error);
+    console.error('Get import error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Error importing contacts',
+      message: 'Error retrieving import',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Download the rows of an import that failed, as CSV
+exports.getImportErrors = async (req, res) => {
+  try {
+    const importJob = await findWorkspaceImport(req, res);
+    if (!importJob) return;
+
+    const baseName = importJob.fileName.replace(/\.[^.]*$/, '').replace(/[^\w.-]+/g, '_') || 'import';
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}-errors.csv"`);
+
+    await importService.writeErrorReport(importJob, res);
+    return res.end();
+  } catch (error) {
+    console.error('Get import errors error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving import errors',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Delete an import that isn't running, with its uploaded file and error report
+exports.deleteImport = async (req, res) => {
+  try {
+    const importJob = await findWorkspaceImport(req, res);
+    if (!importJob) return;
+
+    if (importJob.status === 'processing') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete an import that is running; cancel its job first'
+      });
+    }
+
+    await importService.removeFile(importJob);
+    await ImportJobError.destroy({ where: { importJobId: importJob.id } });
+    await importJob.destroy();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Import deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete import error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error deleting import',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -532,7 +772,7 @@ exports.getContactByEmail = async (req, res) => {
     }
 
     const contact = await Contact.findOne({
-      where: { email: email.toLowerCase() },
+      where: await buildWorkerContactLookup(email, req.query.campaignId),
       attributes: ['id', 'email', 'firstName', 'lastName', 'status'],
       include: [
         {
@@ -578,7 +818,7 @@ exports.getContactByEmail = async (req, res) => {
     }
     
     const contact = await Contact.findOne({
-      where: { email: email.toLowerCase() },
+      where: await buildWorkerContactLookup(email, req.query.campaignId),
       attributes: ['id', 'email', 'firstName', 'lastName', 'status']
     });
     
@@ -1,15 +1,17 @@
 const { ContactList, Contact, Campaign, sequelize } = require('../models');
 const { Op } = require('sequelize');
 const { validationResult } = require('express-validator');
+const exportService = require('../services/exportService');
+const segmentService = require('../services/segmentService');
 
-// Get all contact lists for the current user
+// Get all contact lists in the current workspace
 exports.getContactLists = async (req, res) => {
   try {
     const { search } = req.query;
     const { page = 1, limit = 50 } = req.query;
     const offset = (page - 1) * limit;
     
-    let whereClause = { userId: req.user.id };
+    let whereClause = { organizationId: req.organization.id };
     
     // Filter by search term if provided
     if (search) {
@@ -56,7 +58,7 @@ exports.getContactList = async (req, res) => {
     const contactList = await ContactList.findOne({
       where: {
         id: req.params.id,
-        userId: req.user.id
+        organizationId: req.organization.id
       }
     });
 
@@ -91,7 +93,7 @@ exports.getContactListContacts = async (req, res) => {
     const contactList = await ContactList.findOne({
       where: {
         id: req.params.id,
-        userId: req.user.id
+        organizationId: req.organization.id
       }
     });
 
@@ -102,23 +104,7 @@ exports.getContactListContacts = async (req, res) => {
       });
     }
 
-    let whereClause = {};
-    
-    // Filter by search term if provided
-    if (search) {
-      whereClause = {
-        [Op.or]: [
-          { email: { [Op.like]: `%${search}%` } },
-          { firstName: { [Op.like]: `%${search}%` } },
-          { lastName: { [Op.like]: `%${search}%` } }
-        ]
-      };
-    }
-    
-    // Filter by status if provided
-    if (status) {
-      whereClause.status = status;
-    }
+    const whereClause = exportService.buildContactWhere(req.organization.id, { search, status });
 
     const { count, rows: contacts } = await Contact.findAndCountAll({
       where: whereClause,
@@ -162,6 +148,66 @@ exports.getContactListContacts = async (req, res) => {
   }
 };
 
+// Export the contacts in a list as CSV or NDJSON, with the filters of getContacts
+exports.exportContactList = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { search, status, format = 'csv' } = req.query;
+
+    const contactList = await ContactList.findOne({
+      where: {
+        id: req.params.id,
+        organizationId: req.organization.id
+      }
+    });
+
+    if (!contactList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact list not found or access denied'
+      });
+    }
+
+    const fields = exportService.parseFields(req.query.fields);
+    const { contentType, extension } = exportService.getFormat(format);
+    const baseName = contactList.name.replace(/[^\w.-]+/g, '_') || 'contacts';
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}-${new Date().toISOString().slice(0, 10)}.${extension}"`);
+
+    await exportService.writeContacts(res, {
+      where: {
+        ...exportService.buildContactWhere(req.organization.id, { search, status }),
+        ...exportService.listMembersWhere(contactList.id)
+      },
+      fields,
+      format
+    });
+    return res.end();
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Export contact list error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    return res.status(500).json({
+      success: false,
+      message: 'Error exporting contact list',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // Create a new contact list
 exports.createContactList = async (req, res) => {
   const errors = validationResult(req);
@@ -174,6 +220,7 @@ exports.createContactList = async (req, res) => {
 
     const contactList = await ContactList.create({
       userId: req.user.id,
+      organizationId: req.organization.id,
       name,
       description,
       count: 0,
@@ -208,7 +255,7 @@ exports.updateContactList = async (req, res) => {
     const contactList = await ContactList.findOne({
       where: {
         id: req.params.id,
-        userId: req.user.id
+        organizationId: req.organization.id
       }
     });
 
@@ -248,7 +295,7 @@ exports.deleteContactList = async (req, res) => {
     const contactList = await ContactList.findOne({
       where: {
         id: req.params.id,
-        userId: req.user.id
+        organizationId: req.organization.id
       },
       transaction
     });
@@ -277,6 +324,16 @@ exports.deleteContactList = async (req, res) => {
       });
     }
 
+    // Segments referring to the list would silently change meaning without it
+    const segmentsUsingList = await segmentService.findSegmentsUsingList(req.organization.id, contactList.id);
+    if (segmentsUsingList.length > 0) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete contact list that is used in segments: ${segmentsUsingList.map(segment => segment.name).join(', ')}`
+      });
+    }
+
     await contactList.destroy({ transaction });
     await transaction.commit();
 
@@ -310,7 +367,7 @@ exports.addContactsToList = async (req, res) => {
     const contactList = await ContactList.findOne({
       where: {
         id: req.params.id,
-        userId: req.user.id
+        organizationId: req.organization.id
       },
       transaction
     });
@@ -334,7 +391,8 @@ exports.addContactsToList = async (req, res) => {
     // Get the contacts
     const contacts = await Contact.findAll({
       where: {
-        id: { [Op.in]: contactIds }
+        id: { [Op.in]: contactIds },
+        organizationId: req.organization.id
       },
       transaction
     });
@@ -412,7 +470,7 @@ exports.removeContactsFromList = async (req, res) => {
     const contactList = await ContactList.findOne({
       where: {
         id: req.params.id,
-        userId: req.user.id
+        organizationId: req.organization.id
       },
       transaction
     });
@@ -436,7 +494,8 @@ exports.removeContactsFromList = async (req, res) => {
     // Get the contacts
     const contacts = await Contact.findAll({
       where: {
-        id: { [Op.in]: contactIds }
+        id: { [Op.in]: contactIds },
+        organizationId: req.organization.id
       },
       include: [
         {
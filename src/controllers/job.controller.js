@@ -0,0 +1,177 @@
+const { Op } = require('sequelize');
+const { Job } = require('../models');
+const { validationResult } = require('express-validator');
+const { hasPermission } = require('../utils/permissions');
+// Loading every service registers the handlers of all job types
+const { jobService } = require('../services');
+
+// How long a cron-triggered run keeps claiming jobs, below the function timeout
+const CRON_TIME_BUDGET = parseInt(process.env.JOB_CRON_TIME_BUDGET_MS) || 50000;
+
+/**
+ * Check whether the member may see and cancel a job of a type
+ * @param {Object} req - Request
+ * @param {string} type - Job type
+ * @returns {string|null} - Missing permission, or null when allowed
+ */
+const missingPermission = (req, type) => {
+  const definition = jobService.getDefinition(type);
+  const permission = definition && definition.permission;
+  if (permission && !hasPermission(req.membership.role, permission, req.apiKey && req.apiKey.scopes)) {
+    return permission;
+  }
+  return null;
+};
+
+/**
+ * Find a job of the current workspace, answering 404 when there is none
+ * and 403 when the member lacks the permission of its type
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @returns {Promise<Job|null>} - Job, or null when the response was sent
+ */
+const findWorkspaceJob = async (req, res) => {
+  const job = await Job.findOne({
+    where: {
+      id: req.params.id,
+      organizationId: req.organization.id
+    }
+  });
+
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      message: 'Job not found or access denied'
+    });
+    return null;
+  }
+
+  // A job's payload and result carry the data its work touches
+  const permission = missingPermission(req, job.type);
+  if (permission) {
+    res.status(403).json({
+      success: false,
+      message: `Access denied. The '${permission}' permission is required.`
+    });
+    return null;
+  }
+
+  return job;
+};
+
+// Get the background jobs of the current workspace
+exports.getJobs = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { type, status } = req.query;
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    // Only the job types the member has the permission of
+    const hiddenTypes = jobService.getTypes().filter(jobType => missingPermission(req, jobType));
+    const whereClause = { organizationId: req.organization.id, type: { [Op.notIn]: hiddenTypes } };
+    if (type) whereClause.type[Op.eq] = type;
+    if (status) whereClause.status = status;
+
+    const { count, rows } = await Job.findAndCountAll({
+      where: whereClause,
+      // Results can be large; they are returned by GET /api/jobs/:id
+      attributes: { exclude: ['payload', 'result'] },
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['createdAt', 'DESC']]
+    });
+
+    return res.status(200).json({
+      success: true,
+      jobs: rows.map(job => jobService.serialize(job)),
+      total: count,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving jobs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get the status, progress and result of a job
+exports.getJob = async (req, res) => {
+  try {
+    const job = await findWorkspaceJob(req, res);
+    if (!job) return;
+
+    return res.status(200).json({
+      success: true,
+      job: jobService.serialize(job)
+    });
+  } catch (error) {
+    console.error('Get job error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving job',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Cancel a queued or running job
+exports.cancelJob = async (req, res) => {
+  try {
+    const job = await findWorkspaceJob(req, res);
+    if (!job) return;
+
+    await jobService.cancel(job);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Job cancelled successfully',
+      job: jobService.serialize(job)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Cancel job error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error cancelling job',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Run due jobs until the queue is empty or the time budget is used up
+// Triggered by cron in serverless deployments where no worker process runs
+exports.runJobs = async (req, res) => {
+  try {
+    const result = await jobService.processDueJobs({ timeBudget: CRON_TIME_BUDGET });
+
+    return res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Run jobs error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error processing jobs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,437 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Organization, OrganizationMember, OrganizationInvitation, User, sequelize } = require('../models');
+const { validationResult } = require('express-validator');
+const emailService = require('../services/emailService');
+const { hasPermission } = require('../utils/permissions');
+const { escapeHtml } = require('../utils/templateEngine');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS) || 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Count the owners of a workspace, used to keep at least one around
+const countOwners = (organizationId) =>
+  OrganizationMember.count({ where: { organizationId, role: 'owner' } });
+
+// Get the workspaces the current user belongs to
+exports.getOrganizations = async (req, res) => {
+  try {
+    const memberships = await OrganizationMember.findAll({
+      where: { userId: req.user.id },
+      include: [
+        {
+          model: Organization,
+          as: 'organization'
+        }
+      ],
+      order: [['createdAt', 'ASC']]
+    });
+
+    return res.status(200).json({
+      success: true,
+      organizations: memberships.map(membership => ({
+        ...membership.organization.toJSON(),
+        role: membership.role
+      }))
+    });
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving workspaces',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Create a new workspace owned by the current user
+exports.createOrganization = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const organization = await sequelize.transaction(async (transaction) => {
+      const newOrganization = await Organization.create({ name: req.body.name }, { transaction });
+
+      await OrganizationMember.create({
+        organizationId: newOrganization.id,
+        userId: req.user.id,
+        role: 'owner'
+      }, { transaction });
+
+      return newOrganization;
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Workspace created successfully',
+      organization: { ...organization.toJSON(), role: 'owner' }
+    });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error creating workspace',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get the current workspace
+exports.getOrganization = async (req, res) => {
+  return res.status(200).json({
+    success: true,
+    organization: { ...req.organization.toJSON(), role: req.membership.role }
+  });
+};
+
+// Rename the current workspace
+exports.updateOrganization = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    await req.organization.update({ name: req.body.name });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Workspace updated successfully',
+      organization: req.organization
+    });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error updating workspace',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get the members of the current workspace
+exports.getMembers = async (req, res) => {
+  try {
+    const members = await OrganizationMember.findAll({
+      where: { organizationId: req.organization.id },
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'firstName', 'lastName', 'email']
+        }
+      ],
+      order: [['createdAt', 'ASC']]
+    });
+
+    return res.status(200).json({
+      success: true,
+      members
+    });
+  } catch (error) {
+    console.error('Get members error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving members',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Change a member's role
+exports.updateMember = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { role } = req.body;
+
+    const member = await OrganizationMember.findOne({
+      where: {
+        id: req.params.memberId,
+        organizationId: req.organization.id
+      }
+    });
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    // A workspace must always keep at least one owner
+    if (member.role === 'owner' && role !== 'owner' && await countOwners(req.organization.id) <= 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'A workspace must have at least one owner'
+      });
+    }
+
+    await member.update({ role });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Member updated successfully',
+      member
+    });
+  } catch (error) {
+    console.error('Update member error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error updating member',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Remove a member from the workspace (owners can remove anyone, members can leave)
+exports.removeMember = async (req, res) => {
+  try {
+    const member = await OrganizationMember.findOne({
+      where: {
+        id: req.params.memberId,
+        organizationId: req.organization.id
+      }
+    });
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    const isSelf = member.userId === req.user.id;
+    if (!isSelf && !hasPermission(req.membership.role, 'members:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. The 'members:manage' permission is required."
+      });
+    }
+
+    if (member.role === 'owner' && await countOwners(req.organization.id) <= 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'A workspace must have at least one owner'
+      });
+    }
+
+    await member.destroy();
+
+    return res.status(200).json({
+      success: true,
+      message: isSelf ? 'You have left the workspace' : 'Member removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error removing member',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get the pending invitations of the current workspace
+exports.getInvitations = async (req, res) => {
+  try {
+    const invitations = await OrganizationInvitation.findAll({
+      where: {
+        organizationId: req.organization.id,
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      attributes: { exclude: ['tokenHash'] },
+      order: [['createdAt', 'DESC']]
+    });
+
+    return res.status(200).json({
+      success: true,
+      invitations
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving invitations',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Invite someone to the current workspace by email
+exports.createInvitation = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { email, role = 'viewer' } = req.body;
+
+    const existingMember = await OrganizationMember.findOne({
+      where: { organizationId: req.organization.id },
+      include: [
+        {
+          model: User,
+          as: 'user',
+          where: { email },
+          attributes: []
+        }
+      ]
+    });
+
+    if (existingMember) {
+      return res.status(409).json({
+        success: false,
+        message: 'This user is already a member of the workspace'
+      });
+    }
+
+    // The plain token is only ever sent in the invitation link
+    const token = crypto.randomBytes(32).toString('hex');
+    const invitation = await OrganizationInvitation.create({
+      organizationId: req.organization.id,
+      email,
+      role,
+      tokenHash: hashToken(token),
+      invitedById: req.user.id,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    const inviteUrl = `${process.env.APP_URL}/invitations/${token}`;
+
+    // Sending the email is best effort; the link is returned so it can be shared manually
+    let emailSent = false;
+    try {
+      await emailService.sendEmail({
+        to: email,
+        from: process.env.EMAIL_FROM,
+        subject: `You've been invited to ${req.organization.name}`,
+        html: `<p>You've been invited to join <strong>${escapeHtml(req.organization.name)}</strong> as ${role}.</p>
+          <p><a href="${inviteUrl}">Accept the invitation</a></p>
+          <p>This invitation expires in ${INVITATION_TTL_DAYS} days.</p>`,
+        transactional: true
+      });
+      emailSent = true;
+    } catch (emailError) {
+      console.error('Invitation email error:', emailError);
+    }
+
+    const { tokenHash, ...invitationData } = invitation.toJSON();
+
+    return res.status(201).json({
+      success: true,
+      message: 'Invitation created successfully',
+      invitation: invitationData,
+      inviteUrl,
+      emailSent
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error creating invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Revoke a pending invitation
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await OrganizationInvitation.findOne({
+      where: {
+        id: req.params.invitationId,
+        organizationId: req.organization.id
+      }
+    });
+
+    if (!invitation || !invitation.isPending()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending invitation not found'
+      });
+    }
+
+    await invitation.update({ revokedAt: new Date() });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error revoking invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Accept an invitation as the signed-in user
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const invitation = await OrganizationInvitation.findOne({
+      where: { tokenHash: hashToken(req.params.token) },
+      include: [
+        {
+          model: Organization,
+          as: 'organization'
+        }
+      ]
+    });
+
+    if (!invitation || !invitation.isPending()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found or no longer valid'
+      });
+    }
+
+    if (invitation.email.toLowerCase() !== req.user.email.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to a different email address'
+      });
+    }
+
+    const member = await sequelize.transaction(async (transaction) => {
+      // Existing members keep their current role
+      const [membership] = await OrganizationMember.findOrCreate({
+        where: {
+          organizationId: invitation.organizationId,
+          userId: req.user.id
+        },
+        defaults: { role: invitation.role },
+        transaction
+      });
+
+      await invitation.update({ acceptedAt: new Date() }, { transaction });
+
+      return membership;
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `You have joined ${invitation.organization.name}`,
+      organization: { ...invitation.organization.toJSON(), role: member.role }
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error accepting invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
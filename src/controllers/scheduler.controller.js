@@ -0,0 +1,22 @@
+const schedulerService = require('../services/schedulerService');
+
+// Send all scheduled campaigns that are due
+// Triggered by cron in serverless deployments where no process stays alive to poll
+exports.runScheduler = async (req, res) => {
+  try {
+    const result = await schedulerService.processDueCampaigns();
+
+    return res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Run scheduler error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error processing scheduled campaigns',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
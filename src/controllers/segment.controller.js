@@ -0,0 +1,292 @@
+const { Segment, Campaign } = require('../models');
+const { Op } = require('sequelize');
+const { validationResult } = require('express-validator');
+const segmentService = require('../services/segmentService');
+
+// Contacts returned in a preview unless limit says otherwise
+const DEFAULT_SAMPLE_SIZE = 10;
+
+/**
+ * Find a segment of the current workspace, answering 404 when there is none
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @returns {Promise<Segment|null>} - Segment, or null when the response was sent
+ */
+const findWorkspaceSegment = async (req, res) => {
+  const segment = await Segment.findOne({
+    where: {
+      id: req.params.id,
+      organizationId: req.organization.id
+    }
+  });
+
+  if (!segment) {
+    res.status(404).json({
+      success: false,
+      message: 'Segment not found or access denied'
+    });
+  }
+
+  return segment;
+};
+
+// Get all segments in the current workspace
+exports.getSegments = async (req, res) => {
+  try {
+    const { search } = req.query;
+    const { page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = { organizationId: req.organization.id };
+
+    // Filter by search term if provided
+    if (search) {
+      whereClause = {
+        ...whereClause,
+        [Op.or]: [
+          { name: { [Op.like]: `%${search}%` } },
+          { description: { [Op.like]: `%${search}%` } }
+        ]
+      };
+    }
+
+    const { count, rows: segments } = await Segment.findAndCountAll({
+      where: whereClause,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['createdAt', 'DESC']]
+    });
+
+    return res.status(200).json({
+      success: true,
+      segments,
+      total: count,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get segments error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving segments',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get segment by ID, with the number of contacts it currently matches
+exports.getSegment = async (req, res) => {
+  try {
+    const segment = await findWorkspaceSegment(req, res);
+    if (!segment) return;
+
+    return res.status(200).json({
+      success: true,
+      segment,
+      count: await segmentService.count(segment)
+    });
+  } catch (error) {
+    console.error('Get segment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving segment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Create a new segment
+exports.createSegment = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { name, description, rules } = req.body;
+
+    await segmentService.validateRules(rules, req.organization.id);
+
+    const segment = await Segment.create({
+      userId: req.user.id,
+      organizationId: req.organization.id,
+      name,
+      description,
+      rules
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Segment created successfully',
+      segment
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create segment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error creating segment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Update a segment
+exports.updateSegment = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { name, description, rules } = req.body;
+
+    const segment = await findWorkspaceSegment(req, res);
+    if (!segment) return;
+
+    if (rules !== undefined) {
+      await segmentService.validateRules(rules, req.organization.id);
+    }
+
+    await segment.update({
+      name: name || segment.name,
+      description: description !== undefined ? description : segment.description,
+      rules: rules !== undefined ? rules : segment.rules
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Segment updated successfully',
+      segment
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update segment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error updating segment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Delete a segment
+exports.deleteSegment = async (req, res) => {
+  try {
+    const segment = await findWorkspaceSegment(req, res);
+    if (!segment) return;
+
+    // Check if the segment is used in any campaigns
+    const campaignUsingSegment = await Campaign.findOne({
+      where: {
+        segmentId: segment.id
+      }
+    });
+
+    if (campaignUsingSegment) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete segment that is used in campaigns'
+      });
+    }
+
+    await segment.destroy();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Segment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete segment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error deleting segment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Preview unsaved rules: how many contacts they match and a sample of them
+exports.previewRules = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { rules, limit = DEFAULT_SAMPLE_SIZE } = req.body;
+
+    await segmentService.validateRules(rules, req.organization.id);
+
+    const preview = await segmentService.preview({
+      organizationId: req.organization.id,
+      rules
+    }, parseInt(limit));
+
+    return res.status(200).json({
+      success: true,
+      ...preview
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Preview segment rules error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error previewing segment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Preview a saved segment: how many contacts it matches now and a sample of them
+exports.previewSegment = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const segment = await findWorkspaceSegment(req, res);
+    if (!segment) return;
+
+    const { limit = DEFAULT_SAMPLE_SIZE } = req.query;
+    const preview = await segmentService.preview(segment, parseInt(limit));
+
+    return res.status(200).json({
+      success: true,
+      segment: {
+        id: segment.id,
+        name: segment.name
+      },
+      ...preview
+    });
+  } catch (error) {
+    console.error('Preview segment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error previewing segment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
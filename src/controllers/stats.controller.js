@@ -1,7 +1,6 @@
 const { 
   Campaign, 
   Template, 
-  ContactList, 
   Contact, 
   CampaignStat,
   sequelize 
@@ -13,26 +12,20 @@ exports.getDashboardStats = async (req, res) => {
   try {
     // Get total campaigns
     const totalCampaigns = await Campaign.count({
-      where: { userId: req.user.id }
+      where: { organizationId: req.organization.id }
     });
 
     // Get active subscribers
     const activeSubscribers = await Contact.count({
-      where: { status: 'active' },
-      include: [
-        {
-          model: ContactList,
-          as: 'lists',
-          where: { userId: req.user.id },
-          through: { attributes: [] }
-        }
-      ],
-      distinct: true
+      where: {
+        organizationId: req.organization.id,
+        status: 'active'
+      }
     });
 
     // Get total templates
     const totalTemplates = await Template.count({
-      where: { userId: req.user.id }
+      where: { organizationId: req.organization.id }
     });
 
     // Get delivered emails
@@ -42,14 +35,14 @@ exports.getDashboardStats = async (req, res) => {
         {
           model: Campaign,
           as: 'campaign',
-          where: { userId: req.user.id }
+          where: { organizationId: req.organization.id }
         }
       ]
     });
 
     // Get recent campaigns
     const recentCampaigns = await Campaign.findAll({
-      where: { userId: req.user.id },
+      where: { organizationId: req.organization.id },
       limit: 5,
       order: [['createdAt', 'DESC']],
       attributes: ['id', 'name', 'status', 'sentAt', 'openRate']
@@ -80,7 +73,7 @@ exports.getCampaignStats = async (req, res) => {
   try {
     const campaigns = await Campaign.findAll({
       where: { 
-        userId: req.user.id,
+        organizationId: req.organization.id,
         status: 'completed'
       },
       attributes: [
@@ -93,7 +86,7 @@ exports.getCampaignStats = async (req, res) => {
     // Calculate overall stats
     const overallStats = await Campaign.findAll({
       where: { 
-        userId: req.user.id,
+        organizationId: req.organization.id,
         status: 'completed'
       },
       attributes: [
@@ -132,6 +125,7 @@ exports.getContactGrowthStats = async (req, res) => {
 
     const contactGrowth = await Contact.findAll({
       where: {
+        organizationId: req.organization.id,
         createdAt: {
           [Op.gte]: sixMonthsAgo
         }
@@ -140,15 +134,6 @@ exports.getContactGrowthStats = async (req, res) => {
         [sequelize.fn('DATE_FORMAT', sequelize.col('createdAt'), '%Y-%m'), 'month'],
         [sequelize.fn('COUNT', sequelize.col('id')), 'count']
       ],
-      include: [
-        {
-          model: ContactList,
-          as: 'lists',
-          where: { userId: req.user.id },
-          through: { attributes: [] },
-          attributes: []
-        }
-      ],
       group: [sequelize.fn('DATE_FORMAT', sequelize.col('createdAt'), '%Y-%m')],
       order: [[sequelize.fn('DATE_FORMAT', sequelize.col('createdAt'), '%Y-%m'), 'ASC']],
       raw: true
@@ -156,19 +141,11 @@ exports.getContactGrowthStats = async (req, res) => {
 
     // Get contact status distribution
     const contactStatus = await Contact.findAll({
+      where: { organizationId: req.organization.id },
       attributes: [
         'status',
         [sequelize.fn('COUNT', sequelize.col('id')), 'count']
       ],
-      include: [
-        {
-          model: ContactList,
-          as: 'lists',
-          where: { userId: req.user.id },
-          through: { attributes: [] },
-          attributes: []
-        }
-      ],
       group: ['status'],
       raw: true
     });
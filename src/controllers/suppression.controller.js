@@ -0,0 +1,177 @@
+const fs = require('fs');
+const { Suppression } = require('../models');
+const { validationResult } = require('express-validator');
+const suppressionService = require('../services/suppressionService');
+
+// Get the suppression list of the current workspace
+exports.getSuppressions = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { search, reason, type } = req.query;
+    const { page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { count, rows: suppressions } = await Suppression.findAndCountAll({
+      where: suppressionService.buildWhere(req.organization.id, { search, reason, type }),
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['createdAt', 'DESC']]
+    });
+
+    return res.status(200).json({
+      success: true,
+      suppressions,
+      total: count,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get suppressions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving suppressions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Suppress an email address or a domain
+exports.createSuppression = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { email, domain, reason, campaignId } = req.body;
+
+    const suppression = await suppressionService.add(req.organization.id, { email, domain }, {
+      reason,
+      campaignId,
+      userId: req.user.id
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Suppression added successfully',
+      suppression
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create suppression error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error adding suppression',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Remove a suppression; the contacts behind it keep their unsubscribed/bounced status
+exports.deleteSuppression = async (req, res) => {
+  try {
+    const deleted = await Suppression.destroy({
+      where: {
+        id: req.params.id,
+        organizationId: req.organization.id
+      }
+    });
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Suppression not found or access denied'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Suppression removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete suppression error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error removing suppression',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Import suppressions from an uploaded CSV file
+exports.importSuppressions = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    fs.promises.unlink(req.file.path).catch(() => {});
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const result = await suppressionService.importFile(req.organization.id, req.user.id, req.file.path, {
+      reason: req.body.reason
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `${result.imported} suppression(s) imported`,
+      ...result
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Import suppressions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error importing suppressions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  } finally {
+    fs.promises.unlink(req.file.path).catch(() => {});
+  }
+};
+
+// Export the suppression list as CSV
+exports.exportSuppressions = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { search, reason, type } = req.query;
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="suppressions-${new Date().toISOString().slice(0, 10)}.csv"`);
+
+    await suppressionService.writeCsv(res, suppressionService.buildWhere(req.organization.id, { search, reason, type }));
+    return res.end();
+  } catch (error) {
+    console.error('Export suppressions error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    return res.status(500).json({
+      success: false,
+      message: 'Error exporting suppressions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -1,7 +1,8 @@
-const { Template, Campaign } = require('../models');
+const { Template, TemplateVersion, Campaign, ContactList, User, sequelize } = require('../models');
 const { Op } = require('sequelize');
 const { validationResult } = require('express-validator');
-const { processTemplateContent } = require('../middleware/template.middleware');
+const templateService = require('../services/templateService');
+const { TemplateSyntaxError } = require('../utils/templateEngine');
 
 // Get all templates
 exports.getTemplates = async (req, res) => {
@@ -10,7 +11,7 @@ exports.getTemplates = async (req, res) => {
     const { page = 1, limit = 50 } = req.query;
     const offset = (page - 1) * limit;
     
-    let whereClause = { userId: req.user.id };
+    let whereClause = { organizationId: req.organization.id };
     
     // Filter by search term if provided
     if (search) {
@@ -62,7 +63,7 @@ exports.getTemplate = async (req, res) => {
     const template = await Template.findOne({
       where: {
         id: req.params.id,
-        userId: req.user.id
+        organizationId: req.organization.id
       }
     });
 
@@ -97,15 +98,21 @@ exports.createTemplate = async (req, res) => {
   try {
     const { name, description, category, subject, content, thumbnail } = req.body;
 
-    const template = await Template.create({
-      userId: req.user.id,
-      name,
-      description,
-      category,
-      subject,
-      content,
-      thumbnail,
-      usageCount: 0
+    const template = await sequelize.transaction(async (transaction) => {
+      const created = await Template.create({
+        userId: req.user.id,
+        organizationId: req.organization.id,
+        name,
+        description,
+        category,
+        subject,
+        content,
+        thumbnail,
+        usageCount: 0
+      }, { transaction });
+
+      await templateService.createVersion(created, { userId: req.user.id, transaction });
+      return created;
     });
 
     return res.status(201).json({
@@ -136,7 +143,7 @@ exports.updateTemplate = async (req, res) => {
     const template = await Template.findOne({
       where: {
         id: req.params.id,
-        userId: req.user.id
+        organizationId: req.organization.id
       }
     });
 
@@ -147,13 +154,24 @@ exports.updateTemplate = async (req, res) => {
       });
     }
 
-    await template.update({
-      name: name || template.name,
-      description: description !== undefined ? description : template.description,
-      category: category !== undefined ? category : template.category,
-      subject: subject || template.subject,
-      content: content || template.content,
-      thumbnail: thumbnail !== undefined ? thumbnail : template.thumbnail
+    // Only changes to what gets sent start a new version
+    const contentChanged = (subject && subject !== template.subject) ||
+      (content && content !== template.content) ||
+      template.currentVersion === 0;
+
+    await sequelize.transaction(async (transaction) => {
+      await template.update({
+        name: name || template.name,
+        description: description !== undefined ? description : template.description,
+        category: category !== undefined ? category : template.category,
+        subject: subject || template.subject,
+        content: content || template.content,
+        thumbnail: thumbnail !== undefined ? thumbnail : template.thumbnail
+      }, { transaction });
+
+      if (contentChanged) {
+        await templateService.createVersion(template, { userId: req.user.id, transaction });
+      }
     });
 
     return res.status(200).json({
@@ -177,7 +195,7 @@ exports.deleteTemplate = async (req, res) => {
     const template = await Template.findOne({
       where: {
         id: req.params.id,
-        userId: req.user.id
+        organizationId: req.organization.id
       }
     });
 
@@ -224,7 +242,7 @@ exports.previewTemplate = async (req, res) => {
     const template = await Template.findOne({
       where: {
         id: req.params.id,
-        userId: req.user.id
+        organizationId: req.organization.id
       }
     });
 
@@ -240,11 +258,22 @@ exports.previewTemplate = async (req, res) => {
       firstName: 'John',
       lastName: 'Doe',
       email: 'john.doe@example.com',
-      company: 'Example Corp'
+      company: 'Example Corp',
+      metadata: {}
     };
 
-    const processedContent = processTemplateContent(template.content, sampleContact);
-    const processedSubject = processTemplateContent(template.subject, sampleContact);
+    let processedContent;
+    let processedSubject;
+    try {
+      processedContent = templateService.render(template.content, sampleContact, { escapeHtml: true });
+      processedSubject = templateService.render(template.subject, sampleContact);
+    } catch (error) {
+      if (!(error instanceof TemplateSyntaxError)) throw error;
+      return res.status(400).json({
+        success: false,
+        message: `Invalid template: ${error.message}`
+      });
+    }
 
     return res.status(200).json({
       success: true,
@@ -263,6 +292,225 @@ exports.previewTemplate = async (req, res) => {
   }
 };
 
+/**
+ * Find a template of the current workspace, answering 404 when it doesn't exist
+ * @returns {Promise<Template|null>} - Template, or null when the response was sent
+ */
+const findWorkspaceTemplate = async (req, res) => {
+  const template = await Template.findOne({
+    where: {
+      id: req.params.id,
+      organizationId: req.organization.id
+    }
+  });
+
+  if (!template) {
+    res.status(404).json({
+      success: false,
+      message: 'Template not found'
+    });
+    return null;
+  }
+
+  return template;
+};
+
+// Get the version history of a template
+exports.getTemplateVersions = async (req, res) => {
+  try {
+    const template = await findWorkspaceTemplate(req, res);
+    if (!template) return;
+
+    const { page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { count, rows: versions } = await TemplateVersion.findAndCountAll({
+      where: { templateId: template.id },
+      attributes: { exclude: ['content'] },
+      include: [{
+        model: User,
+        as: 'createdBy',
+        attributes: ['id', 'firstName', 'lastName', 'email']
+      }],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['version', 'DESC']]
+    });
+
+    return res.status(200).json({
+      success: true,
+      currentVersion: template.currentVersion,
+      versions,
+      total: count,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get template versions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving template versions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get one version of a template
+exports.getTemplateVersion = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const template = await findWorkspaceTemplate(req, res);
+    if (!template) return;
+
+    const version = await templateService.getVersion(template.id, req.params.version);
+
+    return res.status(200).json({
+      success: true,
+      version
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get template version error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving template version',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Compare two versions of a template
+exports.diffTemplateVersions = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const template = await findWorkspaceTemplate(req, res);
+    if (!template) return;
+
+    const from = parseInt(req.query.from);
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : template.currentVersion;
+    const diff = await templateService.diffVersions(template.id, from, to);
+
+    return res.status(200).json({
+      success: true,
+      diff
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Diff template versions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error comparing template versions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Restore an old version as the template's current content
+exports.restoreTemplateVersion = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const template = await findWorkspaceTemplate(req, res);
+    if (!template) return;
+
+    const version = await templateService.restoreVersion(template, req.params.version, req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      message: `Version ${version.restoredFromVersion} restored as version ${version.version}`,
+      template,
+      version
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Restore template version error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error restoring template version',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Validate template content against the fields of the workspace's contacts or of one list
+exports.validateTemplateContent = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { subject = '', content = '', contactListId } = req.body;
+
+    if (contactListId) {
+      const contactList = await ContactList.findOne({
+        where: {
+          id: contactListId,
+          organizationId: req.organization.id
+        },
+        attributes: ['id']
+      });
+
+      if (!contactList) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contact list not found'
+        });
+      }
+    }
+
+    const availableFields = await templateService.getAvailableFields(
+      contactListId ? { contactListId } : { organizationId: req.organization.id }
+    );
+    const result = templateService.validate({ subject, content }, availableFields);
+
+    return res.status(200).json({
+      success: true,
+      ...result,
+      availableFields
+    });
+  } catch (error) {
+    console.error('Validate template error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error validating template',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // Increment template usage count
 exports.incrementUsage = async (templateId) => {
   try {
@@ -4,8 +4,11 @@
  * Handles tracking data updates from the Cloudflare Worker
  */
 
-const { Campaign, Contact, ContactList, ContactListContacts } = require('../models');
+const { Campaign, Contact, ContactList, ContactListContacts, sequelize } = require('../models');
 const { createError } = require('../utils/error');
+const eventService = require('../services/eventService');
+const trackingService = require('../services/trackingService');
+const suppressionService = require('../services/suppressionService');
 
 /**
  * Update email tracking data (opens, clicks, etc.)
@@ -26,96 +29,20 @@ async function updateTracking(req, res, next) {
     console.log(`- Contact ID: ${contactId}`);
     console.log(`- Event Type: ${trackingData.type}`);
     
-    // Find the campaign
-    const campaign = await Campaign.findByPk(campaignId);
-    if (!campaign) {
-      console.log('❌ Campaign not found');
-      return next(createError('Campaign not found', 404));
-    }
+    // A single event goes through the same path as a batch of one
+    const [result] = await eventService.recordTrackingBatch([req.body]);
     
-    // Find the contact
-    const contact = await Contact.findByPk(contactId);
-    if (!contact) {
-      console.log('❌ Contact not found');
-      return next(createError('Contact not found', 404));
+    if (!result.success) {
+      console.log(`❌ ${result.error}`);
+      return next(createError(result.error, result.status));
     }
     
-    console.log('✅ Found campaign and contact')
-    
-    // Update campaign statistics based on tracking event type
-    switch (trackingData.type) {
-      case 'click':
-        // Update click stats
-        try {
-          await campaign.increment('clicks', { by: 1 });
-        } catch (incrementError) {
-          console.error(`Error incrementing campaign clicks: ${incrementError.message}`);
-          const currentCount = campaign.clicks || 0;
-          await campaign.update({ clicks: currentCount + 1 });
-        }
-        
-        // Update contact's last click timestamp, clicked link, and last engagement
-        await contact.update({
-          lastClicked: trackingData.timestamp || new Date(),
-          lastClickedLink: trackingData.link || null,
-          lastEngagement: trackingData.timestamp || new Date()
-        });
-        break;
-        
-      case 'open':
-        // Update open stats if available (though opens are typically disabled in SES)
-        try {
-          if (campaign.opens !== undefined) {
-            await campaign.increment('opens', { by: 1 });
-          }
-        } catch (incrementError) {
-          console.error(`Error incrementing campaign opens: ${incrementError.message}`);
-          // Continue without failing
-        }
-        
-        // Update contact's last open timestamp and last engagement
-        await contact.update({
-          lastOpened: trackingData.timestamp || new Date(),
-          lastEngagement: trackingData.timestamp || new Date()
-        });
-        break;
-        
-      case 'delivery':
-        // Update delivery stats
-        try {
-          await campaign.increment('delivered', { by: 1 });
-        } catch (incrementError) {
-          console.error(`Error incrementing campaign delivered: ${incrementError.message}`);
-          const currentCount = campaign.delivered || 0;
-          await campaign.update({ delivered: currentCount + 1 });
-        }
-        
-        // Update contact's last delivered timestamp and last engagement
-        await contact.update({
-          lastDelivered: trackingData.timestamp || new Date(),
-          lastEngagement: trackingData.timestamp || new Date()
-        });
-        break;
-        
-      case 'send':
-        // Update send stats
-        try {
-          await campaign.increment('sent', { by: 1 });
-        } catch (incrementError) {
-          console.error(`Error incrementing campaign sent: ${incrementError.message}`);
-          const currentCount = campaign.sent || 0;
-          await campaign.update({ sent: currentCount + 1 });
-        }
-        
-        // Update contact's last engagement for send events
-        await contact.update({
-          lastEngagement: trackingData.timestamp || new Date()
-        });
-        break;
+    if (result.duplicate) {
+      console.log(`Duplicate tracking event ignored: ${result.eventId}`);
     }
     
     // Return success
-    res.status(200).json({ success: true });
+    res.status(200).json({ success: true, eventId: result.eventId, duplicate: result.duplicate });
   } catch (error) {
     next(createError('Failed to update tracking data', 500, error));
   }
@@ -126,58 +53,71 @@ async function updateTracking(req, res, next) {
  */
 async function updateUnsubscribe(req, res, next) {
   try {
-    const { email, campaignId, timestamp } = req.body;
+    const { email, campaignId, contactId, timestamp } = req.body;
     
     if (!email) {
       return next(createError('Email is required', 400));
     }
     
-    console.log(`Processing unsubscribe for email: ${email}, campaignId: ${campaignId}`);
+    if (!campaignId && !contactId) {
+      return next(createError('campaignId or contactId is required', 400));
+    }
     
-    // Find the contact by email
-    const contact = await Contact.findOne({ where: { email: email.toLowerCase() } });
-    if (!contact) {
+    console.log(`Processing unsubscribe for email: ${email}, campaignId: ${campaignId}, contactId: ${contactId}`);
+    
+    // Find the contact by email in the workspace the campaign (or contact) belongs to
+    const contacts = await trackingService.findWorkspaceContacts(email, { campaignId, contactId });
+    if (contacts.length === 0) {
       console.log(`Contact not found for email: ${email}`);
       return next(createError('Contact not found', 404));
     }
     
-    console.log(`Found contact: ${contact.id} (${contact.email})`);
-    
-    // Update the contact's unsubscribe status and overall status
-    await contact.update({
-      unsubscribed: true,
-      unsubscribedAt: timestamp || new Date(),
-      status: 'unsubscribed',
-      lastEngagement: timestamp || new Date()
-    });
-    
-    console.log(`Updated contact status to unsubscribed`);
-    
-    // Remove contact from all lists and update list counts
-    const contactListAssociations = await ContactListContacts.findAll({
-      where: { contactId: contact.id }
-    });
-    
-    console.log(`Found ${contactListAssociations.length} list associations to remove`);
+    let listsRemoved = 0;
     
-    // Remove from each list and update counts
-    for (const association of contactListAssociations) {
-      // Remove the association
-      await ContactListContacts.destroy({
-        where: {
-          contactId: contact.id,
-          contactListId: association.contactListId
-        }
+    for (const contact of contacts) {
+      console.log(`Found contact: ${contact.id} (${contact.email})`);
+      
+      // Update the contact's unsubscribe status and overall status
+      await contact.update({
+        unsubscribed: true,
+        unsubscribedAt: timestamp || new Date(),
+        status: 'unsubscribed',
+        lastEngagement: timestamp || new Date()
+      });
+      
+      console.log(`Updated contact status to unsubscribed`);
+      
+      // Remove contact from all lists and update list counts
+      const contactListAssociations = await ContactListContacts.findAll({
+        where: { contactId: contact.id }
       });
       
-      // Update the list count
-      const contactList = await ContactList.findByPk(association.contactListId);
-      if (contactList) {
-        await contactList.decrement('count');
-        console.log(`Decremented count for list: ${contactList.name} (${contactList.id})`);
+      console.log(`Found ${contactListAssociations.length} list associations to remove`);
+      
+      // Remove from each list and update counts
+      for (const association of contactListAssociations) {
+        // Remove the association
+        await ContactListContacts.destroy({
+          where: {
+            contactId: contact.id,
+            contactListId: association.contactListId
+          }
+        });
+        
+        // Update the list count
+        const contactList = await ContactList.findByPk(association.contactListId);
+        if (contactList) {
+          await contactList.decrement('count');
+          console.log(`Decremented count for list: ${contactList.name} (${contactList.id})`);
+        }
       }
+      
+      listsRemoved += contactListAssociations.length;
     }
     
+    // Keep the address unmailed even if the contact is re-created or re-imported
+    await suppressionService.suppressContacts(contacts, { reason: 'unsubscribe', campaignId });
+    
     // If campaign ID is provided, record the unsubscribe source
     if (campaignId) {
       console.log(`Updating campaign unsubscribe count for campaign: ${campaignId}`);
@@ -204,14 +144,15 @@ async function updateUnsubscribe(req, res, next) {
       }
     }
     
-    console.log(`Successfully processed unsubscribe for contact: ${contact.id} (${email})`);
+    console.log(`Successfully processed unsubscribe for ${contacts.length} contact(s) (${email})`);
     
     // Return success
     res.status(200).json({ 
       success: true,
       message: 'Unsubscribe processed successfully',
-      contactId: contact.id,
-      listsRemoved: contactListAssociations.length
+      contactId: contacts[0].id,
+      contactIds: contacts.map(contact => contact.id),
+      listsRemoved
     });
   } catch (error) {
     console.error(`Error in updateUnsubscribe: ${error.message}`);
@@ -225,7 +166,7 @@ async function updateUnsubscribe(req, res, next) {
  */
 async function recordBounce(req, res, next) {
   try {
-    const { email, bounceType, messageId, timestamp } = req.body;
+    const { email, bounceType, bounceSubType, messageId, campaignId, contactId, timestamp } = req.body;
     
     if (!email) {
       return next(createError('Email is required', 400));
@@ -233,12 +174,20 @@ async function recordBounce(req, res, next) {
 
     console.log(`Processing bounce for email: ${email}, type: ${bounceType || 'unknown'}, messageId: ${messageId}`);
     
-    // Find the contact by email
-    const contact = await Contact.findOne({ where: { email: email.toLowerCase() } });
+    const { contacts, duplicate } = await trackingService.processBounce({
+      email,
+      bounceType,
+      bounceSubType,
+      messageId,
+      campaignId,
+      contactId,
+      timestamp,
+      payload: req.body
+    });
     
     // If contact doesn't exist, log this but return a successful response
     // This prevents the worker from retrying and overwhelming the server
-    if (!contact) {
+    if (contacts.length === 0) {
       console.log(`Bounce received for non-existent contact: ${email}`);
       return res.status(200).json({ 
         success: true, 
@@ -247,70 +196,24 @@ async function recordBounce(req, res, next) {
       });
     }
 
-    // Check if this specific bounce has already been processed for this contact
-    // Use messageId and email combination for deduplication
-    if (messageId && contact.lastBouncedAt) {
-      // If the contact already has a bounce recorded and it's for the same message ID
-      // we can check if this is a duplicate by comparing timestamps
-      const existingBounceTime = new Date(contact.lastBouncedAt);
-      const currentBounceTime = timestamp ? new Date(timestamp) : new Date();
-      
-      // If the bounce times are very close (within 1 minute) and the contact is already marked as bounced,
-      // this is likely a duplicate event
-      if (contact.hasBounced && Math.abs(currentBounceTime - existingBounceTime) < 60000) {
-        console.log(`Duplicate bounce event detected for email: ${email}, messageId: ${messageId}`);
-        return res.status(200).json({ 
-          success: true,
-          warning: 'Duplicate bounce event ignored',
-          contactExists: true,
-          contactId: contact.id
-        });
-      }
-    }
-
-    // Update the bounce status
-    await contact.update({
-      hasBounced: true,
-      bounceType: bounceType || 'unknown',
-      lastBouncedAt: timestamp || new Date(),
-      status: bounceType && bounceType.toLowerCase() === 'permanent' ? 'bounced' : contact.status,
-      lastEngagement: timestamp || new Date()
-    });
-    
-    // If messageId contains campaignId, update the campaign bounce counter
-    if (messageId && messageId.includes('-campaign-')) {
-      try {
-        // Extract campaignId from messageId (format depends on how your system formats messageIds)
-        const campaignIdMatch = messageId.match(/campaign-([a-f0-9\-]+)/i);
-        if (campaignIdMatch && campaignIdMatch[1]) {
-          const campaignId = campaignIdMatch[1];
-          const campaign = await Campaign.findByPk(campaignId);
-          if (campaign) {
-            try {
-              await campaign.increment('bounces', { by: 1 });
-              await campaign.reload();
-              console.log(`Incremented bounce count for campaign: ${campaignId}`);
-            } catch (incrementError) {
-              console.error(`Error incrementing campaign bounces: ${incrementError.message}`);
-              const currentCount = campaign.bounces || 0;
-              await campaign.update({ bounces: currentCount + 1 });
-              console.log(`Fallback: Updated bounce count manually to ${currentCount + 1}`);
-            }
-          }
-        }
-      } catch (err) {
-        console.error(`Failed to update campaign bounce count: ${err.message}`);
-        // Don't fail the whole request if this fails
-      }
+    if (duplicate) {
+      console.log(`Duplicate bounce event detected for email: ${email}, messageId: ${messageId}`);
+      return res.status(200).json({ 
+        success: true,
+        warning: 'Duplicate bounce event ignored',
+        contactExists: true,
+        contactId: contacts[0].id
+      });
     }
     
-    console.log(`Successfully recorded bounce for contact: ${contact.id} (${email})`);
+    console.log(`Successfully recorded bounce for ${contacts.length} contact(s) (${email})`);
     
     // Return success
     res.status(200).json({ 
       success: true,
       contactExists: true,
-      contactId: contact.id
+      contactId: contacts[0].id,
+      contactIds: contacts.map(contact => contact.id)
     });
   } catch (error) {
     console.error(`Error in recordBounce: ${error.message}`);
@@ -323,7 +226,7 @@ async function recordBounce(req, res, next) {
  */
 async function recordComplaint(req, res, next) {
   try {
-    const { email, complaintType, messageId, timestamp } = req.body;
+    const { email, complaintType, messageId, campaignId, contactId, timestamp } = req.body;
     
     if (!email) {
       return next(createError('Email is required', 400));
@@ -331,12 +234,19 @@ async function recordComplaint(req, res, next) {
     
     console.log(`Processing complaint for email: ${email}, type: ${complaintType || 'unknown'}`);
     
-    // Find the contact by email
-    const contact = await Contact.findOne({ where: { email: email.toLowerCase() } });
+    const { contacts, duplicate } = await trackingService.processComplaint({
+      email,
+      complaintType,
+      messageId,
+      campaignId,
+      contactId,
+      timestamp,
+      payload: req.body
+    });
     
     // If contact doesn't exist, log this but return a successful response
     // This prevents the worker from retrying and overwhelming the server
-    if (!contact) {
+    if (contacts.length === 0) {
       console.log(`Complaint received for non-existent contact: ${email}`);
       return res.status(200).json({ 
         success: true, 
@@ -345,51 +255,24 @@ async function recordComplaint(req, res, next) {
       });
     }
     
-    // Update the complaint status and also mark as unsubscribed
-    await contact.update({
-      hasComplained: true,
-      complaintType: complaintType || 'unknown',
-      lastComplainedAt: timestamp || new Date(),
-      unsubscribed: true,
-      unsubscribedAt: timestamp || new Date(),
-      status: 'unsubscribed',
-      lastEngagement: timestamp || new Date()
-    });
-    
-    // If messageId contains campaignId, update the campaign complaints counter
-    if (messageId && messageId.includes('-campaign-')) {
-      try {
-        // Extract campaignId from messageId (format depends on how your system formats messageIds)
-        const campaignIdMatch = messageId.match(/campaign-([a-f0-9\-]+)/i);
-        if (campaignIdMatch && campaignIdMatch[1]) {
-          const campaignId = campaignIdMatch[1];
-          const campaign = await Campaign.findByPk(campaignId);
-          if (campaign) {
-            try {
-              await campaign.increment('complaints', { by: 1 });
-              await campaign.reload();
-              console.log(`Incremented complaint count for campaign: ${campaignId}`);
-            } catch (incrementError) {
-              console.error(`Error incrementing campaign complaints: ${incrementError.message}`);
-              const currentCount = campaign.complaints || 0;
-              await campaign.update({ complaints: currentCount + 1 });
-              console.log(`Fallback: Updated complaint count manually to ${currentCount + 1}`);
-            }
-          }
-        }
-      } catch (err) {
-        console.error(`Failed to update campaign complaint count: ${err.message}`);
-        // Don't fail the whole request if this fails
-      }
+    if (duplicate) {
+      console.log(`Duplicate complaint event detected for email: ${email}, messageId: ${messageId}`);
+      return res.status(200).json({ 
+        success: true,
+        warning: 'Duplicate complaint event ignored',
+        contactExists: true,
+        contactId: contacts[0].id
+      });
     }
     
-    console.log(`Successfully recorded complaint for contact: ${contact.id} (${email})`);
+    console.log(`Successfully recorded complaint for ${contacts.length} contact(s) (${email})`);
     
     // Return success
     res.status(200).json({ 
       success: true,
       contactExists: true,
-      contactId: contact.id
+      contactId: contacts[0].id,
+      contactIds: contacts.map(contact => contact.id)
     });
   } catch (error) {
     console.error(`Error in recordComplaint: ${error.message}`);
@@ -399,7 +282,9 @@ async function recordComplaint(req, res, next) {
 
 /**
  * Process a batch of tracking events
- * This enables more efficient updates for high-volume events like opens and clicks
+ * This enables more efficient updates for high-volume events like opens and clicks.
+ * Events that were already recorded are reported as duplicates and not applied again;
+ * events that can't be applied (unknown campaign/contact, bad type) are reported as failures.
  */
 async function updateBatchTracking(req, res, next) {
   try {
@@ -411,135 +296,21 @@ async function updateBatchTracking(req, res, next) {
     
     console.log(`Processing batch of ${events.length} events`);
     
-    // Process events in parallel with Promise.all
-    const results = await Promise.all(
-      events.map(async (event) => {
-        try {
-          const { campaignId, contactId, trackingData } = event;
-          
-          if (!campaignId || !contactId || !trackingData) {
-            return { 
-              success: false, 
-              error: 'Missing required parameters',
-              event
-            };
-          }
-          
-          // Find the campaign
-          const campaign = await Campaign.findByPk(campaignId);
-          if (!campaign) {
-            return { 
-              success: false, 
-              error: 'Campaign not found',
-              event
-            };
-          }
-          
-          // Find the contact
-          const contact = await Contact.findByPk(contactId);
-          if (!contact) {
-            return { 
-              success: false, 
-              error: 'Contact not found',
-              event
-            };
-          }
-          
-          // Update campaign statistics based on tracking event type
-          switch (trackingData.type) {
-            case 'click':
-              // Update click stats with robust increment
-              try {
-                await campaign.increment('clicks', { by: 1 });
-              } catch (incrementError) {
-                console.error(`Error incrementing campaign clicks in batch: ${incrementError.message}`);
-                const currentCount = campaign.clicks || 0;
-                await campaign.update({ clicks: currentCount + 1 });
-              }
-              
-              await contact.update({
-                lastClicked: trackingData.timestamp || new Date(),
-                lastClickedLink: trackingData.link || null,
-                lastEngagement: trackingData.timestamp || new Date()
-              });
-              break;
-              
-            case 'open':
-              // Update open stats if available
-              try {
-                if (campaign.opens !== undefined) {
-                  await campaign.increment('opens', { by: 1 });
-                }
-              } catch (incrementError) {
-                console.error(`Error incrementing campaign opens in batch: ${incrementError.message}`);
-                // Continue without failing
-              }
-              
-              await contact.update({
-                lastOpened: trackingData.timestamp || new Date(),
-                lastEngagement: trackingData.timestamp || new Date()
-              });
-              break;
-              
-            case 'delivery':
-              // Update delivery stats with robust increment
-              try {
-                await campaign.increment('delivered', { by: 1 });
-              } catch (incrementError) {
-                console.error(`Error incrementing campaign delivered in batch: ${incrementError.message}`);
-                const currentCount = campaign.delivered || 0;
-                await campaign.update({ delivered: currentCount + 1 });
-              }
-              
-              await contact.update({ 
-                lastDelivered: trackingData.timestamp || new Date(),
-                lastEngagement: trackingData.timestamp || new Date()
-              });
-              break;
-              
-            case 'send':
-              // Update send stats with robust increment
-              try {
-                await campaign.increment('sent', { by: 1 });
-              } catch (incrementError) {
-                console.error(`Error incrementing campaign sent in batch: ${incrementError.message}`);
-                const currentCount = campaign.sent || 0;
-                await campaign.update({ sent: currentCount + 1 });
-              }
-              
-              await contact.update({
-                lastEngagement: trackingData.timestamp || new Date()
-              });
-              break;
-              
-            default:
-              return {
-                success: false,
-                error: `Unknown tracking type: ${trackingData.type}`,
-                event
-              };
-          }
-          
-          return { success: true, event };
-        } catch (error) {
-          console.error('Error processing batch event:', error);
-          return {
-            success: false,
-            error: error.message,
-            event
-          };
-        }
-      })
-    );
+    // Apply the whole batch set-based in a single transaction
+    const results = (await eventService.recordTrackingBatch(events))
+      .map(({ status, ...result }) => result);
     
-    // Count successes and failures
-    const successes = results.filter(r => r.success).length;
+    // Count successes and failures; duplicates are acknowledged as successful
+    const successes = results.filter(r => r.success);
+    const duplicates = successes.filter(r => r.duplicate);
     const failures = results.filter(r => !r.success);
     
     res.json({
       success: true,
       processed: events.length,
-      successful: successes,
+      successful: successes.length,
+      duplicates: duplicates.length,
+      duplicateEventIds: duplicates.length > 0 ? duplicates.map(r => r.eventId) : undefined,
       failed: failures.length,
       failures: failures.length > 0 ? failures : undefined
     });
@@ -641,7 +412,7 @@ async function updateCampaignStatus(req, res, next) {
  */
 async function updateContactForCampaignSend(req, res, next) {
   try {
-    const { contactId, campaignId, eventType, timestamp, data } = req.body;
+    const { contactId, campaignId, eventType, eventId, timestamp, data } = req.body;
     
     if (!contactId || !campaignId || !eventType) {
       return next(createError('Missing required parameters', 400));
@@ -663,37 +434,29 @@ async function updateContactForCampaignSend(req, res, next) {
       return next(createError('Campaign not found', 404));
     }
     
+    const type = eventType.toLowerCase();
     const updateTimestamp = timestamp || new Date();
+    let counters = {};
+    // Unsubscribes, complaints and permanent bounces also suppress the address
+    let suppressionReason = null;
     let contactUpdates = {
       lastEngagement: updateTimestamp
     };
     
     // Handle different event types and update appropriate fields
-    switch (eventType.toLowerCase()) {
+    switch (type) {
       case 'send':
         // For send events, just update last engagement
         break;
         
       case 'delivery':
         contactUpdates.lastDelivered = updateTimestamp;
-        try {
-          await campaign.increment('delivered', { by: 1 });
-        } catch (incrementError) {
-          console.error(`Error incrementing campaign delivered: ${incrementError.message}`);
-          const currentCount = campaign.delivered || 0;
-          await campaign.update({ delivered: currentCount + 1 });
-        }
+        counters = { delivered: 1 };
         break;
         
       case 'open':
         contactUpdates.lastOpened = updateTimestamp;
-        try {
-          if (campaign.opens !== undefined) {
-            await campaign.increment('opens', { by: 1 });
-          }
-        } catch (incrementError) {
-          console.error(`Error incrementing campaign opens: ${incrementError.message}`);
-        }
+        counters = { opens: 1 };
         break;
         
       case 'click':
@@ -701,13 +464,7 @@ async function updateContactForCampaignSend(req, res, next) {
         if (data && data.link) {
           contactUpdates.lastClickedLink = data.link;
         }
-        try {
-          await campaign.increment('clicks', { by: 1 });
-        } catch (incrementError) {
-          console.error(`Error incrementing campaign clicks: ${incrementError.message}`);
-          const currentCount = campaign.clicks || 0;
-          await campaign.update({ clicks: currentCount + 1 });
-        }
+        counters = { clicks: 1 };
         break;
         
       case 'bounce':
@@ -718,15 +475,10 @@ async function updateContactForCampaignSend(req, res, next) {
           // Update status to 'bounced' for permanent bounces
           if (data.bounceType.toLowerCase() === 'permanent') {
             contactUpdates.status = 'bounced';
+            suppressionReason = 'bounce';
           }
         }
-        try {
-          await campaign.increment('bounces', { by: 1 });
-        } catch (incrementError) {
-          console.error(`Error incrementing campaign bounces: ${incrementError.message}`);
-          const currentCount = campaign.bounces || 0;
-          await campaign.update({ bounces: currentCount + 1 });
-        }
+        counters = { bounces: 1 };
         break;
         
       case 'complaint':
@@ -738,44 +490,80 @@ async function updateContactForCampaignSend(req, res, next) {
         if (data && data.complaintType) {
           contactUpdates.complaintType = data.complaintType;
         }
-        try {
-          await campaign.increment('complaints', { by: 1 });
-        } catch (incrementError) {
-          console.error(`Error incrementing campaign complaints: ${incrementError.message}`);
-          const currentCount = campaign.complaints || 0;
-          await campaign.update({ complaints: currentCount + 1 });
-        }
+        suppressionReason = 'complaint';
+        counters = { complaints: 1 };
         break;
         
       case 'unsubscribe':
         contactUpdates.unsubscribed = true;
         contactUpdates.unsubscribedAt = updateTimestamp;
         contactUpdates.status = 'unsubscribed';
-        try {
-          await campaign.increment('unsubscribes', { by: 1 });
-        } catch (incrementError) {
-          console.error(`Error incrementing campaign unsubscribes: ${incrementError.message}`);
-          const currentCount = campaign.unsubscribes || 0;
-          await campaign.update({ unsubscribes: currentCount + 1 });
-        }
+        suppressionReason = 'unsubscribe';
+        counters = { unsubscribes: 1 };
         break;
         
       default:
         return next(createError(`Unknown event type: ${eventType}`, 400));
     }
     
-    // Update the contact with all changes
-    await contact.update(contactUpdates);
+    // Log the event and apply it in one go; a replayed event changes nothing
+    const { eventId: recordedEventId, duplicate } = await sequelize.transaction(async (transaction) => {
+      const result = await eventService.recordEvent({
+        eventId: eventId || (data && data.eventId),
+        messageId: data && data.messageId,
+        campaignId,
+        contactId,
+        type,
+        timestamp: updateTimestamp,
+        link: data && data.link,
+        userAgent: data && data.userAgent,
+        bounceType: data && data.bounceType,
+        bounceSubType: data && data.bounceSubType,
+        payload: req.body
+      }, { transaction });
+      
+      if (result.duplicate) {
+        return result;
+      }
+      
+      if (result.firstOfType && type === 'open') {
+        counters.uniqueOpens = 1;
+      }
+      if (result.firstOfType && type === 'click') {
+        counters.uniqueClicks = 1;
+      }
+      
+      if (Object.keys(counters).length > 0) {
+        await campaign.increment(counters, { transaction });
+      }
+      
+      // Update the contact with all changes
+      await contact.update(contactUpdates, { transaction });
+      
+      if (suppressionReason) {
+        await suppressionService.suppressContacts([contact], { reason: suppressionReason, campaignId }, { transaction });
+      }
+      
+      return result;
+    });
     
-    console.log(`Successfully updated contact ${contactId} for ${eventType} event`);
+    if (duplicate) {
+      console.log(`Duplicate ${eventType} event ignored for contact ${contactId}: ${recordedEventId}`);
+    } else {
+      console.log(`Successfully updated contact ${contactId} for ${eventType} event`);
+    }
     
     res.status(200).json({
       success: true,
-      message: 'Contact tracking fields updated successfully',
+      message: duplicate
+        ? 'Duplicate event ignored'
+        : 'Contact tracking fields updated successfully',
       contactId,
       campaignId,
       eventType,
-      updatedFields: Object.keys(contactUpdates)
+      eventId: recordedEventId,
+      duplicate,
+      updatedFields: duplicate ? [] : Object.keys(contactUpdates)
     });
     
   } catch (error) {
@@ -1,6 +1,7 @@
 const { User } = require('../models');
 const { validationResult } = require('express-validator');
-const bcrypt = require('bcryptjs');
+const accountService = require('../services/accountService');
+const sessionService = require('../services/sessionService');
 
 // Get current user profile
 exports.getProfile = async (req, res) => {
@@ -60,12 +61,24 @@ exports.updateProfile = async (req, res) => {
       }
     }
 
+    // A new address has to be verified again before the user can send
+    const emailChanged = Boolean(email) && email !== user.email;
+
     await user.update({
       firstName: firstName || user.firstName,
       lastName: lastName || user.lastName,
-      email: email || user.email
+      email: email || user.email,
+      ...(emailChanged ? { emailVerifiedAt: null } : {})
     });
 
+    if (emailChanged) {
+      try {
+        await accountService.sendVerificationEmail(user, { force: true });
+      } catch (emailError) {
+        console.error('Verification email error:', emailError);
+      }
+    }
+
     // Return updated user without password
     const updatedUser = await User.findByPk(req.user.id, {
       attributes: { exclude: ['password'] }
@@ -114,12 +127,19 @@ exports.changePassword = async (req, res) => {
       });
     }
 
-    // Update password
+    // Update password; this ends every session, so this device gets a new one
     await user.update({ password: newPassword });
+    const { token, refreshToken, refreshTokenExpiresAt } = await sessionService.createSession(user, {
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip
+    });
 
     return res.status(200).json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully; other sessions have been signed out',
+      token,
+      refreshToken,
+      refreshTokenExpiresAt
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -0,0 +1,259 @@
+const { Campaign, Contact } = require('../models');
+const eventService = require('../services/eventService');
+const snsService = require('../services/snsService');
+const trackingService = require('../services/trackingService');
+
+// SES event types applied through the open/click tracking path
+const TRACKING_EVENT_TYPES = {
+  Delivery: 'delivery',
+  Open: 'open',
+  Click: 'click'
+};
+
+/**
+ * Read a tag that emailService.sendEmail attached to the message
+ * @param {Object} mail - The "mail" object of an SES event
+ * @param {string} name - Tag name
+ * @returns {string|null} - Tag value, or null when missing or "unknown"
+ */
+const getTag = (mail, name) => {
+  const values = mail && mail.tags && mail.tags[name];
+  const value = Array.isArray(values) ? values[0] : values;
+  return value && value !== 'unknown' ? value : null;
+};
+
+/**
+ * Parse the SNS envelope, which SNS posts as text/plain
+ * @param {Object|string|Buffer} body - Request body
+ * @returns {Object|null} - Parsed message, or null when it isn't JSON
+ */
+const parseBody = (body) => {
+  if (body && typeof body === 'object' && !Buffer.isBuffer(body)) {
+    return body;
+  }
+
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Record a reject or delivery delay in the event log
+ * These don't change contacts or counters; they are only logged for the campaign.
+ */
+const logSesEvent = async (type, sesEvent, { campaignId, contactId, timestamp }) => {
+  if (!campaignId || !contactId) return;
+
+  const campaign = await Campaign.findByPk(campaignId, { attributes: ['id'] });
+  const contact = await Contact.findByPk(contactId, { attributes: ['id'] });
+  if (!campaign || !contact) return;
+
+  await eventService.recordEvent({
+    // A message can be delayed several times, so each delay gets its own key
+    eventId: type === 'delivery_delay'
+      ? `${sesEvent.mail.messageId}:${type}:${new Date(timestamp).toISOString()}`
+      : `${sesEvent.mail.messageId}:${type}`,
+    campaignId,
+    contactId,
+    type,
+    timestamp,
+    payload: sesEvent
+  });
+};
+
+/**
+ * Find a field a bounce or complaint can't be applied without
+ * @param {Object} sesEvent - SES event
+ * @returns {string|null} - Path of the missing field, or null when the event is complete
+ */
+const findMissingField = (sesEvent) => {
+  const eventType = sesEvent.eventType || sesEvent.notificationType;
+
+  if (eventType === 'Bounce' && !Array.isArray(sesEvent.bounce && sesEvent.bounce.bouncedRecipients)) {
+    return 'bounce.bouncedRecipients';
+  }
+  if (eventType === 'Complaint' && !Array.isArray(sesEvent.complaint && sesEvent.complaint.complainedRecipients)) {
+    return 'complaint.complainedRecipients';
+  }
+  return null;
+};
+
+/**
+ * Apply an SES event to contacts, campaigns and the event log
+ * @param {Object} sesEvent - SES event (configuration set event or feedback notification)
+ * @returns {Promise<string>} - What was done with the event
+ */
+const processSesEvent = async (sesEvent) => {
+  const eventType = sesEvent.eventType || sesEvent.notificationType;
+  const { mail } = sesEvent;
+
+  if (!mail || !mail.messageId) {
+    return 'ignored';
+  }
+
+  const campaignId = getTag(mail, 'campaignId');
+  const contactId = getTag(mail, 'contactId');
+  const { messageId } = mail;
+
+  switch (eventType) {
+    case 'Bounce': {
+      const { bounce } = sesEvent;
+      let duplicates = 0;
+      const recipients = bounce.bouncedRecipients;
+      for (const recipient of recipients) {
+        const { duplicate } = await trackingService.processBounce({
+          email: recipient.emailAddress,
+          bounceType: bounce.bounceType,
+          bounceSubType: bounce.bounceSubType,
+          messageId,
+          campaignId,
+          contactId,
+          timestamp: bounce.timestamp,
+          payload: sesEvent
+        });
+        if (duplicate) duplicates++;
+      }
+      return recipients.length > 0 && duplicates === recipients.length ? 'duplicate' : 'processed';
+    }
+
+    case 'Complaint': {
+      const { complaint } = sesEvent;
+      let duplicates = 0;
+      const recipients = complaint.complainedRecipients;
+      for (const recipient of recipients) {
+        const { duplicate } = await trackingService.processComplaint({
+          email: recipient.emailAddress,
+          complaintType: complaint.complaintFeedbackType,
+          messageId,
+          campaignId,
+          contactId,
+          timestamp: complaint.timestamp,
+          payload: sesEvent
+        });
+        if (duplicate) duplicates++;
+      }
+      return recipients.length > 0 && duplicates === recipients.length ? 'duplicate' : 'processed';
+    }
+
+    case 'Delivery':
+    case 'Open':
+    case 'Click': {
+      if (!campaignId || !contactId) {
+        return 'ignored';
+      }
+
+      const details = sesEvent[eventType.toLowerCase()] || {};
+      const [result] = await eventService.recordTrackingBatch([{
+        campaignId,
+        contactId,
+        messageId,
+        trackingData: {
+          type: TRACKING_EVENT_TYPES[eventType],
+          timestamp: details.timestamp || mail.timestamp,
+          link: details.link,
+          userAgent: details.userAgent
+        }
+      }]);
+
+      // Unknown campaigns/contacts won't appear on a retry, so they are only logged
+      if (!result.success) {
+        console.log(`SES ${eventType} event for ${messageId} not applied: ${result.error}`);
+        return 'ignored';
+      }
+      return result.duplicate ? 'duplicate' : 'processed';
+    }
+
+    case 'Reject':
+      await logSesEvent('reject', sesEvent, { campaignId, contactId, timestamp: mail.timestamp });
+      return 'processed';
+
+    case 'DeliveryDelay':
+      await logSesEvent('delivery_delay', sesEvent, {
+        campaignId,
+        contactId,
+        timestamp: (sesEvent.deliveryDelay && sesEvent.deliveryDelay.timestamp) || mail.timestamp
+      });
+      return 'processed';
+
+    default:
+      return 'ignored';
+  }
+};
+
+// Receive SES events delivered by Amazon SNS
+// Unverifiable messages answer 403 and incomplete bounces/complaints 400; errors while
+// applying an event answer 500 so SNS retries the delivery
+exports.handleSesNotification = async (req, res) => {
+  const message = parseBody(req.body);
+
+  if (!message || !message.Type) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid SNS message'
+    });
+  }
+
+  try {
+    // Anything that stops verification, such as an unreachable signing certificate,
+    // counts as a failed verification
+    const verification = await snsService.verifyMessage(message)
+      .catch(error => ({ valid: false, reason: error.message }));
+
+    if (!verification.valid) {
+      console.warn(`Rejected SNS message ${message.MessageId}: ${verification.reason}`);
+      return res.status(403).json({
+        success: false,
+        message: 'SNS message could not be verified'
+      });
+    }
+
+    if (message.Type === 'SubscriptionConfirmation') {
+      await snsService.confirmSubscription(message);
+      return res.status(200).json({
+        success: true,
+        message: 'Subscription confirmed'
+      });
+    }
+
+    if (message.Type !== 'Notification') {
+      return res.status(200).json({
+        success: true,
+        message: `${message.Type} ignored`
+      });
+    }
+
+    const sesEvent = parseBody(message.Message);
+    if (!sesEvent) {
+      return res.status(200).json({
+        success: true,
+        message: 'Notification ignored'
+      });
+    }
+
+    const missingField = findMissingField(sesEvent);
+    if (missingField) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid SES notification: ${missingField} is missing`
+      });
+    }
+
+    const outcome = await processSesEvent(sesEvent);
+
+    return res.status(200).json({
+      success: true,
+      eventType: sesEvent.eventType || sesEvent.notificationType,
+      messageId: sesEvent.mail && sesEvent.mail.messageId,
+      outcome
+    });
+  } catch (error) {
+    console.error('SES webhook error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error processing SES notification',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
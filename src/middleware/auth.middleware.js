@@ -1,10 +1,35 @@
 const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { User, Organization, OrganizationMember, Session } = require('../models');
+const { Op } = require('sequelize');
+const { hasPermission } = require('../utils/permissions');
+const twoFactorService = require('../services/twoFactorService');
+const apiKeyService = require('../services/apiKeyService');
+const { getStore } = require('../services/rateLimitStores');
+const { rateLimit } = require('./rateLimit.middleware');
+const {
+  getSigningKeys,
+  verifySignature,
+  SIGNATURE_HEADER,
+  KEY_ID_HEADER,
+  TIMESTAMP_HEADER,
+  NONCE_HEADER,
+  REPLAY_WINDOW_MS
+} = require('../utils/requestSigning');
+
+// Every authenticated request counts against its user's or API key's limit
+const apiRateLimit = rateLimit('api');
 
 /**
- * Middleware to authenticate JWT token
+ * Build the authentication middleware
+ * A JWT must belong to a session that hasn't been revoked or expired. Personal API keys
+ * are accepted when allowApiKey is set; they set req.apiKey, whose scopes authorize and
+ * workspace then enforce. When admins require two-factor authentication, users who
+ * haven't set it up are refused unless allowTwoFactorSetup is set (the setup endpoints
+ * themselves).
+ * @param {Object} [options] - { allowApiKey, allowTwoFactorSetup }
+ * @returns {Function} - Express middleware
  */
-exports.auth = async (req, res, next) => {
+const authenticate = ({ allowApiKey = false, allowTwoFactorSetup = false } = {}) => async (req, res, next) => {
   try {
     // Get token from header
     const authHeader = req.header('Authorization');
@@ -17,6 +42,16 @@ exports.auth = async (req, res, next) => {
 
     const token = authHeader.split(' ')[1];
 
+    if (apiKeyService.isApiKey(token)) {
+      if (!allowApiKey) {
+        return res.status(403).json({
+          success: false,
+          message: 'API keys are not accepted by this endpoint. Log in instead.'
+        });
+      }
+      return await authenticateApiKey(req, res, next, token);
+    }
+
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
@@ -39,10 +74,43 @@ exports.auth = async (req, res, next) => {
       });
     }
 
+    // Tokens without a session predate sessions and can't be revoked, so they are refused
+    const session = decoded.sid && await Session.findOne({
+      where: {
+        id: decoded.sid,
+        userId: user.id,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      attributes: ['id']
+    });
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended. Please log in again.'
+      });
+    }
+
+    if (!allowTwoFactorSetup && await twoFactorService.needsSetup(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Set up two-factor authentication to continue.',
+        twoFactorSetupRequired: true
+      });
+    }
+
     // Add user to request
-    req.user = decoded;
-    next();
+    req.user = { ...decoded, role: user.role, emailVerified: Boolean(user.emailVerifiedAt) };
+    return apiRateLimit(req, res, next);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Auth error:', error);
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
@@ -65,80 +133,249 @@ exports.auth = async (req, res, next) => {
 };
 
 /**
- * Middleware to check admin role
+ * Authenticate a request made with a personal API key
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Function} next - Next middleware
+ * @param {string} key - Key from the Authorization header
  */
-exports.admin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    next();
-  } else {
+const authenticateApiKey = async (req, res, next, key) => {
+  const apiKey = await apiKeyService.authenticate(key);
+  const { user } = apiKey;
+
+  if (!user || !user.active) {
+    return res.status(401).json({
+      success: false,
+      message: 'User account has been deactivated.'
+    });
+  }
+
+  if (await twoFactorService.needsSetup(user)) {
     return res.status(403).json({
       success: false,
-      message: 'Access denied. Admin permission required.'
+      message: 'Set up two-factor authentication to continue.',
+      twoFactorSetupRequired: true
     });
   }
+
+  await apiKeyService.touch(apiKey, req.ip);
+
+  req.user = {
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    emailVerified: Boolean(user.emailVerifiedAt)
+  };
+  req.apiKey = {
+    id: apiKey.id,
+    organizationId: apiKey.organizationId,
+    scopes: apiKey.scopes
+  };
+  return apiRateLimit(req, res, next);
+};
+
+/**
+ * Middleware to authenticate a JWT token or a personal API key
+ */
+exports.auth = authenticate({ allowApiKey: true });
+
+/**
+ * Middleware to authenticate a JWT token only, for account endpoints API keys must not reach
+ */
+exports.sessionAuth = authenticate();
+
+/**
+ * Middleware to authenticate a JWT token, also letting users through who still have to
+ * set up the two-factor authentication admins require
+ */
+exports.authForTwoFactorSetup = authenticate({ allowTwoFactorSetup: true });
+
+/**
+ * Middleware to only let system admins (User.role 'admin') through
+ * Must run after auth.
+ */
+exports.requireAdmin = (req, res, next) => {
+  if (req.user.role === 'admin') {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'Access denied. Admin role required.'
+  });
 };
 
 /**
- * Middleware to validate API key for worker-to-server communication
- * This is used for the tracking API endpoints that receive data from the worker
+ * Middleware to resolve the workspace a request operates on
+ * The workspace comes from the :organizationId route parameter, the X-Organization-Id
+ * header or the organizationId query parameter, in that order. Without any of them the
+ * user's first workspace is used; API keys always use their own workspace. Must run
+ * after auth.
  */
-exports.validateApiKey = (req, res, next) => {
+exports.workspace = async (req, res, next) => {
   try {
-    console.log('🔑 Tracking API request received:');
-    console.log(`- Path: ${req.path}`);
-    console.log(`- Method: ${req.method}`);
-    
-    // IMPORTANT: Don't log all headers as they might contain sensitive info
-    // Just log necessary parts for debugging
-    const authHeader = req.header('Authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      console.log('❌ Auth header missing or invalid format');
-      return res.status(401).json({
+    const requested = req.params.organizationId ||
+      req.header('X-Organization-Id') ||
+      req.query.organizationId;
+
+    if (req.apiKey && requested && requested !== req.apiKey.organizationId) {
+      return res.status(404).json({
         success: false,
-        message: 'Access denied. No API key provided or invalid format.'
+        message: 'Workspace not found or access denied'
       });
     }
 
-    const apiKey = authHeader.split(' ')[1];
-    
-    // Only log portions of the keys for security
-    if (apiKey && apiKey.length > 10) {
-      console.log(`- Received API key: ${apiKey.substring(0, 5)}...${apiKey.substring(apiKey.length - 5)}`);
-    } else {
-      console.log(`- Received API key: [INVALID FORMAT]`);
-    }
-    
-    if (process.env.WORKER_API_KEY && process.env.WORKER_API_KEY.length > 10) {
-      console.log(`- Expected API key: ${process.env.WORKER_API_KEY.substring(0, 5)}...${process.env.WORKER_API_KEY.substring(process.env.WORKER_API_KEY.length - 5)}`);
-    } else {
-      console.log(`- Expected API key: [NOT PROPERLY SET]`);
-      console.log(`- Check environment variable WORKER_API_KEY in server configuration`);
+    const organizationId = req.apiKey ? req.apiKey.organizationId : requested;
+
+    const membership = await OrganizationMember.findOne({
+      where: organizationId
+        ? { userId: req.user.id, organizationId }
+        : { userId: req.user.id },
+      include: [
+        {
+          model: Organization,
+          as: 'organization'
+        }
+      ],
+      order: [['createdAt', 'ASC']]
+    });
+
+    if (!membership) {
+      return res.status(organizationId ? 404 : 403).json({
+        success: false,
+        message: organizationId
+          ? 'Workspace not found or access denied'
+          : 'You are not a member of any workspace'
+      });
     }
 
-    // Validate API key against environment variable
-    if (!process.env.WORKER_API_KEY) {
-      console.error('❌ WORKER_API_KEY environment variable is not set');
+    req.organization = membership.organization;
+    req.membership = membership;
+    next();
+  } catch (error) {
+    console.error('Workspace resolution error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while resolving workspace.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Middleware to check the member's role in the current workspace grants a permission
+ * Requests made with an API key also need the permission among the key's scopes.
+ * Must run after workspace. See utils/permissions for the role/permission map.
+ * @param {string} permission - Required permission, e.g. 'campaigns:send'
+ * @param {Function} [condition] - Only require it when condition(req) is true
+ */
+exports.authorize = (permission, condition) => (req, res, next) => {
+  if (condition && !condition(req)) {
+    return next();
+  }
+
+  if (req.membership && hasPermission(req.membership.role, permission, req.apiKey && req.apiKey.scopes)) {
+    next();
+  } else {
+    return res.status(403).json({
+      success: false,
+      message: `Access denied. The '${permission}' permission is required.`
+    });
+  }
+};
+
+/**
+ * Middleware to only let users with a verified email address through
+ * Must run after auth.
+ * @param {Function} [condition] - Only require it when condition(req) is true
+ */
+exports.requireVerifiedEmail = (condition) => (req, res, next) => {
+  if (req.user.emailVerified || (condition && !condition(req))) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'Verify your email address before sending campaigns.'
+  });
+};
+
+/**
+ * Middleware to validate HMAC-signed worker-to-server requests
+ * This is used for the tracking API endpoints that receive data from the worker.
+ * See utils/requestSigning for the signature scheme and key rotation.
+ */
+exports.validateWorkerSignature = async (req, res, next) => {
+  try {
+    if (getSigningKeys().size === 0) {
+      console.error('❌ WORKER_SIGNING_KEYS environment variable is not set');
       return res.status(500).json({
         success: false,
-        message: 'Server configuration error: API key not set'
+        message: 'Server configuration error: signing keys not set'
       });
     }
-    
-    if (apiKey !== process.env.WORKER_API_KEY) {
-      console.log('❌ API key validation failed');
+
+    const result = verifySignature({
+      keyId: req.header(KEY_ID_HEADER),
+      timestamp: req.header(TIMESTAMP_HEADER),
+      nonce: req.header(NONCE_HEADER),
+      signature: req.header(SIGNATURE_HEADER),
+      method: req.method,
+      path: req.originalUrl,
+      body: req.rawBody
+    });
+
+    if (!result.valid) {
+      console.log(`❌ Worker signature rejected for ${req.method} ${req.originalUrl}: ${result.reason}`);
       return res.status(401).json({
         success: false,
-        message: 'Invalid API key.'
+        message: result.reason
       });
     }
-    
-    console.log('✅ API key validation successful');
+
+    // A captured request keeps a valid signature for the whole window, so each nonce
+    // is accepted once. Nonces live in the rate limit store, which is shared between
+    // instances when RATE_LIMIT_STORE=database.
+    const nonceKey = `worker-nonce:${req.header(KEY_ID_HEADER)}:${req.header(NONCE_HEADER)}`;
+    const { count } = await getStore().hit(nonceKey, REPLAY_WINDOW_MS);
+    if (count > 1) {
+      console.log(`❌ Replayed worker request rejected for ${req.method} ${req.originalUrl}`);
+      return res.status(401).json({
+        success: false,
+        message: 'Request has already been received'
+      });
+    }
+
     next();
   } catch (error) {
-    console.error('API key validation error:', error);
+    console.error('Worker signature validation error:', error);
     return res.status(500).json({
       success: false,
       message: 'Internal server error during authentication.'
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Middleware to validate the cron secret for scheduled job triggers
+ * Vercel Cron sends the CRON_SECRET as a bearer token on every invocation
+ */
+exports.validateCronSecret = (req, res, next) => {
+  if (!process.env.CRON_SECRET) {
+    console.error('❌ CRON_SECRET environment variable is not set');
+    return res.status(500).json({
+      success: false,
+      message: 'Server configuration error: cron secret not set'
+    });
+  }
+
+  const authHeader = req.header('Authorization');
+  if (!authHeader || authHeader !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid cron secret.'
+    });
+  }
+
+  next();
+};
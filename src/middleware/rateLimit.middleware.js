@@ -0,0 +1,60 @@
+const rateLimitService = require('../services/rateLimitService');
+
+/**
+ * Who a request counts against
+ * @param {Object} req - Request
+ * @param {string} keyBy - 'ip' or 'user'
+ * @returns {string} - Caller key
+ */
+const getCaller = (req, keyBy) => {
+  if (keyBy === 'user') {
+    if (req.apiKey) return `key:${req.apiKey.id}`;
+    if (req.user) return `user:${req.user.id}`;
+  }
+  return `ip:${req.ip}`;
+};
+
+/**
+ * Middleware to rate limit a route group (see config/rateLimits)
+ * Sets the RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy
+ * headers, and answers 429 with Retry-After once the limit is reached. When several
+ * limits apply to a request the headers describe the one closest to running out.
+ * If the store fails the request is let through rather than taking the API down.
+ * @param {string} group - Group name, e.g. 'login'
+ */
+exports.rateLimit = (group) => {
+  const { keyBy } = rateLimitService.getLimit(group);
+
+  return async (req, res, next) => {
+    let result;
+    try {
+      result = await rateLimitService.consume(group, getCaller(req, keyBy));
+    } catch (error) {
+      console.error(`Rate limit error (${group}):`, error);
+      return next();
+    }
+
+    const resetSeconds = Math.max(0, Math.ceil((result.resetAt.getTime() - Date.now()) / 1000));
+    const current = res.get('RateLimit-Remaining');
+
+    if (current === undefined || result.remaining <= parseInt(current)) {
+      res.set({
+        'RateLimit-Limit': String(result.limit),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(resetSeconds),
+        'RateLimit-Policy': `${result.limit};w=${result.window}`
+      });
+    }
+
+    if (result.limited) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many requests. Please try again later.',
+        retryAfter: resetSeconds
+      });
+    }
+
+    next();
+  };
+};
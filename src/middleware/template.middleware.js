@@ -1,25 +1,16 @@
 const { body } = require('express-validator');
+const templateService = require('../services/templateService');
 
-// Validate template tokens
-const validateTemplateTokens = (content) => {
-  const validTokens = [
-    '{{first_name}}',
-    '{{last_name}}',
-    '{{email}}',
-    '{{company}}',
-    '{{unsubscribe_link}}',
-    '{{current_date}}'
-  ];
-  
-  const tokenRegex = /{{([^}]+)}}/g;
-  const foundTokens = content.match(tokenRegex) || [];
-  
-  const invalidTokens = foundTokens.filter(token => !validTokens.includes(token));
-  
-  if (invalidTokens.length > 0) {
-    throw new Error(`Invalid tokens found: ${invalidTokens.join(', ')}`);
+// Check the template syntax. Variables aren't checked against contacts here: that would
+// read every contact of the workspace on each save, and templates are often written
+// before the contacts with their custom fields are imported (see POST /validate).
+const validateTemplateSyntax = (content, { req }) => {
+  const { errors } = templateService.validate({ subject: req.body.subject || '', content }, []);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid template: ${errors.map(e => `${e.part}: ${e.message}`).join('; ')}`);
   }
-  
+
   return true;
 };
 
@@ -28,29 +19,14 @@ exports.validateTemplate = [
   body('name', 'Template name is required').notEmpty(),
   body('subject', 'Subject line is required').notEmpty(),
   body('content', 'Content is required').notEmpty()
-    .custom(validateTemplateTokens),
+    .bail()
+    .custom(validateTemplateSyntax),
   body('description').optional(),
   body('category').optional(),
   body('thumbnail').optional().isURL().withMessage('Thumbnail must be a valid URL')
 ];
 
 // Process template content with tokens
-exports.processTemplateContent = (content, contact) => {
-  let processedContent = content;
-  
-  // Replace tokens with contact data
-  if (contact) {
-    processedContent = processedContent
-      .replace(/{{first_name}}/g, contact.firstName || '')
-      .replace(/{{last_name}}/g, contact.lastName || '')
-      .replace(/{{email}}/g, contact.email || '')
-      .replace(/{{company}}/g, contact.company || '');
-  }
-  
-  // Replace system tokens
-  processedContent = processedContent
-    .replace(/{{current_date}}/g, new Date().toLocaleDateString())
-    .replace(/{{unsubscribe_link}}/g, `[Unsubscribe](${process.env.APP_URL}/unsubscribe/${contact?.id})`);
-  
-  return processedContent;
-}; 
\ No newline at end of file
+exports.processTemplateContent = (content, contact, options = {}) => {
+  return templateService.render(content, contact, options);
+};
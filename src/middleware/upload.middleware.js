@@ -0,0 +1,111 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const busboy = require('busboy');
+
+/**
+ * Directory uploaded files are written to
+ * @returns {string} - Absolute path
+ */
+const getUploadDir = () => process.env.IMPORT_UPLOAD_DIR || path.join(os.tmpdir(), 'launch-imports');
+
+/**
+ * Accept a single multipart file upload, streaming it to disk
+ * The file is available as req.file ({ path, originalName, mimeType, size }) and the
+ * other form fields as req.body.
+ * @param {Object} options - { field, maxSize, extensions }
+ * @returns {Function} - Express middleware
+ */
+exports.uploadFile = ({ field = 'file', maxSize, extensions = [] } = {}) => (req, res, next) => {
+  if (!req.is('multipart/form-data')) {
+    return res.status(400).json({
+      success: false,
+      message: `Upload the file as multipart/form-data in the "${field}" field`
+    });
+  }
+
+  let parser;
+  try {
+    parser = busboy({ headers: req.headers, limits: { files: 1, fileSize: maxSize } });
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  const uploadDir = getUploadDir();
+  const body = {};
+  let file = null;
+  let fileWritten = Promise.resolve();
+  let failure = null;
+
+  const fail = (status, message) => {
+    if (!failure) failure = { status, message };
+  };
+
+  parser.on('field', (name, value) => {
+    body[name] = value;
+  });
+
+  parser.on('file', (name, stream, info) => {
+    const extension = path.extname(info.filename || '').toLowerCase();
+
+    if (name !== field || file) {
+      stream.resume();
+      return;
+    }
+    if (extensions.length > 0 && !extensions.includes(extension)) {
+      fail(400, `Unsupported file type; upload a ${extensions.join(' or ')} file`);
+      stream.resume();
+      return;
+    }
+
+    file = {
+      path: path.join(uploadDir, `${crypto.randomUUID()}${extension}`),
+      originalName: info.filename,
+      mimeType: info.mimeType,
+      size: 0
+    };
+
+    fileWritten = new Promise((resolve, reject) => {
+      fs.mkdirSync(uploadDir, { recursive: true });
+      const out = fs.createWriteStream(file.path);
+
+      stream.on('data', (chunk) => {
+        file.size += chunk.length;
+      });
+      stream.on('limit', () => {
+        fail(413, `File is larger than ${maxSize} bytes`);
+      });
+      out.on('finish', resolve);
+      out.on('error', reject);
+      stream.pipe(out);
+    });
+  });
+
+  parser.on('error', (error) => fail(400, error.message));
+
+  parser.on('close', async () => {
+    try {
+      await fileWritten;
+    } catch (error) {
+      fail(500, 'Error storing uploaded file');
+    }
+
+    if (!failure && !file) {
+      fail(400, `No file uploaded in the "${field}" field`);
+    }
+
+    if (failure) {
+      if (file) fs.promises.unlink(file.path).catch(() => {});
+      return res.status(failure.status).json({ success: false, message: failure.message });
+    }
+
+    req.body = body;
+    req.file = file;
+    next();
+  });
+
+  req.pipe(parser);
+};
+
+exports.getUploadDir = getUploadDir;
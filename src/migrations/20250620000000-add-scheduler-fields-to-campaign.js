@@ -0,0 +1,41 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Add claim lock and retry bookkeeping used by the campaign scheduler
+    await queryInterface.addColumn('Campaigns', 'lockedBy', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+    
+    await queryInterface.addColumn('Campaigns', 'lockedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    
+    await queryInterface.addColumn('Campaigns', 'scheduleAttempts', {
+      type: Sequelize.INTEGER,
+      defaultValue: 0,
+      allowNull: false
+    });
+    
+    await queryInterface.addColumn('Campaigns', 'lastScheduleError', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+    
+    // Due campaigns are looked up by status and scheduledFor on every run
+    await queryInterface.addIndex('Campaigns', ['status', 'scheduledFor'], {
+      name: 'campaigns_status_scheduled_for'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('Campaigns', 'campaigns_status_scheduled_for');
+    await queryInterface.removeColumn('Campaigns', 'lastScheduleError');
+    await queryInterface.removeColumn('Campaigns', 'scheduleAttempts');
+    await queryInterface.removeColumn('Campaigns', 'lockedAt');
+    await queryInterface.removeColumn('Campaigns', 'lockedBy');
+  }
+};
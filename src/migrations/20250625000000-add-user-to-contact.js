@@ -0,0 +1,190 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// MySQL commits DDL implicitly, so a transaction can't make this migration
+// atomic. Every step below checks what is already done instead, which lets a
+// run that failed half-way simply be started again.
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const columns = await queryInterface.describeTable('Contacts');
+
+    if (!columns.userId) {
+      await queryInterface.addColumn('Contacts', 'userId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      });
+    }
+
+    // Email becomes unique per owner instead of across the whole system;
+    // drop the global index first so owners can get their own copies below
+    const indexes = await queryInterface.showIndex('Contacts');
+    for (const index of indexes) {
+      if (index.unique && index.fields.length === 1 && index.fields[0].attribute === 'email') {
+        await queryInterface.removeIndex('Contacts', index.name);
+      }
+    }
+
+    // Back-fill ownership from list membership. The first list a contact was
+    // added to decides its owner; every other account that has the contact in
+    // one of its lists gets its own copy, and that account's list memberships
+    // and campaign stats are moved over to the copy. Only memberships that
+    // still point at a contact owned by someone else are picked up, so
+    // contacts handled by an earlier run are left alone.
+    const [memberships] = await queryInterface.sequelize.query(`
+      SELECT clc.contactId, clc.contactListId, cl.userId, c.userId AS ownerId, c.email
+      FROM ContactListContacts clc
+      INNER JOIN ContactLists cl ON cl.id = clc.contactListId
+      INNER JOIN Contacts c ON c.id = clc.contactId
+      WHERE c.userId IS NULL OR c.userId <> cl.userId
+      ORDER BY clc.createdAt ASC
+    `);
+
+    const copiedColumns = Object.keys(await queryInterface.describeTable('Contacts'))
+      .filter(column => !['id', 'userId'].includes(column))
+      .join(', ');
+
+    const contacts = new Map();
+    for (const { contactId, contactListId, userId, ownerId, email } of memberships) {
+      if (!contacts.has(contactId)) {
+        contacts.set(contactId, { ownerId, email, owners: new Map() });
+      }
+      const { owners } = contacts.get(contactId);
+      if (!owners.has(userId)) {
+        owners.set(userId, []);
+      }
+      owners.get(userId).push(contactListId);
+    }
+
+    for (const [contactId, { ownerId, email, owners }] of contacts) {
+      const otherOwners = [...owners.keys()];
+
+      if (!ownerId) {
+        await queryInterface.bulkUpdate('Contacts', { userId: otherOwners.shift() }, { id: contactId });
+      }
+
+      for (const userId of otherOwners) {
+        // An interrupted run may already have made this owner's copy
+        const [[existingCopy]] = await queryInterface.sequelize.query(
+          'SELECT id FROM Contacts WHERE userId = ? AND email = ? LIMIT 1',
+          { replacements: [userId, email] }
+        );
+
+        let copyId = existingCopy && existingCopy.id;
+
+        if (!copyId) {
+          copyId = crypto.randomUUID();
+          await queryInterface.sequelize.query(`
+            INSERT INTO Contacts (id, userId, ${copiedColumns})
+            SELECT ?, ?, ${copiedColumns} FROM Contacts WHERE id = ?
+          `, { replacements: [copyId, userId, contactId] });
+        }
+
+        await queryInterface.bulkUpdate(
+          'ContactListContacts',
+          { contactId: copyId },
+          { contactId, contactListId: owners.get(userId) }
+        );
+
+        await queryInterface.sequelize.query(`
+          UPDATE CampaignStats SET contactId = ?
+          WHERE contactId = ? AND campaignId IN (SELECT id FROM Campaigns WHERE userId = ?)
+        `, { replacements: [copyId, contactId, userId] });
+      }
+    }
+
+    // Contacts that are in no list at all can't be attributed to anyone;
+    // hand them to the oldest admin (or the oldest user if there is no admin)
+    const [[orphans]] = await queryInterface.sequelize.query(
+      'SELECT COUNT(*) AS count FROM Contacts WHERE userId IS NULL'
+    );
+
+    if (parseInt(orphans.count) > 0) {
+      const [[fallbackOwner]] = await queryInterface.sequelize.query(`
+        SELECT id FROM Users
+        ORDER BY CASE WHEN role = 'admin' THEN 0 ELSE 1 END, createdAt ASC
+        LIMIT 1
+      `);
+
+      if (!fallbackOwner) {
+        throw new Error(`${orphans.count} contacts have no owner and there is no user to assign them to`);
+      }
+
+      await queryInterface.bulkUpdate('Contacts', { userId: fallbackOwner.id }, { userId: null });
+    }
+
+    await queryInterface.changeColumn('Contacts', 'userId', {
+      type: Sequelize.UUID,
+      allowNull: false
+    });
+
+    const currentIndexes = await queryInterface.showIndex('Contacts');
+    if (!currentIndexes.some(index => index.name === 'contacts_user_id_email')) {
+      await queryInterface.addIndex('Contacts', ['userId', 'email'], {
+        name: 'contacts_user_id_email',
+        unique: true
+      });
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    // Fold the per-owner copies back into the oldest contact for each email,
+    // so the global unique index can be restored
+    const [duplicates] = await queryInterface.sequelize.query(`
+      SELECT c.id, c.email FROM Contacts c
+      INNER JOIN (
+        SELECT email FROM Contacts GROUP BY email HAVING COUNT(*) > 1
+      ) d ON d.email = c.email
+      ORDER BY c.email ASC, c.createdAt ASC
+    `);
+
+    const keptByEmail = new Map();
+    for (const { id, email } of duplicates) {
+      if (!keptByEmail.has(email)) {
+        keptByEmail.set(email, id);
+        continue;
+      }
+
+      const keptId = keptByEmail.get(email);
+
+      // Lists that already hold the kept contact would end up with a
+      // duplicate membership, so drop the copy's membership there instead
+      await queryInterface.sequelize.query(`
+        DELETE FROM ContactListContacts
+        WHERE contactId = ? AND contactListId IN (
+          SELECT contactListId FROM (
+            SELECT contactListId FROM ContactListContacts WHERE contactId = ?
+          ) kept
+        )
+      `, { replacements: [id, keptId] });
+
+      await queryInterface.bulkUpdate('ContactListContacts', { contactId: keptId }, { contactId: id });
+      await queryInterface.bulkUpdate('CampaignStats', { contactId: keptId }, { contactId: id });
+      await queryInterface.bulkDelete('Contacts', { id });
+    }
+
+    const indexes = await queryInterface.showIndex('Contacts');
+    if (indexes.some(index => index.name === 'contacts_user_id_email')) {
+      await queryInterface.removeIndex('Contacts', 'contacts_user_id_email');
+    }
+    if (!indexes.some(index => index.name === 'email')) {
+      await queryInterface.addIndex('Contacts', ['email'], {
+        name: 'email',
+        unique: true
+      });
+    }
+
+    const columns = await queryInterface.describeTable('Contacts');
+    if (columns.userId) {
+      await queryInterface.removeColumn('Contacts', 'userId');
+    }
+  }
+};
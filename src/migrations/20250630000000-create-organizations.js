@@ -0,0 +1,233 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const OWNED_TABLES = ['Campaigns', 'Templates', 'ContactLists', 'Contacts'];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('Organizations', {
+        id: {
+          allowNull: false,
+          primaryKey: true,
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4
+        },
+        name: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      }, { transaction });
+
+      await queryInterface.createTable('OrganizationMembers', {
+        id: {
+          allowNull: false,
+          primaryKey: true,
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4
+        },
+        organizationId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'Organizations',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        userId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'Users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        role: {
+          type: Sequelize.ENUM('owner', 'editor', 'viewer'),
+          defaultValue: 'viewer',
+          allowNull: false
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('OrganizationMembers', ['organizationId', 'userId'], {
+        name: 'organization_members_organization_id_user_id',
+        unique: true,
+        transaction
+      });
+
+      await queryInterface.createTable('OrganizationInvitations', {
+        id: {
+          allowNull: false,
+          primaryKey: true,
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4
+        },
+        organizationId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'Organizations',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        email: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        role: {
+          type: Sequelize.ENUM('owner', 'editor', 'viewer'),
+          defaultValue: 'viewer',
+          allowNull: false
+        },
+        tokenHash: {
+          type: Sequelize.STRING(64),
+          allowNull: false,
+          unique: true
+        },
+        invitedById: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: {
+            model: 'Users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        expiresAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        acceptedAt: {
+          type: Sequelize.DATE
+        },
+        revokedAt: {
+          type: Sequelize.DATE
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      }, { transaction });
+
+      for (const table of OWNED_TABLES) {
+        await queryInterface.addColumn(table, 'organizationId', {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: {
+            model: 'Organizations',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        }, { transaction });
+      }
+
+      // Every existing account gets a personal workspace it owns, and
+      // everything it created so far moves into that workspace
+      const [users] = await queryInterface.sequelize.query(
+        'SELECT id, firstName FROM Users ORDER BY createdAt ASC',
+        { transaction }
+      );
+
+      for (const user of users) {
+        const organizationId = crypto.randomUUID();
+        const now = new Date();
+
+        await queryInterface.bulkInsert('Organizations', [{
+          id: organizationId,
+          name: `${user.firstName}'s Workspace`,
+          createdAt: now,
+          updatedAt: now
+        }], { transaction });
+
+        await queryInterface.bulkInsert('OrganizationMembers', [{
+          id: crypto.randomUUID(),
+          organizationId,
+          userId: user.id,
+          role: 'owner',
+          createdAt: now,
+          updatedAt: now
+        }], { transaction });
+
+        for (const table of OWNED_TABLES) {
+          await queryInterface.bulkUpdate(table, { organizationId }, { userId: user.id }, { transaction });
+        }
+      }
+
+      for (const table of OWNED_TABLES) {
+        await queryInterface.changeColumn(table, 'organizationId', {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'Organizations',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        }, { transaction });
+      }
+
+      // Contacts are now unique per workspace instead of per user
+      await queryInterface.removeIndex('Contacts', 'contacts_user_id_email', { transaction });
+      await queryInterface.addIndex('Contacts', ['organizationId', 'email'], {
+        name: 'contacts_organization_id_email',
+        unique: true,
+        transaction
+      });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    // NOTE: This fails if members of a shared workspace added contacts whose
+    // email another member also holds, since ownership falls back to userId
+    await queryInterface.removeIndex('Contacts', 'contacts_organization_id_email');
+    await queryInterface.addIndex('Contacts', ['userId', 'email'], {
+      name: 'contacts_user_id_email',
+      unique: true
+    });
+
+    for (const table of OWNED_TABLES) {
+      await queryInterface.removeColumn(table, 'organizationId');
+    }
+
+    await queryInterface.dropTable('OrganizationInvitations');
+    await queryInterface.dropTable('OrganizationMembers');
+    await queryInterface.dropTable('Organizations');
+  }
+};
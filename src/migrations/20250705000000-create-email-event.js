@@ -0,0 +1,86 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('EmailEvents', {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4
+      },
+      campaignId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Campaigns',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      contactId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Contacts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      type: {
+        type: Sequelize.ENUM('send', 'delivery', 'open', 'click', 'bounce', 'complaint', 'unsubscribe'),
+        allowNull: false
+      },
+      occurredAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      link: {
+        type: Sequelize.TEXT
+      },
+      userAgent: {
+        type: Sequelize.STRING(512)
+      },
+      bounceType: {
+        type: Sequelize.STRING
+      },
+      bounceSubType: {
+        type: Sequelize.STRING
+      },
+      payload: {
+        type: Sequelize.JSON
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('EmailEvents', ['campaignId', 'type', 'occurredAt'], {
+      name: 'email_events_campaign_id_type_occurred_at'
+    });
+
+    await queryInterface.addIndex('EmailEvents', ['contactId', 'occurredAt'], {
+      name: 'email_events_contact_id_occurred_at'
+    });
+
+    await queryInterface.addColumn('CampaignStats', 'bouncedAt', {
+      type: Sequelize.DATE
+    });
+
+    // CampaignStat rows are now upserted per recipient
+    await queryInterface.addIndex('CampaignStats', ['campaignId', 'contactId'], {
+      name: 'campaign_stats_campaign_id_contact_id',
+      unique: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('CampaignStats', 'campaign_stats_campaign_id_contact_id');
+    await queryInterface.removeColumn('CampaignStats', 'bouncedAt');
+    await queryInterface.dropTable('EmailEvents');
+  }
+};
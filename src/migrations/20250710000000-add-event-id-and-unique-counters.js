@@ -0,0 +1,61 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      // Events logged before event IDs existed keep their own row ID as key
+      await queryInterface.addColumn('EmailEvents', 'eventId', {
+        type: Sequelize.STRING,
+        allowNull: true
+      }, { transaction });
+
+      await queryInterface.sequelize.query(
+        'UPDATE EmailEvents SET eventId = id WHERE eventId IS NULL',
+        { transaction }
+      );
+
+      await queryInterface.changeColumn('EmailEvents', 'eventId', {
+        type: Sequelize.STRING,
+        allowNull: false
+      }, { transaction });
+
+      await queryInterface.addIndex('EmailEvents', ['eventId'], {
+        name: 'email_events_event_id',
+        unique: true,
+        transaction
+      });
+
+      await queryInterface.addColumn('Campaigns', 'uniqueOpens', {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      }, { transaction });
+
+      await queryInterface.addColumn('Campaigns', 'uniqueClicks', {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      }, { transaction });
+
+      // Back-fill unique counts from the per-recipient stats
+      await queryInterface.sequelize.query(`
+        UPDATE Campaigns SET
+          uniqueOpens = (SELECT COUNT(*) FROM CampaignStats WHERE CampaignStats.campaignId = Campaigns.id AND opened = true),
+          uniqueClicks = (SELECT COUNT(*) FROM CampaignStats WHERE CampaignStats.campaignId = Campaigns.id AND clicked = true)
+      `, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Campaigns', 'uniqueClicks');
+    await queryInterface.removeColumn('Campaigns', 'uniqueOpens');
+    await queryInterface.removeIndex('EmailEvents', 'email_events_event_id');
+    await queryInterface.removeColumn('EmailEvents', 'eventId');
+  }
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+const PREVIOUS_TYPES = ['send', 'delivery', 'open', 'click', 'bounce', 'complaint', 'unsubscribe'];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // SES reports rejected and delayed messages through the webhook
+    await queryInterface.changeColumn('EmailEvents', 'type', {
+      type: Sequelize.ENUM(...PREVIOUS_TYPES, 'reject', 'delivery_delay'),
+      allowNull: false
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete('EmailEvents', {
+      type: ['reject', 'delivery_delay']
+    });
+
+    await queryInterface.changeColumn('EmailEvents', 'type', {
+      type: Sequelize.ENUM(...PREVIOUS_TYPES),
+      allowNull: false
+    });
+  }
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+const PREVIOUS_STATUSES = ['draft', 'scheduled', 'sending', 'processing', 'completed', 'stopped'];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Engine that sends the campaign; null uses SENDING_ENGINE
+    await queryInterface.addColumn('Campaigns', 'sendingEngine', {
+      type: Sequelize.ENUM('worker', 'server'),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('Campaigns', 'sendFailures', {
+      type: Sequelize.INTEGER,
+      defaultValue: 0,
+      allowNull: false
+    });
+
+    // Campaigns sent by the server engine can be paused and resumed
+    await queryInterface.changeColumn('Campaigns', 'status', {
+      type: Sequelize.ENUM(...PREVIOUS_STATUSES, 'paused'),
+      defaultValue: 'draft'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkUpdate('Campaigns', { status: 'stopped' }, { status: 'paused' });
+
+    await queryInterface.changeColumn('Campaigns', 'status', {
+      type: Sequelize.ENUM(...PREVIOUS_STATUSES),
+      defaultValue: 'draft'
+    });
+
+    await queryInterface.removeColumn('Campaigns', 'sendFailures');
+    await queryInterface.removeColumn('Campaigns', 'sendingEngine');
+  }
+};
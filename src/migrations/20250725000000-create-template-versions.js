@@ -0,0 +1,117 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const transaction = await queryInterface.sequelize.transaction();
+
+    try {
+      await queryInterface.createTable('TemplateVersions', {
+        id: {
+          allowNull: false,
+          primaryKey: true,
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4
+        },
+        templateId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'Templates',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        version: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        subject: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        content: {
+          type: Sequelize.TEXT,
+          allowNull: false
+        },
+        createdById: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: {
+            model: 'Users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        restoredFromVersion: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      }, { transaction });
+
+      await queryInterface.addIndex('TemplateVersions', ['templateId', 'version'], {
+        name: 'template_versions_template_id_version',
+        unique: true,
+        transaction
+      });
+
+      await queryInterface.addColumn('Templates', 'currentVersion', {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        allowNull: false
+      }, { transaction });
+
+      await queryInterface.addColumn('Campaigns', 'templateVersionId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'TemplateVersions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      }, { transaction });
+
+      // Existing templates start their history with their current content. Campaigns
+      // already sent stay unpinned, since the template may have changed since.
+      const [templates] = await queryInterface.sequelize.query(
+        'SELECT id, userId, subject, content FROM Templates',
+        { transaction }
+      );
+
+      for (const template of templates) {
+        await queryInterface.bulkInsert('TemplateVersions', [{
+          id: crypto.randomUUID(),
+          templateId: template.id,
+          version: 1,
+          subject: template.subject,
+          content: template.content,
+          createdById: template.userId,
+          restoredFromVersion: null,
+          createdAt: new Date()
+        }], { transaction });
+      }
+
+      await queryInterface.bulkUpdate('Templates', { currentVersion: 1 }, {}, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Campaigns', 'templateVersionId');
+    await queryInterface.removeColumn('Templates', 'currentVersion');
+    await queryInterface.dropTable('TemplateVersions');
+  }
+};
@@ -0,0 +1,124 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('CampaignSnapshots', {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4
+      },
+      campaignId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'Campaigns',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      templateVersionId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'TemplateVersions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      subject: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      html: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      text: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      fromAddress: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      recipientCount: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        allowNull: false
+      },
+      renderedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.createTable('CampaignRecipients', {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4
+      },
+      campaignId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Campaigns',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      contactId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'Contacts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      firstName: {
+        type: Sequelize.STRING
+      },
+      lastName: {
+        type: Sequelize.STRING
+      },
+      company: {
+        type: Sequelize.STRING
+      },
+      metadata: {
+        type: Sequelize.JSON
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('CampaignRecipients', ['campaignId', 'contactId'], {
+      name: 'campaign_recipients_campaign_id_contact_id',
+      unique: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('CampaignRecipients');
+    await queryInterface.dropTable('CampaignSnapshots');
+  }
+};
@@ -0,0 +1,152 @@
+'use strict';
+
+const PREVIOUS_STATUSES = ['draft', 'scheduled', 'sending', 'processing', 'paused', 'completed', 'stopped'];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('CampaignVariants', {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4
+      },
+      campaignId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Campaigns',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      subject: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      templateId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'Templates',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      templateVersionId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'TemplateVersions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      testRecipients: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      sent: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      delivered: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      opens: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      clicks: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      uniqueOpens: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      uniqueClicks: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addColumn('CampaignRecipients', 'variantId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'CampaignVariants',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('Campaigns', 'abTestPercentage', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('Campaigns', 'abWinnerMetric', {
+      type: Sequelize.ENUM('opens', 'clicks'),
+      defaultValue: 'opens',
+      allowNull: false
+    });
+
+    await queryInterface.addColumn('Campaigns', 'abWaitMinutes', {
+      type: Sequelize.INTEGER,
+      defaultValue: 240,
+      allowNull: false
+    });
+
+    await queryInterface.addColumn('Campaigns', 'abTestEndsAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('Campaigns', 'abWinnerVariantId', {
+      type: Sequelize.UUID,
+      allowNull: true
+    });
+
+    // Campaigns wait in "testing" between the test send and the winner send
+    await queryInterface.changeColumn('Campaigns', 'status', {
+      type: Sequelize.ENUM(...PREVIOUS_STATUSES, 'testing'),
+      defaultValue: 'draft'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkUpdate('Campaigns', { status: 'stopped' }, { status: 'testing' });
+
+    await queryInterface.changeColumn('Campaigns', 'status', {
+      type: Sequelize.ENUM(...PREVIOUS_STATUSES),
+      defaultValue: 'draft'
+    });
+
+    await queryInterface.removeColumn('Campaigns', 'abWinnerVariantId');
+    await queryInterface.removeColumn('Campaigns', 'abTestEndsAt');
+    await queryInterface.removeColumn('Campaigns', 'abWaitMinutes');
+    await queryInterface.removeColumn('Campaigns', 'abWinnerMetric');
+    await queryInterface.removeColumn('Campaigns', 'abTestPercentage');
+    await queryInterface.removeColumn('CampaignRecipients', 'variantId');
+    await queryInterface.dropTable('CampaignVariants');
+  }
+};
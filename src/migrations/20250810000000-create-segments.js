@@ -0,0 +1,97 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Segments', {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      organizationId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Organizations',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      rules: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('Segments', ['organizationId']);
+
+    // A campaign is sent to either a contact list or a segment
+    await queryInterface.changeColumn('Campaigns', 'contactListId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'ContactLists',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'RESTRICT'
+    });
+
+    await queryInterface.addColumn('Campaigns', 'segmentId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'Segments',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Campaigns', 'segmentId');
+
+    await queryInterface.changeColumn('Campaigns', 'contactListId', {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'ContactLists',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'RESTRICT'
+    });
+
+    await queryInterface.dropTable('Segments');
+  }
+};
@@ -0,0 +1,168 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('ImportJobs', {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      organizationId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Organizations',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      contactListId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'ContactLists',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'processing', 'completed', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      fileName: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      format: {
+        type: Sequelize.ENUM('csv', 'xlsx'),
+        allowNull: false
+      },
+      filePath: {
+        type: Sequelize.STRING(1024),
+        allowNull: true
+      },
+      fileSize: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      columns: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      mapping: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      progress: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      processedRows: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      createdCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      skippedCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      failedCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      startedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      completedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('ImportJobs', ['organizationId', 'createdAt']);
+
+    await queryInterface.createTable('ImportJobErrors', {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4
+      },
+      importJobId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'ImportJobs',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      rowNumber: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      message: {
+        type: Sequelize.STRING(512),
+        allowNull: false
+      },
+      values: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('ImportJobErrors', ['importJobId', 'rowNumber']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('ImportJobErrors');
+    await queryInterface.dropTable('ImportJobs');
+  }
+};
@@ -0,0 +1,149 @@
+'use strict';
+
+const CAMPAIGN_STATUSES = ['draft', 'scheduled', 'sending', 'processing', 'paused', 'testing', 'completed', 'stopped'];
+const IMPORT_STATUSES = ['pending', 'processing', 'completed', 'failed'];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Jobs', {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4
+      },
+      organizationId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'Organizations',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      type: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      payload: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('queued', 'running', 'completed', 'failed', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'queued'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      maxAttempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 3
+      },
+      runAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      lockedBy: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      lockedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      progress: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      result: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      startedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      completedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('Jobs', ['status', 'runAt']);
+    await queryInterface.addIndex('Jobs', ['organizationId', 'createdAt']);
+
+    // Imports run as jobs and can be cancelled
+    await queryInterface.addColumn('ImportJobs', 'jobId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'Jobs',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.changeColumn('ImportJobs', 'status', {
+      type: Sequelize.ENUM(...IMPORT_STATUSES, 'cancelled'),
+      allowNull: false,
+      defaultValue: 'pending'
+    });
+
+    // Campaigns wait in "queued" until a job has prepared and launched them
+    await queryInterface.changeColumn('Campaigns', 'status', {
+      type: Sequelize.ENUM(...CAMPAIGN_STATUSES, 'queued'),
+      defaultValue: 'draft'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkUpdate('Campaigns', { status: 'draft' }, { status: 'queued' });
+
+    await queryInterface.changeColumn('Campaigns', 'status', {
+      type: Sequelize.ENUM(...CAMPAIGN_STATUSES),
+      defaultValue: 'draft'
+    });
+
+    await queryInterface.bulkUpdate('ImportJobs', { status: 'failed' }, { status: 'cancelled' });
+
+    await queryInterface.changeColumn('ImportJobs', 'status', {
+      type: Sequelize.ENUM(...IMPORT_STATUSES),
+      allowNull: false,
+      defaultValue: 'pending'
+    });
+
+    await queryInterface.removeColumn('ImportJobs', 'jobId');
+    await queryInterface.dropTable('Jobs');
+  }
+};
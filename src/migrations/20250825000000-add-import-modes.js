@@ -0,0 +1,30 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Import mode, merge rules and whether existing contacts are added to the list
+    await queryInterface.addColumn('ImportJobs', 'options', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('ImportJobs', 'updatedCount', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    await queryInterface.addColumn('ImportJobs', 'attachedCount', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('ImportJobs', 'attachedCount');
+    await queryInterface.removeColumn('ImportJobs', 'updatedCount');
+    await queryInterface.removeColumn('ImportJobs', 'options');
+  }
+};
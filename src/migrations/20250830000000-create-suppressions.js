@@ -0,0 +1,82 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Suppressions', {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4
+      },
+      organizationId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Organizations',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      domain: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      reason: {
+        type: Sequelize.ENUM('unsubscribe', 'complaint', 'bounce', 'manual'),
+        allowNull: false,
+        defaultValue: 'manual'
+      },
+      campaignId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'Campaigns',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    // One entry per address and per domain in a workspace
+    await queryInterface.addIndex('Suppressions', ['organizationId', 'email'], { unique: true });
+    await queryInterface.addIndex('Suppressions', ['organizationId', 'domain'], { unique: true });
+
+    // Existing unsubscribes and complaints become suppressions, so contacts
+    // re-created from those addresses stay unmailed
+    await queryInterface.sequelize.query(`
+      INSERT INTO Suppressions (id, organizationId, email, reason, createdAt)
+      SELECT UUID(), organizationId, LOWER(email),
+        CASE WHEN MAX(hasComplained = true) THEN 'complaint' ELSE 'unsubscribe' END,
+        MIN(COALESCE(unsubscribedAt, lastComplainedAt, updatedAt))
+      FROM Contacts
+      WHERE unsubscribed = true OR hasComplained = true
+      GROUP BY organizationId, LOWER(email)
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('Suppressions');
+  }
+};
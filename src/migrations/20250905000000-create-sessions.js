@@ -0,0 +1,73 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Sessions', {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      refreshTokenHash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      previousTokenHash: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      lastUsedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      userAgent: {
+        type: Sequelize.STRING(512),
+        allowNull: true
+      },
+      ipAddress: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      revokedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      revokedReason: {
+        type: Sequelize.STRING(32),
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('Sessions', ['userId', 'revokedAt']);
+    await queryInterface.addIndex('Sessions', ['previousTokenHash']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('Sessions');
+  }
+};
@@ -0,0 +1,65 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Users', 'emailVerifiedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // Accounts created before verification existed keep being able to send
+    await queryInterface.sequelize.query('UPDATE Users SET emailVerifiedAt = createdAt');
+
+    await queryInterface.createTable('UserTokens', {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      type: {
+        type: Sequelize.ENUM('password_reset', 'email_verification'),
+        allowNull: false
+      },
+      tokenHash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      usedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('UserTokens', ['userId', 'type']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('UserTokens');
+    await queryInterface.removeColumn('Users', 'emailVerifiedAt');
+  }
+};
@@ -0,0 +1,56 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Encrypted TOTP secret, set when setup starts; enabled once a code is confirmed
+    await queryInterface.addColumn('Users', 'twoFactorSecret', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('Users', 'twoFactorEnabledAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // Last time step a code was accepted for, so each code works once
+    await queryInterface.addColumn('Users', 'twoFactorLastStep', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('Users', 'twoFactorRecoveryCodes', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+
+    await queryInterface.createTable('Settings', {
+      key: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.STRING(64)
+      },
+      value: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('Settings');
+    await queryInterface.removeColumn('Users', 'twoFactorRecoveryCodes');
+    await queryInterface.removeColumn('Users', 'twoFactorLastStep');
+    await queryInterface.removeColumn('Users', 'twoFactorEnabledAt');
+    await queryInterface.removeColumn('Users', 'twoFactorSecret');
+  }
+};
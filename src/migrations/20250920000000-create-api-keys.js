@@ -0,0 +1,82 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('ApiKeys', {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      organizationId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Organizations',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      prefix: {
+        type: Sequelize.STRING(16),
+        allowNull: false
+      },
+      keyHash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      scopes: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      lastUsedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      lastUsedIp: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      revokedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('ApiKeys', ['userId', 'organizationId']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('ApiKeys');
+  }
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Failed logins in the current lockout window
+    await queryInterface.addColumn('Users', 'failedLoginAttempts', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    await queryInterface.addColumn('Users', 'lastFailedLoginAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('Users', 'lockedUntil', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // Counters of the database rate limit store (RATE_LIMIT_STORE=database)
+    await queryInterface.createTable('RateLimits', {
+      key: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.STRING(191)
+      },
+      count: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      resetAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('RateLimits', ['resetAt']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('RateLimits');
+    await queryInterface.removeColumn('Users', 'lockedUntil');
+    await queryInterface.removeColumn('Users', 'lastFailedLoginAt');
+    await queryInterface.removeColumn('Users', 'failedLoginAttempts');
+  }
+};
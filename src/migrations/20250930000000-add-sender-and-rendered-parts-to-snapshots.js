@@ -0,0 +1,35 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Sender of a campaign; null means EMAIL_FROM
+    await queryInterface.addColumn('Campaigns', 'fromAddress', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+
+    // Parts every email of a snapshot shares, frozen when it is taken
+    await queryInterface.addColumn('CampaignSnapshots', 'footerHtml', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('CampaignSnapshots', 'unsubscribeBaseUrl', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('CampaignSnapshots', 'appUrl', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('CampaignSnapshots', 'appUrl');
+    await queryInterface.removeColumn('CampaignSnapshots', 'unsubscribeBaseUrl');
+    await queryInterface.removeColumn('CampaignSnapshots', 'footerHtml');
+    await queryInterface.removeColumn('Campaigns', 'fromAddress');
+  }
+};
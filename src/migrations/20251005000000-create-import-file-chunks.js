@@ -0,0 +1,44 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Uploaded import files, kept in the database so every job runner can read them
+    await queryInterface.createTable('ImportFileChunks', {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4
+      },
+      importJobId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'ImportJobs',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      position: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      data: {
+        type: Sequelize.BLOB('long'),
+        allowNull: false
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('ImportFileChunks', ['importJobId', 'position'], { unique: true });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('ImportFileChunks');
+  }
+};
@@ -0,0 +1,17 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Bumped whenever the recovery codes change, so a code can only be used up once
+    await queryInterface.addColumn('Users', 'twoFactorRecoveryCodesVersion', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('Users', 'twoFactorRecoveryCodesVersion');
+  }
+};
@@ -0,0 +1,91 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ApiKey extends Model {
+    static associate(models) {
+      // define associations here
+      ApiKey.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user'
+      });
+
+      ApiKey.belongsTo(models.Organization, {
+        foreignKey: 'organizationId',
+        as: 'organization'
+      });
+    }
+
+    isUsable() {
+      return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+    }
+  }
+
+  // Personal API key: acts as its user in one workspace, limited to its scopes.
+  // Only a hash of the key is stored; prefix is kept so users can tell keys apart.
+  ApiKey.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    organizationId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Organizations',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // First characters of the key, e.g. "gpm_3kF9xQ2a"
+    prefix: {
+      type: DataTypes.STRING(16),
+      allowNull: false
+    },
+    // SHA-256 of the key
+    keyHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    // Permissions the key may use, see API_KEY_SCOPES in utils/permissions
+    scopes: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    // Never expires when null
+    expiresAt: {
+      type: DataTypes.DATE
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE
+    },
+    lastUsedIp: {
+      type: DataTypes.STRING(64)
+    },
+    revokedAt: {
+      type: DataTypes.DATE
+    }
+  }, {
+    sequelize,
+    modelName: 'ApiKey',
+    indexes: [
+      {
+        fields: ['userId', 'organizationId']
+      }
+    ]
+  });
+
+  return ApiKey;
+};
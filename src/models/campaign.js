@@ -9,20 +9,61 @@ module.exports = (sequelize, DataTypes) => {
         as: 'user'
       });
       
+      Campaign.belongsTo(models.Organization, {
+        foreignKey: 'organizationId',
+        as: 'organization'
+      });
+      
       Campaign.belongsTo(models.Template, {
         foreignKey: 'templateId',
         as: 'template'
       });
       
+      Campaign.belongsTo(models.TemplateVersion, {
+        foreignKey: 'templateVersionId',
+        as: 'templateVersion'
+      });
+      
       Campaign.belongsTo(models.ContactList, {
         foreignKey: 'contactListId',
         as: 'contactList'
       });
       
+      Campaign.belongsTo(models.Segment, {
+        foreignKey: 'segmentId',
+        as: 'segment'
+      });
+      
       Campaign.hasMany(models.CampaignStat, {
         foreignKey: 'campaignId',
         as: 'stats'
       });
+      
+      Campaign.hasMany(models.EmailEvent, {
+        foreignKey: 'campaignId',
+        as: 'events'
+      });
+      
+      Campaign.hasOne(models.CampaignSnapshot, {
+        foreignKey: 'campaignId',
+        as: 'snapshot'
+      });
+      
+      Campaign.hasMany(models.CampaignRecipient, {
+        foreignKey: 'campaignId',
+        as: 'recipients'
+      });
+      
+      Campaign.hasMany(models.CampaignVariant, {
+        foreignKey: 'campaignId',
+        as: 'variants'
+      });
+      
+      Campaign.belongsTo(models.CampaignVariant, {
+        foreignKey: 'abWinnerVariantId',
+        as: 'abWinnerVariant',
+        constraints: false
+      });
     }
   }
   
@@ -40,6 +81,14 @@ module.exports = (sequelize, DataTypes) => {
         key: 'id'
       }
     },
+    organizationId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Organizations',
+        key: 'id'
+      }
+    },
     name: {
       type: DataTypes.STRING,
       allowNull: false
@@ -56,16 +105,34 @@ module.exports = (sequelize, DataTypes) => {
         key: 'id'
       }
     },
+    // Template version the campaign was sent with, pinned when sending starts
+    templateVersionId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'TemplateVersions',
+        key: 'id'
+      }
+    },
+    // Audience: a static contact list or a segment evaluated at send time
     contactListId: {
       type: DataTypes.UUID,
-      allowNull: false,
+      allowNull: true,
       references: {
         model: 'ContactLists',
         key: 'id'
       }
     },
+    segmentId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Segments',
+        key: 'id'
+      }
+    },
     status: {
-      type: DataTypes.ENUM('draft', 'scheduled', 'sending', 'processing', 'completed', 'stopped'),
+      type: DataTypes.ENUM('draft', 'scheduled', 'queued', 'sending', 'processing', 'paused', 'testing', 'completed', 'stopped'),
       defaultValue: 'draft'
     },
     scheduledFor: {
@@ -102,6 +169,15 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.INTEGER,
       defaultValue: 0
     },
+    // Recipients who opened/clicked at least once, as opposed to total opens/clicks
+    uniqueOpens: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    uniqueClicks: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
     unsubscribes: {
       type: DataTypes.INTEGER,
       defaultValue: 0
@@ -128,6 +204,63 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.INTEGER,
       defaultValue: 10, // normal mode default
       allowNull: false
+    },
+    // Sender address; null means EMAIL_FROM
+    fromAddress: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // 'worker' or 'server'; null means SENDING_ENGINE decides when the campaign is sent
+    sendingEngine: {
+      type: DataTypes.ENUM('worker', 'server'),
+      allowNull: true
+    },
+    // Recipients the server sending engine failed to send to
+    sendFailures: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false
+    },
+    // A/B test: share of the recipients (percent) split across the variants; null means no test
+    abTestPercentage: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    abWinnerMetric: {
+      type: DataTypes.ENUM('opens', 'clicks'),
+      defaultValue: 'opens',
+      allowNull: false
+    },
+    // How long after the test group is sent the winner is picked
+    abWaitMinutes: {
+      type: DataTypes.INTEGER,
+      defaultValue: 240,
+      allowNull: false
+    },
+    abTestEndsAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    abWinnerVariantId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    lockedBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    lockedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    scheduleAttempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false
+    },
+    lastScheduleError: {
+      type: DataTypes.TEXT,
+      allowNull: true
     }
   }, {
     sequelize,
@@ -0,0 +1,87 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class CampaignRecipient extends Model {
+    static associate(models) {
+      // define associations here
+      CampaignRecipient.belongsTo(models.Campaign, {
+        foreignKey: 'campaignId',
+        as: 'campaign'
+      });
+
+      CampaignRecipient.belongsTo(models.Contact, {
+        foreignKey: 'contactId',
+        as: 'contact'
+      });
+
+      CampaignRecipient.belongsTo(models.CampaignVariant, {
+        foreignKey: 'variantId',
+        as: 'variant'
+      });
+    }
+  }
+
+  // A recipient of a campaign as resolved when it moved to "sending", with the
+  // contact fields the email was rendered with
+  CampaignRecipient.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    campaignId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Campaigns',
+        key: 'id'
+      }
+    },
+    // Null once the contact is deleted; the snapshot is kept for audits
+    contactId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Contacts',
+        key: 'id'
+      }
+    },
+    // A/B test variant; null for recipients held back until the winner is picked
+    variantId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'CampaignVariants',
+        key: 'id'
+      }
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    firstName: {
+      type: DataTypes.STRING
+    },
+    lastName: {
+      type: DataTypes.STRING
+    },
+    company: {
+      type: DataTypes.STRING
+    },
+    metadata: {
+      type: DataTypes.JSON
+    }
+  }, {
+    sequelize,
+    modelName: 'CampaignRecipient',
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['campaignId', 'contactId']
+      }
+    ]
+  });
+
+  return CampaignRecipient;
+};
@@ -0,0 +1,93 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class CampaignSnapshot extends Model {
+    static associate(models) {
+      // define associations here
+      CampaignSnapshot.belongsTo(models.Campaign, {
+        foreignKey: 'campaignId',
+        as: 'campaign'
+      });
+
+      CampaignSnapshot.belongsTo(models.TemplateVersion, {
+        foreignKey: 'templateVersionId',
+        as: 'templateVersion'
+      });
+    }
+  }
+
+  // What a campaign was sent with, frozen when it moves to "sending"
+  CampaignSnapshot.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    campaignId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'Campaigns',
+        key: 'id'
+      }
+    },
+    templateVersionId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'TemplateVersions',
+        key: 'id'
+      }
+    },
+    // Template sources, rendered per recipient with the recipient's snapshot
+    subject: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    html: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    // Text part source, derived from the HTML when the snapshot is taken; null only on
+    // snapshots taken before it was stored
+    text: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    fromAddress: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Unsubscribe footer and the URLs emails link to, as they were when the snapshot was
+    // taken; null on older snapshots, which use the current ones
+    footerHtml: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    unsubscribeBaseUrl: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    appUrl: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    recipientCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false
+    },
+    // Time templates are rendered at ({{current_date}}), so every email renders the same
+    renderedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'CampaignSnapshot',
+    updatedAt: false
+  });
+
+  return CampaignSnapshot;
+};
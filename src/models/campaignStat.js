@@ -69,10 +69,20 @@ module.exports = (sequelize, DataTypes) => {
     },
     clickedAt: {
       type: DataTypes.DATE
+    },
+    bouncedAt: {
+      type: DataTypes.DATE
     }
   }, {
     sequelize,
-    modelName: 'CampaignStat'
+    modelName: 'CampaignStat',
+    indexes: [
+      {
+        // One row per recipient, kept up to date from the EmailEvent log
+        unique: true,
+        fields: ['campaignId', 'contactId']
+      }
+    ]
   });
   
   return CampaignStat;
@@ -0,0 +1,104 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class CampaignVariant extends Model {
+    static associate(models) {
+      // define associations here
+      CampaignVariant.belongsTo(models.Campaign, {
+        foreignKey: 'campaignId',
+        as: 'campaign'
+      });
+
+      CampaignVariant.belongsTo(models.Template, {
+        foreignKey: 'templateId',
+        as: 'template'
+      });
+
+      CampaignVariant.belongsTo(models.TemplateVersion, {
+        foreignKey: 'templateVersionId',
+        as: 'templateVersion'
+      });
+
+      CampaignVariant.hasMany(models.CampaignRecipient, {
+        foreignKey: 'variantId',
+        as: 'recipients'
+      });
+    }
+  }
+
+  // One arm of an A/B test; subject and template fall back to the campaign's
+  CampaignVariant.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    campaignId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Campaigns',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    subject: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    templateId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Templates',
+        key: 'id'
+      }
+    },
+    // Version of the variant's template it was sent with, pinned when sending starts
+    templateVersionId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'TemplateVersions',
+        key: 'id'
+      }
+    },
+    // Recipients of the test group assigned to this variant
+    testRecipients: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    sent: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    delivered: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    opens: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    clicks: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    uniqueOpens: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    uniqueClicks: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    }
+  }, {
+    sequelize,
+    modelName: 'CampaignVariant'
+  });
+
+  return CampaignVariant;
+};
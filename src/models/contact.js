@@ -4,12 +4,27 @@ module.exports = (sequelize, DataTypes) => {
   class Contact extends Model {
     static associate(models) {
       // define associations here
+      Contact.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user'
+      });
+      
+      Contact.belongsTo(models.Organization, {
+        foreignKey: 'organizationId',
+        as: 'organization'
+      });
+      
       Contact.belongsToMany(models.ContactList, {
         through: 'ContactListContacts',
         foreignKey: 'contactId',
         otherKey: 'contactListId',
         as: 'lists'
       });
+      
+      Contact.hasMany(models.EmailEvent, {
+        foreignKey: 'contactId',
+        as: 'events'
+      });
     }
   }
   
@@ -19,10 +34,25 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: DataTypes.UUIDV4,
       primaryKey: true
     },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    organizationId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Organizations',
+        key: 'id'
+      }
+    },
     email: {
       type: DataTypes.STRING,
       allowNull: false,
-      unique: true,
       validate: {
         isEmail: true
       }
@@ -87,7 +117,14 @@ module.exports = (sequelize, DataTypes) => {
     }
   }, {
     sequelize,
-    modelName: 'Contact'
+    modelName: 'Contact',
+    indexes: [
+      {
+        // Each workspace keeps its own copy of a subscriber
+        unique: true,
+        fields: ['organizationId', 'email']
+      }
+    ]
   });
   
   return Contact;
@@ -9,6 +9,11 @@ module.exports = (sequelize, DataTypes) => {
         as: 'user'
       });
       
+      ContactList.belongsTo(models.Organization, {
+        foreignKey: 'organizationId',
+        as: 'organization'
+      });
+      
       ContactList.hasMany(models.Campaign, {
         foreignKey: 'contactListId',
         as: 'campaigns'
@@ -37,6 +42,14 @@ module.exports = (sequelize, DataTypes) => {
         key: 'id'
       }
     },
+    organizationId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Organizations',
+        key: 'id'
+      }
+    },
     name: {
       type: DataTypes.STRING,
       allowNull: false
@@ -0,0 +1,91 @@
+const { Model } = require('sequelize');
+
+const EVENT_TYPES = ['send', 'delivery', 'open', 'click', 'bounce', 'complaint', 'unsubscribe', 'reject', 'delivery_delay'];
+
+module.exports = (sequelize, DataTypes) => {
+  class EmailEvent extends Model {
+    static associate(models) {
+      // define associations here
+      EmailEvent.belongsTo(models.Campaign, {
+        foreignKey: 'campaignId',
+        as: 'campaign'
+      });
+
+      EmailEvent.belongsTo(models.Contact, {
+        foreignKey: 'contactId',
+        as: 'contact'
+      });
+    }
+  }
+
+  EmailEvent.TYPES = EVENT_TYPES;
+
+  // Append-only log of every tracking event for a recipient of a campaign
+  EmailEvent.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Idempotency key; a replayed event with the same ID is ignored
+    eventId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    campaignId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Campaigns',
+        key: 'id'
+      }
+    },
+    contactId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Contacts',
+        key: 'id'
+      }
+    },
+    type: {
+      type: DataTypes.ENUM(...EVENT_TYPES),
+      allowNull: false
+    },
+    occurredAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    link: {
+      type: DataTypes.TEXT
+    },
+    userAgent: {
+      type: DataTypes.STRING(512)
+    },
+    bounceType: {
+      type: DataTypes.STRING
+    },
+    bounceSubType: {
+      type: DataTypes.STRING
+    },
+    payload: {
+      type: DataTypes.JSON
+    }
+  }, {
+    sequelize,
+    modelName: 'EmailEvent',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['campaignId', 'type', 'occurredAt']
+      },
+      {
+        fields: ['contactId', 'occurredAt']
+      }
+    ]
+  });
+
+  return EmailEvent;
+};
@@ -0,0 +1,52 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ImportFileChunk extends Model {
+    static associate(models) {
+      // define associations here
+      ImportFileChunk.belongsTo(models.ImportJob, {
+        foreignKey: 'importJobId',
+        as: 'importJob'
+      });
+    }
+  }
+
+  // A piece of an uploaded import file, stored in the database so whichever runner takes
+  // the import job can read it
+  ImportFileChunk.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    importJobId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'ImportJobs',
+        key: 'id'
+      }
+    },
+    // Order of the chunk within the file, from 0
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    data: {
+      type: DataTypes.BLOB('long'),
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'ImportFileChunk',
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['importJobId', 'position']
+      }
+    ]
+  });
+
+  return ImportFileChunk;
+};
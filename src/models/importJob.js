@@ -0,0 +1,175 @@
+const { Model } = require('sequelize');
+
+const IMPORT_STATUSES = ['pending', 'processing', 'completed', 'failed', 'cancelled'];
+
+module.exports = (sequelize, DataTypes) => {
+  class ImportJob extends Model {
+    static associate(models) {
+      // define associations here
+      ImportJob.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user'
+      });
+
+      ImportJob.belongsTo(models.Organization, {
+        foreignKey: 'organizationId',
+        as: 'organization'
+      });
+
+      ImportJob.belongsTo(models.ContactList, {
+        foreignKey: 'contactListId',
+        as: 'contactList'
+      });
+
+      ImportJob.belongsTo(models.Job, {
+        foreignKey: 'jobId',
+        as: 'job'
+      });
+
+      ImportJob.hasMany(models.ImportJobError, {
+        foreignKey: 'importJobId',
+        as: 'rowErrors'
+      });
+
+      ImportJob.hasMany(models.ImportFileChunk, {
+        foreignKey: 'importJobId',
+        as: 'fileChunks'
+      });
+    }
+  }
+
+  ImportJob.STATUSES = IMPORT_STATUSES;
+
+  // Contact import from an uploaded CSV or XLSX file: uploaded ("pending") until its
+  // columns are mapped, then read row by row by a background job
+  ImportJob.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    organizationId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Organizations',
+        key: 'id'
+      }
+    },
+    // List the imported contacts are added to
+    contactListId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'ContactLists',
+        key: 'id'
+      }
+    },
+    // Background job reading the file
+    jobId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Jobs',
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.ENUM(...IMPORT_STATUSES),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    fileName: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    format: {
+      type: DataTypes.ENUM('csv', 'xlsx'),
+      allowNull: false
+    },
+    // Local path of an upload stored before files were kept in the database
+    // (ImportFileChunks); null otherwise
+    filePath: {
+      type: DataTypes.STRING(1024)
+    },
+    fileSize: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Header row of the file
+    columns: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    // Column name -> contact field (email, firstName, lastName, company, status or metadata.<key>)
+    mapping: {
+      type: DataTypes.JSON
+    },
+    // { mode, merge, attachExisting }, see importService.resolveOptions
+    options: {
+      type: DataTypes.JSON
+    },
+    // Percentage of the file read so far
+    progress: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    processedRows: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    createdCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Existing contacts changed by an update import
+    updatedCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Existing contacts added to the list
+    attachedCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    skippedCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    failedCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Why the import as a whole failed
+    error: {
+      type: DataTypes.TEXT
+    },
+    startedAt: {
+      type: DataTypes.DATE
+    },
+    completedAt: {
+      type: DataTypes.DATE
+    }
+  }, {
+    sequelize,
+    modelName: 'ImportJob'
+  });
+
+  return ImportJob;
+};
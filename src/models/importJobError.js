@@ -0,0 +1,56 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ImportJobError extends Model {
+    static associate(models) {
+      // define associations here
+      ImportJobError.belongsTo(models.ImportJob, {
+        foreignKey: 'importJobId',
+        as: 'importJob'
+      });
+    }
+  }
+
+  // A row of an import file that wasn't imported, with its original values for the error report
+  ImportJobError.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    importJobId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'ImportJobs',
+        key: 'id'
+      }
+    },
+    // Line of the file, the header being row 1
+    rowNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    email: {
+      type: DataTypes.STRING
+    },
+    message: {
+      type: DataTypes.STRING(512),
+      allowNull: false
+    },
+    values: {
+      type: DataTypes.JSON
+    }
+  }, {
+    sequelize,
+    modelName: 'ImportJobError',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['importJobId', 'rowNumber']
+      }
+    ]
+  });
+
+  return ImportJobError;
+};
@@ -0,0 +1,114 @@
+const { Model } = require('sequelize');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+module.exports = (sequelize, DataTypes) => {
+  class Job extends Model {
+    static associate(models) {
+      // define associations here
+      Job.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user'
+      });
+
+      Job.belongsTo(models.Organization, {
+        foreignKey: 'organizationId',
+        as: 'organization'
+      });
+    }
+  }
+
+  Job.STATUSES = JOB_STATUSES;
+
+  // Background job: queued until a worker claims it, retried with backoff when it fails
+  Job.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Workspace and user the job runs for; system jobs have neither
+    organizationId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Organizations',
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    // Handler name, e.g. 'contacts.import'
+    type: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    payload: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    },
+    status: {
+      type: DataTypes.ENUM(...JOB_STATUSES),
+      allowNull: false,
+      defaultValue: 'queued'
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    maxAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 3
+    },
+    // Earliest time the job may (re)run
+    runAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    // Worker holding the job while it runs; refreshed as the job reports progress
+    lockedBy: {
+      type: DataTypes.STRING
+    },
+    lockedAt: {
+      type: DataTypes.DATE
+    },
+    // Percentage done, as reported by the handler
+    progress: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    result: {
+      type: DataTypes.JSON
+    },
+    // Error of the last failed attempt
+    error: {
+      type: DataTypes.TEXT
+    },
+    startedAt: {
+      type: DataTypes.DATE
+    },
+    completedAt: {
+      type: DataTypes.DATE
+    }
+  }, {
+    sequelize,
+    modelName: 'Job',
+    indexes: [
+      { fields: ['status', 'runAt'] },
+      { fields: ['organizationId', 'createdAt'] }
+    ]
+  });
+
+  return Job;
+};
@@ -0,0 +1,55 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Organization extends Model {
+    static associate(models) {
+      // define associations here
+      Organization.hasMany(models.OrganizationMember, {
+        foreignKey: 'organizationId',
+        as: 'members'
+      });
+      
+      Organization.hasMany(models.OrganizationInvitation, {
+        foreignKey: 'organizationId',
+        as: 'invitations'
+      });
+      
+      Organization.hasMany(models.Campaign, {
+        foreignKey: 'organizationId',
+        as: 'campaigns'
+      });
+      
+      Organization.hasMany(models.Template, {
+        foreignKey: 'organizationId',
+        as: 'templates'
+      });
+      
+      Organization.hasMany(models.ContactList, {
+        foreignKey: 'organizationId',
+        as: 'contactLists'
+      });
+      
+      Organization.hasMany(models.Contact, {
+        foreignKey: 'organizationId',
+        as: 'contacts'
+      });
+    }
+  }
+  
+  Organization.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'Organization'
+  });
+  
+  return Organization;
+};
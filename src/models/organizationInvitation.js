@@ -0,0 +1,79 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class OrganizationInvitation extends Model {
+    static associate(models) {
+      // define associations here
+      OrganizationInvitation.belongsTo(models.Organization, {
+        foreignKey: 'organizationId',
+        as: 'organization'
+      });
+      
+      OrganizationInvitation.belongsTo(models.User, {
+        foreignKey: 'invitedById',
+        as: 'invitedBy'
+      });
+    }
+    
+    isPending() {
+      return !this.acceptedAt && !this.revokedAt && this.expiresAt > new Date();
+    }
+  }
+  
+  OrganizationInvitation.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    organizationId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Organizations',
+        key: 'id'
+      }
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isEmail: true
+      }
+    },
+    role: {
+      type: DataTypes.ENUM('owner', 'editor', 'viewer'),
+      defaultValue: 'viewer',
+      allowNull: false
+    },
+    // Only a SHA-256 hash of the invitation token is stored
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    invitedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    acceptedAt: {
+      type: DataTypes.DATE
+    },
+    revokedAt: {
+      type: DataTypes.DATE
+    }
+  }, {
+    sequelize,
+    modelName: 'OrganizationInvitation'
+  });
+  
+  return OrganizationInvitation;
+};
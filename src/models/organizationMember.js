@@ -0,0 +1,58 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class OrganizationMember extends Model {
+    static associate(models) {
+      // define associations here
+      OrganizationMember.belongsTo(models.Organization, {
+        foreignKey: 'organizationId',
+        as: 'organization'
+      });
+      
+      OrganizationMember.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user'
+      });
+    }
+  }
+  
+  OrganizationMember.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    organizationId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Organizations',
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    role: {
+      type: DataTypes.ENUM('owner', 'editor', 'viewer'),
+      defaultValue: 'viewer',
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'OrganizationMember',
+    indexes: [
+      {
+        unique: true,
+        fields: ['organizationId', 'userId']
+      }
+    ]
+  });
+  
+  return OrganizationMember;
+};
@@ -0,0 +1,38 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class RateLimit extends Model {
+    static associate(models) {
+      // define associations here
+    }
+  }
+
+  // Fixed-window request counter of the database rate limit store
+  RateLimit.init({
+    // Limit group and caller, e.g. "auth:ip:203.0.113.7"
+    key: {
+      type: DataTypes.STRING(191),
+      primaryKey: true
+    },
+    count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    resetAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'RateLimit',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['resetAt']
+      }
+    ]
+  });
+
+  return RateLimit;
+};
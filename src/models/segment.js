@@ -0,0 +1,66 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Segment extends Model {
+    static associate(models) {
+      // define associations here
+      Segment.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user'
+      });
+
+      Segment.belongsTo(models.Organization, {
+        foreignKey: 'organizationId',
+        as: 'organization'
+      });
+
+      Segment.hasMany(models.Campaign, {
+        foreignKey: 'segmentId',
+        as: 'campaigns'
+      });
+    }
+  }
+
+  // Saved audience defined by rules over contact fields and engagement,
+  // evaluated whenever it is used rather than stored as membership
+  Segment.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    organizationId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Organizations',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT
+    },
+    // Rule tree, see segmentService
+    rules: {
+      type: DataTypes.JSON,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'Segment'
+  });
+
+  return Segment;
+};
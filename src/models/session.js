@@ -0,0 +1,75 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Session extends Model {
+    static associate(models) {
+      // define associations here
+      Session.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user'
+      });
+    }
+  }
+
+  // A signed-in device: holds the hash of its current refresh token, rotated on
+  // every refresh. Access tokens name their session and stop working once it is revoked.
+  Session.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    // SHA-256 of the current refresh token
+    refreshTokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    // SHA-256 of the token it replaced; presenting it again means the token leaked
+    previousTokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE
+    },
+    userAgent: {
+      type: DataTypes.STRING(512)
+    },
+    ipAddress: {
+      type: DataTypes.STRING(64)
+    },
+    revokedAt: {
+      type: DataTypes.DATE
+    },
+    // logout, revoked, password_changed, deactivated or token_reuse
+    revokedReason: {
+      type: DataTypes.STRING(32)
+    }
+  }, {
+    sequelize,
+    modelName: 'Session',
+    indexes: [
+      {
+        fields: ['userId', 'revokedAt']
+      },
+      {
+        fields: ['previousTokenHash']
+      }
+    ]
+  });
+
+  return Session;
+};
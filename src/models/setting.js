@@ -0,0 +1,25 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Setting extends Model {
+    static associate(models) {
+      // define associations here
+    }
+  }
+
+  // System-wide setting changed by admins at runtime, see settingService for the keys
+  Setting.init({
+    key: {
+      type: DataTypes.STRING(64),
+      primaryKey: true
+    },
+    value: {
+      type: DataTypes.JSON
+    }
+  }, {
+    sequelize,
+    modelName: 'Setting'
+  });
+
+  return Setting;
+};
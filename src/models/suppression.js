@@ -0,0 +1,93 @@
+const { Model } = require('sequelize');
+
+const REASONS = ['unsubscribe', 'complaint', 'bounce', 'manual'];
+
+module.exports = (sequelize, DataTypes) => {
+  class Suppression extends Model {
+    static associate(models) {
+      // define associations here
+      Suppression.belongsTo(models.Organization, {
+        foreignKey: 'organizationId',
+        as: 'organization'
+      });
+
+      Suppression.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user'
+      });
+
+      Suppression.belongsTo(models.Campaign, {
+        foreignKey: 'campaignId',
+        as: 'campaign'
+      });
+    }
+  }
+
+  Suppression.REASONS = REASONS;
+
+  // An email address or a whole domain the workspace must never mail again,
+  // whatever happens to the contacts behind it
+  Suppression.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    organizationId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Organizations',
+        key: 'id'
+      }
+    },
+    // Who added it by hand or imported it; null when it came from an event
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    // Exactly one of email and domain is set, both lowercase
+    email: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    domain: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    reason: {
+      type: DataTypes.ENUM(...REASONS),
+      allowNull: false,
+      defaultValue: 'manual'
+    },
+    // Campaign the unsubscribe, complaint or bounce came from
+    campaignId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Campaigns',
+        key: 'id'
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'Suppression',
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['organizationId', 'email']
+      },
+      {
+        unique: true,
+        fields: ['organizationId', 'domain']
+      }
+    ]
+  });
+
+  return Suppression;
+};
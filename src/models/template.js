@@ -9,10 +9,20 @@ module.exports = (sequelize, DataTypes) => {
         as: 'user'
       });
       
+      Template.belongsTo(models.Organization, {
+        foreignKey: 'organizationId',
+        as: 'organization'
+      });
+      
       Template.hasMany(models.Campaign, {
         foreignKey: 'templateId',
         as: 'campaigns'
       });
+
+      Template.hasMany(models.TemplateVersion, {
+        foreignKey: 'templateId',
+        as: 'versions'
+      });
     }
   }
   
@@ -30,6 +40,14 @@ module.exports = (sequelize, DataTypes) => {
         key: 'id'
       }
     },
+    organizationId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Organizations',
+        key: 'id'
+      }
+    },
     name: {
       type: DataTypes.STRING,
       allowNull: false
@@ -57,6 +75,12 @@ module.exports = (sequelize, DataTypes) => {
     },
     lastUsed: {
       type: DataTypes.DATE
+    },
+    // Number of the latest TemplateVersion; 0 before the first save
+    currentVersion: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false
     }
   }, {
     sequelize,
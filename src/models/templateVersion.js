@@ -0,0 +1,78 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class TemplateVersion extends Model {
+    static associate(models) {
+      // define associations here
+      TemplateVersion.belongsTo(models.Template, {
+        foreignKey: 'templateId',
+        as: 'template'
+      });
+
+      TemplateVersion.belongsTo(models.User, {
+        foreignKey: 'createdById',
+        as: 'createdBy'
+      });
+
+      TemplateVersion.hasMany(models.Campaign, {
+        foreignKey: 'templateVersionId',
+        as: 'campaigns'
+      });
+    }
+  }
+
+  // Immutable snapshot of a template's subject and content, one per save
+  TemplateVersion.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    templateId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Templates',
+        key: 'id'
+      }
+    },
+    // 1, 2, 3... per template
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    subject: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    content: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    createdById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    // Set when the version was created by restoring an older one
+    restoredFromVersion: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'TemplateVersion',
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['templateId', 'version']
+      }
+    ]
+  });
+
+  return TemplateVersion;
+};
@@ -19,11 +19,48 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'userId',
         as: 'contactLists'
       });
+      
+      User.hasMany(models.Contact, {
+        foreignKey: 'userId',
+        as: 'contacts'
+      });
+      
+      User.hasMany(models.OrganizationMember, {
+        foreignKey: 'userId',
+        as: 'memberships'
+      });
+
+      User.hasMany(models.Session, {
+        foreignKey: 'userId',
+        as: 'sessions'
+      });
+
+      User.hasMany(models.UserToken, {
+        foreignKey: 'userId',
+        as: 'tokens'
+      });
+
+      User.hasMany(models.ApiKey, {
+        foreignKey: 'userId',
+        as: 'apiKeys'
+      });
     }
     
     async comparePassword(candidatePassword) {
       return await bcrypt.compare(candidatePassword, this.password);
     }
+
+    // Never send the password or two-factor secrets to a client
+    toJSON() {
+      const {
+        password,
+        twoFactorSecret,
+        twoFactorLastStep,
+        twoFactorRecoveryCodes,
+        ...values
+      } = super.toJSON();
+      return values;
+    }
   }
   
   User.init({
@@ -62,6 +99,42 @@ module.exports = (sequelize, DataTypes) => {
     },
     lastLogin: {
       type: DataTypes.DATE
+    },
+    // Set once the user follows a verification link; unverified users can't send
+    emailVerifiedAt: {
+      type: DataTypes.DATE
+    },
+    // Two-factor authentication, see twoFactorService. The secret is encrypted and
+    // only the hashes of the recovery codes are stored.
+    twoFactorSecret: {
+      type: DataTypes.TEXT
+    },
+    twoFactorEnabledAt: {
+      type: DataTypes.DATE
+    },
+    twoFactorLastStep: {
+      type: DataTypes.INTEGER
+    },
+    twoFactorRecoveryCodes: {
+      type: DataTypes.JSON
+    },
+    // Bumped whenever the recovery codes change, see twoFactorService.verify
+    twoFactorRecoveryCodesVersion: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Login lockout, see accountService.recordFailedLogin
+    failedLoginAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    lastFailedLoginAt: {
+      type: DataTypes.DATE
+    },
+    lockedUntil: {
+      type: DataTypes.DATE
     }
   }, {
     sequelize,
@@ -78,6 +151,18 @@ module.exports = (sequelize, DataTypes) => {
           const salt = await bcrypt.genSalt(10);
           user.password = await bcrypt.hash(user.password, salt);
         }
+      },
+      // A new password or a deactivated account signs the user out everywhere
+      afterUpdate: async (user, options) => {
+        const reason = user.changed('password')
+          ? 'password_changed'
+          : (user.changed('active') && !user.active ? 'deactivated' : null);
+        if (!reason) return;
+
+        await sequelize.models.Session.update(
+          { revokedAt: new Date(), revokedReason: reason },
+          { where: { userId: user.id, revokedAt: null }, transaction: options.transaction }
+        );
       }
     }
   });
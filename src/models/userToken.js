@@ -0,0 +1,72 @@
+const { Model } = require('sequelize');
+
+const TOKEN_TYPES = ['password_reset', 'email_verification'];
+
+module.exports = (sequelize, DataTypes) => {
+  class UserToken extends Model {
+    static associate(models) {
+      // define associations here
+      UserToken.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user'
+      });
+    }
+
+    isUsable() {
+      return !this.usedAt && this.expiresAt > new Date();
+    }
+  }
+
+  UserToken.TYPES = TOKEN_TYPES;
+
+  // Single-use token mailed to a user to prove they own their address:
+  // a password reset link or an email verification link
+  UserToken.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    type: {
+      type: DataTypes.ENUM(...TOKEN_TYPES),
+      allowNull: false
+    },
+    // Only a SHA-256 hash of the token is stored
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    // Address the token was sent to; it stops working if the user's email changes
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    usedAt: {
+      type: DataTypes.DATE
+    }
+  }, {
+    sequelize,
+    modelName: 'UserToken',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['userId', 'type']
+      }
+    ]
+  });
+
+  return UserToken;
+};
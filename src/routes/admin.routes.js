@@ -0,0 +1,27 @@
+const express = require('express');
+const { body } = require('express-validator');
+const adminController = require('../controllers/admin.controller');
+const { sessionAuth, requireAdmin } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// System administration, only for users with the admin role
+router.use(sessionAuth, requireAdmin);
+
+// System-wide settings
+router.get('/settings', adminController.getSettings);
+router.put(
+  '/settings',
+  [
+    body('requireTwoFactor').optional().isBoolean({ strict: true }).withMessage('requireTwoFactor must be true or false')
+  ],
+  adminController.updateSettings
+);
+
+// Reset the two-factor authentication of a user who lost their device
+router.post('/users/:id/2fa/reset', adminController.resetTwoFactor);
+
+// Lift the lockout of a user who failed to log in too often
+router.post('/users/:id/unlock', adminController.unlockUser);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const { body } = require('express-validator');
+const apiKeyController = require('../controllers/apiKey.controller');
+const { sessionAuth, workspace } = require('../middleware/auth.middleware');
+const { API_KEY_SCOPES } = require('../utils/permissions');
+
+const router = express.Router();
+
+// Keys are managed by the signed-in user, never with another key
+router.use(sessionAuth, workspace);
+
+// Get your API keys in the workspace
+router.get('/', apiKeyController.getApiKeys);
+
+// Create an API key
+router.post(
+  '/',
+  [
+    body('name', 'Name is required').trim().notEmpty().isLength({ max: 255 }),
+    body('scopes', 'At least one scope is required').isArray({ min: 1 }),
+    body('scopes.*').isIn(API_KEY_SCOPES).withMessage(`Scopes must be among ${API_KEY_SCOPES.join(', ')}`),
+    body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('expiresAt must be an ISO 8601 date')
+  ],
+  apiKeyController.createApiKey
+);
+
+// Revoke an API key
+router.delete('/:id', apiKeyController.revokeApiKey);
+
+module.exports = router;
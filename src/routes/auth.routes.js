@@ -1,13 +1,15 @@
 const express = require('express');
 const { body } = require('express-validator');
 const authController = require('../controllers/auth.controller');
-const { auth } = require('../middleware/auth.middleware');
+const { sessionAuth, authForTwoFactorSetup } = require('../middleware/auth.middleware');
+const { rateLimit } = require('../middleware/rateLimit.middleware');
 
 const router = express.Router();
 
 // Register route
 router.post(
   '/register',
+  rateLimit('auth'),
   [
     body('firstName', 'First name is required').notEmpty(),
     body('lastName', 'Last name is required').notEmpty(),
@@ -20,6 +22,7 @@ router.post(
 // Login route
 router.post(
   '/login',
+  rateLimit('login'),
   [
     body('email', 'Please include a valid email').isEmail(),
     body('password', 'Password is required').notEmpty()
@@ -27,7 +30,103 @@ router.post(
   authController.login
 );
 
+// Second login step when two-factor authentication is enabled
+router.post(
+  '/login/2fa',
+  rateLimit('login'),
+  [
+    body('challengeToken', 'Login challenge is required').isString().notEmpty(),
+    body('code', 'Authentication code or recovery code is required')
+      .if(body('recoveryCode').not().exists()).isString().notEmpty(),
+    body('recoveryCode').optional().isString().notEmpty()
+  ],
+  authController.loginTwoFactor
+);
+
+// Exchange a refresh token for new tokens
+router.post(
+  '/refresh',
+  [
+    body('refreshToken', 'Refresh token is required').isString().notEmpty()
+  ],
+  authController.refresh
+);
+
+// Logout route
+router.post(
+  '/logout',
+  [
+    body('refreshToken', 'Refresh token is required').isString().notEmpty()
+  ],
+  authController.logout
+);
+
+// Password reset: request a link by email, then set a new password with its token
+router.post(
+  '/forgot-password',
+  rateLimit('auth'),
+  [
+    body('email', 'Please include a valid email').isEmail()
+  ],
+  authController.forgotPassword
+);
+router.post(
+  '/reset-password',
+  rateLimit('auth'),
+  [
+    body('token', 'Reset token is required').isString().notEmpty(),
+    body('password', 'Password must be at least 6 characters').isLength({ min: 6 })
+  ],
+  authController.resetPassword
+);
+
+// Email verification
+router.post(
+  '/verify-email',
+  rateLimit('auth'),
+  [
+    body('token', 'Verification token is required').isString().notEmpty()
+  ],
+  authController.verifyEmail
+);
+router.post('/resend-verification', sessionAuth, authController.resendVerification);
+
 // Get current user
-router.get('/me', auth, authController.me);
+router.get('/me', authForTwoFactorSetup, authController.me);
+
+// Two-factor authentication; reachable before setup when admins require it
+router.post('/2fa/setup', authForTwoFactorSetup, authController.setupTwoFactor);
+router.post(
+  '/2fa/enable',
+  authForTwoFactorSetup,
+  [
+    body('code', 'Authentication code is required').isString().notEmpty()
+  ],
+  authController.enableTwoFactor
+);
+router.post(
+  '/2fa/disable',
+  sessionAuth,
+  [
+    body('password', 'Password is required').notEmpty(),
+    body('code', 'Authentication code or recovery code is required')
+      .if(body('recoveryCode').not().exists()).isString().notEmpty(),
+    body('recoveryCode').optional().isString().notEmpty()
+  ],
+  authController.disableTwoFactor
+);
+router.post(
+  '/2fa/recovery-codes',
+  sessionAuth,
+  [
+    body('code', 'Authentication code is required').isString().notEmpty()
+  ],
+  authController.regenerateRecoveryCodes
+);
+
+// Signed-in sessions of the current user
+router.get('/sessions', sessionAuth, authController.getSessions);
+router.delete('/sessions', sessionAuth, authController.revokeOtherSessions);
+router.delete('/sessions/:id', sessionAuth, authController.revokeSession);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,34 +1,74 @@
 const express = require('express');
 const { body } = require('express-validator');
 const campaignController = require('../controllers/campaign.controller');
-const { auth } = require('../middleware/auth.middleware');
+const { auth, workspace, authorize, requireVerifiedEmail } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
-// Apply auth middleware to all routes
-router.use(auth);
+// A/B test settings accepted on create and update
+const validateAbTest = [
+  body('abTestPercentage').optional({ nullable: true }).isInt({ min: 1, max: 100 }).withMessage('abTestPercentage must be between 1 and 100'),
+  body('abWinnerMetric').optional().isIn(['opens', 'clicks']).withMessage('abWinnerMetric must be opens or clicks'),
+  body('abWaitMinutes').optional().isInt({ min: 0, max: 10080 }).withMessage('abWaitMinutes must be between 0 and 10080'),
+  body('variants').optional().isArray({ min: 2, max: 5 }).withMessage('An A/B test needs between 2 and 5 variants'),
+  body('variants.*.name').optional().isString().trim().notEmpty().withMessage('Variant name cannot be empty'),
+  body('variants.*.subject').optional({ nullable: true }).isString(),
+  body('variants.*.templateId').optional({ nullable: true }).isUUID().withMessage('Invalid variant Template ID format')
+];
+
+// Send dates must be in the future; the scheduler sends a campaign once its date has passed
+const validateScheduledFor = body('scheduledFor').optional()
+  .isISO8601().withMessage('Invalid date format for scheduledFor')
+  .bail()
+  .custom(value => new Date(value).getTime() > Date.now()).withMessage('Cannot schedule campaign in the past');
+
+// Setting a send date or a status on create/update starts, reschedules or stops sending,
+// just like the schedule and send endpoints
+const changesSending = (req) => req.body.scheduledFor !== undefined || req.body.status !== undefined;
+
+// Apply auth and workspace middleware to all routes
+router.use(auth, workspace);
 
 // Get all campaigns
-router.get('/', campaignController.getCampaigns);
+router.get('/', authorize('campaigns:read'), campaignController.getCampaigns);
 
 // Get campaign by ID
-router.get('/:id', campaignController.getCampaign);
+router.get('/:id', authorize('campaigns:read'), campaignController.getCampaign);
 
 // Get campaign statistics
-router.get('/:id/stats', campaignController.getCampaignStats);
+router.get('/:id/stats', authorize('campaigns:read'), campaignController.getCampaignStats);
+
+// Get campaign event log
+router.get('/:id/events', authorize('campaigns:read'), campaignController.getCampaignEvents);
+
+// Get what a campaign was sent with: content, sender and recipients
+router.get('/:id/snapshot', authorize('campaigns:read'), campaignController.getCampaignSnapshot);
+router.get('/:id/snapshot/recipients', authorize('campaigns:read'), campaignController.getCampaignRecipients);
+router.get('/:id/snapshot/recipients/:contactId', authorize('campaigns:read'), campaignController.getCampaignRecipientEmail);
 
 // Create a new campaign
 router.post(
   '/',
+  authorize('campaigns:write'),
+  authorize('campaigns:send', changesSending),
+  // Creating a campaign with a date schedules it to send
+  requireVerifiedEmail(req => Boolean(req.body.scheduledFor)),
   [
     body('name', 'Campaign name is required').notEmpty().trim(),
     body('subject', 'Subject line is required').notEmpty().trim(),
     body('templateId', 'Template ID is required').notEmpty().isUUID().withMessage('Invalid Template ID format'),
-    body('contactListId', 'Contact list ID is required').notEmpty().isUUID().withMessage('Invalid Contact List ID format'),
-    body('scheduledFor').optional().isISO8601().withMessage('Invalid date format for scheduledFor'),
+    body('contactListId').optional().isUUID().withMessage('Invalid Contact List ID format'),
+    body('segmentId').optional().isUUID().withMessage('Invalid Segment ID format'),
+    body()
+      .custom(({ contactListId, segmentId }) => Boolean(contactListId) !== Boolean(segmentId))
+      .withMessage('Either contactListId or segmentId is required'),
+    validateScheduledFor,
     body('sendingMode').optional().isIn(['normal', 'turtle']).withMessage('Invalid sending mode'),
     body('emailsPerMinute').optional().isInt({ min: 1, max: 600 }).withMessage('Emails per minute must be between 1 and 600'),
-    body('maxConcurrentBatches').optional().isInt({ min: 1, max: 50 }).withMessage('Max concurrent batches must be between 1 and 50')
+    body('maxConcurrentBatches').optional().isInt({ min: 1, max: 50 }).withMessage('Max concurrent batches must be between 1 and 50'),
+    body('sendingEngine').optional({ nullable: true }).isIn(['worker', 'server']).withMessage('Invalid sending engine'),
+    body('fromAddress').optional({ nullable: true }).isEmail().withMessage('Invalid sender address'),
+    ...validateAbTest
   ],
   campaignController.createCampaign
 );
@@ -36,39 +76,54 @@ router.post(
 // Update a campaign
 router.put(
   '/:id',
+  authorize('campaigns:write'),
+  authorize('campaigns:send', changesSending),
+  requireVerifiedEmail(req => Boolean(req.body.scheduledFor) || req.body.status === 'scheduled'),
   [
     body('name').optional().trim(),
     body('subject').optional().trim(),
     body('templateId').optional().isUUID().withMessage('Invalid Template ID format'),
     body('contactListId').optional().isUUID().withMessage('Invalid Contact List ID format'),
-    body('status').optional().isIn(['draft', 'scheduled', 'sending', 'processing', 'completed', 'stopped']).withMessage('Invalid status value'),
-    body('scheduledFor').optional().isISO8601().withMessage('Invalid date format for scheduledFor'),
+    body('segmentId').optional().isUUID().withMessage('Invalid Segment ID format'),
+    body()
+      .custom(({ contactListId, segmentId }) => !(contactListId && segmentId))
+      .withMessage('Send either contactListId or segmentId, not both'),
+    // Sending is started with /send or /send-now, not by setting the status
+    body('status').optional().isIn(['draft', 'scheduled', 'stopped']).withMessage('Invalid status value'),
+    validateScheduledFor,
     body('sendingMode').optional().isIn(['normal', 'turtle']).withMessage('Invalid sending mode'),
     body('emailsPerMinute').optional().isInt({ min: 1, max: 600 }).withMessage('Emails per minute must be between 1 and 600'),
-    body('maxConcurrentBatches').optional().isInt({ min: 1, max: 50 }).withMessage('Max concurrent batches must be between 1 and 50')
+    body('maxConcurrentBatches').optional().isInt({ min: 1, max: 50 }).withMessage('Max concurrent batches must be between 1 and 50'),
+    body('sendingEngine').optional({ nullable: true }).isIn(['worker', 'server']).withMessage('Invalid sending engine'),
+    body('fromAddress').optional({ nullable: true }).isEmail().withMessage('Invalid sender address'),
+    ...validateAbTest
   ],
   campaignController.updateCampaign
 );
 
 // Delete a campaign
-router.delete('/:id', campaignController.deleteCampaign);
+router.delete('/:id', authorize('campaigns:write'), campaignController.deleteCampaign);
 
 // Schedule a campaign
-router.post('/:id/schedule', campaignController.scheduleCampaign);
+router.post('/:id/schedule', authorize('campaigns:send'), requireVerifiedEmail(), campaignController.scheduleCampaign);
 
 // Send campaign now
-router.post('/:id/send', campaignController.sendCampaignNow);
+router.post('/:id/send', authorize('campaigns:send'), requireVerifiedEmail(), campaignController.sendCampaignNow);
 
 // Stop a campaign
-router.post('/:id/stop', campaignController.stopCampaign);
+router.post('/:id/stop', authorize('campaigns:send'), campaignController.stopCampaign);
+
+// Pause/resume a campaign sent by the server engine
+router.post('/:id/pause', authorize('campaigns:send'), campaignController.pauseCampaign);
+router.post('/:id/resume', authorize('campaigns:send'), requireVerifiedEmail(), campaignController.resumeCampaign);
 
 // Cancel scheduled campaign
-router.post('/:id/cancel', campaignController.cancelSchedule);
+router.post('/:id/cancel', authorize('campaigns:send'), campaignController.cancelSchedule);
 
 // Cancel a scheduled campaign
-router.post('/:id/cancel-schedule', campaignController.cancelSchedule);
+router.post('/:id/cancel-schedule', authorize('campaigns:send'), campaignController.cancelSchedule);
 
 // Send campaign immediately
-router.post('/:id/send-now', campaignController.sendCampaignNow);
+router.post('/:id/send-now', authorize('campaigns:send'), requireVerifiedEmail(), campaignController.sendCampaignNow);
 
 module.exports = router;
\ No newline at end of file
@@ -1,26 +1,72 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const contactController = require('../controllers/contact.controller');
-const { auth, validateApiKey } = require('../middleware/auth.middleware');
+const { auth, workspace, authorize, validateWorkerSignature } = require('../middleware/auth.middleware');
+const { uploadFile } = require('../middleware/upload.middleware');
 const ContactList = require('../models/contactList');
 
 const router = express.Router();
 
-// Get contact by email (for SES webhook) - uses API key auth
-router.get('/by-email/:email', validateApiKey, contactController.getContactByEmail);
+// Import mode options shared by file and JSON imports; importService checks the values
+const validateImportOptions = [
+  body('mode').optional().isIn(['skip', 'update', 'addToList']).withMessage('mode must be skip, update or addToList'),
+  body('merge').optional().isObject().withMessage('merge must map contact fields to merge strategies'),
+  body('attachExisting').optional().isBoolean().withMessage('attachExisting must be a boolean').toBoolean()
+];
 
-// Apply auth middleware to all other routes
-router.use(auth);
+// Get contact by email (for SES webhook) - uses worker request signatures
+router.get('/by-email/:email', validateWorkerSignature, contactController.getContactByEmail);
+
+// Apply auth and workspace middleware to all other routes
+router.use(auth, workspace);
 
 // Get all contacts
-router.get('/', contactController.getContacts);
+router.get('/', authorize('contacts:read'), contactController.getContacts);
+
+// Export contacts as CSV or NDJSON (must come before /:id)
+router.get(
+  '/export',
+  authorize('contacts:read'),
+  [
+    query('format').optional().isIn(['csv', 'ndjson']).withMessage('format must be csv or ndjson'),
+    query('status').optional().isIn(['active', 'unsubscribed', 'bounced']).withMessage('Invalid status')
+  ],
+  contactController.exportContacts
+);
+
+// File imports: upload, map columns and start, then follow progress
+router.post(
+  '/imports',
+  authorize('contacts:write'),
+  uploadFile({
+    field: 'file',
+    maxSize: parseInt(process.env.IMPORT_MAX_FILE_SIZE || 50 * 1024 * 1024),
+    extensions: ['.csv', '.txt', '.xlsx']
+  }),
+  contactController.uploadImport
+);
+router.get('/imports', authorize('contacts:read'), contactController.getImports);
+router.get('/imports/:importId', authorize('contacts:read'), contactController.getImport);
+router.get('/imports/:importId/errors', authorize('contacts:read'), contactController.getImportErrors);
+router.post(
+  '/imports/:importId/start',
+  authorize('contacts:write'),
+  [
+    body('mapping', 'mapping of column names to contact fields is required').isObject(),
+    body('listId').optional({ nullable: true }).isUUID().withMessage('List ID must be a valid UUID'),
+    ...validateImportOptions
+  ],
+  contactController.startImport
+);
+router.delete('/imports/:importId', authorize('contacts:write'), contactController.deleteImport);
 
 // Get contact by ID
-router.get('/:id', contactController.getContact);
+router.get('/:id', authorize('contacts:read'), contactController.getContact);
 
 // Create a new contact
 router.post(
   '/',
+  authorize('contacts:write'),
   [
     body('email', 'Please include a valid email').isEmail(),
     body('firstName').optional(),
@@ -45,6 +91,7 @@ router.post(
 // Update a contact
 router.put(
   '/:id',
+  authorize('contacts:write'),
   [
     body('firstName').optional(),
     body('lastName').optional(),
@@ -66,11 +113,12 @@ router.put(
 );
 
 // Delete a contact
-router.delete('/:id', contactController.deleteContact);
+router.delete('/:id', authorize('contacts:write'), contactController.deleteContact);
 
 // Import contacts
 router.post(
   '/import',
+  authorize('contacts:write'),
   [
     body('contacts').isArray().withMessage('Contacts must be an array'),
     body('contacts.*.email').isEmail().withMessage('Invalid email address'),
@@ -79,16 +127,8 @@ router.post(
     body('contacts.*.phone').optional(),
     body('contacts.*.status').optional().isIn(['active', 'unsubscribed', 'bounced']).withMessage('Invalid status value'),
     body('contacts.*.metadata').optional(),
-    body('listId').optional().isUUID().withMessage('List ID must be a valid UUID'),
-    body('listId').optional().custom(async (value) => {
-      if (value) {
-        const list = await ContactList.findByPk(value);
-        if (!list) {
-          throw new Error('Contact list not found');
-        }
-      }
-      return true;
-    })
+    body('listId').optional({ nullable: true }).isUUID().withMessage('List ID must be a valid UUID'),
+    ...validateImportOptions
   ],
   contactController.importContacts
 );
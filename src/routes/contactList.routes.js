@@ -1,25 +1,37 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const contactListController = require('../controllers/contactList.controller');
-const { auth } = require('../middleware/auth.middleware');
+const { auth, workspace, authorize } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
-// Apply auth middleware to all routes
-router.use(auth);
+// Apply auth and workspace middleware to all routes
+router.use(auth, workspace);
 
 // Get all contact lists
-router.get('/', contactListController.getContactLists);
+router.get('/', authorize('contacts:read'), contactListController.getContactLists);
 
 // Get contact list by ID
-router.get('/:id', contactListController.getContactList);
+router.get('/:id', authorize('contacts:read'), contactListController.getContactList);
 
 // Get contacts in a list
-router.get('/:id/contacts', contactListController.getContactListContacts);
+router.get('/:id/contacts', authorize('contacts:read'), contactListController.getContactListContacts);
+
+// Export the contacts in a list as CSV or NDJSON
+router.get(
+  '/:id/export',
+  authorize('contacts:read'),
+  [
+    query('format').optional().isIn(['csv', 'ndjson']).withMessage('format must be csv or ndjson'),
+    query('status').optional().isIn(['active', 'unsubscribed', 'bounced']).withMessage('Invalid status')
+  ],
+  contactListController.exportContactList
+);
 
 // Create a new contact list
 router.post(
   '/',
+  authorize('contacts:write'),
   [
     body('name', 'Contact list name is required').notEmpty(),
     body('description').optional()
@@ -30,6 +42,7 @@ router.post(
 // Update a contact list
 router.put(
   '/:id',
+  authorize('contacts:write'),
   [
     body('name').optional(),
     body('description').optional()
@@ -38,11 +51,12 @@ router.put(
 );
 
 // Delete a contact list
-router.delete('/:id', contactListController.deleteContactList);
+router.delete('/:id', authorize('contacts:write'), contactListController.deleteContactList);
 
 // Add contacts to a list
 router.post(
   '/:id/contacts',
+  authorize('contacts:write'),
   [
     body('contactIds', 'contactIds array is required').isArray().notEmpty()
   ],
@@ -52,6 +66,7 @@ router.post(
 // Remove contacts from a list
 router.delete(
   '/:id/contacts',
+  authorize('contacts:write'),
   [
     body('contactIds', 'contactIds array is required').isArray().notEmpty()
   ],
@@ -0,0 +1,32 @@
+const express = require('express');
+const { query } = require('express-validator');
+const jobController = require('../controllers/job.controller');
+const { auth, workspace, validateCronSecret } = require('../middleware/auth.middleware');
+const { Job } = require('../models');
+
+const router = express.Router();
+
+// Cron entry point for the job runner; uses the cron secret, NOT JWT auth
+// Vercel Cron issues GET requests; POST is accepted for other cron services
+router.get('/run', validateCronSecret, jobController.runJobs);
+router.post('/run', validateCronSecret, jobController.runJobs);
+
+// Apply auth and workspace middleware to the other routes
+router.use(auth, workspace);
+
+// Get the workspace's jobs of the types the member has the permission of
+router.get(
+  '/',
+  [
+    query('status').optional().isIn(Job.STATUSES).withMessage(`status must be one of ${Job.STATUSES.join(', ')}`)
+  ],
+  jobController.getJobs
+);
+
+// Get job status, progress and result (needs the permission of the job's type)
+router.get('/:id', jobController.getJob);
+
+// Cancel a job (needs the permission of the job's type)
+router.post('/:id/cancel', jobController.cancelJob);
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const express = require('express');
+const { body } = require('express-validator');
+const organizationController = require('../controllers/organization.controller');
+const { sessionAuth, workspace, authorize } = require('../middleware/auth.middleware');
+const { ROLES } = require('../utils/permissions');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(sessionAuth);
+
+// Get my workspaces
+router.get('/', organizationController.getOrganizations);
+
+// Create workspace
+router.post(
+  '/',
+  [
+    body('name', 'Workspace name is required').trim().notEmpty()
+  ],
+  organizationController.createOrganization
+);
+
+// Accept an invitation (the token comes from the invitation email)
+router.post('/invitations/:token/accept', organizationController.acceptInvitation);
+
+// Get workspace
+router.get('/:organizationId', workspace, organizationController.getOrganization);
+
+// Rename workspace
+router.put(
+  '/:organizationId',
+  workspace,
+  authorize('organization:manage'),
+  [
+    body('name', 'Workspace name is required').trim().notEmpty()
+  ],
+  organizationController.updateOrganization
+);
+
+// Get members
+router.get('/:organizationId/members', workspace, authorize('members:read'), organizationController.getMembers);
+
+// Change a member's role
+router.put(
+  '/:organizationId/members/:memberId',
+  workspace,
+  authorize('members:manage'),
+  [
+    body('role', `Role must be one of: ${ROLES.join(', ')}`).isIn(ROLES)
+  ],
+  organizationController.updateMember
+);
+
+// Remove a member (or leave the workspace)
+router.delete('/:organizationId/members/:memberId', workspace, organizationController.removeMember);
+
+// Get pending invitations
+router.get('/:organizationId/invitations', workspace, authorize('members:manage'), organizationController.getInvitations);
+
+// Invite a member by email
+router.post(
+  '/:organizationId/invitations',
+  workspace,
+  authorize('members:manage'),
+  [
+    body('email', 'Please include a valid email').isEmail().normalizeEmail(),
+    body('role', `Role must be one of: ${ROLES.join(', ')}`).optional().isIn(ROLES)
+  ],
+  organizationController.createInvitation
+);
+
+// Revoke an invitation
+router.delete(
+  '/:organizationId/invitations/:invitationId',
+  workspace,
+  authorize('members:manage'),
+  organizationController.revokeInvitation
+);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+/**
+ * Scheduler Routes
+ * 
+ * Cron entry points for the campaign scheduler
+ * IMPORTANT: These routes use the cron secret, NOT JWT auth
+ */
+
+const express = require('express');
+const router = express.Router();
+const schedulerController = require('../controllers/scheduler.controller');
+const { validateCronSecret } = require('../middleware/auth.middleware');
+
+// Vercel Cron issues GET requests; POST is accepted for other cron services
+router.get('/run', validateCronSecret, schedulerController.runScheduler);
+router.post('/run', validateCronSecret, schedulerController.runScheduler);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const segmentController = require('../controllers/segment.controller');
+const { auth, workspace, authorize } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+const validateSampleSize = (location) => [
+  location('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+];
+
+// Apply auth and workspace middleware to all routes
+router.use(auth, workspace);
+
+// Get all segments
+router.get('/', authorize('contacts:read'), segmentController.getSegments);
+
+// Preview rules before saving them
+router.post(
+  '/preview',
+  authorize('contacts:read'),
+  [
+    body('rules', 'Segment rules are required').isObject(),
+    ...validateSampleSize(body)
+  ],
+  segmentController.previewRules
+);
+
+// Get segment by ID
+router.get('/:id', authorize('contacts:read'), segmentController.getSegment);
+
+// Preview a saved segment
+router.get('/:id/preview', authorize('contacts:read'), validateSampleSize(query), segmentController.previewSegment);
+
+// Create a new segment
+router.post(
+  '/',
+  authorize('contacts:write'),
+  [
+    body('name', 'Segment name is required').notEmpty().trim(),
+    body('description').optional(),
+    body('rules', 'Segment rules are required').isObject()
+  ],
+  segmentController.createSegment
+);
+
+// Update a segment
+router.put(
+  '/:id',
+  authorize('contacts:write'),
+  [
+    body('name').optional().trim(),
+    body('description').optional(),
+    body('rules').optional().isObject().withMessage('Segment rules must be an object')
+  ],
+  segmentController.updateSegment
+);
+
+// Delete a segment
+router.delete('/:id', authorize('contacts:write'), segmentController.deleteSegment);
+
+module.exports = router;
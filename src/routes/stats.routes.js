@@ -1,11 +1,11 @@
 const express = require('express');
 const statsController = require('../controllers/stats.controller');
-const { auth } = require('../middleware/auth.middleware');
+const { auth, workspace, authorize } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
-// Apply auth middleware to all routes
-router.use(auth);
+// Apply auth and workspace middleware to all routes
+router.use(auth, workspace, authorize('stats:read'));
 
 // Get dashboard statistics
 router.get('/dashboard', statsController.getDashboardStats);
@@ -0,0 +1,56 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const suppressionController = require('../controllers/suppression.controller');
+const { auth, workspace, authorize } = require('../middleware/auth.middleware');
+const { uploadFile } = require('../middleware/upload.middleware');
+const { Suppression } = require('../models');
+
+const router = express.Router();
+
+// List and export filters
+const validateFilters = [
+  query('reason').optional().isIn(Suppression.REASONS).withMessage(`reason must be one of ${Suppression.REASONS.join(', ')}`),
+  query('type').optional().isIn(['email', 'domain']).withMessage('type must be email or domain')
+];
+
+// Apply auth and workspace middleware to all routes
+router.use(auth, workspace);
+
+// Get the suppression list
+router.get('/', authorize('contacts:read'), validateFilters, suppressionController.getSuppressions);
+
+// Export the suppression list as CSV
+router.get('/export', authorize('contacts:read'), validateFilters, suppressionController.exportSuppressions);
+
+// Suppress an email address or a domain
+router.post(
+  '/',
+  authorize('contacts:write'),
+  [
+    body('email').optional().isString(),
+    body('domain').optional().isString(),
+    body('reason').optional().isIn(Suppression.REASONS).withMessage(`reason must be one of ${Suppression.REASONS.join(', ')}`),
+    body('campaignId').optional({ nullable: true }).isUUID().withMessage('Campaign ID must be a valid UUID')
+  ],
+  suppressionController.createSuppression
+);
+
+// Import suppressions from a CSV file
+router.post(
+  '/import',
+  authorize('contacts:write'),
+  uploadFile({
+    field: 'file',
+    maxSize: parseInt(process.env.IMPORT_MAX_FILE_SIZE || 50 * 1024 * 1024),
+    extensions: ['.csv', '.txt']
+  }),
+  [
+    body('reason').optional().isIn(Suppression.REASONS).withMessage(`reason must be one of ${Suppression.REASONS.join(', ')}`)
+  ],
+  suppressionController.importSuppressions
+);
+
+// Remove a suppression
+router.delete('/:id', authorize('contacts:write'), suppressionController.deleteSuppression);
+
+module.exports = router;
@@ -1,30 +1,56 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const templateController = require('../controllers/template.controller');
-const { auth } = require('../middleware/auth.middleware');
+const { auth, workspace, authorize } = require('../middleware/auth.middleware');
 const { validateTemplate } = require('../middleware/template.middleware');
 
 const router = express.Router();
 
-// Apply auth middleware to all routes
-router.use(auth);
+const validateVersionParam = [
+  param('version').isInt({ min: 1 }).withMessage('Version must be a version number')
+];
+
+// Apply auth and workspace middleware to all routes
+router.use(auth, workspace);
 
 // Get all templates
-router.get('/', templateController.getTemplates);
+router.get('/', authorize('templates:read'), templateController.getTemplates);
+
+// Validate template content against contact fields
+router.post('/validate', authorize('templates:read'), [
+  body('subject').optional().isString(),
+  body('content').optional().isString(),
+  body('contactListId').optional().isUUID()
+], templateController.validateTemplateContent);
 
 // Get template by ID
-router.get('/:id', templateController.getTemplate);
+router.get('/:id', authorize('templates:read'), templateController.getTemplate);
 
 // Preview template
-router.get('/:id/preview', templateController.previewTemplate);
+router.get('/:id/preview', authorize('templates:read'), templateController.previewTemplate);
+
+// Template version history
+router.get('/:id/versions', authorize('templates:read'), templateController.getTemplateVersions);
+
+// Compare two versions (to defaults to the current version)
+router.get('/:id/versions/diff', authorize('templates:read'), [
+  query('from').isInt({ min: 1 }).withMessage('from must be a version number'),
+  query('to').optional().isInt({ min: 1 }).withMessage('to must be a version number')
+], templateController.diffTemplateVersions);
+
+// Get one version
+router.get('/:id/versions/:version', authorize('templates:read'), validateVersionParam, templateController.getTemplateVersion);
+
+// Restore a version as the current content
+router.post('/:id/versions/:version/restore', authorize('templates:write'), validateVersionParam, templateController.restoreTemplateVersion);
 
 // Create a new template
-router.post('/', validateTemplate, templateController.createTemplate);
+router.post('/', authorize('templates:write'), validateTemplate, templateController.createTemplate);
 
 // Update a template
-router.put('/:id', validateTemplate, templateController.updateTemplate);
+router.put('/:id', authorize('templates:write'), validateTemplate, templateController.updateTemplate);
 
 // Delete a template
-router.delete('/:id', templateController.deleteTemplate);
+router.delete('/:id', authorize('templates:write'), templateController.deleteTemplate);
 
 module.exports = router; 
\ No newline at end of file
@@ -2,22 +2,22 @@
  * Tracking Routes
  * 
  * API routes for tracking data updates from the worker
- * IMPORTANT: These routes use API key validation, NOT JWT auth
+ * IMPORTANT: These routes use worker request signatures, NOT JWT auth
  */
 
 const express = require('express');
 const router = express.Router();
 const trackingController = require('../controllers/tracking.controller');
-const { validateApiKey } = require('../middleware/auth.middleware');
+const { validateWorkerSignature } = require('../middleware/auth.middleware');
 
-// WORKER AUTH: All tracking routes use API key authentication, not JWT
-// Each route explicitly uses validateApiKey to prevent auth middleware confusion
-router.post('/update', validateApiKey, trackingController.updateTracking);
-router.post('/batch-update', validateApiKey, trackingController.updateBatchTracking);
-router.post('/contacts/unsubscribe', validateApiKey, trackingController.updateUnsubscribe);
-router.post('/contacts/bounce', validateApiKey, trackingController.recordBounce);
-router.post('/contacts/complaint', validateApiKey, trackingController.recordComplaint);
-router.post('/campaign/status', validateApiKey, trackingController.updateCampaignStatus);
-router.post('/contact/campaign-send', validateApiKey, trackingController.updateContactForCampaignSend);
+// WORKER AUTH: All tracking routes use HMAC request signatures, not JWT
+// Each route explicitly uses validateWorkerSignature to prevent auth middleware confusion
+router.post('/update', validateWorkerSignature, trackingController.updateTracking);
+router.post('/batch-update', validateWorkerSignature, trackingController.updateBatchTracking);
+router.post('/contacts/unsubscribe', validateWorkerSignature, trackingController.updateUnsubscribe);
+router.post('/contacts/bounce', validateWorkerSignature, trackingController.recordBounce);
+router.post('/contacts/complaint', validateWorkerSignature, trackingController.recordComplaint);
+router.post('/campaign/status', validateWorkerSignature, trackingController.updateCampaignStatus);
+router.post('/contact/campaign-send', validateWorkerSignature, trackingController.updateContactForCampaignSend);
 
 module.exports = router;
@@ -1,12 +1,12 @@
 const express = require('express');
 const { body } = require('express-validator');
 const userController = require('../controllers/user.controller');
-const { auth } = require('../middleware/auth.middleware');
+const { sessionAuth } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
 // Apply auth middleware to all routes
-router.use(auth);
+router.use(sessionAuth);
 
 // Get current user profile
 router.get('/profile', userController.getProfile);
@@ -1,7 +1,17 @@
 // filepath: /Users/eyorsogood/Sites/launch.gravitypointmedia.com/server/src/routes/validation.js
 const express = require('express');
 const router = express.Router();
+const { body, validationResult } = require('express-validator');
 const validationService = require('../services/validationService');
+const jobService = require('../services/jobService');
+const { auth, workspace, authorize } = require('../middleware/auth.middleware');
+const { rateLimit } = require('../middleware/rateLimit.middleware');
+
+// Emails accepted in one batch validation job
+const MAX_BATCH_EMAILS = parseInt(process.env.VALIDATION_BATCH_MAX_EMAILS) || 1000;
+
+// Validation makes the server query DNS and mail servers, so every route is limited per IP
+router.use(rateLimit('validate'));
 
 /**
  * Check MX records for a domain
@@ -19,12 +29,12 @@ router.post('/mx', async (req, res) => {
 });
 
 /**
- * Check if email already exists
+ * Check if email already exists among the current workspace's contacts
  * POST /api/validate/duplicate
  */
-router.post('/duplicate', async (req, res) => {
-  const { email } = req.body;
-  const result = await validationService.checkDuplicate(email);
+router.post('/duplicate', auth, workspace, authorize('contacts:read'), async (req, res) => {
+  const { email, listId } = req.body;
+  const result = await validationService.checkDuplicate(email, listId, req.organization.id);
   
   if (!result.success) {
     return res.status(400).json(result);
@@ -49,18 +59,49 @@ router.post('/email', async (req, res) => {
 });
 
 /**
- * Batch validate multiple emails
+ * Batch validate multiple emails in the background
  * POST /api/validate/batch
+ * Answers 202 with a job; the results are on GET /api/jobs/:id once it has completed
  */
-router.post('/batch', async (req, res) => {
-  const { emails } = req.body;
-  const result = await validationService.validateBatch(emails);
-  
-  if (!result.success) {
-    return res.status(500).json(result);
+router.post(
+  '/batch',
+  auth,
+  workspace,
+  authorize('contacts:write'),
+  [
+    body('emails')
+      .isArray({ min: 1, max: MAX_BATCH_EMAILS })
+      .withMessage(`emails must be an array of 1 to ${MAX_BATCH_EMAILS} addresses`),
+    body('emails.*').isString().withMessage('emails must be strings'),
+    body('listId').optional({ nullable: true }).isUUID().withMessage('List ID must be a valid UUID')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const { emails, listId = null } = req.body;
+      const job = await jobService.enqueue('validation.batch', { emails, listId }, {
+        organizationId: req.organization.id,
+        userId: req.user.id
+      });
+
+      return res.status(202).json({
+        success: true,
+        message: 'Batch validation queued',
+        job: jobService.serialize(job)
+      });
+    } catch (error) {
+      console.error('Queue batch validation error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error queueing batch validation',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
   }
-  
-  return res.json(result);
-});
+);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,15 @@
+/**
+ * Webhook Routes
+ * 
+ * Endpoints called by third-party services
+ * IMPORTANT: These routes verify the sender's own signature, NOT JWT auth
+ */
+
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhook.controller');
+
+// SNS posts its JSON envelope as text/plain; the signature is checked in the controller
+router.post('/ses', express.text({ type: '*/*', limit: '1mb' }), webhookController.handleSesNotification);
+
+module.exports = router;
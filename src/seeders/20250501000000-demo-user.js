@@ -7,10 +7,13 @@ module.exports = {
   async up(queryInterface, Sequelize) {
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash('password123', salt);
-    
-    return queryInterface.bulkInsert('Users', [
+    const adminId = uuidv4();
+    const demoId = uuidv4();
+    const organizationId = uuidv4();
+
+    await queryInterface.bulkInsert('Users', [
       {
-        id: uuidv4(),
+        id: adminId,
         firstName: 'Admin',
         lastName: 'User',
         email: 'admin@example.com',
@@ -21,7 +24,7 @@ module.exports = {
         updatedAt: new Date()
       },
       {
-        id: uuidv4(),
+        id: demoId,
         firstName: 'Demo',
         lastName: 'User',
         email: 'demo@example.com',
@@ -32,9 +35,40 @@ module.exports = {
         updatedAt: new Date()
       }
     ]);
+
+    // Both demo users share one workspace
+    await queryInterface.bulkInsert('Organizations', [
+      {
+        id: organizationId,
+        name: 'Demo Workspace',
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }
+    ]);
+
+    return queryInterface.bulkInsert('OrganizationMembers', [
+      {
+        id: uuidv4(),
+        organizationId,
+        userId: adminId,
+        role: 'owner',
+        createdAt: new Date(),
+        updatedAt: new Date()
+      },
+      {
+        id: uuidv4(),
+        organizationId,
+        userId: demoId,
+        role: 'editor',
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }
+    ]);
   },
 
   async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete('OrganizationMembers', null, {});
+    await queryInterface.bulkDelete('Organizations', null, {});
     return queryInterface.bulkDelete('Users', null, {});
   }
-}; 
\ No newline at end of file
+};
@@ -10,40 +10,77 @@ const campaignRoutes = require('./routes/campaign.routes');
 const templateRoutes = require('./routes/template.routes');
 const contactRoutes = require('./routes/contact.routes');
 const contactListRoutes = require('./routes/contactList.routes');
+const segmentRoutes = require('./routes/segment.routes');
+const suppressionRoutes = require('./routes/suppression.routes');
 const statsRoutes = require('./routes/stats.routes');
+const organizationRoutes = require('./routes/organization.routes');
 const validationRoutes = require('./routes/validation');
 const trackingRoutes = require('./routes/tracking.routes'); // Add tracking routes
+const schedulerRoutes = require('./routes/scheduler.routes');
+const jobRoutes = require('./routes/job.routes');
+const webhookRoutes = require('./routes/webhook.routes');
+const adminRoutes = require('./routes/admin.routes');
+const apiKeyRoutes = require('./routes/apiKey.routes');
+const schedulerService = require('./services/schedulerService');
+const { jobService } = require('./services');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a proxy or load balancer, req.ip (used by rate limiting) needs the proxy trusted;
+// TRUST_PROXY takes the Express "trust proxy" value, e.g. 1 or "loopback"
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(cors({
   origin: '*', // Allow all origins
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Organization-Id'],
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After']
 }));
 
 // Handle OPTIONS preflight requests
 app.options('*', cors());
 
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body around so worker request signatures can be verified
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/organizations', organizationRoutes);
 app.use('/api/campaigns', campaignRoutes);
 app.use('/api/templates', templateRoutes);
 app.use('/api/contacts', contactRoutes);
 app.use('/api/contact-lists', contactListRoutes);
+app.use('/api/segments', segmentRoutes);
+app.use('/api/suppressions', suppressionRoutes);
 app.use('/api/stats', statsRoutes);
 app.use('/api/validate', validationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
 
-// Tracking routes with worker API key authentication
+// Tracking routes with worker request signature authentication
 // These should NOT use the regular JWT auth middleware
 app.use('/api/tracking', trackingRoutes);
 
+// Scheduler routes are triggered by cron and authenticated with the cron secret
+app.use('/api/scheduler', schedulerRoutes);
+
+// Background job status; the job runner's cron entry point uses the cron secret
+app.use('/api/jobs', jobRoutes);
+
+// Webhooks verify the signature of the service that calls them
+app.use('/api/webhooks', webhookRoutes);
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok' });
@@ -89,6 +126,17 @@ const startServer = async () => {
       app.listen(PORT, () => {
         console.log(`Server running on port ${PORT}`);
       });
+      
+      // Long-running processes poll for due campaigns themselves;
+      // serverless deployments rely on the cron-triggered /api/scheduler/run
+      if (process.env.SCHEDULER_ENABLED !== 'false') {
+        schedulerService.start();
+      }
+
+      // Background jobs run here unless a separate worker process (npm run worker) does
+      if (process.env.JOBS_ENABLED !== 'false') {
+        jobService.start();
+      }
     }
   } catch (error) {
     console.error('Unable to connect to the database:', error);
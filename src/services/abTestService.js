@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Campaign, CampaignVariant, CampaignRecipient, Template, TemplateVersion, sequelize } = require('../models');
+const { createError } = require('../utils/error');
+const templateService = require('./templateService');
+
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 5;
+
+// Unique counter each winner metric is measured with
+const WINNER_COUNTERS = {
+  opens: 'uniqueOpens',
+  clicks: 'uniqueClicks'
+};
+
+/**
+ * A/B Test Service - Splits a test share of a campaign's recipients across subject/template
+ * variants, and picks the variant with the best open or click rate once the wait window
+ * is over so the remainder of the list gets the winner.
+ *
+ * Phases: the campaign sends its test group ("sending"), waits ("testing") until
+ * abTestEndsAt, then the scheduler picks the winner and the held-back recipients are
+ * sent with it ("sending" again, then "completed").
+ */
+class AbTestService {
+  /**
+   * Whether a campaign is an A/B test
+   * @param {Campaign} campaign - Campaign
+   * @returns {boolean}
+   */
+  isTest(campaign) {
+    return campaign.abTestPercentage !== null && campaign.abTestPercentage !== undefined;
+  }
+
+  /**
+   * Replace the variants of a campaign
+   * @param {Campaign} campaign - Campaign
+   * @param {Object[]} variants - Variants as { name, subject, templateId }
+   * @param {Object} transaction - Transaction to write in
+   * @returns {Promise<CampaignVariant[]>} - Created variants
+   */
+  async setVariants(campaign, variants, transaction) {
+    if (!Array.isArray(variants) || variants.length < MIN_VARIANTS || variants.length > MAX_VARIANTS) {
+      throw createError(`An A/B test needs between ${MIN_VARIANTS} and ${MAX_VARIANTS} variants`, 400);
+    }
+
+    const names = variants.map((variant, index) => variant.name || String.fromCharCode(65 + index));
+    if (new Set(names).size !== names.length) {
+      throw createError('Variant names must be unique', 400);
+    }
+
+    const templateIds = [...new Set(variants.map(variant => variant.templateId).filter(Boolean))];
+    if (templateIds.length > 0) {
+      const found = await Template.count({
+        where: { id: templateIds, organizationId: campaign.organizationId },
+        transaction
+      });
+      if (found !== templateIds.length) {
+        throw createError('Variant template not found or access denied', 404);
+      }
+    }
+
+    await CampaignVariant.destroy({ where: { campaignId: campaign.id }, transaction });
+
+    return CampaignVariant.bulkCreate(variants.map((variant, index) => ({
+      campaignId: campaign.id,
+      name: names[index],
+      subject: variant.subject || null,
+      templateId: variant.templateId || null
+    })), { transaction });
+  }
+
+  /**
+   * Remove the A/B test from a campaign
+   * @param {Campaign} campaign - Campaign
+   * @param {Object} transaction - Transaction to write in
+   */
+  async removeTest(campaign, transaction) {
+    await CampaignVariant.destroy({ where: { campaignId: campaign.id }, transaction });
+  }
+
+  /**
+   * Get the variants of a campaign, by name
+   * @param {string} campaignId - Campaign ID
+   * @param {Object} [options] - Extra query options
+   * @returns {Promise<CampaignVariant[]>} - Variants
+   */
+  getVariants(campaignId, options = {}) {
+    return CampaignVariant.findAll({
+      where: { campaignId },
+      order: [['name', 'ASC']],
+      ...options
+    });
+  }
+
+  /**
+   * Pin the current version of every variant template, like the campaign's own template
+   * @param {Campaign} campaign - Campaign
+   */
+  async pinVariantVersions(campaign) {
+    const variants = await this.getVariants(campaign.id, {
+      include: [{ model: Template, as: 'template' }]
+    });
+    if (variants.length < MIN_VARIANTS) {
+      throw createError(`An A/B test needs between ${MIN_VARIANTS} and ${MAX_VARIANTS} variants`, 400);
+    }
+
+    for (const variant of variants) {
+      if (variant.template) {
+        const templateVersion = await templateService.getCurrentVersion(variant.template);
+        await variant.update({ templateVersionId: templateVersion.id });
+      }
+    }
+  }
+
+  /**
+   * Split the test group of a snapshot across the variants
+   * The test group is a random abTestPercentage of the recipients (at least one per
+   * variant); the other recipients stay unassigned until the winner is picked.
+   * @param {Campaign} campaign - Campaign with a fresh snapshot
+   */
+  async assignTestGroup(campaign) {
+    const variants = await this.getVariants(campaign.id);
+    const recipients = await CampaignRecipient.findAll({
+      where: { campaignId: campaign.id },
+      attributes: ['id']
+    });
+
+    // Fisher-Yates shuffle so the test group is a random sample of the list
+    const ids = recipients.map(recipient => recipient.id);
+    for (let i = ids.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [ids[i], ids[j]] = [ids[j], ids[i]];
+    }
+
+    const testSize = Math.min(
+      ids.length,
+      Math.max(variants.length, Math.ceil(ids.length * campaign.abTestPercentage / 100))
+    );
+    const groups = variants.map(() => []);
+    ids.slice(0, testSize).forEach((id, index) => groups[index % variants.length].push(id));
+
+    await sequelize.transaction(async (transaction) => {
+      for (const [index, variant] of variants.entries()) {
+        if (groups[index].length > 0) {
+          await CampaignRecipient.update({ variantId: variant.id }, {
+            where: { id: groups[index] },
+            transaction
+          });
+        }
+        await variant.update({
+          testRecipients: groups[index].length,
+          sent: 0,
+          delivered: 0,
+          opens: 0,
+          clicks: 0,
+          uniqueOpens: 0,
+          uniqueClicks: 0
+        }, { transaction });
+      }
+
+      await Campaign.update({ abTestEndsAt: null, abWinnerVariantId: null }, {
+        where: { id: campaign.id },
+        transaction
+      });
+    });
+  }
+
+  /**
+   * Get the subject, HTML and text sources every variant is sent with
+   * A variant with its own template version has its text part derived from its HTML.
+   * @param {Campaign} campaign - Campaign
+   * @param {CampaignSnapshot} snapshot - Campaign snapshot, used where a variant doesn't override
+   * @returns {Promise<Map<string, Object>>} - { subject, html, text } keyed by variant ID
+   */
+  async getVariantContents(campaign, snapshot) {
+    const variants = await this.getVariants(campaign.id, {
+      include: [{ model: TemplateVersion, as: 'templateVersion' }]
+    });
+
+    return new Map(variants.map(variant => [variant.id, {
+      subject: variant.subject || snapshot.subject,
+      html: variant.templateVersion ? variant.templateVersion.content : snapshot.html,
+      text: variant.templateVersion ? null : snapshot.text
+    }]));
+  }
+
+  /**
+   * Open and click rates of a variant, relative to the emails it sent
+   * @param {CampaignVariant} variant - Variant
+   * @returns {Object} - { openRate, clickRate } in percent
+   */
+  getRates(variant) {
+    const rate = (count) => variant.sent > 0 ? Math.round((count / variant.sent) * 10000) / 100 : 0;
+
+    return {
+      openRate: rate(variant.uniqueOpens),
+      clickRate: rate(variant.uniqueClicks)
+    };
+  }
+
+  /**
+   * Pick the best variant by the campaign's winner metric
+   * Ties go to the first variant by name.
+   * @param {CampaignVariant[]} variants - Variants with their counters
+   * @param {string} metric - 'opens' or 'clicks'
+   * @returns {CampaignVariant} - Winner
+   */
+  pickWinner(variants, metric) {
+    const counter = WINNER_COUNTERS[metric] || WINNER_COUNTERS.opens;
+    const score = (variant) => variant.sent > 0 ? variant[counter] / variant.sent : 0;
+
+    return variants.reduce((best, variant) => score(variant) > score(best) ? variant : best);
+  }
+
+  /**
+   * Pick the winner of a campaign whose test window is over and hand the held-back
+   * recipients to it
+   * @param {Campaign} campaign - Campaign in "testing"
+   * @returns {Promise<Object>} - { winner, remaining } where remaining is the number of recipients left to send
+   */
+  async selectWinner(campaign) {
+    if (campaign.status !== 'testing') {
+      throw createError(`Cannot pick a winner for campaign with status: ${campaign.status}`, 400);
+    }
+
+    const variants = await this.getVariants(campaign.id);
+    if (variants.length === 0) {
+      throw createError('Campaign has no variants', 400);
+    }
+    const winner = this.pickWinner(variants, campaign.abWinnerMetric);
+
+    const remaining = await sequelize.transaction(async (transaction) => {
+      const [assigned] = await CampaignRecipient.update({ variantId: winner.id }, {
+        where: { campaignId: campaign.id, variantId: { [Op.is]: null } },
+        transaction
+      });
+
+      await campaign.update({
+        abWinnerVariantId: winner.id,
+        status: assigned > 0 ? 'sending' : 'completed'
+      }, { transaction });
+
+      return assigned;
+    });
+
+    console.log(`A/B test of campaign ${campaign.id} won by variant ${winner.name} (${campaign.abWinnerMetric}), ${remaining} recipients left`);
+    return { winner, remaining };
+  }
+
+  /**
+   * Describe the A/B test of a campaign with per-variant stats
+   * @param {Campaign} campaign - Campaign
+   * @returns {Promise<Object|undefined>} - Test summary, undefined when the campaign isn't a test
+   */
+  async getSummary(campaign) {
+    if (!this.isTest(campaign)) return undefined;
+
+    const variants = await this.getVariants(campaign.id);
+
+    return {
+      percentage: campaign.abTestPercentage,
+      winnerMetric: campaign.abWinnerMetric,
+      waitMinutes: campaign.abWaitMinutes,
+      testEndsAt: campaign.abTestEndsAt,
+      winnerVariantId: campaign.abWinnerVariantId,
+      variants: variants.map(variant => ({
+        ...variant.get({ plain: true }),
+        ...this.getRates(variant),
+        isWinner: variant.id === campaign.abWinnerVariantId
+      }))
+    };
+  }
+}
+
+module.exports = new AbTestService();
@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, UserToken } = require('../models');
+const { createError } = require('../utils/error');
+const { escapeHtml } = require('../utils/templateEngine');
+const emailService = require('./emailService');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+// Minimum time between two verification emails to the same user
+const RESEND_INTERVAL = 60000;
+// Failed logins within LOGIN_LOCKOUT_MINUTES of each other that lock the account
+const LOGIN_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Account Service - Emails that prove a user owns their address: password reset
+ * links and email verification links; and the lockout after repeated failed logins.
+ *
+ * Tokens are random, stored as hashes, expire, and work once. Issuing a new token of a
+ * type voids the user's earlier ones, and a token only works while the account still
+ * has the address it was sent to.
+ */
+class AccountService {
+  /**
+   * Issue a token, voiding the user's unused tokens of the same type
+   * @param {User} user - User
+   * @param {string} type - 'password_reset' or 'email_verification'
+   * @param {number} ttl - Lifetime in milliseconds
+   * @returns {Promise<string>} - Plain token, only ever sent by email
+   */
+  async issueToken(user, type, ttl) {
+    await UserToken.update({ usedAt: new Date() }, {
+      where: { userId: user.id, type, usedAt: null }
+    });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await UserToken.create({
+      userId: user.id,
+      type,
+      tokenHash: hashToken(token),
+      email: user.email,
+      expiresAt: new Date(Date.now() + ttl)
+    });
+
+    return token;
+  }
+
+  /**
+   * Use up a token
+   * @param {string} token - Plain token
+   * @param {string} type - Expected token type
+   * @returns {Promise<User>} - User the token belongs to
+   */
+  async consumeToken(token, type) {
+    const userToken = await UserToken.findOne({
+      where: { tokenHash: hashToken(token), type },
+      include: [{ model: User, as: 'user' }]
+    });
+
+    if (!userToken || !userToken.isUsable() || !userToken.user ||
+      userToken.user.email.toLowerCase() !== userToken.email.toLowerCase()) {
+      throw createError('This link is invalid or has expired', 400);
+    }
+
+    // Two requests with the same token: only one of them gets to use it
+    const [used] = await UserToken.update({ usedAt: new Date() }, {
+      where: { id: userToken.id, usedAt: null, expiresAt: { [Op.gt]: new Date() } }
+    });
+    if (used === 0) {
+      throw createError('This link is invalid or has expired', 400);
+    }
+
+    return userToken.user;
+  }
+
+  /**
+   * Email a user a link to verify their address
+   * @param {User} user - User
+   * @param {Object} [options] - { force } skips the resend interval
+   */
+  async sendVerificationEmail(user, { force = false } = {}) {
+    if (user.emailVerifiedAt) {
+      throw createError('Your email address is already verified', 400);
+    }
+
+    if (!force) {
+      const recent = await UserToken.findOne({
+        where: {
+          userId: user.id,
+          type: 'email_verification',
+          createdAt: { [Op.gt]: new Date(Date.now() - RESEND_INTERVAL) }
+        },
+        attributes: ['id']
+      });
+      if (recent) {
+        throw createError('A verification email was sent less than a minute ago', 429);
+      }
+    }
+
+    const token = await this.issueToken(user, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60000);
+    const verifyUrl = `${process.env.APP_URL}/verify-email/${token}`;
+
+    await emailService.sendEmail({
+      to: user.email,
+      from: process.env.EMAIL_FROM,
+      subject: 'Verify your email address',
+      html: `<p>Hi ${escapeHtml(user.firstName || '')},</p>
+        <p>Confirm that this is your email address to start sending campaigns.</p>
+        <p><a href="${verifyUrl}">Verify your email address</a></p>
+        <p>This link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.</p>`,
+      transactional: true
+    });
+  }
+
+  /**
+   * Mark a user's email as verified
+   * @param {string} token - Verification token
+   * @returns {Promise<User>} - Verified user
+   */
+  async verifyEmail(token) {
+    const user = await this.consumeToken(token, 'email_verification');
+    if (!user.emailVerifiedAt) {
+      await user.update({ emailVerifiedAt: new Date() });
+    }
+    return user;
+  }
+
+  /**
+   * Email a password reset link, when the address belongs to an active account
+   * Nothing tells the caller whether it does, so the endpoint can't be used to find accounts.
+   * @param {string} email - Email address
+   */
+  async requestPasswordReset(email) {
+    const user = await User.findOne({ where: { email } });
+    if (!user || !user.active) return;
+
+    const token = await this.issueToken(user, 'password_reset', PASSWORD_RESET_TTL_MINUTES * 60000);
+    const resetUrl = `${process.env.APP_URL}/reset-password/${token}`;
+
+    try {
+      await emailService.sendEmail({
+        to: user.email,
+        from: process.env.EMAIL_FROM,
+        subject: 'Reset your password',
+        html: `<p>Hi ${escapeHtml(user.firstName || '')},</p>
+          <p>Someone asked to reset the password of your account. If it was you, choose a new password here:</p>
+          <p><a href="${resetUrl}">Reset your password</a></p>
+          <p>This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you didn't ask for it, you can ignore this email.</p>`,
+        transactional: true
+      });
+    } catch (error) {
+      console.error('Password reset email error:', error);
+    }
+  }
+
+  /**
+   * Set a new password with a reset token
+   * Following the link also proves the email address, and the new password signs
+   * the user out everywhere.
+   * @param {string} token - Password reset token
+   * @param {string} password - New password
+   * @returns {Promise<User>} - User
+   */
+  async resetPassword(token, password) {
+    const user = await this.consumeToken(token, 'password_reset');
+    if (!user.active) {
+      throw createError('Your account has been deactivated', 400);
+    }
+
+    await user.update({
+      password,
+      emailVerifiedAt: user.emailVerifiedAt || new Date(),
+      failedLoginAttempts: 0,
+      lockedUntil: null
+    });
+
+    return user;
+  }
+
+  /**
+   * Refuse to log a locked account in
+   * @param {User} user - User
+   */
+  assertNotLocked(user) {
+    if (!user.lockedUntil || user.lockedUntil <= new Date()) return;
+
+    const retryAfter = Math.ceil((user.lockedUntil.getTime() - Date.now()) / 1000);
+    const error = createError(
+      `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s) or reset your password.`,
+      429
+    );
+    error.retryAfter = retryAfter;
+    throw error;
+  }
+
+  /**
+   * Count a wrong password or two-factor code, locking the account for
+   * LOGIN_LOCKOUT_MINUTES once LOGIN_MAX_FAILED_ATTEMPTS pile up
+   * Signing in or resetting the password clears the count.
+   * @param {User} user - User
+   */
+  async recordFailedLogin(user) {
+    const now = new Date();
+    const lockoutMs = LOGIN_LOCKOUT_MINUTES * 60000;
+
+    // Failures older than the lockout window don't count
+    if (user.lastFailedLoginAt && now - user.lastFailedLoginAt < lockoutMs) {
+      await user.increment('failedLoginAttempts');
+      await user.reload();
+    } else {
+      user.failedLoginAttempts = 1;
+    }
+
+    const locked = user.failedLoginAttempts >= LOGIN_MAX_FAILED_ATTEMPTS;
+    await user.update({
+      failedLoginAttempts: locked ? 0 : user.failedLoginAttempts,
+      lastFailedLoginAt: now,
+      lockedUntil: locked ? new Date(now.getTime() + lockoutMs) : user.lockedUntil
+    });
+
+    if (locked) {
+      console.log(`🔒 Account ${user.id} locked after ${LOGIN_MAX_FAILED_ATTEMPTS} failed login attempts`);
+    }
+  }
+}
+
+module.exports = new AccountService();
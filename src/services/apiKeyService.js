@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const { ApiKey, User } = require('../models');
+const { createError } = require('../utils/error');
+const { API_KEY_SCOPES, hasPermission } = require('../utils/permissions');
+
+// Keys start with this so the auth middleware can tell them from JWTs
+const KEY_PREFIX = 'gpm_';
+// Characters of the key stored in the clear to identify it
+const DISPLAY_PREFIX_LENGTH = 12;
+// lastUsedAt is written at most this often per key
+const TOUCH_INTERVAL = 60000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+/**
+ * API Key Service - Personal API keys for integrations and scripts.
+ *
+ * A key acts as the user who created it, in one workspace, and only for the scopes it
+ * was given; the user's role in the workspace still applies, so a key can't do more
+ * than its owner. Keys are sent like access tokens (Authorization: Bearer gpm_...) and
+ * are shown once: only a hash is stored. They stop working when revoked, when they
+ * expire, or when their owner leaves the workspace or is deactivated.
+ */
+class ApiKeyService {
+  /**
+   * Whether a bearer token is an API key rather than a JWT
+   * @param {string} token - Bearer token
+   * @returns {boolean}
+   */
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Create a key
+   * @param {Object} user - { id } of the owner
+   * @param {OrganizationMember} membership - Owner's membership of the key's workspace
+   * @param {Object} data - { name, scopes, expiresAt }
+   * @returns {Promise<Object>} - { apiKey, key }; the plain key is only ever returned here
+   */
+  async create(user, membership, { name, scopes, expiresAt }) {
+    const uniqueScopes = [...new Set(scopes)];
+
+    const unknown = uniqueScopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw createError(`Unknown scope(s): ${unknown.join(', ')}`, 400);
+    }
+
+    const denied = uniqueScopes.filter(scope => !hasPermission(membership.role, scope));
+    if (denied.length > 0) {
+      throw createError(`Your role in this workspace doesn't grant: ${denied.join(', ')}`, 403);
+    }
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      throw createError('expiresAt must be in the future', 400);
+    }
+
+    const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const apiKey = await ApiKey.create({
+      userId: user.id,
+      organizationId: membership.organizationId,
+      name,
+      prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+      keyHash: hashKey(key),
+      scopes: uniqueScopes,
+      expiresAt: expiresAt ? new Date(expiresAt) : null
+    });
+
+    return { apiKey, key };
+  }
+
+  /**
+   * Resolve a key presented by a request
+   * @param {string} key - Plain key
+   * @returns {Promise<ApiKey>} - Key with its user
+   */
+  async authenticate(key) {
+    const apiKey = await ApiKey.findOne({
+      where: { keyHash: hashKey(key) },
+      include: [{ model: User, as: 'user', attributes: { exclude: ['password'] } }]
+    });
+
+    if (!apiKey) {
+      throw createError('Invalid API key.', 401);
+    }
+    if (apiKey.revokedAt) {
+      throw createError('API key has been revoked.', 401);
+    }
+    if (!apiKey.isUsable()) {
+      throw createError('API key has expired.', 401);
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Record that a key was used
+   * Throttled so busy integrations don't write on every request.
+   * @param {ApiKey} apiKey - Key
+   * @param {string} ipAddress - Client IP
+   */
+  async touch(apiKey, ipAddress) {
+    if (apiKey.lastUsedAt && Date.now() - apiKey.lastUsedAt.getTime() < TOUCH_INTERVAL) {
+      return;
+    }
+
+    await ApiKey.update(
+      { lastUsedAt: new Date(), lastUsedIp: ipAddress || null },
+      { where: { id: apiKey.id } }
+    );
+  }
+
+  /**
+   * Keys a user created in a workspace, newest first
+   * @param {string} userId - User ID
+   * @param {string} organizationId - Workspace ID
+   * @returns {Promise<ApiKey[]>} - Keys, revoked ones included
+   */
+  async list(userId, organizationId) {
+    return ApiKey.findAll({
+      where: { userId, organizationId },
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Revoke a key
+   * @param {ApiKey} apiKey - Key
+   */
+  async revoke(apiKey) {
+    if (apiKey.revokedAt) return;
+    await apiKey.update({ revokedAt: new Date() });
+  }
+
+  /**
+   * Public view of a key
+   * @param {ApiKey} apiKey - Key
+   * @returns {Object} - Key without its hash
+   */
+  serialize(apiKey) {
+    return {
+      id: apiKey.id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      organizationId: apiKey.organizationId,
+      expiresAt: apiKey.expiresAt,
+      lastUsedAt: apiKey.lastUsedAt,
+      lastUsedIp: apiKey.lastUsedIp,
+      revokedAt: apiKey.revokedAt,
+      createdAt: apiKey.createdAt,
+      active: apiKey.isUsable()
+    };
+  }
+}
+
+module.exports = new ApiKeyService();
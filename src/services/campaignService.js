@@ -1,5 +1,29 @@
 // filepath: /Users/eyorsogood/Sites/launch.gravitypointmedia.com/server/src/services/campaignService.js
 const { Campaign, ContactList, Template } = require('../models');
+const { signRequest } = require('../utils/requestSigning');
+const suppressionService = require('./suppressionService');
+
+/**
+ * Make a signed request to the worker
+ * @param {string} path - Worker path including query string
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method
+ * @param {Object} options.body - JSON body
+ * @returns {Promise<Response>} - Fetch response
+ */
+const workerFetch = (path, { method = 'GET', body } = {}) => {
+  const workerUrl = process.env.WORKER_URL || 'https://worker.gravitypointmedia.com';
+  const serializedBody = body === undefined ? undefined : JSON.stringify(body);
+
+  return fetch(`${workerUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...signRequest({ method, path, body: serializedBody })
+    },
+    body: serializedBody
+  });
+};
 
 /**
  * Campaign Service - Handles business logic for email campaigns and 
@@ -104,8 +128,8 @@ class CampaignService {
       // Fetch contacts for this list
       const contacts = await contactList.getContacts();
       
-      // Filter out unsubscribed contacts
-      const activeContacts = await this.filterUnsubscribedContacts(contacts);
+      // Filter out unsubscribed and suppressed contacts
+      const activeContacts = await this.filterUnsubscribedContacts(contacts, campaign.organizationId);
       
       // Create normalized campaign data for the worker
       const workerCampaignData = {
@@ -169,38 +193,14 @@ class CampaignService {
   }
 
   /**
-   * Filter out unsubscribed contacts
+   * Filter out unsubscribed contacts and addresses on the workspace's suppression list
+   * @param {Contact[]} contacts - Contacts
+   * @param {string} organizationId - Workspace ID
+   * @returns {Promise<Contact[]>} - Contacts that can be mailed
    */
-  async filterUnsubscribedContacts(contacts) {
-    const workerUrl = process.env.WORKER_URL || 'https://worker.gravitypointmedia.com';
-    const activeContacts = [];
-
-    for (const contact of contacts) {
-      try {
-        const response = await fetch(`${workerUrl}/api/unsubscribe-status/${contact.email}`, {
-          headers: {
-            'Authorization': `Bearer ${process.env.WORKER_API_KEY}`
-          }
-        });
-
-        if (!response.ok) {
-          // If there's an error checking status, include the contact to be safe
-          activeContacts.push(contact);
-          continue;
-        }
-
-        const data = await response.json();
-        if (!data.unsubscribed) {
-          activeContacts.push(contact);
-        }
-      } catch (error) {
-        console.error(`Error checking unsubscribe status for ${contact.email}:`, error);
-        // Include the contact if there's an error checking status
-        activeContacts.push(contact);
-      }
-    }
-
-    return activeContacts;
+  async filterUnsubscribedContacts(contacts, organizationId) {
+    const subscribed = contacts.filter(contact => !contact.unsubscribed);
+    return suppressionService.filterRecipients(organizationId, subscribed);
   }
 
   /**
@@ -255,41 +255,22 @@ class CampaignService {
   
   // Initialize a campaign in the worker
   async initializeWorkerCampaign(campaignId, campaignData) {
-    const workerUrl = process.env.WORKER_URL || 'https://worker.gravitypointmedia.com';
-    
-    return fetch(`${workerUrl}/api/campaign/${campaignId}/initialize`, {
+    return workerFetch(`/api/campaign/${campaignId}/initialize`, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.WORKER_API_KEY}`
-      },
-      body: JSON.stringify(campaignData)
+      body: campaignData
     });
   }
   
   // Start processing a campaign
   async startWorkerCampaign(campaignId) {
-    const workerUrl = process.env.WORKER_URL || 'https://worker.gravitypointmedia.com';
-    
-    return fetch(`${workerUrl}/api/campaign/${campaignId}/start`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.WORKER_API_KEY}`
-      }
+    return workerFetch(`/api/campaign/${campaignId}/start`, {
+      method: 'POST'
     });
   }
   
   // Get campaign status from worker
   async getWorkerCampaignStatus(campaignId) {
-    const workerUrl = process.env.WORKER_URL || 'https://worker.gravitypointmedia.com';
-    
-    return fetch(`${workerUrl}/api/campaign/${campaignId}/status`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${process.env.WORKER_API_KEY}`
-      }
-    });
+    return workerFetch(`/api/campaign/${campaignId}/status`);
   }
 }
 
@@ -1,16 +1,23 @@
-const AWS = require('aws-sdk');
 const { createError } = require('../utils/error');
 const crypto = require('crypto');
+const templateEngine = require('../utils/templateEngine');
+const { getTransport, getTransportForSender } = require('./transports');
+
+// Footer appended to campaign emails
+const UNSUBSCRIBE_FOOTER = `
+      <div style="margin-top: 20px; padding-top: 20px; border-top: 1px solid #eee; font-size: 12px; color: #666;">
+        <p>You’re receiving this email because we thought this tool might be useful. If you’d prefer not to receive future messages, you can <a href="{{unsubscribe_url}}" style="color: #666;">unsubscribe here</a>.</p>
+      </div>
+    `;
 
 class EmailService {
-  constructor() {
-    this.ses = new AWS.SES({
-      region: process.env.AWS_REGION,
-      credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-      }
-    });
+  /**
+   * Get an email transport
+   * @param {string} [name] - Transport name (ses, smtp, outbox); defaults to EMAIL_TRANSPORT
+   * @returns {Object} - Transport instance
+   */
+  getTransport(name) {
+    return getTransport(name);
   }
 
   /**
@@ -25,27 +32,38 @@ class EmailService {
   }
 
   /**
-   * Add unsubscribe link to HTML content
-   * @param {string} html - Original HTML content
+   * Get the unsubscribe footer markup campaign emails end with
+   * {{unsubscribe_url}} stands for the recipient's unsubscribe link.
+   * @returns {string} - Footer template
+   */
+  getUnsubscribeFooter() {
+    return UNSUBSCRIBE_FOOTER;
+  }
+
+  /**
+   * Get the base of the unsubscribe links, the worker's unsubscribe endpoint
+   * @returns {string} - Base URL
+   */
+  getUnsubscribeBaseUrl() {
+    return `${process.env.WORKER_URL}/unsubscribe`;
+  }
+
+  /**
+   * Render the unsubscribe footer for a recipient
    * @param {string} email - Recipient email
    * @param {string} campaignId - Campaign ID
-   * @returns {string} - HTML with unsubscribe link
+   * @param {Object} [options] - { footer, baseUrl } frozen in a campaign snapshot; the current ones by default
+   * @returns {string} - Footer HTML
    */
-  addUnsubscribeLink(html, email, campaignId) {
+  renderUnsubscribeFooter(email, campaignId, { footer, baseUrl } = {}) {
     const token = this.generateUnsubscribeToken(email, campaignId);
-    const unsubscribeUrl = `${process.env.WORKER_URL}/unsubscribe/${token}?email=${encodeURIComponent(email)}&campaignId=${encodeURIComponent(campaignId)}`;
-    
-    const unsubscribeHtml = `
-      <div style="margin-top: 20px; padding-top: 20px; border-top: 1px solid #eee; font-size: 12px; color: #666;">
-        <p>You’re receiving this email because we thought this tool might be useful. If you’d prefer not to receive future messages, you can <a href="${unsubscribeUrl}" style="color: #666;">unsubscribe here</a>.</p>
-      </div>
-    `;
-    
-    return html + unsubscribeHtml;
+    const unsubscribeUrl = `${baseUrl || this.getUnsubscribeBaseUrl()}/${token}?email=${encodeURIComponent(email)}&campaignId=${encodeURIComponent(campaignId)}`;
+
+    return templateEngine.render(footer || UNSUBSCRIBE_FOOTER, { unsubscribe_url: unsubscribeUrl });
   }
 
   /**
-   * Send an email using AWS SES
+   * Send an email through the transport configured for the sender's domain
    * @param {Object} options - Email options
    * @param {string} options.to - Recipient email
    * @param {string} options.subject - Email subject
@@ -54,58 +72,51 @@ class EmailService {
    * @param {string} options.from - Sender email
    * @param {string} options.campaignId - Campaign ID for tracking
    * @param {string} options.contactId - Contact ID for tracking
-   * @returns {Promise<Object>} - SES send result
+   * @param {boolean} options.transactional - Skip the unsubscribe footer (invitations, account emails)
+   * @param {boolean} options.composed - html and text are final (rendered from a campaign snapshot)
+   * @returns {Promise<Object>} - Transport send result ({ MessageId })
    */
-  async sendEmail({ to, subject, html, text, from, campaignId, contactId }) {
+  async sendEmail({ to, subject, html, text, from, campaignId, contactId, transactional = false, composed = false }) {
+    const transport = getTransportForSender(from);
+
     try {
-      // Add unsubscribe link with token - still needed for custom unsubscribe handling
-      const enhancedHtml = this.addUnsubscribeLink(html, to, campaignId);
-
-      // Create the message with AWS SES
-      const params = {
-        Source: from,
-        Destination: {
-          ToAddresses: [to]
-        },
-        Message: {
-          Subject: {
-            Data: subject,
-            Charset: 'UTF-8'
-          },
-          Body: {
-            Html: {
-              Data: enhancedHtml,
-              Charset: 'UTF-8'
-            },
-            Text: {
-              Data: text || this.stripHtml(enhancedHtml),
-              Charset: 'UTF-8'
-            }
-          }
-        },
-        // Configuration set must be set up in AWS SES with event publishing enabled
-        ConfigurationSetName: process.env.AWS_SES_CONFIGURATION_SET,
-        // Add tags for tracking which campaign and contact this email is associated with
-        Tags: [
-          {
-            Name: 'campaignId',
-            Value: campaignId || 'unknown'
-          },
-          {
-            Name: 'contactId',
-            Value: contactId || 'unknown'
-          }
-        ]
-      };
-
-      const result = await this.ses.sendEmail(params).promise();
-      return result;
+      const body = composed ? { html, text } : this.composeBody({ to, html, text, campaignId, transactional });
+
+      return await transport.send({
+        from,
+        to,
+        subject,
+        html: body.html,
+        text: body.text,
+        // Tags for tracking which campaign and contact this email is associated with
+        tags: {
+          campaignId: campaignId || 'unknown',
+          contactId: contactId || 'unknown'
+        }
+      });
     } catch (error) {
-      console.error('SES send error:', error);
+      console.error(`Email send error (${transport.name}):`, error);
       throw createError('Failed to send email', 500, error);
     }
   }
 
+  /**
+   * Build the final HTML and text parts of an email as sendEmail sends them
+   * @param {Object} params - { to, html, text, campaignId, transactional, footer, unsubscribeBaseUrl }
+   * @returns {Object} - { html, text }
+   */
+  composeBody({ to, html, text, campaignId, transactional = false, footer, unsubscribeBaseUrl }) {
+    // Add unsubscribe link with token - still needed for custom unsubscribe handling
+    const footerHtml = transactional
+      ? ''
+      : this.renderUnsubscribeFooter(to, campaignId, { footer, baseUrl: unsubscribeBaseUrl });
+
+    return {
+      html: html + footerHtml,
+      text: (text || this.stripHtml(html)) + this.stripHtml(footerHtml)
+    };
+  }
+
   /**
    * Strip HTML tags from content
    * @param {string} html - HTML content
@@ -116,33 +127,35 @@ class EmailService {
   }
 
   /**
-   * Verify an email address with SES
+   * Verify a sender address with the transport configured for its domain
    * @param {string} email - Email to verify
    * @returns {Promise<Object>} - Verification result
    */
   async verifyEmail(email) {
+    const transport = getTransportForSender(email);
+
     try {
-      const params = {
-        EmailAddress: email
-      };
-      const result = await this.ses.verifyEmailIdentity(params).promise();
-      return result;
+      return await transport.verifyEmail(email);
     } catch (error) {
-      console.error('SES verify error:', error);
+      console.error(`Email verify error (${transport.name}):`, error);
+      // Errors the transport already gave a status (e.g. unsupported operations) stand as they are
+      if (error.status) throw error;
       throw createError('Failed to verify email', 500, error);
     }
   }
 
   /**
-   * Get email sending statistics
-   * @returns {Promise<Object>} - SES sending statistics
+   * Get email sending statistics of the default transport
+   * @returns {Promise<Object>} - Sending statistics ({ SendDataPoints })
    */
   async getSendingStatistics() {
+    const transport = getTransport();
+
     try {
-      const result = await this.ses.getSendStatistics().promise();
-      return result;
+      return await transport.getSendingStatistics();
     } catch (error) {
-      console.error('SES stats error:', error);
+      console.error(`Email stats error (${transport.name}):`, error);
+      if (error.status) throw error;
       throw createError('Failed to get sending statistics', 500, error);
     }
   }
@@ -0,0 +1,441 @@
+const crypto = require('crypto');
+const { Op, UniqueConstraintError } = require('sequelize');
+const { EmailEvent, CampaignStat, Campaign, CampaignRecipient, CampaignVariant, Contact, sequelize } = require('../models');
+const { createError } = require('../utils/error');
+
+// CampaignStat flag and first-seen timestamp set by each event type
+const STAT_FIELDS = {
+  send: ['sent', 'sentAt'],
+  delivery: ['delivered', 'deliveredAt'],
+  open: ['opened', 'openedAt'],
+  click: ['clicked', 'clickedAt'],
+  bounce: ['bounced', 'bouncedAt']
+};
+
+// Event types a recipient can legitimately trigger more than once per message
+const REPEATABLE_TYPES = ['open', 'click'];
+
+// Event types accepted by the open/click tracking endpoints, with the campaign
+// counter each one increments and the counter for a recipient's first occurrence
+const TRACKING_COUNTERS = {
+  click: ['clicks', 'uniqueClicks'],
+  open: ['opens', 'uniqueOpens'],
+  delivery: ['delivered', null],
+  send: ['sent', null]
+};
+
+const STAT_UPDATE_FIELDS = [
+  ...Object.values(STAT_FIELDS).flat(),
+  'updatedAt'
+];
+
+const toDate = (timestamp) => {
+  const date = timestamp ? new Date(timestamp) : new Date();
+  return isNaN(date.getTime()) ? new Date() : date;
+};
+
+/**
+ * Event Service - Appends tracking events to the EmailEvent log and keeps the
+ * per-recipient CampaignStat row in step with it. Every event carries an event ID
+ * so replays from the worker are recognised and ignored.
+ */
+class EventService {
+  /**
+   * Build the idempotency key of an event
+   * An explicit eventId wins. Otherwise the SES message ID plus the event type is used
+   * (plus the timestamp for opens and clicks, which can happen several times per message).
+   * Without either, the event is identified by a hash of its payload so a retried
+   * request with the same body is still recognised.
+   * @param {Object} event - Event data
+   * @returns {string} - Event ID
+   */
+  buildEventId({ eventId, messageId, type, timestamp, campaignId, contactId, payload }) {
+    if (eventId) {
+      return String(eventId);
+    }
+
+    if (messageId) {
+      return REPEATABLE_TYPES.includes(type) && timestamp
+        ? `${messageId}:${type}:${new Date(timestamp).toISOString()}`
+        : `${messageId}:${type}`;
+    }
+
+    const hash = crypto.createHash('sha256')
+      .update(JSON.stringify({ campaignId, contactId, type, payload }))
+      .digest('hex');
+    return `payload:${hash}`;
+  }
+
+  /**
+   * Record a single tracking event
+   * @param {Object} event - Event data
+   * @param {string} event.eventId - Idempotency key of the event (see buildEventId)
+   * @param {string} event.messageId - SES message ID, used when there is no eventId
+   * @param {string} event.campaignId - Campaign ID
+   * @param {string} event.contactId - Contact ID
+   * @param {string} event.type - One of EmailEvent.TYPES
+   * @param {Date|string} event.timestamp - When the event happened (defaults to now)
+   * @param {string} event.link - Clicked link
+   * @param {string} event.userAgent - Recipient user agent
+   * @param {string} event.bounceType - Bounce type
+   * @param {string} event.bounceSubType - Bounce subtype
+   * @param {Object} event.payload - Raw event payload as received
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<Object>} - { eventId, duplicate, firstOfType, event }
+   */
+  async recordEvent(event, options = {}) {
+    const { campaignId, contactId, type, timestamp, link, userAgent, bounceType, bounceSubType, payload } = event;
+
+    if (!EmailEvent.TYPES.includes(type)) {
+      throw createError(`Unknown event type: ${type}`, 400);
+    }
+
+    const eventId = this.buildEventId(event);
+
+    let emailEvent;
+    try {
+      emailEvent = await EmailEvent.create({
+        eventId,
+        campaignId,
+        contactId,
+        type,
+        occurredAt: toDate(timestamp),
+        link: link || null,
+        userAgent: userAgent ? String(userAgent).substring(0, 512) : null,
+        bounceType: bounceType || null,
+        bounceSubType: bounceSubType || null,
+        payload: payload || null
+      }, options);
+    } catch (error) {
+      if (error instanceof UniqueConstraintError) {
+        return { eventId, duplicate: true, firstOfType: false, event: null };
+      }
+      throw error;
+    }
+
+    const firstOfType = await this.applyToCampaignStat(emailEvent, options);
+
+    return { eventId, duplicate: false, firstOfType, event: emailEvent };
+  }
+
+  /**
+   * Update the recipient's CampaignStat row from an event
+   * Flags are set once and the timestamp keeps the first occurrence. Written as
+   * conditional updates so concurrent events for the same recipient don't race.
+   * @param {EmailEvent} emailEvent - Stored event
+   * @param {Object} options - Query options (e.g. transaction)
+   * @returns {Promise<boolean>} - Whether this is the recipient's first event of this type
+   */
+  async applyToCampaignStat(emailEvent, options = {}) {
+    const fields = STAT_FIELDS[emailEvent.type];
+    if (!fields) return false;
+
+    const [flag, timestampField] = fields;
+    const { campaignId, contactId, occurredAt } = emailEvent;
+
+    await CampaignStat.bulkCreate([{ campaignId, contactId }], {
+      ignoreDuplicates: true,
+      ...options
+    });
+
+    // Only the update that flips the flag affects a row, which makes it the first one
+    const [flipped] = await CampaignStat.update({ [flag]: true }, {
+      where: { campaignId, contactId, [flag]: { [Op.not]: true } },
+      ...options
+    });
+
+    await CampaignStat.update({ [timestampField]: occurredAt }, {
+      where: {
+        campaignId,
+        contactId,
+        [Op.or]: [
+          { [timestampField]: null },
+          { [timestampField]: { [Op.gt]: occurredAt } }
+        ]
+      },
+      ...options
+    });
+
+    return flipped > 0;
+  }
+
+  /**
+   * Record a batch of open/click/delivery/send events from the worker
+   * The whole batch is applied set-based in one transaction: one lookup per table,
+   * one insert for the new events, one upsert for the recipients' CampaignStat rows,
+   * one counter update per campaign and one update for all affected contacts.
+   * Events already recorded (same event ID) are reported as duplicates.
+   * @param {Object[]} events - Events as { campaignId, contactId, trackingData, eventId?, messageId? }
+   * @returns {Promise<Object[]>} - One result per event, in input order
+   */
+  async recordTrackingBatch(events) {
+    const results = events.map(event => ({ success: false, event }));
+    const fail = (index, status, error) => Object.assign(results[index], { status, error });
+
+    const accepted = [];
+    events.forEach((event, index) => {
+      const { campaignId, contactId, trackingData } = event || {};
+
+      if (!campaignId || !contactId || !trackingData) {
+        return fail(index, 400, 'Missing required parameters');
+      }
+
+      if (!TRACKING_COUNTERS[trackingData.type]) {
+        return fail(index, 400, `Unknown tracking type: ${trackingData.type}`);
+      }
+
+      accepted.push({
+        index,
+        campaignId,
+        contactId,
+        trackingData,
+        type: trackingData.type,
+        occurredAt: toDate(trackingData.timestamp),
+        eventId: this.buildEventId({
+          eventId: trackingData.eventId || event.eventId,
+          messageId: trackingData.messageId || event.messageId,
+          type: trackingData.type,
+          timestamp: trackingData.timestamp,
+          campaignId,
+          contactId,
+          payload: trackingData
+        })
+      });
+    });
+
+    if (accepted.length === 0) {
+      return results;
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      const campaignIds = [...new Set(accepted.map(e => e.campaignId))];
+      const contactIds = [...new Set(accepted.map(e => e.contactId))];
+
+      const campaigns = await Campaign.findAll({
+        where: { id: campaignIds },
+        attributes: ['id', 'abTestPercentage'],
+        transaction
+      });
+      const contacts = await Contact.findAll({
+        where: { id: contactIds },
+        attributes: ['id'],
+        transaction
+      });
+      const existingEvents = await EmailEvent.findAll({
+        where: { eventId: accepted.map(e => e.eventId) },
+        attributes: ['eventId'],
+        transaction
+      });
+
+      const knownCampaigns = new Set(campaigns.map(c => c.id));
+      const knownContacts = new Set(contacts.map(c => c.id));
+      const seenEventIds = new Set(existingEvents.map(e => e.eventId));
+
+      const fresh = [];
+      for (const event of accepted) {
+        if (!knownCampaigns.has(event.campaignId)) {
+          fail(event.index, 404, 'Campaign not found');
+        } else if (!knownContacts.has(event.contactId)) {
+          fail(event.index, 404, 'Contact not found');
+        } else if (seenEventIds.has(event.eventId)) {
+          Object.assign(results[event.index], { success: true, eventId: event.eventId, duplicate: true });
+        } else {
+          seenEventIds.add(event.eventId);
+          Object.assign(results[event.index], { success: true, eventId: event.eventId, duplicate: false });
+          fresh.push(event);
+        }
+      }
+
+      if (fresh.length === 0) {
+        return;
+      }
+
+      // Apply in the order the events happened so "first" and "latest" are right
+      fresh.sort((a, b) => a.occurredAt - b.occurredAt);
+
+      await EmailEvent.bulkCreate(fresh.map(event => ({
+        eventId: event.eventId,
+        campaignId: event.campaignId,
+        contactId: event.contactId,
+        type: event.type,
+        occurredAt: event.occurredAt,
+        link: event.trackingData.link || null,
+        userAgent: event.trackingData.userAgent ? String(event.trackingData.userAgent).substring(0, 512) : null,
+        payload: event.trackingData
+      })), { transaction });
+
+      const stats = await this.loadCampaignStats(fresh, transaction);
+      const variantIds = await this.loadRecipientVariants(fresh, campaigns, transaction);
+      const counters = {};
+      const variantCounters = {};
+      const contactUpdates = {};
+
+      for (const event of fresh) {
+        const stat = stats.get(`${event.campaignId}:${event.contactId}`);
+        const [flag, timestampField] = STAT_FIELDS[event.type];
+        const firstOfType = !stat[flag];
+
+        stat[flag] = true;
+        if (!stat[timestampField] || event.occurredAt < stat[timestampField]) {
+          stat[timestampField] = event.occurredAt;
+        }
+
+        const [counter, uniqueCounter] = TRACKING_COUNTERS[event.type];
+        const campaignCounters = counters[event.campaignId] = counters[event.campaignId] || {};
+        campaignCounters[counter] = (campaignCounters[counter] || 0) + 1;
+        if (uniqueCounter && firstOfType) {
+          campaignCounters[uniqueCounter] = (campaignCounters[uniqueCounter] || 0) + 1;
+        }
+
+        // A/B test recipients also count towards their variant
+        const variantId = variantIds.get(`${event.campaignId}:${event.contactId}`);
+        if (variantId) {
+          const deltas = variantCounters[variantId] = variantCounters[variantId] || {};
+          deltas[counter] = (deltas[counter] || 0) + 1;
+          if (uniqueCounter && firstOfType) {
+            deltas[uniqueCounter] = (deltas[uniqueCounter] || 0) + 1;
+          }
+        }
+
+        // Events are sorted, so later events overwrite with the latest values
+        const updates = contactUpdates[event.contactId] = contactUpdates[event.contactId] || {};
+        updates.lastEngagement = event.occurredAt;
+        if (event.type === 'click') {
+          updates.lastClicked = event.occurredAt;
+          updates.lastClickedLink = event.trackingData.link || null;
+        } else if (event.type === 'open') {
+          updates.lastOpened = event.occurredAt;
+        } else if (event.type === 'delivery') {
+          updates.lastDelivered = event.occurredAt;
+        }
+      }
+
+      await CampaignStat.bulkCreate([...stats.values()], {
+        updateOnDuplicate: STAT_UPDATE_FIELDS,
+        transaction
+      });
+
+      for (const [campaignId, deltas] of Object.entries(counters)) {
+        await Campaign.increment(deltas, { where: { id: campaignId }, transaction });
+      }
+
+      for (const [variantId, deltas] of Object.entries(variantCounters)) {
+        await CampaignVariant.increment(deltas, { where: { id: variantId }, transaction });
+      }
+
+      await this.bulkUpdateContacts(contactUpdates, transaction);
+    });
+
+    return results;
+  }
+
+  /**
+   * Load (or start) the CampaignStat rows for every recipient in a set of events
+   * @param {Object[]} events - Events with campaignId and contactId
+   * @param {Object} transaction - Transaction to read in
+   * @returns {Promise<Map<string, Object>>} - Plain stat rows keyed by "campaignId:contactId"
+   */
+  async loadCampaignStats(events, transaction) {
+    const pairs = [...new Map(events.map(e => [
+      `${e.campaignId}:${e.contactId}`,
+      { campaignId: e.campaignId, contactId: e.contactId }
+    ])).entries()];
+
+    const rows = await CampaignStat.findAll({
+      where: { [Op.or]: pairs.map(([, pair]) => pair) },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    const stats = new Map(rows.map(row => [`${row.campaignId}:${row.contactId}`, row.get({ plain: true })]));
+    for (const [key, pair] of pairs) {
+      if (!stats.has(key)) {
+        stats.set(key, {
+          id: crypto.randomUUID(),
+          ...pair,
+          sent: false,
+          delivered: false,
+          opened: false,
+          clicked: false,
+          bounced: false,
+          createdAt: new Date()
+        });
+      }
+    }
+
+    for (const stat of stats.values()) {
+      stat.updatedAt = new Date();
+    }
+
+    return stats;
+  }
+
+  /**
+   * Look up the A/B test variant of every recipient in a set of events
+   * Only campaigns that are A/B tests are looked up.
+   * @param {Object[]} events - Events with campaignId and contactId
+   * @param {Campaign[]} campaigns - The events' campaigns, with abTestPercentage
+   * @param {Object} transaction - Transaction to read in
+   * @returns {Promise<Map<string, string>>} - Variant IDs keyed by "campaignId:contactId"
+   */
+  async loadRecipientVariants(events, campaigns, transaction) {
+    const testCampaigns = new Set(campaigns
+      .filter(campaign => campaign.abTestPercentage !== null)
+      .map(campaign => campaign.id));
+    const pairs = [...new Map(events
+      .filter(e => testCampaigns.has(e.campaignId))
+      .map(e => [`${e.campaignId}:${e.contactId}`, { campaignId: e.campaignId, contactId: e.contactId }])
+    ).values()];
+
+    if (pairs.length === 0) {
+      return new Map();
+    }
+
+    const recipients = await CampaignRecipient.findAll({
+      where: {
+        [Op.or]: pairs,
+        variantId: { [Op.ne]: null }
+      },
+      attributes: ['campaignId', 'contactId', 'variantId'],
+      transaction
+    });
+
+    return new Map(recipients.map(r => [`${r.campaignId}:${r.contactId}`, r.variantId]));
+  }
+
+  /**
+   * Update many contacts with per-contact values in a single statement
+   * @param {Object} updatesById - Field updates keyed by contact ID
+   * @param {Object} transaction - Transaction to write in
+   */
+  async bulkUpdateContacts(updatesById, transaction) {
+    const ids = Object.keys(updatesById);
+    if (ids.length === 0) return;
+
+    const queryInterface = sequelize.getQueryInterface();
+    const idColumn = queryInterface.quoteIdentifier('id');
+    const fields = [...new Set(ids.flatMap(id => Object.keys(updatesById[id])))];
+    const replacements = [];
+
+    const assignments = fields.map(field => {
+      const column = queryInterface.quoteIdentifier(field);
+      const cases = ids
+        .filter(id => field in updatesById[id])
+        .map(id => {
+          replacements.push(id, updatesById[id][field]);
+          return 'WHEN ? THEN ?';
+        });
+      return `${column} = CASE ${idColumn} ${cases.join(' ')} ELSE ${column} END`;
+    });
+
+    assignments.push(`${queryInterface.quoteIdentifier('updatedAt')} = ?`);
+    replacements.push(new Date(), ids);
+
+    await sequelize.query(
+      `UPDATE ${queryInterface.queryGenerator.quoteTable(Contact.getTableName())} SET ${assignments.join(', ')} WHERE ${idColumn} IN (?)`,
+      { replacements, transaction }
+    );
+  }
+}
+
+module.exports = new EventService();
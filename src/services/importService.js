@@ -0,0 +1,770 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { parse } = require('csv-parse');
+const ExcelJS = require('exceljs');
+const { Contact, ContactList, ContactListContacts, ImportFileChunk, ImportJob, ImportJobError, sequelize } = require('../models');
+const { createError } = require('../utils/error');
+const { formatRow } = require('../utils/csv');
+const jobService = require('./jobService');
+
+// Contact fields a column can be mapped to, besides metadata.<key>
+const CONTACT_FIELDS = ['email', 'firstName', 'lastName', 'company', 'status'];
+const STATUSES = ['active', 'unsubscribed', 'bounced'];
+const METADATA_KEY = /^[A-Za-z0-9_-]+$/;
+
+// What happens to rows whose email is already a contact: skip them, update the contact,
+// or only add existing contacts to the list (no contacts are created)
+const IMPORT_MODES = ['skip', 'update', 'addToList'];
+// How an update import merges a value into an existing contact
+const FIELD_STRATEGIES = ['overwrite', 'fillEmpty', 'keep'];
+const METADATA_STRATEGIES = ['merge', 'fillEmpty', 'replace', 'keep'];
+// Status is kept by default so imports don't resubscribe contacts
+const DEFAULT_MERGE = {
+  firstName: 'overwrite',
+  lastName: 'overwrite',
+  company: 'overwrite',
+  status: 'keep',
+  metadata: 'merge'
+};
+
+// Header names recognised when suggesting a mapping, compared without case or punctuation
+const FIELD_ALIASES = {
+  email: ['email', 'emailaddress', 'mail', 'email1'],
+  firstName: ['firstname', 'first', 'givenname', 'fname'],
+  lastName: ['lastname', 'last', 'surname', 'familyname', 'lname'],
+  company: ['company', 'companyname', 'organization', 'organisation'],
+  status: ['status']
+};
+
+// Rows written per transaction while importing
+const BATCH_SIZE = 500;
+// Rows returned with an upload to help with the mapping
+const SAMPLE_SIZE = 5;
+// Error report rows read per query
+const REPORT_BATCH_SIZE = 1000;
+// Bytes of an uploaded file stored per row
+const FILE_CHUNK_SIZE = 1024 * 1024;
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Text of an XLSX cell value (rich text, hyperlinks and formulas included)
+ * @param {*} value - ExcelJS cell value
+ * @returns {string} - Cell text
+ */
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'object') return String(value);
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if (value.text !== undefined) return cellText(value.text);
+  if (value.result !== undefined) return cellText(value.result);
+  return '';
+};
+
+/**
+ * Pick the delimiter of a CSV file from its first line
+ * @param {Readable} input - Stream of the file, closed once the first line is read
+ * @returns {Promise<string>} - ',', ';' or tab
+ */
+const detectDelimiter = async (input) => {
+  const chunks = [];
+  let length = 0;
+  // Leaving the loop closes the stream
+  for await (const chunk of input) {
+    chunks.push(chunk);
+    length += chunk.length;
+    if (length >= 64 * 1024 || chunk.includes('\n')) break;
+  }
+
+  const firstLine = Buffer.concat(chunks).subarray(0, 64 * 1024).toString('utf8').split(/\r?\n/)[0];
+  const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLine.split(delimiter).length]);
+  return counts.reduce((best, count) => (count[1] > best[1] ? count : best))[0];
+};
+
+/**
+ * Import Service - Imports contacts from uploaded CSV and XLSX files.
+ *
+ * An upload creates an import job in "pending" with the file's columns and a suggested
+ * mapping. Once the columns are mapped to contact fields (or metadata keys) the job is
+ * started: a 'contacts.import' background job streams the file row by row and writes it
+ * in batches, with progress and counters kept on the import and every rejected row kept
+ * for the error report. Rows whose email is already a contact are skipped, merged into
+ * the contact or only added to the list, depending on the import mode. A retried job
+ * starts the file over; rows written by the failed attempt then count as existing contacts.
+ *
+ * The JSON import of the contacts endpoint writes its contacts the same way.
+ */
+class ImportService {
+  constructor() {
+    jobService.register('contacts.import', {
+      permission: 'contacts:write',
+      run: (queued, context) => this.runJob(queued, context),
+      onFailed: (queued, error) => this.finish(queued, { status: 'failed', error: error.message }),
+      onCancelled: (queued) => this.finish(queued, { status: 'cancelled' })
+    });
+  }
+
+  /**
+   * Copy an uploaded file into the database, where every job runner can read it
+   * @param {ImportJob} job - Import job the file belongs to
+   * @param {string} filePath - Path of the upload on this instance
+   */
+  async storeFile(job, filePath) {
+    let position = 0;
+    for await (const data of fs.createReadStream(filePath, { highWaterMark: FILE_CHUNK_SIZE })) {
+      await ImportFileChunk.create({ importJobId: job.id, position, data });
+      position++;
+    }
+  }
+
+  /**
+   * Read the file of an import back from the database, one chunk at a time
+   * @param {string} importJobId - Import job ID
+   * @returns {AsyncGenerator<Buffer>} - File contents
+   */
+  async *readStoredFile(importJobId) {
+    for (let position = 0; ; position++) {
+      const chunk = await ImportFileChunk.findOne({ where: { importJobId, position } });
+      if (!chunk) return;
+      yield Buffer.from(chunk.data);
+    }
+  }
+
+  /**
+   * Open an import file: an upload on this instance, or a file stored with its job
+   * @param {Object} file - { path } or { importJobId }
+   * @returns {Readable} - File contents
+   */
+  openFile({ path: filePath, importJobId }) {
+    return filePath ? fs.createReadStream(filePath) : Readable.from(this.readStoredFile(importJobId));
+  }
+
+  /**
+   * Stream the rows of an import file
+   * @param {Object} file - { path or importJobId, format, size }
+   * @param {Function} [onProgress] - Called with the percentage of the file read
+   * @returns {AsyncGenerator<Object>} - { rowNumber, values } with the header as row 1
+   */
+  async *readRows(file, onProgress) {
+    const { format, size } = file;
+    const delimiter = format === 'csv' ? await detectDelimiter(this.openFile(file)) : undefined;
+    const input = this.openFile(file);
+    let bytesRead = 0;
+    input.on('data', (chunk) => {
+      bytesRead += chunk.length;
+      if (onProgress && size > 0) onProgress(Math.min(99, Math.floor((bytesRead / size) * 100)));
+    });
+
+    try {
+      if (format === 'xlsx') {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookReader(input, {
+          sharedStrings: 'cache',
+          hyperlinks: 'cache',
+          styles: 'cache',
+          worksheets: 'emit'
+        });
+
+        // Only the first worksheet is imported
+        for await (const worksheet of workbook) {
+          for await (const row of worksheet) {
+            // row.values is 1-based
+            yield { rowNumber: row.number, values: (row.values || []).slice(1).map(cellText) };
+          }
+          break;
+        }
+        return;
+      }
+
+      const parser = input.pipe(parse({
+        delimiter,
+        bom: true,
+        relax_column_count: true,
+        relax_quotes: true,
+        trim: true
+      }));
+
+      let rowNumber = 0;
+      for await (const values of parser) {
+        rowNumber++;
+        yield { rowNumber, values };
+      }
+    } finally {
+      input.destroy();
+    }
+  }
+
+  /**
+   * Suggest a mapping for a file's columns
+   * Known headers map to contact fields, the other columns to metadata keys.
+   * @param {string[]} columns - Header row
+   * @returns {Object} - Column name -> target
+   */
+  suggestMapping(columns) {
+    const mapping = {};
+    const used = new Set();
+
+    columns.forEach(column => {
+      const normalized = normalizeHeader(column);
+      const field = Object.keys(FIELD_ALIASES).find(name => FIELD_ALIASES[name].includes(normalized));
+
+      if (field && !used.has(field)) {
+        used.add(field);
+        mapping[column] = field;
+        return;
+      }
+
+      const key = String(column).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+      mapping[column] = key ? `metadata.${key}` : null;
+    });
+
+    return mapping;
+  }
+
+  /**
+   * Check a mapping against a file's columns
+   * @param {string[]} columns - Header row
+   * @param {Object} mapping - Column name -> target, null to skip a column
+   */
+  validateMapping(columns, mapping) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      throw createError('mapping must map column names to contact fields', 400);
+    }
+
+    const targets = new Set();
+    for (const [column, target] of Object.entries(mapping)) {
+      if (target === null || target === '') continue;
+
+      if (!columns.includes(column)) {
+        throw createError(`Column "${column}" is not in the file`, 400);
+      }
+      const isMetadata = typeof target === 'string' && target.startsWith('metadata.') &&
+        target.slice(9).length > 0 && METADATA_KEY.test(target.slice(9));
+      if (!CONTACT_FIELDS.includes(target) && !isMetadata) {
+        throw createError(`Column "${column}" maps to unknown field "${target}" (use ${CONTACT_FIELDS.join(', ')} or metadata.<key>)`, 400);
+      }
+      if (targets.has(target)) {
+        throw createError(`More than one column maps to ${target}`, 400);
+      }
+      targets.add(target);
+    }
+
+    if (!targets.has('email')) {
+      throw createError('One column must map to email', 400);
+    }
+  }
+
+  /**
+   * Create an import job for an uploaded file, reading its header and a few sample rows
+   * @param {Object} file - Uploaded file ({ path, originalName, size })
+   * @param {Object} owner - { userId, organizationId }
+   * @returns {Promise<Object>} - { job, sample, suggestedMapping }
+   */
+  async createJob(file, { userId, organizationId }) {
+    const format = path.extname(file.originalName || '').toLowerCase() === '.xlsx' ? 'xlsx' : 'csv';
+    const rows = [];
+
+    try {
+      for await (const row of this.readRows({ path: file.path, format, size: file.size })) {
+        rows.push(row.values);
+        if (rows.length > SAMPLE_SIZE) break;
+      }
+    } catch (error) {
+      await fs.promises.unlink(file.path).catch(() => {});
+      throw createError(`Could not read the file: ${error.message}`, 400, error);
+    }
+
+    const columns = (rows[0] || []).map(column => String(column).trim());
+    if (columns.length === 0 || columns.every(column => column === '')) {
+      await fs.promises.unlink(file.path).catch(() => {});
+      throw createError('The file has no header row', 400);
+    }
+    if (new Set(columns).size !== columns.length) {
+      await fs.promises.unlink(file.path).catch(() => {});
+      throw createError('Column names in the header row must be unique', 400);
+    }
+
+    const job = await ImportJob.create({
+      userId,
+      organizationId,
+      fileName: file.originalName,
+      format,
+      fileSize: file.size,
+      columns
+    });
+
+    // The import job may run on another instance, which can't see this one's upload
+    try {
+      await this.storeFile(job, file.path);
+    } catch (error) {
+      await this.removeFile(job);
+      await job.destroy();
+      throw error;
+    } finally {
+      await fs.promises.unlink(file.path).catch(() => {});
+    }
+
+    return {
+      job,
+      sample: rows.slice(1).map(values => Object.fromEntries(columns.map((column, i) => [column, values[i] ?? '']))),
+      suggestedMapping: this.suggestMapping(columns)
+    };
+  }
+
+  /**
+   * Map the columns of a pending job and queue the background job importing it
+   * @param {ImportJob} job - Pending import job
+   * @param {Object} options - { mapping, contactListId, mode, merge, attachExisting }
+   * @returns {Promise<ImportJob>} - Job, now "processing"
+   */
+  async start(job, { mapping, contactListId = null, ...importOptions }) {
+    if (job.status !== 'pending') {
+      throw createError(`Cannot start an import with status: ${job.status}`, 400);
+    }
+
+    this.validateMapping(job.columns, mapping);
+    const options = this.resolveOptions(importOptions, contactListId);
+
+    if (contactListId) {
+      const list = await ContactList.findOne({ where: { id: contactListId, organizationId: job.organizationId } });
+      if (!list) {
+        throw createError('Contact list not found or access denied', 404);
+      }
+    }
+
+    // Only one request gets to start a job
+    const [claimed] = await ImportJob.update({
+      status: 'processing',
+      mapping,
+      contactListId,
+      options,
+      startedAt: new Date()
+    }, { where: { id: job.id, status: 'pending' } });
+    if (claimed === 0) {
+      throw createError('Import has already been started', 409);
+    }
+
+    const queued = await jobService.enqueue('contacts.import', { importJobId: job.id }, {
+      organizationId: job.organizationId,
+      userId: job.userId
+    });
+    await job.update({ jobId: queued.id });
+
+    return job.reload();
+  }
+
+  /**
+   * Check import options and fill in the defaults
+   * @param {Object} options - { mode, merge, attachExisting }
+   * @param {string|null} contactListId - List the contacts are added to
+   * @returns {Object} - { mode, merge, attachExisting }
+   */
+  resolveOptions({ mode = 'skip', merge = {}, attachExisting = false } = {}, contactListId = null) {
+    if (!IMPORT_MODES.includes(mode)) {
+      throw createError(`Unknown import mode "${mode}" (use ${IMPORT_MODES.join(', ')})`, 400);
+    }
+    if (mode === 'addToList' && !contactListId) {
+      throw createError('The addToList mode needs a list to add the contacts to', 400);
+    }
+    if (!merge || typeof merge !== 'object' || Array.isArray(merge)) {
+      throw createError('merge must map contact fields to merge strategies', 400);
+    }
+
+    for (const [field, strategy] of Object.entries(merge)) {
+      if (!(field in DEFAULT_MERGE)) {
+        throw createError(`Unknown merge field "${field}" (use ${Object.keys(DEFAULT_MERGE).join(', ')})`, 400);
+      }
+      const strategies = field === 'metadata' ? METADATA_STRATEGIES : FIELD_STRATEGIES;
+      if (!strategies.includes(strategy)) {
+        throw createError(`Unknown merge strategy "${strategy}" for ${field} (use ${strategies.join(', ')})`, 400);
+      }
+    }
+
+    return {
+      mode,
+      merge: { ...DEFAULT_MERGE, ...merge },
+      // Existing contacts are what addToList imports add
+      attachExisting: mode === 'addToList' || Boolean(attachExisting)
+    };
+  }
+
+  /**
+   * Work out how an update import changes an existing contact
+   * Empty values in the import never clear a field.
+   * @param {Contact} contact - Existing contact
+   * @param {Object} data - Imported contact fields
+   * @param {Object} merge - Field -> merge strategy
+   * @returns {Object} - Changed fields, empty when nothing changes
+   */
+  mergeContact(contact, data, merge) {
+    const updates = {};
+
+    for (const field of ['firstName', 'lastName', 'company', 'status']) {
+      const value = data[field];
+      const current = contact.get(field);
+      if (value === undefined || value === null || value === '' || merge[field] === 'keep') continue;
+      if (merge[field] === 'fillEmpty' && current) continue;
+      if (value !== current) updates[field] = value;
+    }
+
+    if (data.metadata && merge.metadata !== 'keep') {
+      const current = contact.metadata || {};
+      const merged = {
+        merge: { ...current, ...data.metadata },
+        fillEmpty: { ...data.metadata, ...current },
+        replace: data.metadata
+      }[merge.metadata];
+
+      if (JSON.stringify(merged) !== JSON.stringify(current)) updates.metadata = merged;
+    }
+
+    return updates;
+  }
+
+  /**
+   * Write checked contacts according to the import options: create the new ones,
+   * update or skip the existing ones, and add them to the list
+   * @param {Object} target - { organizationId, userId, contactListId, options }
+   * @param {Object[]} rows - Rows with data (contact fields, email lowercased) and no error
+   * @param {Transaction} transaction - Transaction
+   * @returns {Promise<Object>} - { created, updated, attached, skipped } counts and the
+   *   rows that failed as failures
+   */
+  async upsertContacts({ organizationId, userId, contactListId, options }, rows, transaction) {
+    const counts = { created: 0, updated: 0, attached: 0, skipped: 0 };
+    const failures = [];
+    if (rows.length === 0) return { ...counts, failures };
+
+    const existing = await Contact.findAll({
+      where: { organizationId, email: rows.map(row => row.data.email) },
+      transaction
+    });
+    const existingByEmail = new Map(existing.map(contact => [contact.email.toLowerCase(), contact]));
+    const newRows = rows.filter(row => !existingByEmail.has(row.data.email));
+    const existingRows = rows.filter(row => existingByEmail.has(row.data.email));
+
+    const toContact = (row) => ({
+      userId,
+      organizationId,
+      status: 'active',
+      ...row.data
+    });
+
+    let created = [];
+    if (options.mode === 'addToList') {
+      // Only existing contacts are added
+      counts.skipped += newRows.length;
+    } else if (newRows.length > 0) {
+      try {
+        created = await Contact.bulkCreate(newRows.map(toContact), { transaction, validate: true });
+      } catch (error) {
+        // Fall back to one by one so one bad row doesn't fail the batch
+        for (const row of newRows) {
+          try {
+            created.push(await Contact.create(toContact(row), { transaction }));
+          } catch (rowError) {
+            failures.push({ ...row, error: rowError.errors ? rowError.errors[0].message : rowError.message });
+          }
+        }
+      }
+    }
+    counts.created = created.length;
+
+    // Existing contacts not yet in the list, when they are to be added to it
+    let toAttach = new Set();
+    if (contactListId && options.attachExisting && existingRows.length > 0) {
+      const members = await ContactListContacts.findAll({
+        where: { contactListId, contactId: existing.map(contact => contact.id) },
+        attributes: ['contactId'],
+        transaction
+      });
+      const memberIds = new Set(members.map(member => member.contactId));
+      toAttach = new Set(existing.filter(contact => !memberIds.has(contact.id)).map(contact => contact.id));
+    }
+
+    for (const row of existingRows) {
+      const contact = existingByEmail.get(row.data.email);
+      const updates = options.mode === 'update' ? this.mergeContact(contact, row.data, options.merge) : {};
+
+      if (Object.keys(updates).length > 0) {
+        await contact.update(updates, { transaction });
+        counts.updated++;
+      }
+      if (toAttach.has(contact.id)) {
+        counts.attached++;
+      } else if (Object.keys(updates).length === 0) {
+        counts.skipped++;
+      }
+    }
+
+    const listed = [...created.map(contact => contact.id), ...toAttach];
+    if (contactListId && listed.length > 0) {
+      const now = new Date();
+      await ContactListContacts.bulkCreate(listed.map(contactId => ({
+        contactListId,
+        contactId,
+        addedAt: now,
+        createdAt: now,
+        updatedAt: now
+      })), { transaction, ignoreDuplicates: true });
+    }
+
+    return { ...counts, failures };
+  }
+
+  /**
+   * Turn a file row into contact fields
+   * @param {string[]} columns - Header row
+   * @param {Object} mapping - Column mapping
+   * @param {string[]} values - Row values
+   * @returns {Object} - Contact fields, metadata included
+   */
+  mapRow(columns, mapping, values) {
+    const data = {};
+    const metadata = {};
+
+    columns.forEach((column, index) => {
+      const target = mapping[column];
+      const value = values[index] === undefined ? '' : String(values[index]).trim();
+      if (!target || value === '') return;
+
+      if (target.startsWith('metadata.')) {
+        metadata[target.slice(9)] = value;
+      } else {
+        data[target] = value;
+      }
+    });
+
+    if (Object.keys(metadata).length > 0) data.metadata = metadata;
+    return data;
+  }
+
+  /**
+   * Check a mapped row, returning why it can't be imported
+   * @param {Object} data - Mapped contact fields
+   * @returns {Promise<string|null>} - Error message, null when the row is fine
+   */
+  async checkRow(data) {
+    if (!data.email) return 'Missing email';
+
+    data.email = data.email.toLowerCase();
+    try {
+      await Contact.build({ email: data.email }).validate({ fields: ['email'] });
+    } catch (error) {
+      return `Invalid email address: ${data.email}`;
+    }
+
+    if (data.status) {
+      data.status = data.status.toLowerCase();
+      if (!STATUSES.includes(data.status)) {
+        return `Invalid status "${data.status}" (use ${STATUSES.join(', ')})`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Write a batch of rows with the job's import options and record the rows that failed
+   * @param {ImportJob} job - Import job
+   * @param {Object[]} rows - { rowNumber, values, data, error }
+   * @returns {Promise<Object>} - { created, updated, attached, skipped, failed } counts of the batch
+   */
+  async writeBatch(job, rows) {
+    const failures = rows.filter(row => row.error);
+    const target = {
+      organizationId: job.organizationId,
+      userId: job.userId,
+      contactListId: job.contactListId,
+      // Imports started before there were modes skip existing contacts
+      options: job.options || this.resolveOptions()
+    };
+
+    const counts = await sequelize.transaction(async (transaction) => {
+      const result = await this.upsertContacts(target, rows.filter(row => !row.error), transaction);
+      failures.push(...result.failures);
+
+      if (failures.length > 0) {
+        await ImportJobError.bulkCreate(failures.map(row => ({
+          importJobId: job.id,
+          rowNumber: row.rowNumber,
+          email: row.data ? row.data.email || null : null,
+          message: String(row.error).slice(0, 512),
+          values: row.values
+        })), { transaction });
+      }
+
+      return result;
+    });
+
+    return {
+      created: counts.created,
+      updated: counts.updated,
+      attached: counts.attached,
+      skipped: counts.skipped,
+      failed: failures.length
+    };
+  }
+
+  /**
+   * Handler of 'contacts.import' jobs
+   * @param {Job} queued - Background job
+   * @param {Object} context - Job context
+   * @returns {Promise<Object>} - Import counters, stored as the job result
+   */
+  async runJob(queued, context) {
+    const job = await ImportJob.findByPk(queued.payload.importJobId);
+    if (!job || job.status !== 'processing') {
+      return { skipped: true };
+    }
+
+    return this.run(job, context);
+  }
+
+  /**
+   * Import the file of a started job
+   * Errors are thrown to the job queue, which retries the import or fails it.
+   * @param {ImportJob} job - Job in "processing"
+   * @param {Object} context - Job context, for progress and cancellation
+   * @returns {Promise<Object>} - Counters
+   */
+  async run(job, context) {
+    const counters = {
+      processedRows: 0,
+      createdCount: 0,
+      updatedCount: 0,
+      attachedCount: 0,
+      skippedCount: 0,
+      failedCount: 0
+    };
+    const seen = new Map();
+    let progress = 0;
+    let batch = [];
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      const counts = await this.writeBatch(job, batch);
+      counters.processedRows += batch.length;
+      counters.createdCount += counts.created;
+      counters.updatedCount += counts.updated;
+      counters.attachedCount += counts.attached;
+      counters.skippedCount += counts.skipped;
+      counters.failedCount += counts.failed;
+      batch = [];
+      await job.update({ ...counters, progress });
+      await context.progress(progress);
+    };
+
+    // Start over on retries
+    await ImportJobError.destroy({ where: { importJobId: job.id } });
+    await job.update({ ...counters, progress, error: null });
+
+    const file = { path: job.filePath, importJobId: job.id, format: job.format, size: job.fileSize };
+
+    for await (const { rowNumber, values } of this.readRows(file, (percent) => { progress = percent; })) {
+      // Header row, and blank lines
+      if (rowNumber === 1 || values.every(value => String(value).trim() === '')) continue;
+
+      const data = this.mapRow(job.columns, job.mapping, values);
+      let error = await this.checkRow(data);
+      if (!error && seen.has(data.email)) {
+        error = `Duplicate of row ${seen.get(data.email)}`;
+      }
+      if (!error) seen.set(data.email, rowNumber);
+
+      batch.push({ rowNumber, values, data, error });
+      if (batch.length >= BATCH_SIZE) {
+        await flush();
+        // Rows written so far stay imported
+        if (await context.isCancelled()) return counters;
+      }
+    }
+    await flush();
+
+    await this.updateListCount(job);
+
+    await job.update({ ...counters, status: 'completed', progress: 100, completedAt: new Date() });
+    await this.removeFile(job);
+    console.log(`Import ${job.id} completed: ${counters.createdCount} created, ${counters.updatedCount} updated, ${counters.attachedCount} attached, ${counters.skippedCount} skipped, ${counters.failedCount} failed`);
+
+    return counters;
+  }
+
+  /**
+   * End an import whose background job failed for good or was cancelled
+   * @param {Job} queued - Background job
+   * @param {Object} updates - { status, error }
+   */
+  async finish(queued, updates) {
+    const job = await ImportJob.findByPk(queued.payload.importJobId);
+    if (!job || !['pending', 'processing'].includes(job.status)) return;
+
+    // The list keeps the contacts added before the import stopped
+    await this.updateListCount(job);
+
+    await job.update({ ...updates, completedAt: new Date() });
+    await this.removeFile(job);
+  }
+
+  /**
+   * Refresh the contact count of the list a job imports into
+   * @param {ImportJob} job - Import job
+   */
+  async updateListCount(job) {
+    if (!job.contactListId) return;
+
+    const list = await ContactList.findByPk(job.contactListId);
+    if (list) {
+      const count = await ContactListContacts.count({ where: { contactListId: list.id } });
+      await list.update({ count, lastUpdated: new Date() });
+    }
+  }
+
+  /**
+   * Delete the uploaded file of a job
+   * @param {ImportJob} job - Import job
+   */
+  async removeFile(job) {
+    await ImportFileChunk.destroy({ where: { importJobId: job.id } });
+    if (!job.filePath) return;
+    await fs.promises.unlink(job.filePath).catch(() => {});
+    await job.update({ filePath: null });
+  }
+
+  /**
+   * Public view of a job (the server-side file path left out)
+   * @param {ImportJob} job - Import job
+   * @returns {Object} - Job fields
+   */
+  serialize(job) {
+    const { filePath, ...fields } = job.get({ plain: true });
+    return fields;
+  }
+
+  /**
+   * Write the error report of a job as CSV: row number, error, then the row as uploaded
+   * @param {ImportJob} job - Import job
+   * @param {Object} out - Writable stream (e.g. the response)
+   */
+  async writeErrorReport(job, out) {
+    out.write(formatRow(['row', 'error', ...job.columns]));
+
+    let offset = 0;
+    for (;;) {
+      const errors = await ImportJobError.findAll({
+        where: { importJobId: job.id },
+        order: [['rowNumber', 'ASC']],
+        limit: REPORT_BATCH_SIZE,
+        offset
+      });
+
+      errors.forEach(error => out.write(formatRow([error.rowNumber, error.message, ...(error.values || [])])));
+
+      if (errors.length < REPORT_BATCH_SIZE) break;
+      offset += errors.length;
+    }
+  }
+}
+
+module.exports = new ImportService();
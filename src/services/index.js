@@ -1,11 +1,47 @@
+const abTestService = require('./abTestService');
+const accountService = require('./accountService');
+const apiKeyService = require('./apiKeyService');
 const campaignService = require('./campaignService');
 const emailService = require('./emailService');
+const eventService = require('./eventService');
+const exportService = require('./exportService');
+const importService = require('./importService');
+const jobService = require('./jobService');
+const rateLimitService = require('./rateLimitService');
 const schedulerService = require('./schedulerService');
+const segmentService = require('./segmentService');
+const sendingService = require('./sendingService');
+const sessionService = require('./sessionService');
+const settingService = require('./settingService');
+const snapshotService = require('./snapshotService');
+const snsService = require('./snsService');
+const suppressionService = require('./suppressionService');
+const templateService = require('./templateService');
+const trackingService = require('./trackingService');
+const twoFactorService = require('./twoFactorService');
 const validationService = require('./validationService');
 
 module.exports = {
+  abTestService,
+  accountService,
+  apiKeyService,
   campaignService,
   emailService,
+  eventService,
+  exportService,
+  importService,
+  jobService,
+  rateLimitService,
   schedulerService,
+  segmentService,
+  sendingService,
+  sessionService,
+  settingService,
+  snapshotService,
+  snsService,
+  suppressionService,
+  templateService,
+  trackingService,
+  twoFactorService,
   validationService
 }; 
\ No newline at end of file
@@ -0,0 +1,483 @@
+const os = require('os');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Job, sequelize } = require('../models');
+const { createError } = require('../utils/error');
+
+// Job runner configuration
+const POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+const LOCK_TIMEOUT = parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 5 * 60000;
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+// Delay before the first retry; doubled for every further attempt
+const RETRY_DELAY = parseInt(process.env.JOB_RETRY_DELAY_MS) || 30000;
+const MAX_RETRY_DELAY = 60 * 60000;
+// Progress is written at most this often (it also refreshes the job's lock)
+const PROGRESS_INTERVAL = 2000;
+// How often a running job's lock is refreshed, well within the lock timeout
+const HEARTBEAT_INTERVAL = Math.max(1000, Math.floor(LOCK_TIMEOUT / 5));
+// Due jobs looked at per claim attempt
+const CLAIM_BATCH_SIZE = 10;
+
+/**
+ * Job Service - A database-backed queue for work that is too slow for an HTTP request.
+ *
+ * Services register a handler per job type and enqueue jobs with a JSON payload. A runner
+ * (the API server's poller, the separate worker process or the cron-triggered
+ * /api/jobs/run) claims due jobs with a row lock (lockedBy/lockedAt) the same way the
+ * scheduler claims campaigns, so a job only ever runs in one place. The lock is kept
+ * fresh on a heartbeat while the handler runs, whether or not it reports progress; a job
+ * whose lock goes stale (its runner died) is taken over.
+ * Failed jobs are retried with exponential backoff until maxAttempts, except for errors
+ * with a 4xx status, which will not succeed on retry. Cancelling a job stops it before it
+ * starts, or tells the running handler to stop at its next check.
+ */
+class JobService {
+  constructor() {
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+    this.handlers = new Map();
+    this.timer = null;
+    this.running = null;
+    this.stopping = false;
+  }
+
+  /**
+   * Register the handler of a job type
+   * @param {string} type - Job type, e.g. 'contacts.import'
+   * @param {Object} definition - { run(job, context), onFailed(job, error), onCancelled(job),
+   *   maxAttempts, permission }. run's return value is stored as the job result;
+   *   permission is what a workspace member needs to see or cancel the job.
+   */
+  register(type, definition) {
+    this.handlers.set(type, {
+      maxAttempts: DEFAULT_MAX_ATTEMPTS,
+      permission: null,
+      ...definition
+    });
+  }
+
+  /**
+   * Get the registered job types
+   * @returns {string[]} - Job types
+   */
+  getTypes() {
+    return [...this.handlers.keys()];
+  }
+
+  /**
+   * Get the registered definition of a job type
+   * @param {string} type - Job type
+   * @returns {Object|null} - Definition
+   */
+  getDefinition(type) {
+    return this.handlers.get(type) || null;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Registered job type
+   * @param {Object} payload - Handler input
+   * @param {Object} options - { organizationId, userId, runAt, maxAttempts }
+   * @returns {Promise<Job>} - Queued job
+   */
+  async enqueue(type, payload = {}, { organizationId = null, userId = null, runAt = new Date(), maxAttempts } = {}) {
+    const definition = this.getDefinition(type);
+    if (!definition) {
+      throw createError(`Unknown job type: ${type}`, 500);
+    }
+
+    return Job.create({
+      type,
+      payload,
+      organizationId,
+      userId,
+      runAt,
+      maxAttempts: maxAttempts || definition.maxAttempts
+    });
+  }
+
+  /**
+   * Whether a job of a type is still queued or running for the given payload fields
+   * @param {string} type - Job type
+   * @param {Object} payload - Payload fields the job must match, e.g. { campaignId }
+   * @param {string|null} [organizationId] - Workspace the job belongs to
+   * @returns {Promise<boolean>}
+   */
+  async hasPending(type, payload, organizationId = null) {
+    const jobs = await Job.findAll({
+      where: { type, organizationId, status: { [Op.in]: ['queued', 'running'] } },
+      attributes: ['payload']
+    });
+
+    return jobs.some(job => Object.entries(payload).every(([key, value]) => (
+      job.payload && job.payload[key] === value
+    )));
+  }
+
+  /**
+   * Claim a job for this instance. Queued jobs can be claimed once they are due, running
+   * jobs once their lock is older than the lock timeout.
+   * @param {string} jobId - Job ID
+   * @returns {Promise<boolean>} - Whether this instance now holds the job
+   */
+  async claimJob(jobId) {
+    const now = new Date();
+    const [affectedRows] = await Job.update(
+      {
+        status: 'running',
+        lockedBy: this.instanceId,
+        lockedAt: now,
+        startedAt: now,
+        attempts: sequelize.literal('attempts + 1')
+      },
+      {
+        where: {
+          id: jobId,
+          [Op.or]: [
+            { status: 'queued', runAt: { [Op.lte]: now } },
+            { status: 'running', lockedAt: { [Op.lt]: new Date(now.getTime() - LOCK_TIMEOUT) } }
+          ]
+        }
+      }
+    );
+
+    return affectedRows === 1;
+  }
+
+  /**
+   * Claim the next due job of a registered type
+   * @returns {Promise<Job|null>} - Claimed job, or null when nothing is due
+   */
+  async claimNext() {
+    const now = new Date();
+    const candidates = await Job.findAll({
+      where: {
+        type: { [Op.in]: [...this.handlers.keys()] },
+        [Op.or]: [
+          { status: 'queued', runAt: { [Op.lte]: now } },
+          { status: 'running', lockedAt: { [Op.lt]: new Date(now.getTime() - LOCK_TIMEOUT) } }
+        ]
+      },
+      attributes: ['id'],
+      order: [['runAt', 'ASC']],
+      limit: CLAIM_BATCH_SIZE
+    });
+
+    for (const { id } of candidates) {
+      if (await this.claimJob(id)) {
+        return Job.findByPk(id);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Update a job this instance holds and release it
+   * @param {Job} job - Claimed job
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<boolean>} - Whether the job was still held (not cancelled or taken over)
+   */
+  async releaseJob(job, updates) {
+    const [affectedRows] = await Job.update(
+      {
+        ...updates,
+        lockedBy: null,
+        lockedAt: null
+      },
+      {
+        where: {
+          id: job.id,
+          status: 'running',
+          lockedBy: this.instanceId
+        }
+      }
+    );
+
+    return affectedRows === 1;
+  }
+
+  /**
+   * Whether a job has been cancelled (or deleted) since it was loaded
+   * @param {Job} job - Job
+   * @returns {Promise<boolean>}
+   */
+  async isCancelled(job) {
+    const current = await Job.findByPk(job.id, { attributes: ['status'] });
+    return !current || current.status === 'cancelled';
+  }
+
+  /**
+   * Context handed to a job's handler
+   * @param {Job} job - Claimed job
+   * @returns {Object} - { attempt, progress(percent), isCancelled() }
+   */
+  createContext(job) {
+    let lastWrite = 0;
+
+    return {
+      attempt: job.attempts,
+      progress: async (percent) => {
+        const now = Date.now();
+        if (now - lastWrite < PROGRESS_INTERVAL) return;
+        lastWrite = now;
+
+        await Job.update(
+          { progress: Math.max(0, Math.min(100, Math.round(percent))), lockedAt: new Date() },
+          { where: { id: job.id, status: 'running', lockedBy: this.instanceId } }
+        );
+      },
+      isCancelled: () => this.isCancelled(job)
+    };
+  }
+
+  /**
+   * Run a claimed job and record its outcome
+   * @param {Job} job - Claimed job
+   * @returns {Promise<Object>} - Outcome for this job
+   */
+  async runJob(job) {
+    const definition = this.getDefinition(job.type);
+    const outcome = { jobId: job.id, type: job.type, attempts: job.attempts };
+
+    // Taken over from instances that stopped responding once too often
+    if (job.attempts > job.maxAttempts) {
+      return { ...outcome, ...(await this.failJob(job, definition, createError('Job was abandoned by its worker', 500), false)) };
+    }
+
+    // Keep the lock while the handler runs, so a long job isn't taken over halfway
+    const heartbeat = setInterval(() => {
+      Job.update({ lockedAt: new Date() }, {
+        where: { id: job.id, status: 'running', lockedBy: this.instanceId }
+      }).catch(error => console.error(`Failed to refresh the lock of job ${job.id}:`, error));
+    }, HEARTBEAT_INTERVAL);
+    // Don't keep the process alive for the heartbeat
+    heartbeat.unref();
+
+    try {
+      return await this.runHandler(job, definition, outcome);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Run the handler of a claimed job and record its outcome
+   * @param {Job} job - Claimed job
+   * @param {Object} definition - Job type definition
+   * @param {Object} outcome - { jobId, type, attempts }
+   * @returns {Promise<Object>} - Outcome for this job
+   */
+  async runHandler(job, definition, outcome) {
+    try {
+      const result = await definition.run(job, this.createContext(job));
+
+      if (await this.isCancelled(job)) {
+        await this.finishCancelled(job, definition);
+        return { ...outcome, status: 'cancelled' };
+      }
+
+      await this.releaseJob(job, {
+        status: 'completed',
+        progress: 100,
+        result: result === undefined ? null : result,
+        error: null,
+        completedAt: new Date()
+      });
+      return { ...outcome, status: 'completed' };
+    } catch (error) {
+      if (await this.isCancelled(job)) {
+        await this.finishCancelled(job, definition);
+        return { ...outcome, status: 'cancelled' };
+      }
+
+      console.error(`Job ${job.id} (${job.type}) failed on attempt ${job.attempts}:`, error);
+      const retry = job.attempts < job.maxAttempts && !(error.status && error.status < 500);
+      return { ...outcome, ...(await this.failJob(job, definition, error, retry)) };
+    }
+  }
+
+  /**
+   * Record a failed attempt: queue the job again after a backoff, or fail it for good
+   * @param {Job} job - Claimed job
+   * @param {Object} definition - Job type definition
+   * @param {Error} error - Error of the attempt
+   * @param {boolean} retry - Whether to retry
+   * @returns {Promise<Object>} - { status, error, runAt }
+   */
+  async failJob(job, definition, error, retry) {
+    if (retry) {
+      const delay = Math.min(RETRY_DELAY * 2 ** (job.attempts - 1), MAX_RETRY_DELAY);
+      const runAt = new Date(Date.now() + delay);
+      await this.releaseJob(job, { status: 'queued', runAt, error: error.message });
+      return { status: 'retrying', error: error.message, runAt };
+    }
+
+    const released = await this.releaseJob(job, {
+      status: 'failed',
+      error: error.message,
+      completedAt: new Date()
+    });
+
+    if (released && definition.onFailed) {
+      try {
+        await definition.onFailed(job, error);
+      } catch (hookError) {
+        console.error(`Failure handler of job ${job.id} (${job.type}) failed:`, hookError);
+      }
+    }
+
+    return { status: 'failed', error: error.message };
+  }
+
+  /**
+   * Release a job that was cancelled while it ran, and let its type clean up
+   * @param {Job} job - Cancelled job
+   * @param {Object} definition - Job type definition
+   */
+  async finishCancelled(job, definition) {
+    await Job.update(
+      { lockedBy: null, lockedAt: null },
+      { where: { id: job.id, lockedBy: this.instanceId } }
+    );
+    await this.runCancelledHook(job, definition);
+  }
+
+  /**
+   * Call the onCancelled handler of a job type, if it has one
+   * @param {Job} job - Cancelled job
+   * @param {Object} definition - Job type definition
+   */
+  async runCancelledHook(job, definition) {
+    if (!definition || !definition.onCancelled) return;
+
+    try {
+      await definition.onCancelled(job);
+    } catch (error) {
+      console.error(`Cancel handler of job ${job.id} (${job.type}) failed:`, error);
+    }
+  }
+
+  /**
+   * Cancel a queued or running job
+   * A queued job never runs; a running job stops at the handler's next cancellation check.
+   * @param {Job} job - Job
+   * @returns {Promise<Job>} - Updated job
+   */
+  async cancel(job) {
+    if (!['queued', 'running'].includes(job.status)) {
+      throw createError(`Cannot cancel a job with status: ${job.status}`, 400);
+    }
+
+    const [affectedRows] = await Job.update(
+      { status: 'cancelled', completedAt: new Date() },
+      { where: { id: job.id, status: { [Op.in]: ['queued', 'running'] } } }
+    );
+    if (affectedRows === 0) {
+      throw createError('Job has already finished', 409);
+    }
+
+    // Nobody will pick up a queued job again, nor a running one whose worker is gone,
+    // so clean up here; a live worker cleans up once its handler returns
+    const abandoned = job.status === 'running' &&
+      (!job.lockedAt || job.lockedAt.getTime() < Date.now() - LOCK_TIMEOUT);
+    if (job.status === 'queued' || abandoned) {
+      await this.runCancelledHook(job, this.getDefinition(job.type));
+    }
+
+    return job.reload();
+  }
+
+  /**
+   * Claim and run due jobs one after another
+   * @param {Object} options - { limit, timeBudget } where timeBudget (ms) stops claiming
+   *   new jobs once it has been used up, for runs with a deadline such as cron invocations
+   * @returns {Promise<Object>} - Summary of the run
+   */
+  async processDueJobs({ limit = Infinity, timeBudget = null } = {}) {
+    if (this.running) {
+      return { skipped: true, reason: 'A job run is already in progress' };
+    }
+
+    const deadline = timeBudget ? Date.now() + timeBudget : null;
+    const results = [];
+
+    const run = async () => {
+      while (!this.stopping && results.length < limit && (!deadline || Date.now() < deadline)) {
+        const job = await this.claimNext();
+        if (!job) break;
+        results.push(await this.runJob(job));
+      }
+    };
+
+    this.running = run();
+
+    try {
+      await this.running;
+
+      return {
+        skipped: false,
+        processed: results.length,
+        completed: results.filter(r => r.status === 'completed').length,
+        retrying: results.filter(r => r.status === 'retrying').length,
+        failed: results.filter(r => r.status === 'failed').length,
+        cancelled: results.filter(r => r.status === 'cancelled').length,
+        results
+      };
+    } catch (error) {
+      throw createError('Failed to process jobs', 500, error);
+    } finally {
+      this.running = null;
+    }
+  }
+
+  /**
+   * Start polling for due jobs
+   * @param {number} interval - Polling interval in milliseconds
+   * @param {Object} options - { keepAlive } keeps the process alive for the poller,
+   *   for processes that do nothing else (the worker)
+   */
+  start(interval = POLL_INTERVAL, { keepAlive = false } = {}) {
+    if (this.timer) return;
+    this.stopping = false;
+
+    const run = () => {
+      this.processDueJobs().catch(error => {
+        console.error('Job run failed:', error);
+      });
+    };
+
+    this.timer = setInterval(run, interval);
+    if (!keepAlive) this.timer.unref();
+    run();
+
+    console.log(`Job runner started (every ${interval}ms)`);
+  }
+
+  /**
+   * Stop polling for due jobs; the run in progress stops after its current job
+   * @returns {Promise<void>} - Resolves once the job in progress, if any, has finished
+   */
+  async stop() {
+    this.stopping = true;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.running) {
+      await this.running.catch(() => {});
+    }
+  }
+
+  /**
+   * Public view of a job
+   * @param {Job} job - Job
+   * @returns {Object} - Job fields, lock details left out
+   */
+  serialize(job) {
+    const { lockedBy, lockedAt, ...fields } = job.get({ plain: true });
+    return fields;
+  }
+}
+
+module.exports = new JobService();
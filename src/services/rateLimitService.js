@@ -0,0 +1,49 @@
+const GROUPS = require('../config/rateLimits');
+const { getStore } = require('./rateLimitStores');
+
+/**
+ * Rate Limit Service - Fixed-window request counting per route group
+ * Limits come from config/rateLimits and its environment overrides; counters live in
+ * the store RATE_LIMIT_STORE selects (see rateLimitStores).
+ */
+class RateLimitService {
+  /**
+   * Limit of a route group, environment overrides applied
+   * @param {string} group - Group name, e.g. 'login'
+   * @returns {Object} - { max, window (seconds), keyBy }
+   */
+  getLimit(group) {
+    const defaults = GROUPS[group];
+    if (!defaults) {
+      throw new Error(`Unknown rate limit group: ${group}`);
+    }
+
+    const prefix = `RATE_LIMIT_${group.toUpperCase()}`;
+    return {
+      ...defaults,
+      max: parseInt(process.env[`${prefix}_MAX`]) || defaults.max,
+      window: parseInt(process.env[`${prefix}_WINDOW`]) || defaults.window
+    };
+  }
+
+  /**
+   * Count a request against a group's limit
+   * @param {string} group - Group name
+   * @param {string} caller - Who is counted, e.g. "ip:203.0.113.7"
+   * @returns {Promise<Object>} - { limit, window, remaining, resetAt, limited }
+   */
+  async consume(group, caller) {
+    const { max, window } = this.getLimit(group);
+    const { count, resetAt } = await getStore().hit(`${group}:${caller}`, window * 1000);
+
+    return {
+      limit: max,
+      window,
+      remaining: Math.max(0, max - count),
+      resetAt,
+      limited: count > max
+    };
+  }
+}
+
+module.exports = new RateLimitService();
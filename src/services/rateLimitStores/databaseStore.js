@@ -0,0 +1,84 @@
+const { Op, UniqueConstraintError } = require('sequelize');
+const { RateLimit, sequelize } = require('../../models');
+
+// Expired counters are deleted at most this often per process
+const CLEANUP_INTERVAL = 60000;
+
+/**
+ * Database Store - Keeps rate limit counters in the RateLimits table
+ * Every instance shares the same counters. Each hit is a single conditional update in
+ * the common case, so concurrent requests can't lose counts.
+ */
+class DatabaseStore {
+  constructor() {
+    this.name = 'database';
+    this.cleanedAt = 0;
+  }
+
+  /**
+   * Count a hit
+   * @param {string} key - Counter key
+   * @param {number} windowMs - Window length in milliseconds
+   * @returns {Promise<Object>} - { count, resetAt } of the current window
+   */
+  async hit(key, windowMs) {
+    this.cleanup();
+
+    // Two attempts: a concurrent request may create the counter between our update and insert
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const now = new Date();
+
+      // Current window: count the hit
+      const [incremented] = await RateLimit.update(
+        { count: sequelize.literal('count + 1') },
+        { where: { key, resetAt: { [Op.gt]: now } } }
+      );
+
+      if (incremented === 0) {
+        // Window passed: start a new one
+        const [restarted] = await RateLimit.update(
+          { count: 1, resetAt: new Date(now.getTime() + windowMs) },
+          { where: { key, resetAt: { [Op.lte]: now } } }
+        );
+
+        if (restarted === 0) {
+          try {
+            const counter = await RateLimit.create({ key, count: 1, resetAt: new Date(now.getTime() + windowMs) });
+            return { count: counter.count, resetAt: counter.resetAt };
+          } catch (error) {
+            if (error instanceof UniqueConstraintError) continue;
+            throw error;
+          }
+        }
+      }
+
+      const counter = await RateLimit.findByPk(key);
+      if (counter) {
+        return { count: counter.count, resetAt: counter.resetAt };
+      }
+    }
+
+    throw new Error(`Could not count rate limit hit for ${key}`);
+  }
+
+  /**
+   * Forget a counter
+   * @param {string} key - Counter key
+   */
+  async reset(key) {
+    await RateLimit.destroy({ where: { key } });
+  }
+
+  /**
+   * Delete expired counters, in the background
+   */
+  cleanup() {
+    if (Date.now() - this.cleanedAt < CLEANUP_INTERVAL) return;
+    this.cleanedAt = Date.now();
+
+    RateLimit.destroy({ where: { resetAt: { [Op.lte]: new Date() } } })
+      .catch(error => console.error('Rate limit cleanup error:', error));
+  }
+}
+
+module.exports = DatabaseStore;
@@ -0,0 +1,42 @@
+const MemoryStore = require('./memoryStore');
+const DatabaseStore = require('./databaseStore');
+
+/**
+ * Rate limit stores
+ *
+ * A store keeps fixed-window counters and implements:
+ *   hit(key, windowMs)   - Count a hit => { count, resetAt } of the current window
+ *   reset(key)           - Forget a counter
+ *
+ * RATE_LIMIT_STORE selects the store (memory or database; memory by default).
+ */
+const STORES = {
+  memory: MemoryStore,
+  database: DatabaseStore
+};
+
+// One instance per store, created on first use
+const instances = new Map();
+
+/**
+ * Get a store by name
+ * @param {string} [name] - Store name (defaults to RATE_LIMIT_STORE)
+ * @returns {Object} - Store instance
+ */
+function getStore(name = process.env.RATE_LIMIT_STORE || 'memory') {
+  const Store = STORES[name];
+  if (!Store) {
+    throw new Error(`Unknown rate limit store: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, new Store());
+  }
+
+  return instances.get(name);
+}
+
+module.exports = {
+  STORES,
+  getStore
+};
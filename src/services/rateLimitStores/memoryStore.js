@@ -0,0 +1,59 @@
+// Expired counters are swept this often
+const SWEEP_INTERVAL = 60000;
+
+/**
+ * Memory Store - Keeps rate limit counters in this process
+ * Fast and needs nothing else, but every instance counts on its own; use the database
+ * store when several instances serve the API.
+ */
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.counters = new Map();
+
+    this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL);
+    // Don't keep the process alive for the sweeper
+    this.sweeper.unref();
+  }
+
+  /**
+   * Count a hit
+   * @param {string} key - Counter key
+   * @param {number} windowMs - Window length in milliseconds
+   * @returns {Promise<Object>} - { count, resetAt } of the current window
+   */
+  async hit(key, windowMs) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+
+    if (!counter || counter.resetAt.getTime() <= now) {
+      counter = { count: 0, resetAt: new Date(now + windowMs) };
+      this.counters.set(key, counter);
+    }
+
+    counter.count += 1;
+    return { count: counter.count, resetAt: counter.resetAt };
+  }
+
+  /**
+   * Forget a counter
+   * @param {string} key - Counter key
+   */
+  async reset(key) {
+    this.counters.delete(key);
+  }
+
+  /**
+   * Drop the counters whose window has passed
+   */
+  sweep() {
+    const now = Date.now();
+    for (const [key, counter] of this.counters) {
+      if (counter.resetAt.getTime() <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = MemoryStore;
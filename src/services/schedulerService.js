@@ -1,8 +1,55 @@
+const os = require('os');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
 const { Campaign } = require('../models');
 const { createError } = require('../utils/error');
-const campaignService = require('./campaignService');
+const abTestService = require('./abTestService');
+const jobService = require('./jobService');
+const { findCampaignForSending } = require('./workerService');
+const sendingService = require('./sendingService');
 
+// Scheduler configuration
+const POLL_INTERVAL = parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS) || 60000;
+const LOCK_TIMEOUT = parseInt(process.env.SCHEDULER_LOCK_TIMEOUT_MS) || 5 * 60000;
+const BATCH_SIZE = parseInt(process.env.SCHEDULER_BATCH_SIZE) || 10;
+const MAX_ATTEMPTS = parseInt(process.env.SCHEDULER_MAX_ATTEMPTS) || 3;
+
+/**
+ * Scheduler Service - Persists campaign schedules in the database and sends
+ * due campaigns. Due campaigns are claimed with a row lock (lockedBy/lockedAt)
+ * so that several server instances polling at once never send the same
+ * campaign twice.
+ *
+ * Campaigns are not launched inline: sending one (when it is due, or right away)
+ * moves it to "queued" and enqueues a 'campaigns.launch' job, which snapshots the
+ * campaign and hands it to its sending engine. A campaign whose launch fails for good,
+ * or whose job is cancelled, goes back to draft. Likewise, an A/B test whose wait window
+ * is over gets a 'campaigns.sendWinner' job, which picks the winner and sends it to the
+ * rest of the list.
+ */
 class SchedulerService {
+  constructor() {
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+    this.timer = null;
+    this.running = false;
+
+    jobService.register('campaigns.launch', {
+      permission: 'campaigns:send',
+      maxAttempts: MAX_ATTEMPTS,
+      run: (job) => this.launchQueuedCampaign(job),
+      onFailed: (job, error) => this.returnToDraft(job.payload.campaignId, error.message),
+      onCancelled: (job) => this.returnToDraft(job.payload.campaignId, null)
+    });
+
+    jobService.register('campaigns.sendWinner', {
+      permission: 'campaigns:send',
+      maxAttempts: MAX_ATTEMPTS,
+      run: (job) => this.sendQueuedWinner(job),
+      onFailed: (job, error) => this.stopWaitingForWinner(job.payload.campaignId, error.message),
+      onCancelled: (job) => this.stopWaitingForWinner(job.payload.campaignId, 'Sending the A/B test winner was cancelled')
+    });
+  }
+
   /**
    * Schedule a campaign for future sending
    * @param {string} campaignId - Campaign ID
@@ -11,59 +58,377 @@ class SchedulerService {
    */
   async scheduleCampaign(campaignId, scheduledFor) {
     try {
+      if (isNaN(scheduledFor.getTime())) {
+        throw createError('Invalid scheduled date', 400);
+      }
+
+      if (scheduledFor.getTime() < Date.now()) {
+        throw createError('Cannot schedule campaign in the past', 400);
+      }
+
       const campaign = await Campaign.findByPk(campaignId);
-      
+
       if (!campaign) {
         throw createError('Campaign not found', 404);
       }
-      
+
       if (campaign.status !== 'draft') {
         throw createError('Only draft campaigns can be scheduled', 400);
       }
-      
-      // Update campaign with schedule
+
+      // Update campaign with schedule; the scheduler sends it once it is due
       await campaign.update({
         status: 'scheduled',
-        scheduledFor
+        scheduledFor,
+        scheduleAttempts: 0,
+        lastScheduleError: null
       });
-      
-      // Schedule the actual sending
-      this.scheduleCampaignSending(campaignId, scheduledFor);
-      
+
       return campaign;
     } catch (error) {
       if (error.status) throw error;
       throw createError('Failed to schedule campaign', 500, error);
     }
   }
-  
+
   /**
-   * Schedule the actual campaign sending
+   * Claim a campaign for sending. Only one caller can hold the claim at a time;
+   * claims older than the lock timeout are considered abandoned and can be taken over.
    * @param {string} campaignId - Campaign ID
-   * @param {Date} scheduledFor - When to send
+   * @param {string[]} statuses - Statuses the campaign must be in to be claimed
+   * @returns {Promise<boolean>} - Whether this instance now holds the claim
+   */
+  async claimCampaign(campaignId, statuses = ['scheduled']) {
+    const [affectedRows] = await Campaign.update(
+      {
+        lockedBy: this.instanceId,
+        lockedAt: new Date()
+      },
+      {
+        where: {
+          id: campaignId,
+          status: { [Op.in]: statuses },
+          [Op.or]: [
+            { lockedAt: null },
+            { lockedAt: { [Op.lt]: new Date(Date.now() - LOCK_TIMEOUT) } }
+          ]
+        }
+      }
+    );
+
+    return affectedRows === 1;
+  }
+
+  /**
+   * Release a campaign claimed by this instance
+   * @param {string} campaignId - Campaign ID
+   * @param {Object} updates - Additional fields to update together with the release
+   */
+  async releaseCampaign(campaignId, updates = {}) {
+    await Campaign.update(
+      {
+        ...updates,
+        lockedBy: null,
+        lockedAt: null
+      },
+      {
+        where: {
+          id: campaignId,
+          lockedBy: this.instanceId
+        }
+      }
+    );
+  }
+
+  /**
+   * Claim and send every scheduled campaign that is due
+   * @returns {Promise<Object>} - Summary of the run
+   */
+  async processDueCampaigns() {
+    if (this.running) {
+      return { skipped: true, reason: 'A scheduler run is already in progress' };
+    }
+
+    this.running = true;
+    const results = [];
+
+    try {
+      const dueCampaigns = await Campaign.findAll({
+        where: {
+          status: 'scheduled',
+          scheduledFor: { [Op.lte]: new Date() },
+          [Op.or]: [
+            { lockedAt: null },
+            { lockedAt: { [Op.lt]: new Date(Date.now() - LOCK_TIMEOUT) } }
+          ]
+        },
+        attributes: ['id', 'organizationId'],
+        order: [['scheduledFor', 'ASC']],
+        limit: BATCH_SIZE
+      });
+
+      for (const campaign of dueCampaigns) {
+        results.push(await this.sendScheduledCampaign(campaign));
+      }
+
+      // A/B tests whose wait window is over get their winner sent
+      const dueTests = await Campaign.findAll({
+        where: {
+          status: 'testing',
+          abTestEndsAt: { [Op.lte]: new Date() },
+          [Op.or]: [
+            { lockedAt: null },
+            { lockedAt: { [Op.lt]: new Date(Date.now() - LOCK_TIMEOUT) } }
+          ]
+        },
+        attributes: ['id', 'organizationId'],
+        order: [['abTestEndsAt', 'ASC']],
+        limit: BATCH_SIZE
+      });
+
+      for (const campaign of dueTests) {
+        results.push(await this.sendTestWinner(campaign));
+      }
+
+      // Server engine runs that died with their process carry on here
+      const reclaimed = await sendingService.reclaimStaleRuns();
+
+      return {
+        skipped: false,
+        due: dueCampaigns.length,
+        dueTests: dueTests.length,
+        reclaimed: reclaimed.length,
+        queued: results.filter(r => r.status === 'queued').length,
+        launched: results.filter(r => r.status === 'launched').length,
+        failed: results.filter(r => r.status === 'failed').length,
+        results
+      };
+    } catch (error) {
+      throw createError('Failed to process scheduled campaigns', 500, error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Claim a single due campaign and queue its launch
+   * @param {Campaign} campaign - Due campaign (id and organizationId)
+   * @returns {Promise<Object>} - Outcome for this campaign
    */
-  async scheduleCampaignSending(campaignId, scheduledFor) {
-    const delay = scheduledFor.getTime() - Date.now();
-    
-    if (delay < 0) {
-      throw createError('Cannot schedule campaign in the past', 400);
-    }
-    
-    // Use setTimeout for scheduling
-    setTimeout(async () => {
+  async sendScheduledCampaign(campaign) {
+    try {
+      const job = await this.queueLaunch(campaign, ['scheduled']);
+      if (!job) {
+        // Another instance got to it first
+        return { campaignId: campaign.id, status: 'skipped' };
+      }
+
+      return { campaignId: campaign.id, status: 'queued', jobId: job.id };
+    } catch (error) {
+      console.error(`Error queueing scheduled campaign ${campaign.id}:`, error);
+      return { campaignId: campaign.id, status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Move a campaign to "queued" and enqueue the job that launches it
+   * @param {Campaign} campaign - Campaign (id and organizationId)
+   * @param {string[]} statuses - Statuses the campaign must be in
+   * @param {string} [userId] - User sending the campaign
+   * @returns {Promise<Job|null>} - Launch job, or null when the campaign is claimed elsewhere
+   */
+  async queueLaunch(campaign, statuses, userId = null) {
+    const claimed = await this.claimCampaign(campaign.id, statuses);
+    if (!claimed) return null;
+
+    try {
+      const job = await jobService.enqueue('campaigns.launch', { campaignId: campaign.id }, {
+        organizationId: campaign.organizationId,
+        userId
+      });
+      await this.releaseCampaign(campaign.id, {
+        status: 'queued',
+        scheduleAttempts: 0,
+        lastScheduleError: null
+      });
+
+      return job;
+    } catch (error) {
+      await this.releaseCampaign(campaign.id);
+      throw error;
+    }
+  }
+
+  /**
+   * Handler of 'campaigns.launch' jobs: snapshot a queued campaign and hand it to
+   * its sending engine
+   * A campaign sent by the server engine is sent by this job, which lasts as long as
+   * the run.
+   * @param {Job} job - Background job, payload { campaignId }
+   * @returns {Promise<Object>} - { campaignId, engine }, stored as the job result
+   */
+  async launchQueuedCampaign(job) {
+    const { campaignId } = job.payload;
+
+    const claimed = await this.claimCampaign(campaignId, ['queued']);
+    if (!claimed) {
+      const campaign = await Campaign.findByPk(campaignId, { attributes: ['status'] });
+      if (!campaign || campaign.status !== 'queued') {
+        // Deleted or changed since it was queued
+        return { campaignId, skipped: true };
+      }
+      throw createError('Campaign is locked by another instance', 503);
+    }
+
+    let engine;
+    try {
+      const campaign = await findCampaignForSending({ id: campaignId });
+      ({ engine } = await sendingService.launchCampaign(campaign));
+      await this.releaseCampaign(campaignId, { lastScheduleError: null });
+
+      console.log(`Campaign ${campaignId} handed to the ${engine} sending engine`);
+    } catch (error) {
+      // The campaign stays queued for the job's next attempt
+      await this.releaseCampaign(campaignId, {
+        scheduleAttempts: job.attempts,
+        lastScheduleError: error.message
+      });
+      throw error;
+    }
+
+    // Outside the try: the campaign is sending now, so a failed run is not a failed launch
+    if (engine === 'server') {
+      await sendingService.run(campaignId);
+    }
+    return { campaignId, engine };
+  }
+
+  /**
+   * Move a campaign that could not be launched back to draft
+   * @param {string} campaignId - Campaign ID
+   * @param {string|null} error - Why the launch failed, null when it was cancelled
+   */
+  async returnToDraft(campaignId, error) {
+    await Campaign.update(
+      { status: 'draft', lastScheduleError: error },
+      { where: { id: campaignId, status: 'queued' } }
+    );
+  }
+
+  /**
+   * Claim an A/B test whose wait window is over and queue the job that sends its winner
+   * @param {Campaign} campaign - Campaign in "testing" (id and organizationId)
+   * @returns {Promise<Object>} - Outcome for this campaign
+   */
+  async sendTestWinner(campaign) {
+    const campaignId = campaign.id;
+    const claimed = await this.claimCampaign(campaignId, ['testing']);
+    if (!claimed) {
+      return { campaignId, status: 'skipped' };
+    }
+
+    try {
+      // The campaign stays in testing until the job runs, so don't queue it twice
+      if (await jobService.hasPending('campaigns.sendWinner', { campaignId }, campaign.organizationId)) {
+        await this.releaseCampaign(campaignId);
+        return { campaignId, status: 'skipped' };
+      }
+
+      const job = await jobService.enqueue('campaigns.sendWinner', { campaignId }, {
+        organizationId: campaign.organizationId
+      });
+      await this.releaseCampaign(campaignId, { lastScheduleError: null });
+
+      return { campaignId, status: 'queued', jobId: job.id };
+    } catch (error) {
+      console.error(`Error queueing the A/B test winner of campaign ${campaignId}:`, error);
+      await this.releaseCampaign(campaignId, { lastScheduleError: error.message });
+      return { campaignId, status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Handler of 'campaigns.sendWinner' jobs: pick the winner of an A/B test and send it to
+   * the rest of the list
+   * The job lasts as long as the sending run, so the runner that took it sends it; a
+   * retry after the winner was picked carries on with the run if nobody else has.
+   * @param {Job} job - Background job, payload { campaignId }
+   * @returns {Promise<Object>} - { campaignId, winnerVariantId, remaining }, stored as the job result
+   */
+  async sendQueuedWinner(job) {
+    const { campaignId } = job.payload;
+    const campaign = await Campaign.findByPk(campaignId);
+    if (!campaign) {
+      return { campaignId, skipped: true };
+    }
+
+    let result = { campaignId, winnerVariantId: campaign.abWinnerVariantId };
+    if (campaign.status === 'testing') {
+      const claimed = await this.claimCampaign(campaignId, ['testing']);
+      if (!claimed) {
+        throw createError('Campaign is locked by another instance', 503);
+      }
+
       try {
-        await campaignService.sendCampaign(campaignId);
+        const { winner, remaining } = await abTestService.selectWinner(await campaign.reload());
+        await this.releaseCampaign(campaignId, { lastScheduleError: null });
+        result = { campaignId, winnerVariantId: winner.id, remaining };
       } catch (error) {
-        console.error('Error sending scheduled campaign:', error);
-        // Update campaign status to failed
-        await Campaign.update(
-          { status: 'draft' },
-          { where: { id: campaignId } }
-        );
+        await this.releaseCampaign(campaignId, { lastScheduleError: error.message });
+        throw error;
       }
-    }, delay);
+    }
+
+    if (await sendingService.startRun(campaignId)) {
+      await sendingService.run(campaignId);
+    }
+    return result;
+  }
+
+  /**
+   * Stop retrying an A/B test whose winner could not be sent; it stays in testing, with
+   * the error, until it is stopped
+   * @param {string} campaignId - Campaign ID
+   * @param {string} error - Why the winner was not sent
+   */
+  async stopWaitingForWinner(campaignId, error) {
+    await Campaign.update(
+      { abTestEndsAt: null, lastScheduleError: error },
+      { where: { id: campaignId, status: 'testing' } }
+    );
+  }
+
+  /**
+   * Start polling for due campaigns (long-running server processes only)
+   * @param {number} interval - Polling interval in milliseconds
+   */
+  start(interval = POLL_INTERVAL) {
+    if (this.timer) return;
+
+    const run = () => {
+      this.processDueCampaigns().catch(error => {
+        console.error('Scheduler run failed:', error);
+      });
+    };
+
+    this.timer = setInterval(run, interval);
+    // Don't keep the process alive just for the scheduler
+    this.timer.unref();
+    run();
+
+    console.log(`Campaign scheduler started (every ${interval}ms)`);
   }
-  
+
+  /**
+   * Stop polling for due campaigns
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
   /**
    * Cancel a scheduled campaign
    * @param {string} campaignId - Campaign ID
@@ -72,28 +437,34 @@ class SchedulerService {
   async cancelScheduledCampaign(campaignId) {
     try {
       const campaign = await Campaign.findByPk(campaignId);
-      
+
       if (!campaign) {
         throw createError('Campaign not found', 404);
       }
-      
+
       if (campaign.status !== 'scheduled') {
         throw createError('Only scheduled campaigns can be cancelled', 400);
       }
-      
+
+      // Claim the campaign first so a scheduler run can't send it while we cancel
+      const claimed = await this.claimCampaign(campaignId);
+      if (!claimed) {
+        throw createError('Campaign is already being sent', 409);
+      }
+
       // Update campaign status back to draft
-      await campaign.update({
+      await this.releaseCampaign(campaignId, {
         status: 'draft',
         scheduledFor: null
       });
-      
-      return campaign;
+
+      return await campaign.reload();
     } catch (error) {
       if (error.status) throw error;
       throw createError('Failed to cancel scheduled campaign', 500, error);
     }
   }
-  
+
   /**
    * Get all scheduled campaigns
    * @returns {Promise<Campaign[]>} - List of scheduled campaigns
@@ -112,4 +483,4 @@ class SchedulerService {
   }
 }
 
-module.exports = new SchedulerService(); 
\ No newline at end of file
+module.exports = new SchedulerService();
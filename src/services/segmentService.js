@@ -0,0 +1,383 @@
+const { Op } = require('sequelize');
+const { Contact, ContactList, Campaign, Segment, sequelize } = require('../models');
+const { createError } = require('../utils/error');
+
+const TEXT_FIELDS = ['email', 'firstName', 'lastName', 'company'];
+const DATE_FIELDS = ['lastOpened', 'lastClicked', 'lastEngagement', 'lastDelivered', 'createdAt'];
+const BOOLEAN_FIELDS = ['unsubscribed', 'hasBounced', 'hasComplained'];
+const STATUSES = ['active', 'unsubscribed', 'bounced'];
+
+// Operators each kind of field accepts
+const OPERATORS = {
+  text: ['equals', 'notEquals', 'contains', 'notContains', 'startsWith', 'endsWith', 'isSet', 'isNotSet'],
+  status: ['equals', 'notEquals', 'in', 'notIn'],
+  boolean: ['equals'],
+  date: ['withinDays', 'notWithinDays', 'before', 'after', 'isSet', 'isNotSet'],
+  metadata: ['equals', 'notEquals', 'contains', 'in', 'notIn', 'gt', 'gte', 'lt', 'lte', 'isSet', 'isNotSet'],
+  list: ['in', 'notIn'],
+  campaign: ['received', 'notReceived', 'opened', 'notOpened', 'clicked', 'notClicked']
+};
+
+// Event type behind each campaign engagement operator
+const CAMPAIGN_EVENTS = {
+  opened: 'open',
+  notOpened: 'open',
+  clicked: 'click',
+  notClicked: 'click'
+};
+
+const MAX_DEPTH = 5;
+const MAX_CONDITIONS = 50;
+const MAX_DAYS = 36500;
+const METADATA_KEY = /^[A-Za-z0-9_-]+$/;
+
+// Contact fields returned in previews
+const SAMPLE_ATTRIBUTES = ['id', 'email', 'firstName', 'lastName', 'company', 'status', 'lastOpened', 'lastClicked', 'metadata'];
+
+/**
+ * Kind of a rule field, or undefined for unknown fields
+ * @param {string} field - Field name
+ * @returns {string|undefined} - Key of OPERATORS
+ */
+const getFieldKind = (field) => {
+  if (typeof field !== 'string') return undefined;
+  if (TEXT_FIELDS.includes(field)) return 'text';
+  if (DATE_FIELDS.includes(field)) return 'date';
+  if (BOOLEAN_FIELDS.includes(field)) return 'boolean';
+  if (field === 'status') return 'status';
+  if (field === 'list') return 'list';
+  if (field === 'campaign') return 'campaign';
+  if (field.startsWith('metadata.') && field.slice(9).split('.').every(key => METADATA_KEY.test(key))) {
+    return 'metadata';
+  }
+  return undefined;
+};
+
+const isScalar = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+const isId = (value) => typeof value === 'string' && value.length > 0;
+const isIdList = (value) => isId(value) || (Array.isArray(value) && value.length > 0 && value.every(isId));
+const toArray = (value) => (Array.isArray(value) ? value : [value]);
+
+/**
+ * LIKE pattern matching a value literally, with % and _ in it escaped
+ * '!' escapes rather than a backslash, which MySQL and SQLite quote differently.
+ * @param {string} before - Wildcard before the value ('%' or '')
+ * @param {string} value - Text to match
+ * @param {string} after - Wildcard after the value ('%' or '')
+ * @returns {Object} - Sequelize literal usable with Op.like / Op.notLike
+ */
+const likePattern = (before, value, after) => {
+  const escaped = String(value).replace(/[!%_]/g, '!$&');
+  return sequelize.literal(`${sequelize.escape(`${before}${escaped}${after}`)} ESCAPE '!'`);
+};
+
+/**
+ * Segment Service - Evaluates segments: saved rule trees over contact fields, metadata,
+ * list membership and campaign engagement. Segments hold no membership of their own;
+ * they are turned into a contact query whenever they are previewed or a campaign is sent.
+ *
+ * A rule is either a group, { all: [rules] } or { any: [rules] }, or a condition,
+ * { field, operator, value }. Examples:
+ *   { field: 'lastOpened', operator: 'withinDays', value: 30 }
+ *   { field: 'metadata.plan', operator: 'equals', value: 'pro' }
+ *   { field: 'list', operator: 'notIn', value: '<contact list ID>' }
+ *   { field: 'campaign', operator: 'clicked', value: '<campaign ID>' }
+ */
+class SegmentService {
+  /**
+   * Check a rule tree, including that the lists and campaigns it refers to are in the workspace
+   * @param {Object} rules - Rule tree
+   * @param {string} organizationId - Workspace ID
+   */
+  async validateRules(rules, organizationId) {
+    const listIds = new Set();
+    const campaignIds = new Set();
+    let conditions = 0;
+
+    const check = (rule, path, depth) => {
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw createError(`${path} must be a group or a condition`, 400);
+      }
+
+      const group = rule.all || rule.any;
+      if (group !== undefined) {
+        if (depth >= MAX_DEPTH) {
+          throw createError(`Segment rules can be nested at most ${MAX_DEPTH} levels deep`, 400);
+        }
+        if (rule.all && rule.any) {
+          throw createError(`${path} must have either "all" or "any", not both`, 400);
+        }
+        if (!Array.isArray(group) || group.length === 0) {
+          throw createError(`${path}.${rule.all ? 'all' : 'any'} must be a non-empty array of rules`, 400);
+        }
+        group.forEach((child, index) => check(child, `${path}.${rule.all ? 'all' : 'any'}[${index}]`, depth + 1));
+        return;
+      }
+
+      if (++conditions > MAX_CONDITIONS) {
+        throw createError(`A segment can have at most ${MAX_CONDITIONS} conditions`, 400);
+      }
+
+      const { field, operator, value } = rule;
+      const kind = getFieldKind(field);
+      if (!kind) {
+        throw createError(`${path}: unknown field "${field}"`, 400);
+      }
+      if (!OPERATORS[kind].includes(operator)) {
+        throw createError(`${path}: operator "${operator}" is not valid for ${field} (use ${OPERATORS[kind].join(', ')})`, 400);
+      }
+      if (operator === 'isSet' || operator === 'isNotSet') return;
+
+      let valid;
+      switch (kind) {
+        case 'text':
+          valid = typeof value === 'string';
+          break;
+        case 'status':
+          valid = ['in', 'notIn'].includes(operator)
+            ? Array.isArray(value) && value.length > 0 && value.every(status => STATUSES.includes(status))
+            : STATUSES.includes(value);
+          break;
+        case 'boolean':
+          valid = typeof value === 'boolean';
+          break;
+        case 'date':
+          valid = ['withinDays', 'notWithinDays'].includes(operator)
+            ? Number.isInteger(value) && value > 0 && value <= MAX_DAYS
+            : typeof value === 'string' && !Number.isNaN(Date.parse(value));
+          break;
+        case 'metadata':
+          if (['in', 'notIn'].includes(operator)) {
+            valid = Array.isArray(value) && value.length > 0 && value.every(isScalar);
+          } else if (['gt', 'gte', 'lt', 'lte'].includes(operator)) {
+            valid = typeof value === 'number' && Number.isFinite(value);
+          } else {
+            valid = operator === 'contains' ? typeof value === 'string' : isScalar(value);
+          }
+          break;
+        case 'list':
+          valid = isIdList(value);
+          if (valid) toArray(value).forEach(id => listIds.add(id));
+          break;
+        case 'campaign':
+          valid = isId(value);
+          if (valid) campaignIds.add(value);
+          break;
+      }
+
+      if (!valid) {
+        throw createError(`${path}: invalid value for ${field} ${operator}`, 400);
+      }
+    };
+
+    check(rules, 'rules', 0);
+
+    if (listIds.size > 0) {
+      const found = await ContactList.count({ where: { id: [...listIds], organizationId } });
+      if (found !== listIds.size) {
+        throw createError('Contact list in segment rules not found or access denied', 404);
+      }
+    }
+
+    if (campaignIds.size > 0) {
+      const found = await Campaign.count({ where: { id: [...campaignIds], organizationId } });
+      if (found !== campaignIds.size) {
+        throw createError('Campaign in segment rules not found or access denied', 404);
+      }
+    }
+  }
+
+  /**
+   * Subquery of the contact IDs in a table matching some conditions
+   * @param {string} table - Table name
+   * @param {Object} conditions - Column values, arrays meaning IN
+   * @returns {Object} - Sequelize literal usable with Op.in / Op.notIn
+   */
+  contactIdsIn(table, conditions) {
+    const { queryGenerator } = sequelize.getQueryInterface();
+    const column = (name) => queryGenerator.quoteIdentifier(name);
+
+    const clauses = Object.entries(conditions).map(([name, value]) => (Array.isArray(value)
+      ? `${column(name)} IN (${value.map(item => sequelize.escape(item)).join(', ')})`
+      : `${column(name)} = ${sequelize.escape(value)}`));
+
+    // NOT IN never matches when the subquery returns a NULL, so leave those out
+    clauses.push(`${column('contactId')} IS NOT NULL`);
+
+    return sequelize.literal(
+      `(SELECT ${column('contactId')} FROM ${queryGenerator.quoteTable(table)} WHERE ${clauses.join(' AND ')})`
+    );
+  }
+
+  /**
+   * Turn one condition into a contact where clause
+   * @param {Object} condition - { field, operator, value }
+   * @param {Date} now - Time relative dates are measured from
+   * @returns {Object} - Where clause
+   */
+  buildCondition({ field, operator, value }, now) {
+    const kind = getFieldKind(field);
+
+    if (kind === 'list') {
+      const ids = this.contactIdsIn('ContactListContacts', { contactListId: toArray(value) });
+      return { id: { [operator === 'in' ? Op.in : Op.notIn]: ids } };
+    }
+
+    if (kind === 'campaign') {
+      const ids = CAMPAIGN_EVENTS[operator]
+        ? this.contactIdsIn('EmailEvents', { campaignId: value, type: CAMPAIGN_EVENTS[operator] })
+        : this.contactIdsIn('CampaignRecipients', { campaignId: value });
+      return { id: { [operator.startsWith('not') ? Op.notIn : Op.in]: ids } };
+    }
+
+    // Metadata paths become nested JSON conditions, e.g. { metadata: { plan: ... } }
+    const on = kind === 'metadata'
+      ? (condition) => ({
+        metadata: field.slice(9).split('.').reduceRight((nested, key) => ({ [key]: nested }), condition)
+      })
+      : (condition) => ({ [field]: condition });
+    const orMissing = (condition) => ({ [Op.or]: [on(condition), on(null)] });
+
+    switch (operator) {
+      case 'equals':
+        if (kind === 'boolean' && value === false) return orMissing(false);
+        return on(value);
+      case 'notEquals':
+        return orMissing({ [Op.ne]: value });
+      case 'in':
+        return on({ [Op.in]: value });
+      case 'notIn':
+        return orMissing({ [Op.notIn]: value });
+      case 'contains':
+        return on({ [Op.like]: likePattern('%', value, '%') });
+      case 'notContains':
+        return orMissing({ [Op.notLike]: likePattern('%', value, '%') });
+      case 'startsWith':
+        return on({ [Op.like]: likePattern('', value, '%') });
+      case 'endsWith':
+        return on({ [Op.like]: likePattern('%', value, '') });
+      case 'gt':
+        return on({ [Op.gt]: value });
+      case 'gte':
+        return on({ [Op.gte]: value });
+      case 'lt':
+        return on({ [Op.lt]: value });
+      case 'lte':
+        return on({ [Op.lte]: value });
+      case 'withinDays':
+        return on({ [Op.gte]: new Date(now.getTime() - value * 24 * 60 * 60 * 1000) });
+      case 'notWithinDays':
+        return orMissing({ [Op.lt]: new Date(now.getTime() - value * 24 * 60 * 60 * 1000) });
+      case 'before':
+        return on({ [Op.lt]: new Date(value) });
+      case 'after':
+        return on({ [Op.gt]: new Date(value) });
+      case 'isSet':
+        return kind === 'text'
+          ? { [Op.and]: [on({ [Op.ne]: null }), on({ [Op.ne]: '' })] }
+          : on({ [Op.ne]: null });
+      case 'isNotSet':
+        return kind === 'text' ? orMissing('') : on(null);
+      default:
+        throw createError(`Unknown segment operator "${operator}"`, 400);
+    }
+  }
+
+  /**
+   * Turn a (validated) rule tree into a contact where clause
+   * @param {Object} rules - Rule tree
+   * @param {Object} [options] - { now } time relative dates are measured from
+   * @returns {Object} - Where clause
+   */
+  buildWhere(rules, { now = new Date() } = {}) {
+    if (rules.all) {
+      return { [Op.and]: rules.all.map(rule => this.buildWhere(rule, { now })) };
+    }
+    if (rules.any) {
+      return { [Op.or]: rules.any.map(rule => this.buildWhere(rule, { now })) };
+    }
+    return this.buildCondition(rules, now);
+  }
+
+  /**
+   * Where clause of the contacts in a segment
+   * @param {Object} segment - Segment, or any { organizationId, rules }
+   * @param {Object} [where] - Extra conditions
+   * @returns {Object} - Where clause
+   */
+  getContactWhere(segment, where = {}) {
+    return {
+      [Op.and]: [
+        { organizationId: segment.organizationId },
+        this.buildWhere(segment.rules),
+        where
+      ]
+    };
+  }
+
+  /**
+   * Get the contacts of a segment
+   * @param {Segment} segment - Segment
+   * @param {Object} [options] - Query options (where, attributes, order, limit)
+   * @returns {Promise<Contact[]>} - Contacts
+   */
+  getContacts(segment, { where, ...options } = {}) {
+    return Contact.findAll({
+      ...options,
+      where: this.getContactWhere(segment, where)
+    });
+  }
+
+  /**
+   * Count the contacts of a segment
+   * @param {Segment} segment - Segment
+   * @param {Object} [where] - Extra conditions
+   * @returns {Promise<number>} - Contact count
+   */
+  count(segment, where) {
+    return Contact.count({ where: this.getContactWhere(segment, where) });
+  }
+
+  /**
+   * Count the contacts matching rules and return a sample of them
+   * @param {Object} segment - Segment, or any { organizationId, rules }
+   * @param {number} [limit] - Sample size
+   * @returns {Promise<Object>} - { count, sendable, sample } where sendable excludes unsubscribed and bounced contacts
+   */
+  async preview(segment, limit = 10) {
+    const sendableWhere = { unsubscribed: false, status: 'active' };
+    const [count, sendable, sample] = await Promise.all([
+      this.count(segment),
+      this.count(segment, sendableWhere),
+      this.getContacts(segment, {
+        attributes: SAMPLE_ATTRIBUTES,
+        order: [['email', 'ASC']],
+        limit
+      })
+    ]);
+
+    return { count, sendable, sample };
+  }
+
+  /**
+   * Find the segments of a workspace whose rules refer to a contact list
+   * @param {string} organizationId - Workspace ID
+   * @param {string} contactListId - Contact list ID
+   * @returns {Promise<Segment[]>} - Segments
+   */
+  async findSegmentsUsingList(organizationId, contactListId) {
+    const usesList = (rule) => {
+      if (rule.all || rule.any) return (rule.all || rule.any).some(usesList);
+      return rule.field === 'list' && toArray(rule.value).includes(contactListId);
+    };
+
+    const segments = await Segment.findAll({
+      where: { organizationId },
+      attributes: ['id', 'name', 'rules']
+    });
+
+    return segments.filter(segment => usesList(segment.rules));
+  }
+}
+
+module.exports = new SegmentService();
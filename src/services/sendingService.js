@@ -0,0 +1,542 @@
+const os = require('os');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Campaign, CampaignStat, Contact, Template, TemplateVersion } = require('../models');
+const { createError } = require('../utils/error');
+const abTestService = require('./abTestService');
+const emailService = require('./emailService');
+const eventService = require('./eventService');
+const jobService = require('./jobService');
+const snapshotService = require('./snapshotService');
+const suppressionService = require('./suppressionService');
+const templateService = require('./templateService');
+const { launchCampaign: launchWorkerCampaign } = require('./workerService');
+
+// Engine used for campaigns that don't choose one ('worker' or 'server')
+const DEFAULT_ENGINE = process.env.SENDING_ENGINE || 'worker';
+// Send from the server when the worker can't be reached
+const FALLBACK_ENGINE = process.env.SENDING_ENGINE_FALLBACK || null;
+const BATCH_SIZE = parseInt(process.env.SENDING_BATCH_SIZE) || 50;
+// Rate limit for normal mode campaigns without emailsPerMinute; unlimited by default
+const DEFAULT_EMAILS_PER_MINUTE = parseInt(process.env.SENDING_EMAILS_PER_MINUTE) || null;
+// Rate limit for turtle mode campaigns without emailsPerMinute
+const TURTLE_EMAILS_PER_MINUTE = parseInt(process.env.SENDING_TURTLE_EMAILS_PER_MINUTE) || 60;
+// A run refreshes its campaign's lock every HEARTBEAT_INTERVAL; a lock older than
+// LOCK_TIMEOUT belongs to a run that died with its process and is taken over
+const LOCK_TIMEOUT = parseInt(process.env.SENDING_LOCK_TIMEOUT_MS) || 5 * 60000;
+const HEARTBEAT_INTERVAL = Math.max(1000, Math.floor(LOCK_TIMEOUT / 5));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Sending Service - Sends campaigns from the server process as an alternative to
+ * the Cloudflare worker.
+ *
+ * Recipients are sent in batches of SENDING_BATCH_SIZE with up to maxConcurrentBatches
+ * batches in flight, throttled to emailsPerMinute; turtle mode sends one batch at a time.
+ * Every email is recorded as a "send" event as soon as it is sent, so a paused or
+ * interrupted campaign resumes with the recipients that haven't been sent yet. The
+ * campaign status in the database is the source of truth: a run stops as soon as it sees
+ * the campaign is no longer "sending".
+ *
+ * A run holds its campaign's lock (lockedBy/lockedAt) and refreshes it while it sends.
+ * Runs happen inside background jobs, which last as long as the run: 'campaigns.launch'
+ * for a new campaign, and 'campaigns.run' for a resumed campaign or one whose run died
+ * with its process, whose lock went stale (see reclaimStaleRuns).
+ */
+class SendingService {
+  constructor() {
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+    // Runs in progress in this process, keyed by campaign ID
+    this.runs = new Map();
+
+    jobService.register('campaigns.run', {
+      permission: 'campaigns:send',
+      run: (job) => this.runQueuedCampaign(job)
+    });
+  }
+
+  /**
+   * Get the engine a campaign is (or will be) sent with
+   * @param {Campaign} campaign - Campaign
+   * @returns {string} - 'worker' or 'server'
+   */
+  getEngine(campaign) {
+    // The worker sends one template per campaign, so A/B tests are sent from the server
+    if (abTestService.isTest(campaign)) return 'server';
+    return campaign.sendingEngine || DEFAULT_ENGINE;
+  }
+
+  /**
+   * Whether a campaign is sent by the server engine
+   * @param {Campaign} campaign - Campaign
+   * @returns {boolean}
+   */
+  isServerCampaign(campaign) {
+    return this.getEngine(campaign) === 'server';
+  }
+
+  /**
+   * Start sending a campaign with its engine
+   * @param {Campaign} campaign - Campaign loaded with findCampaignForSending
+   * @returns {Promise<Object>} - { engine, data } where data is the engine's start response
+   */
+  async launchCampaign(campaign) {
+    await templateService.pinCampaignVersion(campaign);
+    if (abTestService.isTest(campaign)) {
+      await abTestService.pinVariantVersions(campaign);
+    }
+    await snapshotService.takeSnapshot(campaign);
+    if (abTestService.isTest(campaign)) {
+      await abTestService.assignTestGroup(campaign);
+    }
+
+    if (this.getEngine(campaign) === 'worker') {
+      try {
+        const startResponse = await launchWorkerCampaign(campaign);
+        await campaign.update({ sendingEngine: 'worker' });
+        return { engine: 'worker', data: startResponse.data };
+      } catch (error) {
+        if (FALLBACK_ENGINE !== 'server') throw error;
+        console.warn(`Worker unavailable for campaign ${campaign.id}, sending from the server instead: ${error.message}`);
+      }
+    }
+
+    return { engine: 'server', data: await this.startCampaign(campaign) };
+  }
+
+  /**
+   * Mark a campaign as sending from this process; the caller then sends it with run()
+   * @param {Campaign} campaign - Campaign
+   * @returns {Promise<Object>} - Start response
+   */
+  async startCampaign(campaign) {
+    const totalRecipients = (await this.getPendingRecipients(campaign)).length;
+
+    // The run owns the campaign's lock from here on, including a launch job's claim
+    await campaign.update({
+      status: 'sending',
+      sentAt: new Date(),
+      sendingEngine: 'server',
+      totalRecipients,
+      lockedBy: this.instanceId,
+      lockedAt: new Date(),
+      lastScheduleError: null
+    });
+
+    return { success: true, status: 'sending', totalRecipients };
+  }
+
+  /**
+   * Get the snapshot recipients of a campaign that still have to be sent
+   * Contacts already sent to are skipped, as are contacts deleted, unsubscribed,
+   * bounced or suppressed since the snapshot was taken. Until an A/B test has a winner only its
+   * test group is pending.
+   * @param {Campaign} campaign - Campaign
+   * @returns {Promise<CampaignRecipient[]>} - Recipients
+   */
+  async getPendingRecipients(campaign) {
+    const sentStats = await CampaignStat.findAll({
+      where: { campaignId: campaign.id, sent: true },
+      attributes: ['contactId']
+    });
+    const alreadySent = new Set(sentStats.map(stat => stat.contactId));
+
+    const testPhase = abTestService.isTest(campaign) && !campaign.abWinnerVariantId;
+    const recipients = await snapshotService.getRecipients(campaign.id, {
+      where: testPhase ? { variantId: { [Op.ne]: null } } : {},
+      include: [{
+        model: Contact,
+        as: 'contact',
+        where: { unsubscribed: false, status: 'active' },
+        attributes: []
+      }]
+    });
+
+    const pending = recipients.filter(recipient => !alreadySent.has(recipient.contactId));
+    return suppressionService.filterRecipients(campaign.organizationId, pending);
+  }
+
+  /**
+   * Get the rate a campaign is sent at
+   * Turtle mode sends one batch at a time, at TURTLE_EMAILS_PER_MINUTE unless the
+   * campaign sets its own emailsPerMinute.
+   * @param {Campaign} campaign - Campaign
+   * @returns {Object} - { emailsPerMinute, concurrency }, emailsPerMinute null when unlimited
+   */
+  getSendingRate(campaign) {
+    if (campaign.sendingMode === 'turtle') {
+      return {
+        emailsPerMinute: campaign.emailsPerMinute || TURTLE_EMAILS_PER_MINUTE,
+        concurrency: 1
+      };
+    }
+
+    return {
+      emailsPerMinute: campaign.emailsPerMinute || DEFAULT_EMAILS_PER_MINUTE,
+      concurrency: campaign.maxConcurrentBatches || 1
+    };
+  }
+
+  /**
+   * Where clause of sending campaigns whose lock nobody holds, or whose run is gone
+   * @returns {Object} - Sequelize where conditions
+   */
+  unlockedWhere() {
+    return {
+      [Op.or]: [
+        { lockedAt: null },
+        { lockedAt: { [Op.lt]: new Date(Date.now() - LOCK_TIMEOUT) } }
+      ]
+    };
+  }
+
+  /**
+   * Claim a sending campaign for a run in this process
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<boolean>} - Whether this process took the campaign over
+   */
+  async startRun(campaignId) {
+    const [affectedRows] = await Campaign.update(
+      { lockedBy: this.instanceId, lockedAt: new Date() },
+      { where: { id: campaignId, status: 'sending', ...this.unlockedWhere() } }
+    );
+    return affectedRows === 1;
+  }
+
+  /**
+   * Queue the job that runs a sending campaign, unless one is already waiting
+   * @param {Campaign} campaign - Campaign (id and organizationId)
+   * @returns {Promise<Job|null>} - Run job, or null when one is already queued or running
+   */
+  async queueRun(campaign) {
+    const payload = { campaignId: campaign.id };
+    if (await jobService.hasPending('campaigns.run', payload, campaign.organizationId)) {
+      return null;
+    }
+
+    return jobService.enqueue('campaigns.run', payload, { organizationId: campaign.organizationId });
+  }
+
+  /**
+   * Handler of 'campaigns.run' jobs: claim a sending campaign and send the recipients
+   * that are left; the job lasts as long as the run
+   * @param {Job} job - Background job, payload { campaignId }
+   * @returns {Promise<Object>} - { campaignId, sent, failed }, stored as the job result
+   */
+  async runQueuedCampaign(job) {
+    const { campaignId } = job.payload;
+    // Paused, stopped or finished since, or another run holds it
+    if (!(await this.startRun(campaignId))) {
+      return { campaignId, skipped: true };
+    }
+
+    const { sent, failed } = await this.run(campaignId);
+    return { campaignId, sent, failed };
+  }
+
+  /**
+   * Queue a new run for server engine campaigns whose run died with its process
+   * Called by the scheduler on every poll.
+   * @returns {Promise<string[]>} - IDs of the campaigns taken over
+   */
+  async reclaimStaleRuns() {
+    const stale = await Campaign.findAll({
+      where: { status: 'sending', sendingEngine: 'server', ...this.unlockedWhere() },
+      attributes: ['id', 'organizationId']
+    });
+
+    const reclaimed = [];
+    for (const campaign of stale) {
+      if (!this.runs.has(campaign.id) && await this.queueRun(campaign)) {
+        console.log(`Queued a new run for the stale server engine run of campaign ${campaign.id}`);
+        reclaimed.push(campaign.id);
+      }
+    }
+    return reclaimed;
+  }
+
+  /**
+   * Run a campaign in this process, once per process
+   * The caller must hold the campaign's lock; the run keeps it fresh and releases it
+   * when it ends.
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object>} - Resolves with the run ({ state, sent, failed }) when it ends
+   */
+  run(campaignId) {
+    if (this.runs.has(campaignId)) {
+      return this.runs.get(campaignId).promise;
+    }
+
+    const run = { campaignId, state: 'sending', sent: 0, failed: 0 };
+
+    const heartbeat = setInterval(async () => {
+      try {
+        const [held] = await Campaign.update({ lockedAt: new Date() }, {
+          where: { id: campaignId, lockedBy: this.instanceId }
+        });
+        // Another run took over (e.g. after this process stalled), so stop sending
+        if (held === 0 && run.state === 'sending') {
+          run.state = 'taken over';
+        }
+      } catch (error) {
+        console.error(`Failed to refresh the lock of campaign ${campaignId}:`, error);
+      }
+    }, HEARTBEAT_INTERVAL);
+    // Don't keep the process alive for the heartbeat
+    heartbeat.unref();
+
+    run.promise = this.processCampaign(run)
+      .catch(error => console.error(`Sending engine error for campaign ${campaignId}:`, error))
+      .then(async () => {
+        clearInterval(heartbeat);
+        this.runs.delete(campaignId);
+        await Campaign.update({ lockedBy: null, lockedAt: null }, {
+          where: { id: campaignId, lockedBy: this.instanceId }
+        }).catch(error => console.error(`Failed to release campaign ${campaignId}:`, error));
+        return run;
+      });
+
+    this.runs.set(campaignId, run);
+    return run.promise;
+  }
+
+  /**
+   * Send every pending recipient of a campaign
+   * @param {Object} run - Run state
+   */
+  async processCampaign(run) {
+    const campaign = await Campaign.findByPk(run.campaignId, {
+      include: [
+        { model: Template, as: 'template' },
+        { model: TemplateVersion, as: 'templateVersion' }
+      ]
+    });
+    if (!campaign || campaign.status !== 'sending') return;
+
+    // Campaigns that started sending before snapshots existed get one now
+    const snapshot = await snapshotService.getSnapshot(campaign.id) ||
+      await snapshotService.takeSnapshot(campaign);
+    const recipients = await this.getPendingRecipients(campaign);
+    const variantContents = abTestService.isTest(campaign)
+      ? await abTestService.getVariantContents(campaign, snapshot)
+      : new Map();
+    const batches = [];
+    for (let i = 0; i < recipients.length; i += BATCH_SIZE) {
+      batches.push(recipients.slice(i, i + BATCH_SIZE));
+    }
+
+    // Reserve evenly spaced send slots across all concurrent batches
+    const { emailsPerMinute, concurrency: maxConcurrency } = this.getSendingRate(campaign);
+    const interval = emailsPerMinute ? 60000 / emailsPerMinute : 0;
+    let nextSlot = Date.now();
+    const throttle = async () => {
+      if (!interval) return;
+      const slot = Math.max(nextSlot, Date.now());
+      nextSlot = slot + interval;
+      await sleep(slot - Date.now());
+    };
+
+    console.log(`Sending campaign ${campaign.id} from the server: ${recipients.length} recipients in ${batches.length} batches`);
+
+    let nextBatch = 0;
+    const sendBatches = async () => {
+      while (run.state === 'sending' && nextBatch < batches.length) {
+        const batch = batches[nextBatch++];
+
+        // Pick up pause/stop requests made through another server instance, and
+        // stop if another run has taken the campaign over
+        const current = await Campaign.findByPk(campaign.id, { attributes: ['status', 'lockedBy'] });
+        if (!current || current.status !== 'sending') {
+          run.state = current ? current.status : 'stopped';
+          return;
+        }
+        if (current.lockedBy !== this.instanceId) {
+          run.state = 'taken over';
+          return;
+        }
+
+        await this.sendBatch(campaign, { snapshot, variantContents }, batch, run, throttle);
+      }
+    };
+
+    const concurrency = Math.min(maxConcurrency, batches.length);
+    await Promise.all(Array.from({ length: concurrency }, sendBatches));
+
+    if (run.state === 'sending' && abTestService.isTest(campaign) && !campaign.abWinnerVariantId) {
+      // The test group is out; the scheduler picks the winner once the wait is over
+      const abTestEndsAt = new Date(Date.now() + campaign.abWaitMinutes * 60000);
+      await Campaign.update({ status: 'testing', abTestEndsAt }, {
+        where: { id: campaign.id, status: 'sending' }
+      });
+      console.log(`Campaign ${campaign.id} test group sent: ${run.sent} sent, ${run.failed} failed, winner due at ${abTestEndsAt.toISOString()}`);
+    } else if (run.state === 'sending') {
+      await Campaign.update({ status: 'completed' }, {
+        where: { id: campaign.id, status: 'sending' }
+      });
+      console.log(`Campaign ${campaign.id} completed: ${run.sent} sent, ${run.failed} failed`);
+    } else {
+      console.log(`Campaign ${campaign.id} ${run.state}: ${run.sent} sent, ${run.failed} failed`);
+    }
+  }
+
+  /**
+   * Send one batch of recipients, recording each send as soon as it is made
+   * @param {Campaign} campaign - Campaign
+   * @param {Object} content - { snapshot, variantContents } the campaign is sent with
+   * @param {CampaignRecipient[]} batch - Recipients
+   * @param {Object} run - Run state
+   * @param {Function} throttle - Waits for the next send slot
+   */
+  async sendBatch(campaign, { snapshot, variantContents }, batch, run, throttle) {
+    for (const recipient of batch) {
+      await throttle();
+      if (run.state !== 'sending') break;
+
+      try {
+        const { from, to, subject, html, text } = snapshotService.renderEmail(
+          snapshot,
+          recipient,
+          variantContents.get(recipient.variantId)
+        );
+        const result = await emailService.sendEmail({
+          to,
+          from,
+          subject,
+          html,
+          text,
+          campaignId: campaign.id,
+          contactId: recipient.contactId,
+          composed: true
+        });
+
+        // Recorded right away, so a run that dies can't send this recipient again
+        await eventService.recordTrackingBatch([{
+          campaignId: campaign.id,
+          contactId: recipient.contactId,
+          // One send per recipient, so a resumed campaign can't count it twice
+          eventId: `${campaign.id}:${recipient.contactId}:send`,
+          messageId: result.MessageId,
+          trackingData: { type: 'send', timestamp: new Date() }
+        }]);
+        run.sent++;
+      } catch (error) {
+        run.failed++;
+        console.error(`Failed to send campaign ${campaign.id} to ${recipient.email}: ${error.message}`);
+        await Campaign.increment('sendFailures', { where: { id: campaign.id } });
+      }
+    }
+  }
+
+  /**
+   * Pause a campaign sent by the server engine
+   * @param {Campaign} campaign - Campaign
+   * @returns {Promise<Campaign>} - Updated campaign
+   */
+  async pauseCampaign(campaign) {
+    if (!this.isServerCampaign(campaign)) {
+      throw createError('Only campaigns sent by the server engine can be paused', 400);
+    }
+    if (campaign.status !== 'sending') {
+      throw createError(`Cannot pause campaign with status: ${campaign.status}`, 400);
+    }
+
+    await campaign.update({ status: 'paused' });
+    this.signal(campaign.id, 'paused');
+
+    return campaign;
+  }
+
+  /**
+   * Resume a paused campaign with the recipients not sent yet, in a 'campaigns.run' job
+   * Also picks up a campaign still marked as sending whose run died with its process,
+   * without waiting for the scheduler to notice.
+   * @param {Campaign} campaign - Campaign
+   * @returns {Promise<Campaign>} - Updated campaign
+   */
+  async resumeCampaign(campaign) {
+    if (!this.isServerCampaign(campaign)) {
+      throw createError('Only campaigns sent by the server engine can be resumed', 400);
+    }
+
+    if (campaign.status === 'sending') {
+      const stale = await Campaign.count({
+        where: { id: campaign.id, status: 'sending', ...this.unlockedWhere() }
+      });
+      if (this.runs.has(campaign.id) || stale === 0 || !(await this.queueRun(campaign))) {
+        throw createError('Campaign is already sending', 409);
+      }
+      return campaign.reload();
+    }
+
+    if (campaign.status !== 'paused') {
+      throw createError(`Cannot resume campaign with status: ${campaign.status}`, 400);
+    }
+
+    // A pause only takes effect between emails, so wait for the old run to wind down
+    if (this.runs.has(campaign.id)) {
+      await this.runs.get(campaign.id).promise;
+    }
+
+    // A run elsewhere only releases the lock once it has stopped
+    const [resumed] = await Campaign.update(
+      { status: 'sending' },
+      { where: { id: campaign.id, status: 'paused', ...this.unlockedWhere() } }
+    );
+    if (resumed === 0) {
+      throw createError('Campaign is still pausing, try again shortly', 409);
+    }
+    // Without the job, the scheduler queues one once it sees the unlocked run
+    await this.queueRun(campaign);
+
+    return campaign.reload();
+  }
+
+  /**
+   * Stop a campaign sent by the server engine for good
+   * @param {Campaign} campaign - Campaign
+   * @returns {Promise<Campaign>} - Updated campaign
+   */
+  async stopCampaign(campaign) {
+    if (!['sending', 'processing', 'paused', 'testing'].includes(campaign.status)) {
+      throw createError(`Cannot stop campaign with status: ${campaign.status}`, 400);
+    }
+
+    await campaign.update({ status: 'stopped' });
+    this.signal(campaign.id, 'stopped');
+
+    return campaign;
+  }
+
+  /**
+   * Tell a run in this process to stop after the current email
+   * @param {string} campaignId - Campaign ID
+   * @param {string} state - New run state
+   */
+  signal(campaignId, state) {
+    const run = this.runs.get(campaignId);
+    if (run) {
+      run.state = state;
+    }
+  }
+
+  /**
+   * Get the sending progress of a server engine campaign
+   * @param {Campaign} campaign - Campaign
+   * @returns {Object} - Progress
+   */
+  getProgress(campaign) {
+    const total = campaign.totalRecipients || 0;
+
+    return {
+      engine: 'server',
+      running: this.runs.has(campaign.id),
+      totalRecipients: total,
+      sent: campaign.sent,
+      failed: campaign.sendFailures,
+      progress: total > 0 ? Math.min(100, Math.round((campaign.sent / total) * 100)) : 0
+    };
+  }
+}
+
+module.exports = new SendingService();
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { Session, User } = require('../models');
+const { createError } = require('../utils/error');
+
+// Access tokens are short-lived; clients renew them with the session's refresh token
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+// A session ends when its refresh token goes unused this long
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Session Service - Signed-in devices and the tokens they hold.
+ *
+ * Signing in opens a session and returns a short-lived access token (a JWT naming the
+ * session) and a refresh token, of which only a hash is stored. Every refresh rotates
+ * the refresh token; presenting a replaced one again means it was copied, so the whole
+ * session is revoked. The auth middleware rejects access tokens of revoked or expired
+ * sessions, which makes logout, revocation, password changes and deactivation take
+ * effect immediately rather than when the JWT expires.
+ */
+class SessionService {
+  /**
+   * Sign an access token for a session
+   * @param {User} user - User
+   * @param {Session} session - Session
+   * @returns {string} - JWT
+   */
+  signAccessToken(user, session) {
+    return jwt.sign(
+      { id: user.id, email: user.email, role: user.role, sid: session.id },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+  }
+
+  /**
+   * Token pair returned to the client
+   * @param {User} user - User
+   * @param {Session} session - Session
+   * @param {string} refreshToken - Current refresh token
+   * @returns {Object} - { token, refreshToken, refreshTokenExpiresAt }
+   */
+  buildTokens(user, session, refreshToken) {
+    return {
+      token: this.signAccessToken(user, session),
+      refreshToken,
+      refreshTokenExpiresAt: session.expiresAt
+    };
+  }
+
+  /**
+   * Expiry of a refresh token issued now
+   * @returns {Date}
+   */
+  refreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60000);
+  }
+
+  /**
+   * Open a session for a user who just signed in
+   * @param {User} user - User
+   * @param {Object} client - { userAgent, ipAddress }
+   * @returns {Promise<Object>} - { session, token, refreshToken, refreshTokenExpiresAt }
+   */
+  async createSession(user, { userAgent, ipAddress } = {}) {
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+
+    const session = await Session.create({
+      userId: user.id,
+      refreshTokenHash: hashToken(refreshToken),
+      expiresAt: this.refreshExpiry(),
+      lastUsedAt: new Date(),
+      userAgent: userAgent ? String(userAgent).slice(0, 512) : null,
+      ipAddress: ipAddress || null
+    });
+
+    return { session, ...this.buildTokens(user, session, refreshToken) };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair, rotating the refresh token
+   * @param {string} refreshToken - Refresh token
+   * @param {Object} client - { userAgent, ipAddress }
+   * @returns {Promise<Object>} - { session, token, refreshToken, refreshTokenExpiresAt }
+   */
+  async refresh(refreshToken, { userAgent, ipAddress } = {}) {
+    const tokenHash = hashToken(refreshToken);
+    const session = await Session.findOne({ where: { refreshTokenHash: tokenHash } });
+
+    if (!session) {
+      // A replaced token being used again: whoever holds the current one may not be the user
+      const reused = await Session.findOne({ where: { previousTokenHash: tokenHash, revokedAt: null } });
+      if (reused) {
+        await this.revoke(reused, 'token_reuse');
+      }
+      throw createError('Invalid refresh token', 401);
+    }
+
+    if (session.revokedAt) {
+      throw createError('Session has been revoked', 401);
+    }
+    if (session.expiresAt <= new Date()) {
+      throw createError('Session has expired', 401);
+    }
+
+    const user = await User.findByPk(session.userId, { attributes: { exclude: ['password'] } });
+    if (!user || !user.active) {
+      await this.revoke(session, 'deactivated');
+      throw createError('User account has been deactivated', 401);
+    }
+
+    const nextToken = crypto.randomBytes(32).toString('base64url');
+
+    // Only the request that still holds the current token gets to rotate it
+    const [updated] = await Session.update({
+      refreshTokenHash: hashToken(nextToken),
+      previousTokenHash: tokenHash,
+      expiresAt: this.refreshExpiry(),
+      lastUsedAt: new Date(),
+      userAgent: userAgent ? String(userAgent).slice(0, 512) : session.userAgent,
+      ipAddress: ipAddress || session.ipAddress
+    }, {
+      where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null }
+    });
+
+    if (updated === 0) {
+      throw createError('Invalid refresh token', 401);
+    }
+
+    await session.reload();
+    return { session, ...this.buildTokens(user, session, nextToken) };
+  }
+
+  /**
+   * Revoke a session
+   * @param {Session} session - Session
+   * @param {string} reason - Why it was revoked
+   */
+  async revoke(session, reason = 'revoked') {
+    if (session.revokedAt) return;
+    await session.update({ revokedAt: new Date(), revokedReason: reason });
+  }
+
+  /**
+   * Revoke the session holding a refresh token (logout)
+   * Unknown tokens are ignored so logging out twice is harmless.
+   * @param {string} refreshToken - Refresh token
+   */
+  async revokeByRefreshToken(refreshToken) {
+    const session = await Session.findOne({ where: { refreshTokenHash: hashToken(refreshToken) } });
+    if (session) {
+      await this.revoke(session, 'logout');
+    }
+  }
+
+  /**
+   * Revoke all sessions of a user
+   * @param {string} userId - User ID
+   * @param {string} reason - Why they were revoked
+   * @param {Object} [options] - { exceptSessionId, transaction }
+   * @returns {Promise<number>} - Number of sessions revoked
+   */
+  async revokeAll(userId, reason, { exceptSessionId, transaction } = {}) {
+    const where = { userId, revokedAt: null };
+    if (exceptSessionId) {
+      where.id = { [Op.ne]: exceptSessionId };
+    }
+
+    const [count] = await Session.update({ revokedAt: new Date(), revokedReason: reason }, { where, transaction });
+    return count;
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   * @param {string} userId - User ID
+   * @returns {Promise<Session[]>} - Sessions
+   */
+  async listSessions(userId) {
+    return Session.findAll({
+      where: {
+        userId,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      order: [['lastUsedAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Public view of a session
+   * @param {Session} session - Session
+   * @param {string} [currentSessionId] - Session of the request
+   * @returns {Object} - Session without its token hashes
+   */
+  serialize(session, currentSessionId) {
+    return {
+      id: session.id,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session.id === currentSessionId
+    };
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,76 @@
+const { Setting } = require('../models');
+const { createError } = require('../utils/error');
+
+// Settings admins can change, with their defaults
+const DEFAULTS = {
+  // Every user must set up two-factor authentication before using the API
+  requireTwoFactor: false
+};
+
+// Settings are read on every request, so they are cached this long per process
+const CACHE_TTL = 30000;
+
+/**
+ * Setting Service - System-wide settings stored in the database, so admins can
+ * change them at runtime and every instance picks the change up within CACHE_TTL.
+ */
+class SettingService {
+  constructor() {
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * All settings, defaults included
+   * @returns {Promise<Object>} - Settings by key
+   */
+  async getAll() {
+    if (this.cache && Date.now() - this.cachedAt < CACHE_TTL) {
+      return this.cache;
+    }
+
+    const rows = await Setting.findAll();
+    const settings = { ...DEFAULTS };
+    for (const row of rows) {
+      if (row.key in DEFAULTS) settings[row.key] = row.value;
+    }
+
+    this.cache = settings;
+    this.cachedAt = Date.now();
+    return settings;
+  }
+
+  /**
+   * Read a setting
+   * @param {string} key - Setting key
+   * @returns {Promise<*>} - Value
+   */
+  async get(key) {
+    return (await this.getAll())[key];
+  }
+
+  /**
+   * Change settings
+   * @param {Object} values - New values by key
+   * @returns {Promise<Object>} - All settings
+   */
+  async update(values) {
+    for (const [key, value] of Object.entries(values)) {
+      if (!(key in DEFAULTS)) {
+        throw createError(`Unknown setting "${key}"`, 400);
+      }
+      if (typeof value !== typeof DEFAULTS[key]) {
+        throw createError(`${key} must be a ${typeof DEFAULTS[key]}`, 400);
+      }
+    }
+
+    for (const [key, value] of Object.entries(values)) {
+      await Setting.upsert({ key, value });
+    }
+
+    this.cache = null;
+    return this.getAll();
+  }
+}
+
+module.exports = new SettingService();
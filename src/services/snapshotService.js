@@ -0,0 +1,164 @@
+const { CampaignSnapshot, CampaignRecipient, ContactList, Segment, sequelize } = require('../models');
+const { createError } = require('../utils/error');
+const emailService = require('./emailService');
+const segmentService = require('./segmentService');
+const suppressionService = require('./suppressionService');
+const templateService = require('./templateService');
+
+// Recipients written per insert while taking a snapshot
+const INSERT_BATCH_SIZE = 1000;
+
+/**
+ * Snapshot Service - Freezes what a campaign is sent with when it moves to "sending":
+ * the subject, HTML and text sources, the parts every email shares (sender, unsubscribe
+ * footer, link URLs), and the resolved recipient set (list members or segment matches at
+ * that moment) with the contact fields each email is rendered from. Both sending engines
+ * send from the snapshot, so reports, resends and audits can reproduce exactly what went
+ * out after the template, the list or the server's settings changed.
+ */
+class SnapshotService {
+  /**
+   * Resolve the contacts a campaign goes out to: the members of its contact list,
+   * or the contacts its segment matches right now
+   * Unsubscribed and bounced contacts are left out, as are addresses on the
+   * workspace's suppression list.
+   * @param {Campaign} campaign - Campaign
+   * @returns {Promise<Contact[]>} - Contacts
+   */
+  async getAudience(campaign) {
+    const query = {
+      where: { unsubscribed: false, status: 'active' },
+      attributes: ['id', 'email', 'firstName', 'lastName', 'company', 'metadata'],
+      order: [['createdAt', 'ASC']]
+    };
+
+    if (campaign.segmentId) {
+      const segment = await Segment.findByPk(campaign.segmentId);
+      if (!segment) {
+        throw createError('Segment not found', 404);
+      }
+      const contacts = await segmentService.getContacts(segment, query);
+      return suppressionService.filterRecipients(campaign.organizationId, contacts);
+    }
+
+    const contactList = await ContactList.findByPk(campaign.contactListId);
+    if (!contactList) {
+      throw createError('Contact list not found', 404);
+    }
+    const contacts = await contactList.getContacts({ ...query, joinTableAttributes: [] });
+    return suppressionService.filterRecipients(campaign.organizationId, contacts);
+  }
+
+  /**
+   * Take (or retake) the snapshot of a campaign about to be sent
+   * @param {Campaign} campaign - Campaign with its template and pinned version
+   * @returns {Promise<CampaignSnapshot>} - Snapshot
+   */
+  async takeSnapshot(campaign) {
+    const fromAddress = campaign.fromAddress || process.env.EMAIL_FROM;
+    if (!fromAddress) {
+      throw createError('Campaign has no sender address', 400);
+    }
+
+    const contacts = await this.getAudience(campaign);
+    const { subject, content } = templateService.getCampaignContent(campaign);
+
+    const snapshot = await sequelize.transaction(async (transaction) => {
+      // A retake replaces a snapshot whose launch never got going
+      await CampaignRecipient.destroy({ where: { campaignId: campaign.id }, transaction });
+      await CampaignSnapshot.destroy({ where: { campaignId: campaign.id }, transaction });
+
+      for (let i = 0; i < contacts.length; i += INSERT_BATCH_SIZE) {
+        await CampaignRecipient.bulkCreate(contacts.slice(i, i + INSERT_BATCH_SIZE).map(contact => ({
+          campaignId: campaign.id,
+          contactId: contact.id,
+          email: contact.email,
+          firstName: contact.firstName,
+          lastName: contact.lastName,
+          company: contact.company,
+          metadata: contact.metadata
+        })), { transaction });
+      }
+
+      return CampaignSnapshot.create({
+        campaignId: campaign.id,
+        templateVersionId: campaign.templateVersionId,
+        subject,
+        html: content,
+        text: emailService.stripHtml(content),
+        fromAddress,
+        footerHtml: emailService.getUnsubscribeFooter(),
+        unsubscribeBaseUrl: emailService.getUnsubscribeBaseUrl(),
+        appUrl: process.env.APP_URL || null,
+        recipientCount: contacts.length,
+        renderedAt: new Date()
+      }, { transaction });
+    });
+
+    await campaign.update({ totalRecipients: contacts.length });
+    return snapshot;
+  }
+
+  /**
+   * Get the snapshot of a campaign
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<CampaignSnapshot|null>} - Snapshot, or null before the campaign was sent
+   */
+  getSnapshot(campaignId) {
+    return CampaignSnapshot.findOne({ where: { campaignId } });
+  }
+
+  /**
+   * Get the recipients of a snapshot
+   * @param {string} campaignId - Campaign ID
+   * @param {Object} [options] - Extra query options (where, limit, offset)
+   * @returns {Promise<CampaignRecipient[]>} - Recipients
+   */
+  getRecipients(campaignId, { where = {}, ...options } = {}) {
+    return CampaignRecipient.findAll({
+      where: { ...where, campaignId },
+      order: [['id', 'ASC']],
+      ...options
+    });
+  }
+
+  /**
+   * Render the email a recipient gets from a snapshot, exactly as it is sent
+   * @param {CampaignSnapshot} snapshot - Snapshot
+   * @param {CampaignRecipient} recipient - Recipient
+   * @param {Object} [content] - { subject, html, text } of the recipient's A/B test variant
+   * @returns {Object} - { from, to, subject, html, text } with the unsubscribe footer added
+   */
+  renderEmail(snapshot, recipient, content = snapshot) {
+    // Render with the contact ID, which unsubscribe_link points at
+    const contact = {
+      id: recipient.contactId,
+      email: recipient.email,
+      firstName: recipient.firstName,
+      lastName: recipient.lastName,
+      company: recipient.company,
+      metadata: recipient.metadata
+    };
+    const options = { now: snapshot.renderedAt, appUrl: snapshot.appUrl };
+
+    const { html, text } = emailService.composeBody({
+      to: recipient.email,
+      html: templateService.render(content.html, contact, { ...options, escapeHtml: true }),
+      // Snapshots taken before the text part was stored derive it from the HTML
+      text: content.text ? templateService.render(content.text, contact, options) : undefined,
+      campaignId: snapshot.campaignId,
+      footer: snapshot.footerHtml,
+      unsubscribeBaseUrl: snapshot.unsubscribeBaseUrl
+    });
+
+    return {
+      from: snapshot.fromAddress || process.env.EMAIL_FROM,
+      to: recipient.email,
+      subject: templateService.render(content.subject, contact, options),
+      html,
+      text
+    };
+  }
+}
+
+module.exports = new SnapshotService();
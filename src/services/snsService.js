@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// SNS only ever signs with certificates served from its own regional endpoints
+const DEFAULT_CERT_URL_PATTERN = '^https://sns\\.[a-z0-9-]+\\.amazonaws\\.com(\\.cn)?/[^?#]+\\.pem$';
+
+// Keys that make up the string to sign, in order, per message type
+const SIGNED_KEYS = {
+  Notification: ['Message', 'MessageId', 'Subject', 'Timestamp', 'TopicArn', 'Type'],
+  SubscriptionConfirmation: ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type'],
+  UnsubscribeConfirmation: ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type']
+};
+
+const SIGNATURE_ALGORITHMS = {
+  1: 'RSA-SHA1',
+  2: 'RSA-SHA256'
+};
+
+/**
+ * SNS Service - Verifies Amazon SNS messages and confirms subscriptions.
+ * The signing certificate is either pinned with SNS_SIGNING_CERT_PATH or fetched from
+ * the message's SigningCertURL, which must match SNS_CERT_URL_PATTERN.
+ */
+class SnsService {
+  constructor() {
+    this.certificates = new Map();
+  }
+
+  /**
+   * Topics notifications are accepted from (SES_SNS_TOPIC_ARNS, comma separated)
+   * @returns {string[]} - Allowed topic ARNs; empty when any topic is accepted
+   */
+  getAllowedTopics() {
+    return (process.env.SES_SNS_TOPIC_ARNS || '')
+      .split(',')
+      .map(arn => arn.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Build the canonical string SNS signs for a message
+   * @param {Object} message - Parsed SNS message
+   * @returns {string|null} - String to sign, or null for an unknown message type
+   */
+  buildStringToSign(message) {
+    const keys = SIGNED_KEYS[message.Type];
+    if (!keys) return null;
+
+    return keys
+      .filter(key => message[key] !== undefined && message[key] !== null)
+      .map(key => `${key}\n${message[key]}\n`)
+      .join('');
+  }
+
+  /**
+   * Get the certificate a message was signed with
+   * @param {string} certUrl - SigningCertURL of the message
+   * @returns {Promise<string>} - PEM encoded certificate
+   */
+  async getCertificate(certUrl) {
+    if (process.env.SNS_SIGNING_CERT_PATH) {
+      return fs.promises.readFile(process.env.SNS_SIGNING_CERT_PATH, 'utf8');
+    }
+
+    const pattern = new RegExp(process.env.SNS_CERT_URL_PATTERN || DEFAULT_CERT_URL_PATTERN);
+    if (!certUrl || !pattern.test(certUrl)) {
+      throw new Error(`Untrusted signing certificate URL: ${certUrl}`);
+    }
+
+    if (!this.certificates.has(certUrl)) {
+      const response = await fetch(certUrl);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch signing certificate: ${response.status}`);
+      }
+      this.certificates.set(certUrl, await response.text());
+    }
+
+    return this.certificates.get(certUrl);
+  }
+
+  /**
+   * Verify that a message was sent by SNS for an allowed topic
+   * @param {Object} message - Parsed SNS message
+   * @returns {Promise<{ valid: boolean, reason?: string }>} - Verification result
+   */
+  async verifyMessage(message) {
+    const allowedTopics = this.getAllowedTopics();
+    if (allowedTopics.length > 0 && !allowedTopics.includes(message.TopicArn)) {
+      return { valid: false, reason: `Topic not allowed: ${message.TopicArn}` };
+    }
+
+    const algorithm = SIGNATURE_ALGORITHMS[message.SignatureVersion];
+    if (!algorithm) {
+      return { valid: false, reason: `Unsupported signature version: ${message.SignatureVersion}` };
+    }
+
+    const stringToSign = this.buildStringToSign(message);
+    if (!stringToSign || !message.Signature) {
+      return { valid: false, reason: 'Malformed SNS message' };
+    }
+
+    let certificate;
+    try {
+      certificate = await this.getCertificate(message.SigningCertURL);
+    } catch (error) {
+      return { valid: false, reason: error.message };
+    }
+
+    const verifier = crypto.createVerify(algorithm);
+    verifier.update(stringToSign, 'utf8');
+
+    if (!verifier.verify(certificate, message.Signature, 'base64')) {
+      return { valid: false, reason: 'Invalid signature' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Confirm a topic subscription by visiting its SubscribeURL
+   * @param {Object} message - Verified SubscriptionConfirmation message
+   */
+  async confirmSubscription(message) {
+    const response = await fetch(message.SubscribeURL);
+    if (!response.ok) {
+      throw new Error(`Subscription confirmation failed: ${response.status}`);
+    }
+
+    console.log(`Confirmed SNS subscription to ${message.TopicArn}`);
+  }
+}
+
+module.exports = new SnsService();
@@ -0,0 +1,364 @@
+const fs = require('fs');
+const { Op } = require('sequelize');
+const { parse } = require('csv-parse');
+const { Suppression, Campaign } = require('../models');
+const { createError } = require('../utils/error');
+const { formatRow, writeChunk } = require('../utils/csv');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DOMAIN_PATTERN = /^([a-z0-9-]+\.)+[a-z0-9-]{2,}$/;
+const EXPORT_FIELDS = ['email', 'domain', 'reason', 'campaignId', 'createdAt'];
+
+// Addresses looked up per query when filtering recipients
+const LOOKUP_BATCH_SIZE = 1000;
+// Rows inserted per query when importing a file
+const IMPORT_BATCH_SIZE = 1000;
+// Rows written per query when exporting
+const EXPORT_BATCH_SIZE = 1000;
+// Invalid rows listed in an import result
+const MAX_REPORTED_ERRORS = 100;
+
+/**
+ * Suppression Service - The workspace's do-not-mail list.
+ *
+ * An entry blocks one email address or every address at a domain. Unsubscribes,
+ * complaints and hard bounces add entries as they arrive; workspace members add
+ * more by hand or from a CSV file. Audiences are checked against the list in bulk
+ * when a campaign is snapshotted and again before each send, so a contact deleted
+ * and re-created or re-imported after complaining is never mailed again.
+ */
+class SuppressionService {
+  /**
+   * Domain of an email address
+   * @param {string} email - Email address
+   * @returns {string} - Lowercase domain
+   */
+  domainOf(email) {
+    return String(email).slice(String(email).lastIndexOf('@') + 1).toLowerCase();
+  }
+
+  /**
+   * Normalise a suppression entry
+   * A value without "@" (or starting with it) is a domain, anything else an address.
+   * @param {Object} entry - { email } or { domain }, or { value } to tell from its shape
+   * @returns {Object} - { email, domain } with exactly one of them set
+   */
+  parseEntry({ email, domain, value }) {
+    if (value !== undefined) {
+      const text = String(value).trim();
+      return text.includes('@') && !text.startsWith('@')
+        ? this.parseEntry({ email: text })
+        : this.parseEntry({ domain: text });
+    }
+
+    if ((email && domain) || (!email && !domain)) {
+      throw createError('Provide either an email or a domain', 400);
+    }
+
+    if (email) {
+      const normalized = String(email).trim().toLowerCase();
+      if (!EMAIL_PATTERN.test(normalized)) {
+        throw createError(`Invalid email address "${email}"`, 400);
+      }
+      return { email: normalized, domain: null };
+    }
+
+    const normalized = String(domain).trim().toLowerCase().replace(/^@/, '');
+    if (!DOMAIN_PATTERN.test(normalized)) {
+      throw createError(`Invalid domain "${domain}"`, 400);
+    }
+    return { email: null, domain: normalized };
+  }
+
+  /**
+   * Where clause for the list and export filters
+   * @param {string} organizationId - Workspace ID
+   * @param {Object} filters - { search, reason, type ('email' or 'domain') }
+   * @returns {Object} - Where clause
+   */
+  buildWhere(organizationId, { search, reason, type } = {}) {
+    const where = { organizationId };
+
+    if (search) {
+      where[Op.or] = [
+        { email: { [Op.like]: `%${search}%` } },
+        { domain: { [Op.like]: `%${search}%` } }
+      ];
+    }
+
+    if (reason) {
+      where.reason = reason;
+    }
+
+    if (type === 'email') {
+      where.email = { [Op.ne]: null };
+    } else if (type === 'domain') {
+      where.domain = { [Op.ne]: null };
+    }
+
+    return where;
+  }
+
+  /**
+   * Add an entry to a workspace's suppression list
+   * @param {string} organizationId - Workspace ID
+   * @param {Object} entry - { email } or { domain }
+   * @param {Object} options - { reason, campaignId, userId }
+   * @returns {Promise<Suppression>} - New suppression
+   */
+  async add(organizationId, entry, { reason = 'manual', campaignId = null, userId = null } = {}) {
+    const { email, domain } = this.parseEntry(entry);
+
+    const existing = await Suppression.findOne({
+      where: { organizationId, ...(email ? { email } : { domain }) },
+      attributes: ['id']
+    });
+    if (existing) {
+      throw createError(`${email || domain} is already suppressed`, 409);
+    }
+
+    if (campaignId && !(await Campaign.findOne({ where: { id: campaignId, organizationId }, attributes: ['id'] }))) {
+      throw createError('Campaign not found', 404);
+    }
+
+    return Suppression.create({ organizationId, userId, email, domain, reason, campaignId });
+  }
+
+  /**
+   * Suppress the addresses of contacts after an unsubscribe, complaint or bounce
+   * Each contact's address goes on its own workspace's list; addresses already
+   * suppressed keep their original entry.
+   * @param {Contact[]} contacts - Contacts
+   * @param {Object} source - { reason, campaignId }
+   * @param {Object} [options] - { transaction }
+   */
+  async suppressContacts(contacts, { reason, campaignId }, { transaction } = {}) {
+    if (contacts.length === 0) return;
+
+    // The campaign is only recorded for the workspace that sent it
+    const campaign = campaignId
+      ? await Campaign.findByPk(campaignId, { attributes: ['id', 'organizationId'], transaction })
+      : null;
+
+    await Suppression.bulkCreate(contacts.map(contact => ({
+      organizationId: contact.organizationId,
+      email: contact.email.toLowerCase(),
+      reason,
+      campaignId: campaign && campaign.organizationId === contact.organizationId ? campaign.id : null
+    })), { ignoreDuplicates: true, transaction });
+  }
+
+  /**
+   * Find which of a set of addresses a workspace must not mail
+   * @param {string} organizationId - Workspace ID
+   * @param {string[]} emails - Email addresses
+   * @returns {Promise<Set<string>>} - Suppressed addresses, lowercase
+   */
+  async getSuppressedEmails(organizationId, emails) {
+    const suppressed = new Set();
+    const unique = [...new Set(emails.map(email => email.toLowerCase()))];
+
+    for (let i = 0; i < unique.length; i += LOOKUP_BATCH_SIZE) {
+      const batch = unique.slice(i, i + LOOKUP_BATCH_SIZE);
+      const entries = await Suppression.findAll({
+        where: {
+          organizationId,
+          [Op.or]: [
+            { email: { [Op.in]: batch } },
+            { domain: { [Op.in]: [...new Set(batch.map(email => this.domainOf(email)))] } }
+          ]
+        },
+        attributes: ['email', 'domain']
+      });
+
+      const emailSet = new Set(entries.filter(entry => entry.email).map(entry => entry.email));
+      const domainSet = new Set(entries.filter(entry => entry.domain).map(entry => entry.domain));
+      for (const email of batch) {
+        if (emailSet.has(email) || domainSet.has(this.domainOf(email))) {
+          suppressed.add(email);
+        }
+      }
+    }
+
+    return suppressed;
+  }
+
+  /**
+   * Leave the suppressed addresses out of a set of recipients
+   * @param {string} organizationId - Workspace ID
+   * @param {Object[]} recipients - Contacts or campaign recipients (anything with an email)
+   * @returns {Promise<Object[]>} - Recipients that can be mailed
+   */
+  async filterRecipients(organizationId, recipients) {
+    if (recipients.length === 0) return recipients;
+
+    const suppressed = await this.getSuppressedEmails(organizationId, recipients.map(recipient => recipient.email));
+    return suppressed.size === 0
+      ? recipients
+      : recipients.filter(recipient => !suppressed.has(recipient.email.toLowerCase()));
+  }
+
+  /**
+   * Import suppressions from a CSV file
+   * A header row naming "email" and/or "domain" columns (and optionally "reason") is
+   * used when present; otherwise each line's first value is an address or a domain.
+   * @param {string} organizationId - Workspace ID
+   * @param {string} userId - Importing user
+   * @param {string} filePath - Uploaded file
+   * @param {Object} options - { reason } used for rows without one
+   * @returns {Promise<Object>} - { imported, existing, invalid, errors }
+   */
+  async importFile(organizationId, userId, filePath, { reason = 'manual' } = {}) {
+    const result = { imported: 0, existing: 0, invalid: 0, errors: [] };
+    const input = fs.createReadStream(filePath);
+    let columns = null;
+    let rowNumber = 0;
+    let batch = [];
+
+    const reject = (message, value) => {
+      result.invalid++;
+      if (result.errors.length < MAX_REPORTED_ERRORS) {
+        result.errors.push({ row: rowNumber, value, message });
+      }
+    };
+
+    try {
+      const parser = input.pipe(parse({
+        bom: true,
+        relax_column_count: true,
+        relax_quotes: true,
+        skip_empty_lines: true,
+        trim: true
+      }));
+
+      for await (const values of parser) {
+        rowNumber++;
+
+        if (rowNumber === 1) {
+          const header = values.map(value => value.toLowerCase());
+          if (header.includes('email') || header.includes('domain')) {
+            columns = {
+              email: header.indexOf('email'),
+              domain: header.indexOf('domain'),
+              reason: header.indexOf('reason')
+            };
+            continue;
+          }
+        }
+
+        const email = columns && columns.email >= 0 ? values[columns.email] : undefined;
+        const domain = columns && columns.domain >= 0 ? values[columns.domain] : undefined;
+        const rowReason = (columns && columns.reason >= 0 && values[columns.reason]) || reason;
+        const value = email || domain || (columns ? '' : values[0]);
+
+        if (!value) {
+          reject('No email or domain', null);
+          continue;
+        }
+        if (!Suppression.REASONS.includes(rowReason)) {
+          reject(`Invalid reason "${rowReason}" (use ${Suppression.REASONS.join(', ')})`, value);
+          continue;
+        }
+
+        try {
+          const entry = columns
+            ? this.parseEntry(email ? { email } : { domain })
+            : this.parseEntry({ value });
+          batch.push({ organizationId, userId, ...entry, reason: rowReason });
+        } catch (error) {
+          reject(error.message, value);
+          continue;
+        }
+
+        if (batch.length >= IMPORT_BATCH_SIZE) {
+          await this.insertBatch(batch, result);
+          batch = [];
+        }
+      }
+
+      if (batch.length > 0) {
+        await this.insertBatch(batch, result);
+      }
+    } catch (error) {
+      if (error.code && error.code.startsWith('CSV_')) {
+        throw createError(`Could not read the file: ${error.message}`, 400);
+      }
+      throw error;
+    } finally {
+      input.destroy();
+    }
+
+    return result;
+  }
+
+  /**
+   * Insert a batch of imported suppressions, counting the ones already on the list
+   * @param {Object[]} rows - Suppression rows of one workspace
+   * @param {Object} result - Import counters, updated in place
+   */
+  async insertBatch(rows, result) {
+    const key = (row) => (row.email ? `email:${row.email}` : `domain:${row.domain}`);
+    const emails = rows.filter(row => row.email).map(row => row.email);
+    const domains = rows.filter(row => row.domain).map(row => row.domain);
+
+    const existing = await Suppression.findAll({
+      where: {
+        organizationId: rows[0].organizationId,
+        [Op.or]: [
+          { email: { [Op.in]: emails } },
+          { domain: { [Op.in]: domains } }
+        ]
+      },
+      attributes: ['email', 'domain']
+    });
+    const seen = new Set(existing.map(key));
+
+    const fresh = [];
+    for (const row of rows) {
+      if (seen.has(key(row))) {
+        result.existing++;
+      } else {
+        seen.add(key(row));
+        fresh.push(row);
+      }
+    }
+
+    // Entries added meanwhile are ignored rather than failing the import
+    await Suppression.bulkCreate(fresh, { ignoreDuplicates: true });
+    result.imported += fresh.length;
+  }
+
+  /**
+   * Write suppressions to a stream as CSV
+   * @param {Object} out - Writable stream (e.g. the response)
+   * @param {Object} where - Where clause
+   * @returns {Promise<number>} - Number of suppressions written
+   */
+  async writeCsv(out, where) {
+    await writeChunk(out, formatRow(EXPORT_FIELDS));
+
+    let lastId = null;
+    let total = 0;
+    for (;;) {
+      const entries = await Suppression.findAll({
+        where: lastId ? { [Op.and]: [where, { id: { [Op.gt]: lastId } }] } : where,
+        attributes: ['id', ...EXPORT_FIELDS],
+        order: [['id', 'ASC']],
+        limit: EXPORT_BATCH_SIZE
+      });
+      if (entries.length === 0) break;
+
+      await writeChunk(out, entries.map(entry => formatRow(EXPORT_FIELDS.map(field => entry.get(field)))).join(''));
+
+      total += entries.length;
+      lastId = entries[entries.length - 1].id;
+
+      // Stop when the client has gone away
+      if (out.destroyed || entries.length < EXPORT_BATCH_SIZE) break;
+    }
+
+    return total;
+  }
+}
+
+module.exports = new SuppressionService();
@@ -0,0 +1,307 @@
+const { Op } = require('sequelize');
+const { Contact, ContactList, Segment, Template, TemplateVersion, sequelize } = require('../models');
+const { createError } = require('../utils/error');
+const { diffLines } = require('../utils/diff');
+const templateEngine = require('../utils/templateEngine');
+const segmentService = require('./segmentService');
+
+// Variables every contact has, in the names templates use
+const CONTACT_FIELDS = ['first_name', 'last_name', 'email', 'company', 'metadata'];
+const SYSTEM_FIELDS = ['current_date', 'unsubscribe_link'];
+
+// Contacts read per query while collecting metadata keys
+const FIELD_SCAN_BATCH_SIZE = 1000;
+
+/**
+ * Template Service - Renders templates for contacts, checks the variables they use
+ * against the fields contacts actually have, and keeps the version history of templates.
+ */
+class TemplateService {
+  /**
+   * Build the variables a template is rendered with for a contact
+   * Metadata keys are available as metadata.<key> and, when they don't clash with a
+   * contact field, as <key>.
+   * @param {Object} contact - Contact (model instance or plain object)
+   * @param {Date} [now] - Value of current_date, the current time by default
+   * @param {string} [appUrl] - Base of unsubscribe_link, APP_URL by default
+   * @returns {Object} - Template context
+   */
+  buildContext(contact, now = new Date(), appUrl = process.env.APP_URL) {
+    const metadata = (contact && contact.metadata) || {};
+
+    return {
+      ...metadata,
+      first_name: contact ? contact.firstName : undefined,
+      last_name: contact ? contact.lastName : undefined,
+      email: contact ? contact.email : undefined,
+      company: contact ? contact.company : undefined,
+      metadata,
+      current_date: now,
+      unsubscribe_link: `[Unsubscribe](${appUrl}/unsubscribe/${contact?.id})`
+    };
+  }
+
+  /**
+   * Render a template for a contact
+   * @param {string} source - Template source (subject or content)
+   * @param {Object} contact - Contact
+   * @param {Object} [options] - Render options ({ escapeHtml, now, appUrl })
+   * @returns {string} - Rendered text
+   */
+  render(source, contact, options = {}) {
+    return templateEngine.render(source, this.buildContext(contact, options.now, options.appUrl || undefined), options);
+  }
+
+  /**
+   * Collect the fields available to templates for a set of contacts
+   * @param {Object} scope - One of { organizationId }, { contactListId } or { segmentId }
+   * @returns {Promise<string[]>} - Field names, metadata keys included in both forms
+   */
+  async getAvailableFields({ organizationId, contactListId, segmentId }) {
+    const metadataKeys = new Set();
+    const contactList = contactListId
+      ? await ContactList.findByPk(contactListId, { attributes: ['id'] })
+      : null;
+    const segment = segmentId ? await Segment.findByPk(segmentId) : null;
+    let lastId = null;
+
+    // Walk the contacts in ID order so large lists are read in bounded chunks
+    for (;;) {
+      const where = lastId ? { id: { [Op.gt]: lastId } } : {};
+      const query = {
+        where,
+        attributes: ['id', 'metadata'],
+        order: [['id', 'ASC']],
+        limit: FIELD_SCAN_BATCH_SIZE
+      };
+
+      let contacts = [];
+      if (contactList) {
+        contacts = await contactList.getContacts({ ...query, joinTableAttributes: [] });
+      } else if (segment) {
+        contacts = await segmentService.getContacts(segment, query);
+      } else if (!contactListId && !segmentId) {
+        contacts = await Contact.findAll({ ...query, where: { ...where, organizationId } });
+      }
+
+      contacts.forEach(contact => {
+        if (contact.metadata && typeof contact.metadata === 'object') {
+          Object.keys(contact.metadata).forEach(key => metadataKeys.add(key));
+        }
+      });
+
+      if (contacts.length < FIELD_SCAN_BATCH_SIZE) break;
+      lastId = contacts[contacts.length - 1].id;
+    }
+
+    return [
+      ...CONTACT_FIELDS,
+      ...SYSTEM_FIELDS,
+      ...[...metadataKeys].flatMap(key => [key, `metadata.${key}`])
+    ];
+  }
+
+  /**
+   * Check template sources for syntax errors and variables the contacts don't have
+   * Variables with a default filter are never reported, nor are names inside loops
+   * (they may be fields of the loop item).
+   * @param {Object} sources - Template parts keyed by name, e.g. { subject, content }
+   * @param {string[]} fields - Available fields (see getAvailableFields)
+   * @returns {Object} - { valid, errors, unknownVariables }
+   */
+  validate(sources, fields) {
+    const known = new Set(fields);
+    const errors = [];
+    const unknownVariables = [];
+
+    for (const [part, source] of Object.entries(sources)) {
+      let variables;
+      try {
+        variables = templateEngine.getVariables(source);
+      } catch (error) {
+        if (error instanceof templateEngine.TemplateSyntaxError) {
+          errors.push({ part, message: error.message, line: error.line });
+          continue;
+        }
+        throw error;
+      }
+
+      variables
+        .filter(variable => !variable.hasDefault && !variable.inLoop)
+        .filter(variable => {
+          const [first, second] = variable.path.split('.');
+          // Nested values (metadata.address.city) count as known when their key is
+          return !known.has(first === 'metadata' && second ? `metadata.${second}` : first);
+        })
+        .forEach(variable => {
+          if (!unknownVariables.some(v => v.part === part && v.variable === variable.path)) {
+            unknownVariables.push({ part, variable: variable.path, line: variable.line });
+          }
+        });
+    }
+
+    return {
+      valid: errors.length === 0 && unknownVariables.length === 0,
+      errors,
+      unknownVariables
+    };
+  }
+
+  /**
+   * Record a template's current subject and content as its next version
+   * @param {Template} template - Template, already saved with the new content
+   * @param {Object} options - { userId, restoredFromVersion, transaction }
+   * @returns {Promise<TemplateVersion>} - New version
+   */
+  async createVersion(template, { userId = null, restoredFromVersion = null, transaction } = {}) {
+    // Lock the template so concurrent saves get consecutive version numbers
+    const locked = await Template.findByPk(template.id, {
+      attributes: ['id', 'currentVersion'],
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    });
+    const version = locked.currentVersion + 1;
+
+    const templateVersion = await TemplateVersion.create({
+      templateId: template.id,
+      version,
+      subject: template.subject,
+      content: template.content,
+      createdById: userId,
+      restoredFromVersion
+    }, { transaction });
+
+    await Template.update({ currentVersion: version }, { where: { id: template.id }, transaction });
+    template.currentVersion = version;
+
+    return templateVersion;
+  }
+
+  /**
+   * Get one version of a template
+   * @param {string} templateId - Template ID
+   * @param {number} version - Version number
+   * @returns {Promise<TemplateVersion>} - Version
+   */
+  async getVersion(templateId, version) {
+    const templateVersion = await TemplateVersion.findOne({
+      where: { templateId, version }
+    });
+
+    if (!templateVersion) {
+      throw createError(`Version ${version} of this template not found`, 404);
+    }
+
+    return templateVersion;
+  }
+
+  /**
+   * Compare two versions of a template
+   * @param {string} templateId - Template ID
+   * @param {number} from - Older version number
+   * @param {number} to - Newer version number
+   * @returns {Promise<Object>} - { from, to, subject, content } with line diffs of subject and content
+   */
+  async diffVersions(templateId, from, to) {
+    const [fromVersion, toVersion] = await Promise.all([
+      this.getVersion(templateId, from),
+      this.getVersion(templateId, to)
+    ]);
+
+    const summary = (version) => ({
+      version: version.version,
+      createdAt: version.createdAt,
+      createdById: version.createdById
+    });
+
+    return {
+      from: summary(fromVersion),
+      to: summary(toVersion),
+      subject: {
+        changed: fromVersion.subject !== toVersion.subject,
+        chunks: diffLines(fromVersion.subject, toVersion.subject)
+      },
+      content: {
+        changed: fromVersion.content !== toVersion.content,
+        chunks: diffLines(fromVersion.content, toVersion.content)
+      }
+    };
+  }
+
+  /**
+   * Make an old version the template's current content
+   * The restore is saved as a new version, so history is never rewritten.
+   * @param {Template} template - Template
+   * @param {number} version - Version number to restore
+   * @param {string} userId - User restoring the version
+   * @returns {Promise<TemplateVersion>} - New version created by the restore
+   */
+  async restoreVersion(template, version, userId) {
+    const oldVersion = await this.getVersion(template.id, version);
+
+    return sequelize.transaction(async (transaction) => {
+      await template.update({
+        subject: oldVersion.subject,
+        content: oldVersion.content
+      }, { transaction });
+
+      return this.createVersion(template, {
+        userId,
+        restoredFromVersion: oldVersion.version,
+        transaction
+      });
+    });
+  }
+
+  /**
+   * Get the latest version of a template
+   * Templates saved before versioning existed get their first version now.
+   * @param {Template} template - Template
+   * @returns {Promise<TemplateVersion>} - Current version
+   */
+  async getCurrentVersion(template) {
+    const templateVersion = template.currentVersion > 0
+      ? await TemplateVersion.findOne({ where: { templateId: template.id, version: template.currentVersion } })
+      : null;
+
+    return templateVersion ||
+      sequelize.transaction(transaction => this.createVersion(template, { transaction }));
+  }
+
+  /**
+   * Pin the current version of a campaign's template to the campaign
+   * Called when sending starts, so the campaign keeps pointing at what was sent.
+   * @param {Campaign} campaign - Campaign
+   * @returns {Promise<TemplateVersion>} - Pinned version
+   */
+  async pinCampaignVersion(campaign) {
+    const template = campaign.template || await Template.findByPk(campaign.templateId);
+    if (!template) {
+      throw createError('Template not found', 404);
+    }
+
+    const templateVersion = await this.getCurrentVersion(template);
+
+    await campaign.update({ templateVersionId: templateVersion.id });
+    campaign.templateVersion = templateVersion;
+
+    return templateVersion;
+  }
+
+  /**
+   * Get the subject and content a campaign is sent with
+   * The pinned version wins over the live template once sending has started.
+   * @param {Campaign} campaign - Campaign with its template and/or templateVersion loaded
+   * @returns {Object} - { subject, content }
+   */
+  getCampaignContent(campaign) {
+    const source = campaign.templateVersion || campaign.template;
+
+    return {
+      subject: campaign.subject || source.subject,
+      content: source.html || source.content
+    };
+  }
+}
+
+module.exports = new TemplateService();
@@ -0,0 +1,228 @@
+const { Campaign, Contact } = require('../models');
+const eventService = require('./eventService');
+const suppressionService = require('./suppressionService');
+
+/**
+ * Tracking Service - Applies bounces and complaints to contacts and campaigns.
+ * Shared by the worker tracking endpoints and the SES/SNS webhook.
+ */
+class TrackingService {
+  /**
+   * Find the contacts behind an email address in every workspace
+   * Contacts are owned per workspace, so the same address can exist once per workspace.
+   * @param {string} email - Contact email
+   * @returns {Promise<Contact[]>} - Matching contacts
+   */
+  async findContactsByEmail(email) {
+    return Contact.findAll({ where: { email: email.toLowerCase() } });
+  }
+
+  /**
+   * Find the contact an event is about in the workspace that sent the email
+   * The workspace comes from the campaign, or from the (signed) contact ID when the
+   * campaign is missing or unknown. Without either there's no telling which
+   * workspace's contact is meant, so nothing is returned and the event is only logged.
+   * @param {string} email - Contact email
+   * @param {Object} source - Where the event came from
+   * @param {string} [source.campaignId] - Campaign the event belongs to
+   * @param {string} [source.contactId] - Contact the email was sent to
+   * @returns {Promise<Contact[]>} - Matching contacts
+   */
+  async findWorkspaceContacts(email, { campaignId, contactId } = {}) {
+    const normalizedEmail = email.toLowerCase();
+    let organizationId = null;
+
+    if (campaignId) {
+      const campaign = await Campaign.findByPk(campaignId, { attributes: ['organizationId'] });
+      organizationId = campaign ? campaign.organizationId : null;
+    }
+
+    if (!organizationId && contactId) {
+      const contact = await Contact.findByPk(contactId, { attributes: ['email', 'organizationId'] });
+      if (contact && contact.email.toLowerCase() === normalizedEmail) {
+        organizationId = contact.organizationId;
+      }
+    }
+
+    if (!organizationId) {
+      console.log(`No campaign or contact to scope ${normalizedEmail} to (campaign: ${campaignId}, contact: ${contactId})`);
+      return [];
+    }
+
+    return Contact.findAll({ where: { email: normalizedEmail, organizationId } });
+  }
+
+  /**
+   * Extract the campaign ID from a message ID of the form "...-campaign-<id>"
+   * @param {string} messageId - Message ID
+   * @returns {string|null} - Campaign ID
+   */
+  campaignIdFromMessageId(messageId) {
+    const campaignIdMatch = messageId && messageId.includes('-campaign-')
+      ? messageId.match(/campaign-([a-f0-9\-]+)/i)
+      : null;
+    return campaignIdMatch ? campaignIdMatch[1] : null;
+  }
+
+  /**
+   * Log a bounce/complaint in the recipient's event log when the campaign and
+   * contact are known
+   * @returns {Promise<boolean>} - Whether the event had already been recorded
+   */
+  async logRecipientEvent(type, { campaignId, contactId, messageId, email, timestamp, bounceType, bounceSubType, payload }) {
+    if (!campaignId || !contactId || !messageId) {
+      return false;
+    }
+
+    const campaign = await Campaign.findByPk(campaignId, { attributes: ['id'] });
+    const contact = await Contact.findByPk(contactId, { attributes: ['id'] });
+    if (!campaign || !contact) {
+      return false;
+    }
+
+    const { duplicate } = await eventService.recordEvent({
+      eventId: `${messageId}:${type}:${email.toLowerCase()}`,
+      campaignId,
+      contactId,
+      type,
+      timestamp,
+      bounceType,
+      bounceSubType,
+      payload
+    });
+
+    return duplicate;
+  }
+
+  /**
+   * Increment a campaign counter, ignoring unknown campaigns
+   * @param {string} campaignId - Campaign ID
+   * @param {string} counter - Counter column
+   */
+  async incrementCampaignCounter(campaignId, counter) {
+    if (!campaignId) return;
+
+    try {
+      await Campaign.increment(counter, { where: { id: campaignId } });
+      console.log(`Incremented ${counter} count for campaign: ${campaignId}`);
+    } catch (error) {
+      // Don't fail the whole event if the counter can't be updated
+      console.error(`Failed to update campaign ${counter} count: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a bounce for an email address
+   * A bounce says the mailbox itself is unusable, so every workspace's contact for
+   * the address is marked, not just the sender's. Permanent bounces also put the
+   * address on each of those workspaces' suppression lists.
+   * @param {Object} bounce - Bounce data
+   * @param {string} bounce.email - Bounced address
+   * @param {string} bounce.bounceType - Bounce type (Permanent, Transient, ...)
+   * @param {string} bounce.bounceSubType - Bounce subtype
+   * @param {string} bounce.messageId - Message ID of the bounced email
+   * @param {string} bounce.campaignId - Campaign ID, when known
+   * @param {string} bounce.contactId - Contact ID, when known
+   * @param {Date|string} bounce.timestamp - When the bounce happened
+   * @param {Object} bounce.payload - Raw event payload
+   * @returns {Promise<Object>} - { contacts, duplicate }
+   */
+  async processBounce(bounce) {
+    const { email, bounceType, messageId, timestamp } = bounce;
+    const campaignId = bounce.campaignId || this.campaignIdFromMessageId(messageId);
+
+    const contacts = await this.findContactsByEmail(email);
+    if (contacts.length === 0) {
+      return { contacts, duplicate: false };
+    }
+
+    if (await this.logRecipientEvent('bounce', { ...bounce, campaignId })) {
+      return { contacts, duplicate: true };
+    }
+
+    // Without an event log entry, treat a bounce as a duplicate when every contact
+    // was already marked as bounced within a minute of it
+    if (messageId) {
+      const currentBounceTime = timestamp ? new Date(timestamp) : new Date();
+
+      const isDuplicate = contacts.every(contact => (
+        contact.hasBounced &&
+        contact.lastBouncedAt &&
+        Math.abs(currentBounceTime - new Date(contact.lastBouncedAt)) < 60000
+      ));
+
+      if (isDuplicate) {
+        return { contacts, duplicate: true };
+      }
+    }
+
+    const permanent = Boolean(bounceType && bounceType.toLowerCase() === 'permanent');
+
+    for (const contact of contacts) {
+      await contact.update({
+        hasBounced: true,
+        bounceType: bounceType || 'unknown',
+        lastBouncedAt: timestamp || new Date(),
+        status: permanent ? 'bounced' : contact.status,
+        lastEngagement: timestamp || new Date()
+      });
+    }
+
+    if (permanent) {
+      await suppressionService.suppressContacts(contacts, { reason: 'bounce', campaignId });
+    }
+
+    await this.incrementCampaignCounter(campaignId, 'bounces');
+
+    return { contacts, duplicate: false };
+  }
+
+  /**
+   * Record a spam complaint for an email address
+   * The complaining contact is also unsubscribed and its address suppressed. Complaints
+   * that can't be tied to a workspace through the campaign or contact are only logged.
+   * @param {Object} complaint - Complaint data
+   * @param {string} complaint.email - Complaining address
+   * @param {string} complaint.complaintType - Complaint feedback type
+   * @param {string} complaint.messageId - Message ID of the email complained about
+   * @param {string} complaint.campaignId - Campaign ID, when known
+   * @param {string} complaint.contactId - Contact ID, when known
+   * @param {Date|string} complaint.timestamp - When the complaint happened
+   * @param {Object} complaint.payload - Raw event payload
+   * @returns {Promise<Object>} - { contacts, duplicate }
+   */
+  async processComplaint(complaint) {
+    const { email, complaintType, messageId, contactId, timestamp } = complaint;
+    const campaignId = complaint.campaignId || this.campaignIdFromMessageId(messageId);
+
+    // Only the sending workspace's contact is unsubscribed
+    const contacts = await this.findWorkspaceContacts(email, { campaignId, contactId });
+    if (contacts.length === 0) {
+      return { contacts, duplicate: false };
+    }
+
+    if (await this.logRecipientEvent('complaint', { ...complaint, campaignId })) {
+      return { contacts, duplicate: true };
+    }
+
+    for (const contact of contacts) {
+      await contact.update({
+        hasComplained: true,
+        complaintType: complaintType || 'unknown',
+        lastComplainedAt: timestamp || new Date(),
+        unsubscribed: true,
+        unsubscribedAt: timestamp || new Date(),
+        status: 'unsubscribed',
+        lastEngagement: timestamp || new Date()
+      });
+    }
+
+    await suppressionService.suppressContacts(contacts, { reason: 'complaint', campaignId });
+
+    await this.incrementCampaignCounter(campaignId, 'complaints');
+
+    return { contacts, duplicate: false };
+  }
+}
+
+module.exports = new TrackingService();
@@ -0,0 +1,81 @@
+const SesTransport = require('./sesTransport');
+const SmtpTransport = require('./smtpTransport');
+const OutboxTransport = require('./outboxTransport');
+
+/**
+ * Email transports
+ *
+ * A transport sends a message built by EmailService and implements:
+ *   send(message)            - { from, to, subject, html, text, tags } => { MessageId }
+ *   verifyEmail(email)       - Start verification of a sender address
+ *   getSendingStatistics()   - Sending statistics in the SES format ({ SendDataPoints })
+ *
+ * EMAIL_TRANSPORT selects the default transport (ses, smtp or outbox; ses by default).
+ * EMAIL_TRANSPORT_DOMAINS overrides it per sending domain, e.g. "example.com:smtp,example.org:ses".
+ */
+const TRANSPORTS = {
+  ses: SesTransport,
+  smtp: SmtpTransport,
+  outbox: OutboxTransport
+};
+
+// One instance per transport, created on first use
+const instances = new Map();
+
+/**
+ * Get a transport by name
+ * @param {string} [name] - Transport name (defaults to EMAIL_TRANSPORT)
+ * @returns {Object} - Transport instance
+ */
+function getTransport(name = process.env.EMAIL_TRANSPORT || 'ses') {
+  const Transport = TRANSPORTS[name];
+  if (!Transport) {
+    throw new Error(`Unknown email transport: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, new Transport());
+  }
+
+  return instances.get(name);
+}
+
+/**
+ * Parse the per-domain transport overrides
+ * @returns {Map<string, string>} - Transport names keyed by lower-case domain
+ */
+function getDomainTransports() {
+  const domains = new Map();
+
+  (process.env.EMAIL_TRANSPORT_DOMAINS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const [domain, name] = entry.split(':').map(part => part.trim());
+      if (domain && name) {
+        domains.set(domain.toLowerCase(), name);
+      }
+    });
+
+  return domains;
+}
+
+/**
+ * Get the transport for a sender address
+ * @param {string} from - Sender, either "user@domain" or "Name <user@domain>"
+ * @returns {Object} - Transport instance
+ */
+function getTransportForSender(from) {
+  const match = String(from || '').match(/@([^>\s]+)>?\s*$/);
+  const domain = match ? match[1].toLowerCase() : null;
+  const name = domain && getDomainTransports().get(domain);
+
+  return getTransport(name || undefined);
+}
+
+module.exports = {
+  TRANSPORTS,
+  getTransport,
+  getTransportForSender
+};
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Outbox Transport - Keeps sent messages instead of delivering them
+ * Every message is kept in memory (see getMessages) and written as a JSON file to
+ * EMAIL_OUTBOX_DIR (default ./outbox), so development and tests never touch the network.
+ */
+class OutboxTransport {
+  constructor() {
+    this.name = 'outbox';
+    this.directory = process.env.EMAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox');
+    this.messages = [];
+  }
+
+  /**
+   * Store a message
+   * @param {Object} message - Message built by EmailService.sendEmail
+   * @returns {Promise<Object>} - { MessageId }
+   */
+  async send(message) {
+    const messageId = `outbox-${crypto.randomUUID()}`;
+    const entry = {
+      MessageId: messageId,
+      sentAt: new Date().toISOString(),
+      ...message
+    };
+
+    this.messages.push(entry);
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(this.directory, `${Date.now()}-${messageId}.json`),
+      JSON.stringify(entry, null, 2)
+    );
+
+    return { MessageId: messageId };
+  }
+
+  /**
+   * Get the messages sent since the last clear
+   * @param {Object} [filter] - Only messages matching all given fields (e.g. { to })
+   * @returns {Object[]} - Sent messages, oldest first
+   */
+  getMessages(filter = {}) {
+    return this.messages.filter(message => (
+      Object.entries(filter).every(([key, value]) => message[key] === value)
+    ));
+  }
+
+  /**
+   * Forget the messages kept in memory
+   */
+  clear() {
+    this.messages = [];
+  }
+
+  /**
+   * Every address counts as verified
+   * @param {string} email - Email to verify
+   * @returns {Promise<Object>} - Verification result
+   */
+  async verifyEmail(email) {
+    return { EmailAddress: email, verified: true };
+  }
+
+  /**
+   * Report the kept messages in the SES statistics format
+   * @returns {Promise<Object>} - { SendDataPoints }
+   */
+  async getSendingStatistics() {
+    return {
+      SendDataPoints: this.messages.length === 0 ? [] : [{
+        Timestamp: this.messages[this.messages.length - 1].sentAt,
+        DeliveryAttempts: this.messages.length,
+        Bounces: 0,
+        Complaints: 0,
+        Rejects: 0
+      }]
+    };
+  }
+}
+
+module.exports = OutboxTransport;
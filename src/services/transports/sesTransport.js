@@ -0,0 +1,72 @@
+const AWS = require('aws-sdk');
+
+/**
+ * SES Transport - Sends through Amazon SES with the tracking configuration set
+ */
+class SesTransport {
+  constructor() {
+    this.name = 'ses';
+    this.ses = new AWS.SES({
+      region: process.env.AWS_REGION,
+      credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+      }
+    });
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - Message built by EmailService.sendEmail
+   * @returns {Promise<Object>} - SES send result ({ MessageId })
+   */
+  async send({ from, to, subject, html, text, tags }) {
+    const params = {
+      Source: from,
+      Destination: {
+        ToAddresses: [to]
+      },
+      Message: {
+        Subject: {
+          Data: subject,
+          Charset: 'UTF-8'
+        },
+        Body: {
+          Html: {
+            Data: html,
+            Charset: 'UTF-8'
+          },
+          Text: {
+            Data: text,
+            Charset: 'UTF-8'
+          }
+        }
+      },
+      // Configuration set must be set up in AWS SES with event publishing enabled
+      ConfigurationSetName: process.env.AWS_SES_CONFIGURATION_SET,
+      // Add tags for tracking which campaign and contact this email is associated with
+      Tags: Object.entries(tags).map(([Name, Value]) => ({ Name, Value }))
+    };
+
+    return this.ses.sendEmail(params).promise();
+  }
+
+  /**
+   * Start verification of a sender address
+   * @param {string} email - Email to verify
+   * @returns {Promise<Object>} - SES result
+   */
+  async verifyEmail(email) {
+    return this.ses.verifyEmailIdentity({ EmailAddress: email }).promise();
+  }
+
+  /**
+   * Get the account's sending statistics
+   * @returns {Promise<Object>} - SES result ({ SendDataPoints })
+   */
+  async getSendingStatistics() {
+    return this.ses.getSendStatistics().promise();
+  }
+}
+
+module.exports = SesTransport;
@@ -0,0 +1,59 @@
+const nodemailer = require('nodemailer');
+const { createError } = require('../../utils/error');
+
+/**
+ * SMTP Transport - Sends through any SMTP server
+ * Tracking tags travel as X-Campaign-Id / X-Contact-Id headers.
+ */
+class SmtpTransport {
+  constructor() {
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - Message built by EmailService.sendEmail
+   * @returns {Promise<Object>} - { MessageId }
+   */
+  async send({ from, to, subject, html, text, tags }) {
+    const info = await this.transporter.sendMail({
+      from,
+      to,
+      subject,
+      html,
+      text,
+      headers: {
+        'X-Campaign-Id': tags.campaignId,
+        'X-Contact-Id': tags.contactId
+      }
+    });
+
+    return { MessageId: info.messageId };
+  }
+
+  /**
+   * SMTP has no sender identities to verify
+   */
+  async verifyEmail() {
+    throw createError('Email verification is not supported by the SMTP transport', 400);
+  }
+
+  /**
+   * SMTP servers don't report sending statistics
+   */
+  async getSendingStatistics() {
+    throw createError('Sending statistics are not supported by the SMTP transport', 400);
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { User } = require('../models');
+const { createError } = require('../utils/error');
+const totp = require('../utils/totp');
+const settingService = require('./settingService');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'GPM Launch';
+// Time a user has to enter their code after the password was accepted
+const CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+const hashCode = (code) => crypto.createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+  .digest('hex');
+
+/**
+ * Key the TOTP secrets are encrypted with
+ * @returns {Buffer} - 256-bit key
+ */
+const getEncryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+/**
+ * Two-Factor Service - Optional TOTP (authenticator app) second factor.
+ *
+ * Setup stores a new secret (encrypted) and returns it with its otpauth URI and QR code;
+ * two-factor is only enabled once the user confirms a code from their app, at which point
+ * they get single-use recovery codes. Logging in with two-factor enabled takes two steps:
+ * the password returns a short-lived challenge token, and the challenge plus a code (or a
+ * recovery code) opens the session. Each TOTP code is accepted once. Admins can require
+ * two-factor for everyone (the requireTwoFactor setting), in which case users without it
+ * can only reach the setup endpoints.
+ */
+class TwoFactorService {
+  /**
+   * Encrypt a TOTP secret for storage
+   * @param {string} secret - Base32 secret
+   * @returns {string} - "iv.tag.ciphertext", base64url
+   */
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+  }
+
+  /**
+   * Decrypt a stored TOTP secret
+   * @param {string} stored - Value from encryptSecret
+   * @returns {string} - Base32 secret
+   */
+  decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Whether admins require two-factor for every user
+   * @returns {Promise<boolean>}
+   */
+  async isRequired() {
+    return Boolean(await settingService.get('requireTwoFactor'));
+  }
+
+  /**
+   * Whether a user has to set up two-factor before using the API
+   * @param {User} user - User
+   * @returns {Promise<boolean>}
+   */
+  async needsSetup(user) {
+    return !user.twoFactorEnabledAt && await this.isRequired();
+  }
+
+  /**
+   * Start setting up two-factor, replacing any unconfirmed secret
+   * @param {User} user - User
+   * @returns {Promise<Object>} - { secret, otpauthUrl, qrCode (PNG data URL) }
+   */
+  async beginSetup(user) {
+    if (user.twoFactorEnabledAt) {
+      throw createError('Two-factor authentication is already enabled', 400);
+    }
+
+    const secret = totp.generateSecret();
+    await user.update({ twoFactorSecret: this.encryptSecret(secret), twoFactorLastStep: null });
+
+    const otpauthUrl = totp.buildOtpauthUrl(secret, user.email, ISSUER);
+    return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+  }
+
+  /**
+   * Finish setup with a code from the authenticator app
+   * @param {User} user - User
+   * @param {string} code - TOTP code
+   * @returns {Promise<string[]>} - Recovery codes, shown to the user once
+   */
+  async enable(user, code) {
+    if (user.twoFactorEnabledAt) {
+      throw createError('Two-factor authentication is already enabled', 400);
+    }
+    if (!user.twoFactorSecret) {
+      throw createError('Start the two-factor setup first', 400);
+    }
+
+    const step = totp.verifyCode(this.decryptSecret(user.twoFactorSecret), code);
+    if (step === null) {
+      throw createError('Invalid authentication code', 400);
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await user.update({
+      twoFactorEnabledAt: new Date(),
+      twoFactorLastStep: step,
+      twoFactorRecoveryCodes: recoveryCodes.map(hashCode),
+      twoFactorRecoveryCodesVersion: user.twoFactorRecoveryCodesVersion + 1
+    });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Check a second factor, using it up
+   * @param {User} user - User with two-factor enabled
+   * @param {Object} factor - { code } from the app or a { recoveryCode }
+   * @returns {Promise<Object>} - { method: 'totp' or 'recovery_code', recoveryCodesLeft }
+   */
+  async verify(user, { code, recoveryCode }) {
+    if (!user.twoFactorEnabledAt) {
+      throw createError('Two-factor authentication is not enabled', 400);
+    }
+
+    if (recoveryCode) {
+      const hash = hashCode(recoveryCode);
+      const codes = user.twoFactorRecoveryCodes || [];
+      if (!codes.includes(hash)) {
+        throw createError('Invalid recovery code', 401);
+      }
+
+      // Conditional so two requests can't both use the same code
+      const remaining = codes.filter(stored => stored !== hash);
+      const [updated] = await User.update({
+        twoFactorRecoveryCodes: remaining,
+        twoFactorRecoveryCodesVersion: user.twoFactorRecoveryCodesVersion + 1
+      }, {
+        where: { id: user.id, twoFactorRecoveryCodesVersion: user.twoFactorRecoveryCodesVersion }
+      });
+      if (updated === 0) {
+        throw createError('Invalid recovery code', 401);
+      }
+      return { method: 'recovery_code', recoveryCodesLeft: remaining.length };
+    }
+
+    const step = totp.verifyCode(this.decryptSecret(user.twoFactorSecret), code, {
+      afterStep: user.twoFactorLastStep
+    });
+    if (step === null) {
+      throw createError('Invalid authentication code', 401);
+    }
+
+    // Conditional so two requests can't both use the same code
+    const [updated] = await User.update({ twoFactorLastStep: step }, {
+      where: { id: user.id, twoFactorLastStep: user.twoFactorLastStep }
+    });
+    if (updated === 0) {
+      throw createError('Invalid authentication code', 401);
+    }
+
+    return { method: 'totp', recoveryCodesLeft: (user.twoFactorRecoveryCodes || []).length };
+  }
+
+  /**
+   * Turn two-factor off
+   * @param {User} user - User
+   * @param {Object} credentials - { password, code } or { password, recoveryCode }
+   */
+  async disable(user, { password, code, recoveryCode }) {
+    if (await this.isRequired()) {
+      throw createError('Two-factor authentication is required for all users', 403);
+    }
+    if (!(await user.comparePassword(password))) {
+      throw createError('Password is incorrect', 401);
+    }
+
+    await this.verify(user, { code, recoveryCode });
+    await this.reset(user);
+  }
+
+  /**
+   * Remove a user's two-factor settings (disable, or an admin reset for a lost device)
+   * @param {User} user - User
+   */
+  async reset(user) {
+    await user.update({
+      twoFactorSecret: null,
+      twoFactorEnabledAt: null,
+      twoFactorLastStep: null,
+      twoFactorRecoveryCodes: null,
+      twoFactorRecoveryCodesVersion: user.twoFactorRecoveryCodesVersion + 1
+    });
+  }
+
+  /**
+   * Replace a user's recovery codes
+   * @param {User} user - User
+   * @param {string} code - TOTP code
+   * @returns {Promise<string[]>} - New recovery codes
+   */
+  async regenerateRecoveryCodes(user, code) {
+    await this.verify(user, { code });
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await user.update({
+      twoFactorRecoveryCodes: recoveryCodes.map(hashCode),
+      twoFactorRecoveryCodesVersion: user.twoFactorRecoveryCodesVersion + 1
+    });
+    return recoveryCodes;
+  }
+
+  /**
+   * Generate recovery codes
+   * @returns {string[]} - Codes like "3f9a-07c2-b1de"
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => (
+      crypto.randomBytes(6).toString('hex').match(/.{4}/g).join('-')
+    ));
+  }
+
+  /**
+   * Issue the challenge token returned after the password step of a login
+   * @param {User} user - User
+   * @returns {string} - JWT
+   */
+  createChallenge(user) {
+    return jwt.sign(
+      { id: user.id, purpose: 'two_factor' },
+      process.env.JWT_SECRET,
+      { expiresIn: CHALLENGE_TTL }
+    );
+  }
+
+  /**
+   * Resolve a challenge token to its user
+   * @param {string} challengeToken - Token from createChallenge
+   * @returns {Promise<User>} - User
+   */
+  async readChallenge(challengeToken) {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      throw createError('Login challenge is invalid or has expired; log in again', 401);
+    }
+
+    if (decoded.purpose !== 'two_factor') {
+      throw createError('Login challenge is invalid or has expired; log in again', 401);
+    }
+
+    const user = await User.findByPk(decoded.id);
+    if (!user || !user.active) {
+      throw createError('Your account has been deactivated', 401);
+    }
+    return user;
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -4,6 +4,10 @@ const { promisify } = require('util');
 const disposableEmailDomains = require('disposable-email-domains');
 const { validate } = require('deep-email-validator');
 const { Contact, ContactList } = require('../models');
+const jobService = require('./jobService');
+
+// Emails validated at once by a batch validation job
+const BATCH_JOB_CHUNK_SIZE = parseInt(process.env.VALIDATION_BATCH_CHUNK_SIZE) || 10;
 
 // Promisify DNS functions
 const resolveMx = promisify(dns.resolveMx);
@@ -655,9 +659,9 @@ exports.validateMx = async (domain) => {
 };
 
 /**
- * Check if email already exists in the same list
+ * Check if email already exists among the workspace's contacts, or in the same list
  */
-exports.checkDuplicate = async (email, listId) => {
+exports.checkDuplicate = async (email, listId, organizationId) => {
   if (!email) {
     return {
       success: false,
@@ -665,10 +669,17 @@ exports.checkDuplicate = async (email, listId) => {
     };
   }
 
+  if (!organizationId) {
+    return {
+      success: false,
+      message: 'Workspace is required'
+    };
+  }
+
   try {
     // Use Sequelize to check for duplicates in the same list
     const existingContact = await Contact.findOne({
-      where: { email },
+      where: { email, organizationId },
       include: [{
         model: ContactList,
         as: 'lists',
@@ -1298,8 +1309,10 @@ exports.validateEmail = async (email) => {
 
 /**
  * Batch validate multiple emails
+ * Pass { checkDuplicates: false } to only check the addresses, not whether they are
+ * already contacts.
  */
-exports.validateBatch = async (emails, listId) => {
+exports.validateBatch = async (emails, listId, organizationId, { checkDuplicates = true } = {}) => {
   if (!Array.isArray(emails)) {
     return {
       success: false,
@@ -1315,7 +1328,9 @@ exports.validateBatch = async (emails, listId) => {
       emails.map(async (email) => {
         try {
           // Check for duplicates in the same list
-          const duplicateCheck = await exports.checkDuplicate(email, listId);
+          const duplicateCheck = checkDuplicates
+            ? await exports.checkDuplicate(email, listId, organizationId)
+            : { success: true, isDuplicate: false };
 
           if (duplicateCheck.success && duplicateCheck.isDuplicate) {
             return {
@@ -1366,6 +1381,42 @@ exports.validateBatch = async (emails, listId) => {
   }
 };
 
+/**
+ * Handler of 'validation.batch' jobs: validates the emails in small chunks so SMTP
+ * probes don't all run at once, reporting progress after each chunk
+ * @param {Job} job - Background job, payload { emails, listId }
+ * @param {Object} context - Job context
+ * @returns {Promise<Object>} - { total, valid, invalid, results }, stored as the job result
+ */
+exports.runBatchJob = async (job, context) => {
+  const { emails, listId } = job.payload;
+  const results = [];
+
+  for (let i = 0; i < emails.length; i += BATCH_JOB_CHUNK_SIZE) {
+    if (await context.isCancelled()) break;
+
+    const chunk = await exports.validateBatch(emails.slice(i, i + BATCH_JOB_CHUNK_SIZE), listId, job.organizationId);
+    if (!chunk.success) {
+      throw new Error(chunk.message);
+    }
+
+    results.push(...chunk.results);
+    await context.progress((results.length / emails.length) * 100);
+  }
+
+  return {
+    total: emails.length,
+    valid: results.filter(r => r.isValid).length,
+    invalid: results.filter(r => !r.isValid).length,
+    results
+  };
+};
+
+jobService.register('validation.batch', {
+  permission: 'contacts:write',
+  run: exports.runBatchJob
+});
+
 // Export the connectivity test for external use
 exports.testSmtpConnectivity = testSmtpConnectivity;
 
@@ -0,0 +1,203 @@
+const axios = require('axios');
+const { Op } = require('sequelize');
+const { Campaign, Template, ContactList } = require('../models');
+const { getSigningKeys, signRequest } = require('../utils/requestSigning');
+const snapshotService = require('./snapshotService');
+
+// Worker configuration
+const WORKER_URL = process.env.WORKER_URL || 'https://worker.gravitypointmedia.com';
+const MAX_RETRIES = 3; // Maximum retry attempts for worker communication
+const RETRY_DELAY = 1000; // Delay between retries in milliseconds
+
+if (getSigningKeys().size === 0) {
+  console.error('WARNING: WORKER_SIGNING_KEYS environment variable is not set!');
+}
+
+// Helper function to make authenticated requests to the worker
+const workerClient = axios.create({
+  baseURL: WORKER_URL,
+  headers: {
+    'Content-Type': 'application/json'
+  },
+  validateStatus: function (status) {
+    return status < 500; // Resolve only if the status code is less than 500
+  }
+});
+
+// Sign every request with the active worker key. The body is serialized here so
+// the signature covers exactly the bytes that are sent.
+workerClient.interceptors.request.use((config) => {
+  let body = '';
+  if (config.data !== undefined) {
+    body = typeof config.data === 'string' ? config.data : JSON.stringify(config.data);
+    config.data = body;
+  }
+
+  const url = new URL(workerClient.getUri(config));
+  Object.assign(config.headers, signRequest({
+    method: config.method,
+    path: url.pathname + url.search,
+    body
+  }));
+
+  return config;
+});
+
+/**
+ * Execute a worker API call with retry logic
+ * @param {Function} apiCall - The API call function to execute
+ * @param {string} operation - Name of operation for logging
+ * @param {number} maxRetries - Maximum number of retry attempts
+ * @returns {Promise} - API response
+ */
+const executeWithRetry = async (apiCall, operation, maxRetries = MAX_RETRIES) => {
+  let lastError;
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      console.log(`${operation}: Attempt ${attempt + 1}/${maxRetries + 1}`);
+      const response = await apiCall();
+
+      // Check for unsuccessful response
+      if (response.data && !response.data.success) {
+        const errorMessage = response.data.message || `HTTP ${response.status}: ${response.statusText || 'Unknown error'}`;
+        console.warn(`${operation} returned non-success: ${errorMessage}`);
+
+        // If this was the last attempt, throw an error
+        if (attempt === maxRetries) {
+          throw new Error(`Operation '${operation}' failed after ${maxRetries + 1} attempts: ${errorMessage}`);
+        }
+      } else {
+        // Success, return the response
+        return response;
+      }
+    } catch (error) {
+      lastError = error;
+      console.warn(`${operation} attempt ${attempt + 1} failed: ${error.message}`);
+
+      // If this was the last attempt, rethrow the error
+      if (attempt === maxRetries) {
+        throw new Error(`Operation '${operation}' failed after ${maxRetries + 1} attempts: ${error.message}`);
+      }
+
+      // Wait before retrying
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
+    }
+  }
+
+  // This should never be reached due to the throw in the loop, but just in case
+  throw lastError;
+};
+
+/**
+ * Helper function to prepare campaign data for worker
+ * @param {Object} campaign - Campaign model instance with associations loaded
+ * @param {CampaignSnapshot} snapshot - Snapshot the campaign is sent with
+ * @param {CampaignRecipient[]} recipients - Snapshot recipients
+ * @returns {Object} - Formatted campaign data for worker, with each recipient's rendered email
+ */
+const prepareCampaignDataForWorker = (campaign, snapshot, recipients) => {
+  if (!campaign || !campaign.template || !snapshot) {
+    throw new Error('Campaign data incomplete');
+  }
+
+  return {
+    id: campaign.id,
+    name: campaign.name,
+    subject: campaign.subject,
+    from: snapshot.fromAddress,
+    sendingMode: campaign.sendingMode || 'normal',
+    emailsPerMinute: campaign.emailsPerMinute,
+    maxConcurrentBatches: campaign.maxConcurrentBatches || 10,
+    template: {
+      id: campaign.template.id,
+      subject: snapshot.subject,
+      content: snapshot.html,
+      text: snapshot.text
+    },
+    // The worker only swaps simple tokens, so each email is rendered here with the
+    // template engine (conditionals, loops, filters, unsubscribe footer) and sent as is
+    rendered: true,
+    recipients: recipients.map(recipient => {
+      const { subject, html, text } = snapshotService.renderEmail(snapshot, recipient);
+      return {
+        id: recipient.contactId,
+        email: recipient.email,
+        firstName: recipient.firstName,
+        lastName: recipient.lastName,
+        metadata: recipient.metadata || {},
+        subject,
+        html,
+        text
+      };
+    }),
+    status: 'initialized',
+    initializedAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Load a campaign with the template and list needed to send it
+ * @param {Object} where - Campaign lookup conditions
+ * @returns {Promise<Campaign|null>} - Campaign with associations loaded
+ */
+const findCampaignForSending = (where) => {
+  return Campaign.findOne({
+    where,
+    include: [
+      {
+        model: Template,
+        as: 'template'
+      },
+      {
+        model: ContactList,
+        as: 'contactList'
+      }
+    ]
+  });
+};
+
+/**
+ * Mark a campaign as sending, then initialize and start it in the worker from its snapshot
+ * The status changes first so a crash after the worker started can't leave the campaign
+ * scheduled and get it sent again; if the worker calls fail it goes back to its old status.
+ * @param {Object} campaign - Campaign loaded with findCampaignForSending
+ * @returns {Promise<Object>} - Worker response of the start call
+ */
+const launchCampaign = async (campaign) => {
+  const snapshot = await snapshotService.getSnapshot(campaign.id);
+  const recipients = await snapshotService.getRecipients(campaign.id, {
+    where: { contactId: { [Op.ne]: null } }
+  });
+  const campaignData = prepareCampaignDataForWorker(campaign, snapshot, recipients);
+  const { status: previousStatus, sentAt: previousSentAt } = campaign;
+
+  await campaign.update({
+    status: 'sending',
+    sentAt: new Date()
+  });
+
+  try {
+    // 1. Initialize the campaign in the worker with retry mechanism
+    await executeWithRetry(
+      () => workerClient.post(`/api/campaign/${campaign.id}/initialize`, campaignData),
+      `Initialize campaign ${campaign.id}`
+    );
+
+    // 2. Start the campaign processing with retry mechanism
+    return await executeWithRetry(
+      () => workerClient.post(`/api/campaign/${campaign.id}/start`),
+      `Start campaign ${campaign.id}`
+    );
+  } catch (error) {
+    await campaign.update({ status: previousStatus, sentAt: previousSentAt });
+    throw error;
+  }
+};
+
+module.exports = {
+  workerClient,
+  executeWithRetry,
+  prepareCampaignDataForWorker,
+  findCampaignForSending,
+  launchCampaign
+};
@@ -0,0 +1,67 @@
+/**
+ * CSV writing helpers (RFC 4180: comma separated, CRLF line endings, fields quoted
+ * when they contain a comma, quote or line break).
+ */
+
+// Leading characters that make spreadsheet apps read a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Format one value as a CSV field
+ * Objects and arrays are written as JSON, dates as ISO strings, null/undefined as empty.
+ * Strings that would start a formula (=, +, -, @, tab, carriage return) get a leading
+ * apostrophe, so an export opened in a spreadsheet can't run what contacts typed in.
+ * @param {*} value - Value
+ * @returns {string} - CSV field
+ */
+function formatField(value) {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else if (typeof value === 'string' && FORMULA_PREFIX.test(value)) {
+    text = `'${value}`;
+  } else {
+    text = String(value);
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format values as a CSV line
+ * @param {Array} values - Field values
+ * @returns {string} - CSV line, line ending included
+ */
+function formatRow(values) {
+  return `${values.map(formatField).join(',')}\r\n`;
+}
+
+/**
+ * Write a chunk to a stream, waiting for it to drain, or to close when the client
+ * goes away, so large exports use constant memory
+ * @param {Object} out - Writable stream (e.g. the response)
+ * @param {string} chunk - Data
+ * @returns {Promise} - Resolves when more can be written
+ */
+function writeChunk(out, chunk) {
+  return new Promise(resolve => {
+    if (out.write(chunk)) return resolve();
+    const done = () => {
+      out.off('drain', done);
+      out.off('close', done);
+      resolve();
+    };
+    out.on('drain', done);
+    out.on('close', done);
+  });
+}
+
+module.exports = {
+  formatField,
+  formatRow,
+  writeChunk
+};
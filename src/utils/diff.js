@@ -0,0 +1,107 @@
+/**
+ * Line-based text diff, used to compare template versions.
+ *
+ * The result is a list of chunks in document order, each { type, lines } where type is
+ * 'equal', 'removed' or 'added'. Lines are compared exactly (whitespace included).
+ */
+
+// Past this many line pairs the middle of the texts is reported as replaced
+// rather than building the full comparison table
+const MAX_TABLE_SIZE = 4000000;
+
+/**
+ * Append lines to the chunk list, merging with the last chunk when it has the same type
+ * @param {Object[]} chunks - Chunks built so far
+ * @param {string} type - Chunk type
+ * @param {string[]} lines - Lines to add
+ */
+function push(chunks, type, lines) {
+  if (lines.length === 0) return;
+
+  const last = chunks[chunks.length - 1];
+  if (last && last.type === type) {
+    last.lines.push(...lines);
+  } else {
+    chunks.push({ type, lines: [...lines] });
+  }
+}
+
+/**
+ * Diff the lines between the common prefix and suffix with a longest common subsequence table
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @param {Object[]} chunks - Chunks to append to
+ */
+function diffMiddle(a, b, chunks) {
+  const n = a.length;
+  const m = b.length;
+
+  if (n === 0 || m === 0 || (n + 1) * (m + 1) > MAX_TABLE_SIZE) {
+    push(chunks, 'removed', a);
+    push(chunks, 'added', b);
+    return;
+  }
+
+  // lengths[i * (m + 1) + j] = LCS length of a[i..] and b[j..]
+  const width = m + 1;
+  const lengths = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      push(chunks, 'equal', [a[i]]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      push(chunks, 'removed', [a[i]]);
+      i++;
+    } else {
+      push(chunks, 'added', [b[j]]);
+      j++;
+    }
+  }
+  push(chunks, 'removed', a.slice(i));
+  push(chunks, 'added', b.slice(j));
+}
+
+/**
+ * Compare two texts line by line
+ * @param {string} oldText - Previous text
+ * @param {string} newText - New text
+ * @returns {Object[]} - Chunks of { type: 'equal'|'removed'|'added', lines }
+ */
+function diffLines(oldText, newText) {
+  const a = (oldText || '').split(/\r?\n/);
+  const b = (newText || '').split(/\r?\n/);
+  const chunks = [];
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  push(chunks, 'equal', a.slice(0, start));
+  diffMiddle(a.slice(start, endA), b.slice(start, endB), chunks);
+  push(chunks, 'equal', a.slice(endA));
+
+  return chunks;
+}
+
+module.exports = {
+  diffLines
+};
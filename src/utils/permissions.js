@@ -0,0 +1,66 @@
+/**
+ * Workspace roles and the permissions they grant.
+ * Viewers can read everything in a workspace, editors can also change and send,
+ * owners can additionally manage the workspace and its members.
+ */
+const ROLES = ['owner', 'editor', 'viewer'];
+
+const READ_PERMISSIONS = [
+  'campaigns:read',
+  'templates:read',
+  'contacts:read',
+  'stats:read',
+  'members:read'
+];
+
+const WRITE_PERMISSIONS = [
+  'campaigns:write',
+  'campaigns:send',
+  'templates:write',
+  'contacts:write'
+];
+
+const OWNER_PERMISSIONS = [
+  'members:manage',
+  'organization:manage'
+];
+
+// Permissions a personal API key can be scoped to; managing a workspace and its
+// members always needs a signed-in user
+const API_KEY_SCOPES = [
+  'campaigns:read',
+  'campaigns:write',
+  'campaigns:send',
+  'templates:read',
+  'templates:write',
+  'contacts:read',
+  'contacts:write',
+  'stats:read'
+];
+
+const ROLE_PERMISSIONS = {
+  viewer: READ_PERMISSIONS,
+  editor: [...READ_PERMISSIONS, ...WRITE_PERMISSIONS],
+  owner: [...READ_PERMISSIONS, ...WRITE_PERMISSIONS, ...OWNER_PERMISSIONS]
+};
+
+/**
+ * Check whether a workspace role grants a permission
+ * @param {string} role - Workspace role
+ * @param {string} permission - Permission name, e.g. 'campaigns:send'
+ * @param {string[]} [scopes] - Scopes of the API key making the request; the permission must also be one of them
+ * @returns {boolean} - Whether the role has the permission
+ */
+function hasPermission(role, permission, scopes) {
+  if (scopes && !scopes.includes(permission)) {
+    return false;
+  }
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  API_KEY_SCOPES,
+  hasPermission
+};
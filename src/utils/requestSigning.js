@@ -0,0 +1,162 @@
+/**
+ * HMAC request signing for server <-> worker calls.
+ *
+ * Each request carries four headers:
+ *   X-Signature-Key-Id     - ID of the key used to sign
+ *   X-Signature-Timestamp  - Unix time in seconds
+ *   X-Signature-Nonce      - Random value, unique per request
+ *   X-Signature            - hex HMAC-SHA256 of "<timestamp>.<nonce>.<METHOD>.<path>.<sha256 hex of body>"
+ *
+ * Keys come from WORKER_SIGNING_KEYS ("keyId:secret,keyId:secret"). Every listed key is
+ * accepted on incoming requests, and outgoing requests are signed with WORKER_SIGNING_KEY_ID
+ * (the first key by default), so a new key can be added on both sides before switching to it.
+ * The timestamp bounds how long a captured request stays valid; the nonce lets the receiver
+ * refuse a second delivery of the same request within that window.
+ */
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'X-Signature';
+const KEY_ID_HEADER = 'X-Signature-Key-Id';
+const TIMESTAMP_HEADER = 'X-Signature-Timestamp';
+const NONCE_HEADER = 'X-Signature-Nonce';
+
+// How far a request timestamp may drift from our clock before it is rejected as a replay
+const TOLERANCE_SECONDS = parseInt(process.env.WORKER_SIGNATURE_TOLERANCE_SECONDS) || 300;
+
+// A timestamp is accepted from TOLERANCE_SECONDS before until TOLERANCE_SECONDS after it,
+// so a nonce has to be remembered that long to catch every replay
+const REPLAY_WINDOW_MS = TOLERANCE_SECONDS * 2 * 1000;
+
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+/**
+ * Parse the configured signing keys
+ * @returns {Map<string, string>} - Secrets keyed by key ID
+ */
+function getSigningKeys() {
+  const keys = new Map();
+
+  (process.env.WORKER_SIGNING_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const separator = entry.indexOf(':');
+      if (separator > 0) {
+        keys.set(entry.substring(0, separator), entry.substring(separator + 1));
+      }
+    });
+
+  return keys;
+}
+
+/**
+ * Get the key outgoing requests are signed with
+ * @returns {{ keyId: string, secret: string }|null} - Active key, or null when none is configured
+ */
+function getActiveKey() {
+  const keys = getSigningKeys();
+  const keyId = process.env.WORKER_SIGNING_KEY_ID || keys.keys().next().value;
+
+  if (!keyId || !keys.has(keyId)) {
+    return null;
+  }
+
+  return { keyId, secret: keys.get(keyId) };
+}
+
+/**
+ * Compute the signature of a request
+ * @param {string} secret - Signing secret
+ * @param {Object} request - Request parts
+ * @param {string|number} request.timestamp - Unix time in seconds
+ * @param {string} request.nonce - Request nonce
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Path including query string
+ * @param {string|Buffer} request.body - Raw request body
+ * @returns {string} - hex HMAC-SHA256
+ */
+function computeSignature(secret, { timestamp, nonce, method, path, body }) {
+  const bodyHash = crypto.createHash('sha256').update(body || '').digest('hex');
+  const payload = `${timestamp}.${nonce}.${method.toUpperCase()}.${path}.${bodyHash}`;
+
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+/**
+ * Build the signature headers for an outgoing request
+ * @param {Object} request - Request parts
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Path including query string
+ * @param {string} request.body - Serialized request body
+ * @returns {Object} - Headers to add to the request
+ */
+function signRequest({ method, path, body }) {
+  const key = getActiveKey();
+  if (!key) {
+    throw new Error('No worker signing key configured (WORKER_SIGNING_KEYS)');
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  const nonce = crypto.randomBytes(16).toString('hex');
+
+  return {
+    [KEY_ID_HEADER]: key.keyId,
+    [TIMESTAMP_HEADER]: String(timestamp),
+    [NONCE_HEADER]: nonce,
+    [SIGNATURE_HEADER]: computeSignature(key.secret, { timestamp, nonce, method, path, body })
+  };
+}
+
+/**
+ * Verify the signature of an incoming request
+ * This doesn't catch replays within the window; the caller checks the nonce for that.
+ * @param {Object} request - Request parts
+ * @param {string} request.keyId - Value of X-Signature-Key-Id
+ * @param {string} request.timestamp - Value of X-Signature-Timestamp
+ * @param {string} request.nonce - Value of X-Signature-Nonce
+ * @param {string} request.signature - Value of X-Signature
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Path including query string
+ * @param {string|Buffer} request.body - Raw request body
+ * @returns {{ valid: boolean, reason?: string }} - Verification result
+ */
+function verifySignature({ keyId, timestamp, nonce, signature, method, path, body }) {
+  if (!keyId || !timestamp || !nonce || !signature) {
+    return { valid: false, reason: 'Missing signature headers' };
+  }
+
+  if (!NONCE_PATTERN.test(nonce)) {
+    return { valid: false, reason: 'Invalid signature nonce' };
+  }
+
+  const secret = getSigningKeys().get(keyId);
+  if (!secret) {
+    return { valid: false, reason: 'Unknown signing key' };
+  }
+
+  const requestTime = parseInt(timestamp, 10);
+  if (isNaN(requestTime) || Math.abs(Date.now() / 1000 - requestTime) > TOLERANCE_SECONDS) {
+    return { valid: false, reason: 'Request timestamp outside the allowed window' };
+  }
+
+  const expected = Buffer.from(computeSignature(secret, { timestamp, nonce, method, path, body }), 'hex');
+  const received = Buffer.from(String(signature), 'hex');
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'Invalid signature' };
+  }
+
+  return { valid: true };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  KEY_ID_HEADER,
+  TIMESTAMP_HEADER,
+  NONCE_HEADER,
+  REPLAY_WINDOW_MS,
+  getSigningKeys,
+  signRequest,
+  verifySignature
+};
@@ -0,0 +1,464 @@
+/**
+ * Template engine for email subjects and content.
+ *
+ *   {{ first_name }}                            Variable, HTML-escaped when rendering HTML
+ *   {{{ metadata.signature }}}                  Variable without escaping
+ *   {{ first_name | default: "there" }}         Filters, applied left to right
+ *   {{ current_date | date: "DD/MM/YYYY" }}     Filters: default, upper, lower, capitalize, trim, date
+ *   {{#if metadata.vip}}...{{else}}...{{/if}}   Conditions, also with == / != against a value
+ *   {{#unless unsubscribed}}...{{/unless}}
+ *   {{#each metadata.orders}}{{ this.name }} ({{ @index }}){{/each}}
+ *   {{! comment }}
+ *
+ * Missing values render as an empty string; only syntax errors throw.
+ */
+
+class TemplateSyntaxError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'TemplateSyntaxError';
+    this.line = line;
+  }
+}
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const hasOwn = (value, key) => Object.prototype.hasOwnProperty.call(value, key);
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const FILTERS = {
+  default: (value, fallback = '') => (isEmpty(value) ? fallback : value),
+  upper: (value) => (isEmpty(value) ? value : String(value).toUpperCase()),
+  lower: (value) => (isEmpty(value) ? value : String(value).toLowerCase()),
+  capitalize: (value) => {
+    if (isEmpty(value)) return value;
+    const text = String(value);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+  trim: (value) => (isEmpty(value) ? value : String(value).trim()),
+  date: (value, format = 'YYYY-MM-DD') => {
+    if (isEmpty(value)) return value;
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) return '';
+
+    const parts = {
+      YYYY: date.getFullYear(),
+      MMMM: MONTHS[date.getMonth()],
+      MMM: MONTHS[date.getMonth()].substring(0, 3),
+      MM: pad(date.getMonth() + 1),
+      M: date.getMonth() + 1,
+      DD: pad(date.getDate()),
+      D: date.getDate(),
+      HH: pad(date.getHours()),
+      mm: pad(date.getMinutes()),
+      ss: pad(date.getSeconds())
+    };
+    return String(format).replace(/YYYY|MMMM|MMM|MM|M|DD|D|HH|mm|ss/g, token => parts[token]);
+  }
+};
+
+const BLOCKS = ['if', 'unless', 'each'];
+
+const TAG_REGEX = /\{\{\{([\s\S]*?)\}\}\}|\{\{([\s\S]*?)\}\}/g;
+
+/**
+ * Split an expression into tokens
+ * @param {string} source - Expression source
+ * @param {number} line - Line of the tag, for errors
+ * @returns {Object[]} - Tokens as { type, value }
+ */
+function lex(source, line) {
+  const tokens = [];
+  const regex = /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(-?\d+(?:\.\d+)?)(?![\w.])|([A-Za-z_@][\w.@-]*)|(==|!=|\||:|,))/y;
+  let index = 0;
+
+  while (index < source.length) {
+    if (/^\s*$/.test(source.slice(index))) break;
+
+    regex.lastIndex = index;
+    const match = regex.exec(source);
+    if (!match) {
+      throw new TemplateSyntaxError(`Unexpected "${source.slice(index).trim()}" in "${source.trim()}"`, line);
+    }
+
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'literal', value: match[1].slice(1, -1).replace(/\\(.)/g, '$1') });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'literal', value: Number(match[2]) });
+    } else if (match[3] !== undefined) {
+      const keywords = { true: true, false: false, null: null };
+      tokens.push(hasOwn(keywords, match[3])
+        ? { type: 'literal', value: keywords[match[3]] }
+        : { type: 'path', value: match[3] });
+    } else {
+      tokens.push({ type: 'operator', value: match[4] });
+    }
+
+    index = regex.lastIndex;
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an expression: an operand followed by filters, optionally compared with another
+ * @param {string} source - Expression source
+ * @param {number} line - Line of the tag, for errors
+ * @param {boolean} allowComparison - Whether == / != may be used (conditions only)
+ * @returns {Object} - Expression node
+ */
+function parseExpression(source, line, allowComparison = false) {
+  const tokens = lex(source, line);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const fail = (message) => { throw new TemplateSyntaxError(`${message} in "${source.trim()}"`, line); };
+
+  const parseOperand = () => {
+    const token = tokens[position++];
+    if (!token || (token.type !== 'path' && token.type !== 'literal')) {
+      fail('Expected a variable or value');
+    }
+    return token;
+  };
+
+  const parsePiped = () => {
+    const node = { operand: parseOperand(), filters: [] };
+
+    while (peek() && peek().value === '|') {
+      position++;
+      const name = tokens[position++];
+      if (!name || name.type !== 'path' || !hasOwn(FILTERS, name.value)) {
+        fail(`Unknown filter "${name ? name.value : ''}"`);
+      }
+
+      const args = [];
+      if (peek() && peek().value === ':') {
+        position++;
+        args.push(parseOperand());
+        while (peek() && peek().value === ',') {
+          position++;
+          args.push(parseOperand());
+        }
+      }
+
+      node.filters.push({ name: name.value, args });
+    }
+
+    return node;
+  };
+
+  const left = parsePiped();
+  let expression = left;
+
+  if (peek() && (peek().value === '==' || peek().value === '!=')) {
+    if (!allowComparison) fail('Comparisons are only allowed in conditions');
+    const operator = tokens[position++].value;
+    expression = { operator, left, right: parsePiped() };
+  }
+
+  if (position < tokens.length) {
+    fail(`Unexpected "${peek().value}"`);
+  }
+
+  return expression;
+}
+
+/**
+ * Parse a template into a node tree
+ * @param {string} source - Template source
+ * @returns {Object[]} - Nodes
+ * @throws {TemplateSyntaxError}
+ */
+function parse(source) {
+  const root = { children: [] };
+  const stack = [root];
+  let cursor = 0;
+  let match;
+
+  const lineAt = (index) => source.slice(0, index).split('\n').length;
+  const current = () => {
+    const block = stack[stack.length - 1];
+    return block.inElse ? block.elseChildren : block.children;
+  };
+
+  TAG_REGEX.lastIndex = 0;
+  while ((match = TAG_REGEX.exec(source)) !== null) {
+    const line = lineAt(match.index);
+    if (match.index > cursor) {
+      current().push({ type: 'text', value: source.slice(cursor, match.index) });
+    }
+    cursor = TAG_REGEX.lastIndex;
+
+    if (match[1] !== undefined) {
+      current().push({ type: 'output', raw: true, line, expression: parseExpression(match[1], line) });
+      continue;
+    }
+
+    const tag = match[2].trim();
+
+    if (tag.startsWith('!')) {
+      continue;
+    }
+
+    if (tag.startsWith('#')) {
+      const blockMatch = tag.match(/^#(\S+)\s*([\s\S]*)$/);
+      if (!blockMatch) {
+        throw new TemplateSyntaxError('"{{#}}" needs a block name', line);
+      }
+
+      const [, name, rest = ''] = blockMatch;
+      if (!BLOCKS.includes(name)) {
+        throw new TemplateSyntaxError(`Unknown block "#${name}"`, line);
+      }
+      if (!rest.trim()) {
+        throw new TemplateSyntaxError(`"#${name}" needs an expression`, line);
+      }
+
+      const block = {
+        type: name,
+        line,
+        expression: parseExpression(rest, line, name !== 'each'),
+        children: [],
+        elseChildren: [],
+        inElse: false
+      };
+      current().push(block);
+      stack.push(block);
+      continue;
+    }
+
+    if (tag.startsWith('/')) {
+      const name = tag.slice(1).trim();
+      const block = stack[stack.length - 1];
+      if (stack.length === 1 || block.type !== name) {
+        throw new TemplateSyntaxError(`Unexpected "{{/${name}}}"`, line);
+      }
+      stack.pop();
+      continue;
+    }
+
+    if (tag === 'else') {
+      const block = stack[stack.length - 1];
+      if (stack.length === 1 || block.inElse) {
+        throw new TemplateSyntaxError('Unexpected "{{else}}"', line);
+      }
+      block.inElse = true;
+      continue;
+    }
+
+    current().push({ type: 'output', raw: false, line, expression: parseExpression(tag, line) });
+  }
+
+  if (stack.length > 1) {
+    const block = stack[stack.length - 1];
+    throw new TemplateSyntaxError(`Unclosed "{{#${block.type}}}"`, block.line);
+  }
+
+  if (cursor < source.length) {
+    root.children.push({ type: 'text', value: source.slice(cursor) });
+  }
+
+  return root.children;
+}
+
+// Parsed templates, keyed by source; campaigns render the same template for every recipient
+const cache = new Map();
+const CACHE_SIZE = 100;
+
+const compile = (source) => {
+  if (!cache.has(source)) {
+    if (cache.size >= CACHE_SIZE) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(source, parse(source));
+  }
+  return cache.get(source);
+};
+
+/**
+ * Look up a path like "metadata.plan", "this.name" or "@index"
+ * Inside loops a bare name is looked up on the current item before the root context.
+ * Only own properties are read, so names like "constructor" don't reach the prototype.
+ */
+function resolvePath(path, scopes) {
+  const segments = path.split('.');
+  const scope = scopes[scopes.length - 1];
+  let value;
+
+  if (segments[0].startsWith('@')) {
+    const local = segments[0].slice(1);
+    value = scope.locals && hasOwn(scope.locals, local) ? scope.locals[local] : undefined;
+    segments.shift();
+  } else if (segments[0] === 'this') {
+    value = scope.item;
+    segments.shift();
+  } else {
+    const owner = [...scopes].reverse().find(s => (
+      s.item !== null && typeof s.item === 'object' && hasOwn(s.item, segments[0])
+    ));
+    value = owner ? owner.item : scopes[0].item;
+  }
+
+  for (const segment of segments) {
+    if (value === null || value === undefined || !hasOwn(Object(value), segment)) return undefined;
+    value = value[segment];
+  }
+
+  return value;
+}
+
+function evaluate(node, scopes) {
+  if (node.operator) {
+    const left = evaluate(node.left, scopes);
+    const right = evaluate(node.right, scopes);
+    const equal = String(left === undefined || left === null ? '' : left) ===
+      String(right === undefined || right === null ? '' : right);
+    return node.operator === '==' ? equal : !equal;
+  }
+
+  const operandValue = (operand) => (
+    operand.type === 'literal' ? operand.value : resolvePath(operand.value, scopes)
+  );
+
+  return node.filters.reduce(
+    (value, filter) => FILTERS[filter.name](value, ...filter.args.map(operandValue)),
+    operandValue(node.operand)
+  );
+}
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+const toText = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toLocaleDateString();
+  if (Array.isArray(value)) return value.map(toText).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+function renderNodes(nodes, scopes, options) {
+  let output = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+
+      case 'output': {
+        const text = toText(evaluate(node.expression, scopes));
+        output += options.escapeHtml && !node.raw ? escapeHtml(text) : text;
+        break;
+      }
+
+      case 'if':
+      case 'unless': {
+        const truthy = isTruthy(evaluate(node.expression, scopes));
+        const branch = truthy === (node.type === 'if') ? node.children : node.elseChildren;
+        output += renderNodes(branch, scopes, options);
+        break;
+      }
+
+      case 'each': {
+        const value = evaluate(node.expression, scopes);
+        const items = Array.isArray(value)
+          ? value
+          : (value && typeof value === 'object' ? Object.values(value) : []);
+
+        if (items.length === 0) {
+          output += renderNodes(node.elseChildren, scopes, options);
+          break;
+        }
+
+        items.forEach((item, index) => {
+          const locals = { index, first: index === 0, last: index === items.length - 1 };
+          output += renderNodes(node.children, [...scopes, { item, locals }], options);
+        });
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render a template
+ * @param {string} source - Template source
+ * @param {Object} context - Variables
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.escapeHtml=false] - HTML-escape {{ }} output (not {{{ }}})
+ * @returns {string} - Rendered text
+ * @throws {TemplateSyntaxError}
+ */
+function render(source, context = {}, options = {}) {
+  if (!source) return '';
+  return renderNodes(compile(source), [{ item: context }], options);
+}
+
+/**
+ * List the context variables a template uses
+ * Loop-relative references (this, @index) are left out, as are bare names inside loops,
+ * which may refer to fields of the loop item.
+ * @param {string} source - Template source
+ * @returns {Object[]} - Variables as { path, line, inLoop, hasDefault }
+ * @throws {TemplateSyntaxError}
+ */
+function getVariables(source) {
+  const variables = [];
+  if (!source) return variables;
+
+  const collect = (expression, line, inLoop) => {
+    if (expression.operator) {
+      collect(expression.left, line, inLoop);
+      collect(expression.right, line, inLoop);
+      return;
+    }
+
+    const hasDefault = expression.filters.some(filter => filter.name === 'default');
+    const operands = [expression.operand, ...expression.filters.flatMap(filter => filter.args)];
+
+    operands
+      .filter(operand => operand.type === 'path')
+      .filter(operand => !operand.value.startsWith('@') && operand.value.split('.')[0] !== 'this')
+      .forEach(operand => variables.push({ path: operand.value, line, inLoop, hasDefault }));
+  };
+
+  const walk = (nodes, inLoop) => {
+    for (const node of nodes) {
+      if (node.type === 'text') continue;
+      collect(node.expression, node.line, inLoop);
+      if (node.children) {
+        walk(node.children, inLoop || node.type === 'each');
+        walk(node.elseChildren, inLoop);
+      }
+    }
+  };
+
+  walk(compile(source), false);
+  return variables;
+}
+
+module.exports = {
+  TemplateSyntaxError,
+  FILTERS,
+  parse,
+  render,
+  getVariables,
+  escapeHtml
+};
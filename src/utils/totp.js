@@ -0,0 +1,152 @@
+/**
+ * Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+ * HMAC-SHA1 over 30 second steps, 6 digits, secrets shared as base32.
+ */
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Steps either side of now that are accepted, for clock drift and slow typing
+const WINDOW = 1;
+
+/**
+ * Encode bytes as base32 (no padding)
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} - Base32 text
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode base32 text, ignoring case, spaces and padding
+ * @param {string} text - Base32 text
+ * @returns {Buffer} - Bytes
+ */
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new secret
+ * @returns {string} - Base32 secret (160 bits)
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Current time step
+ * @param {number} [now] - Time in milliseconds
+ * @returns {number} - Step number
+ */
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Step number
+ * @returns {string} - Zero-padded code
+ */
+function generateCode(secret, step = currentStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code against the steps around now
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - { afterStep } rejects steps up to and including it, so a code works once
+ * @returns {number|null} - Step the code matched, or null
+ */
+function verifyCode(secret, code, { afterStep = null } = {}) {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(candidate) || candidate.length !== DIGITS) {
+    return null;
+  }
+
+  const now = currentStep();
+  for (let step = now - WINDOW; step <= now + WINDOW; step++) {
+    if (afterStep !== null && step <= afterStep) continue;
+
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI authenticator apps import (usually shown as a QR code)
+ * @param {string} secret - Base32 secret
+ * @param {string} account - Account name, e.g. the user's email
+ * @param {string} issuer - Service name
+ * @returns {string} - otpauth URI
+ */
+function buildOtpauthUrl(secret, account, issuer) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  currentStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl
+};
@@ -0,0 +1,38 @@
+/**
+ * Background worker - runs queued jobs (and the campaign scheduler) outside the API
+ * server, e.g. next to a serverless deployment or to keep slow jobs off the API's
+ * event loop. Start with `npm run worker`; stops after the job in progress on SIGTERM/SIGINT.
+ */
+require('dotenv').config();
+const { sequelize } = require('./models');
+// Loading every service registers the handlers of all job types
+const { jobService, schedulerService } = require('./services');
+
+const start = async () => {
+  try {
+    await sequelize.authenticate();
+    console.log('Database connection has been established successfully.');
+
+    jobService.start(undefined, { keepAlive: true });
+
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      schedulerService.start();
+    }
+  } catch (error) {
+    console.error('Unable to connect to the database:', error);
+    process.exit(1);
+  }
+};
+
+const shutdown = async (signal) => {
+  console.log(`${signal} received, stopping the worker after the current job`);
+  schedulerService.stop();
+  await jobService.stop();
+  await sequelize.close();
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+start();
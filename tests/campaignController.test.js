@@ -0,0 +1,105 @@
+/**
+ * Campaign create/update: what edits do to a campaign's schedule
+ */
+const { Campaign, ContactList } = require('../src/models');
+const campaignController = require('../src/controllers/campaign.controller');
+const { setupDatabase, createWorkspace, createCampaign } = require('./helpers');
+
+/**
+ * Call a controller action the way its route does, after authentication
+ * @returns {Promise<Object>} - { statusCode, body }
+ */
+async function call(action, workspace, { params = {}, body = {} } = {}) {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; }
+  };
+  await campaignController[action]({
+    params,
+    body,
+    user: workspace.user,
+    organization: workspace.organization
+  }, res);
+  return res;
+}
+
+const inAnHour = () => new Date(Date.now() + 60 * 60000);
+
+describe('campaign controller', () => {
+  let workspace;
+
+  const listId = async () => (await ContactList.create({
+    userId: workspace.user.id,
+    organizationId: workspace.organization.id,
+    name: 'Readers'
+  })).id;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    workspace = await createWorkspace();
+  });
+
+  test('editing a scheduled campaign keeps its schedule', async () => {
+    const scheduledFor = inAnHour();
+    const campaign = await createCampaign(workspace, { status: 'scheduled', scheduledFor, sendingEngine: 'worker' });
+
+    const res = await call('updateCampaign', workspace, {
+      params: { id: campaign.id },
+      body: { subject: 'New subject' }
+    });
+
+    expect(res.statusCode).toBe(200);
+    await campaign.reload();
+    expect(campaign.status).toBe('scheduled');
+    expect(campaign.scheduledFor.getTime()).toBe(scheduledFor.getTime());
+    expect(campaign.subject).toBe('New subject');
+  });
+
+  test('creating a campaign with a date schedules it through the scheduler', async () => {
+    const scheduledFor = inAnHour();
+
+    const res = await call('createCampaign', workspace, {
+      body: { name: 'Later', subject: 'Hi', templateId: workspace.template.id, contactListId: await listId(), scheduledFor: scheduledFor.toISOString() }
+    });
+
+    expect(res.statusCode).toBe(201);
+    const campaign = await Campaign.findByPk(res.body.campaign.id);
+    expect(campaign.status).toBe('scheduled');
+    expect(campaign.scheduledFor.getTime()).toBe(scheduledFor.getTime());
+    expect(campaign.scheduleAttempts).toBe(0);
+  });
+
+  test('schedules, reschedules and unschedules through the scheduler', async () => {
+    const campaign = await createCampaign(workspace);
+    const update = (body) => call('updateCampaign', workspace, { params: { id: campaign.id }, body });
+
+    const first = inAnHour();
+    expect((await update({ status: 'scheduled', scheduledFor: first.toISOString() })).statusCode).toBe(200);
+    expect((await campaign.reload()).status).toBe('scheduled');
+
+    const second = new Date(first.getTime() + 60000);
+    expect((await update({ scheduledFor: second.toISOString() })).statusCode).toBe(200);
+    await campaign.reload();
+    expect(campaign.status).toBe('scheduled');
+    expect(campaign.scheduledFor.getTime()).toBe(second.getTime());
+
+    expect((await update({ status: 'draft' })).statusCode).toBe(200);
+    await campaign.reload();
+    expect(campaign.status).toBe('draft');
+    expect(campaign.scheduledFor).toBeNull();
+  });
+
+  test('rejects schedules the scheduler would not accept', async () => {
+    const campaign = await createCampaign(workspace);
+    const update = (body) => call('updateCampaign', workspace, { params: { id: campaign.id }, body });
+
+    expect((await update({ status: 'scheduled' })).statusCode).toBe(400);
+    expect((await update({ status: 'scheduled', scheduledFor: new Date(Date.now() - 60000).toISOString() })).statusCode).toBe(400);
+    expect((await campaign.reload()).status).toBe('draft');
+
+    await campaign.update({ status: 'stopped' });
+    expect((await update({ status: 'scheduled', scheduledFor: inAnHour().toISOString() })).statusCode).toBe(400);
+    expect((await campaign.reload()).status).toBe('stopped');
+  });
+});
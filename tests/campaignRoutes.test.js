@@ -0,0 +1,65 @@
+/**
+ * Permissions of the campaign create and update routes
+ */
+const { validationResult } = require('express-validator');
+const router = require('../src/routes/campaign.routes');
+
+/**
+ * Run the permission checks of a route for an API key with the given scopes
+ * @returns {number|null} - Status of the rejection, null when the request gets through
+ */
+function checkPermissions(method, path, body, scopes) {
+  const layer = router.stack.find(entry => entry.route && entry.route.path === path && entry.route.methods[method]);
+  const [authorizeWrite, authorizeSend] = layer.route.stack.map(entry => entry.handle);
+  const req = { body, membership: { role: 'editor' }, apiKey: { scopes } };
+  let status = null;
+  const res = {
+    status(code) { status = code; return this; },
+    json() { return this; }
+  };
+
+  let passed = false;
+  authorizeWrite(req, res, () => {
+    authorizeSend(req, res, () => { passed = true; });
+  });
+  return passed ? null : status;
+}
+
+/**
+ * Run the body validators of a route
+ * @returns {Promise<string[]>} - Fields that failed validation
+ */
+async function invalidFields(method, path, body) {
+  const layer = router.stack.find(entry => entry.route && entry.route.path === path && entry.route.methods[method]);
+  const req = { body };
+  for (const { handle } of layer.route.stack) {
+    if (typeof handle.run === 'function') await handle.run(req);
+  }
+  return validationResult(req).array().map(error => error.path);
+}
+
+describe('campaign routes', () => {
+  const writeOnly = ['campaigns:write'];
+
+  test('a campaigns:write key can create and edit drafts', () => {
+    expect(checkPermissions('post', '/', { name: 'Draft' }, writeOnly)).toBeNull();
+    expect(checkPermissions('put', '/:id', { subject: 'New subject' }, writeOnly)).toBeNull();
+  });
+
+  test('scheduling or changing the status needs campaigns:send', () => {
+    const scheduledFor = new Date(Date.now() + 60000).toISOString();
+
+    expect(checkPermissions('post', '/', { name: 'Later', scheduledFor }, writeOnly)).toBe(403);
+    expect(checkPermissions('put', '/:id', { scheduledFor }, writeOnly)).toBe(403);
+    expect(checkPermissions('put', '/:id', { status: 'sending' }, writeOnly)).toBe(403);
+    expect(checkPermissions('put', '/:id', { status: 'scheduled' }, [...writeOnly, 'campaigns:send'])).toBeNull();
+  });
+
+  test('sending is not started by setting a status or a past date', async () => {
+    expect(await invalidFields('put', '/:id', { status: 'sending' })).toContain('status');
+    expect(await invalidFields('put', '/:id', { status: 'completed' })).toContain('status');
+    expect(await invalidFields('put', '/:id', { scheduledFor: '2020-01-01T00:00:00Z' })).toContain('scheduledFor');
+    expect(await invalidFields('put', '/:id', { status: 'scheduled', scheduledFor: new Date(Date.now() + 60000).toISOString() }))
+      .toEqual([]);
+  });
+});
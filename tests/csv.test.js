@@ -0,0 +1,20 @@
+/**
+ * CSV helpers
+ */
+const { formatField, formatRow } = require('../src/utils/csv');
+
+describe('csv', () => {
+  test('neutralises values a spreadsheet would read as a formula', () => {
+    expect(formatField('=HYPERLINK("http://evil.test","x")')).toBe(`"'=HYPERLINK(""http://evil.test"",""x"")"`);
+    expect(formatField('+1+1')).toBe("'+1+1");
+    expect(formatField('-2+3')).toBe("'-2+3");
+    expect(formatField('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(formatField('\tcmd')).toBe("'\tcmd");
+  });
+
+  test('leaves other values as they are', () => {
+    expect(formatRow(['ada@example.com', 'Ada', -5, null, { plan: '=pro' }]))
+      .toBe('ada@example.com,Ada,-5,,"{""plan"":""=pro""}"\r\n');
+    expect(formatField(new Date('2025-01-02T03:04:05.000Z'))).toBe('2025-01-02T03:04:05.000Z');
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Email service over the offline transports
+ */
+const fs = require('fs');
+const emailService = require('../src/services/emailService');
+
+describe('emailService', () => {
+  const outbox = emailService.getTransport('outbox');
+
+  beforeEach(() => {
+    outbox.clear();
+    delete process.env.EMAIL_TRANSPORT_DOMAINS;
+  });
+
+  afterAll(async () => {
+    await fs.promises.rm(process.env.EMAIL_OUTBOX_DIR, { recursive: true, force: true });
+  });
+
+  test('keeps campaign emails in the outbox with the footer and tracking tags', async () => {
+    const { MessageId } = await emailService.sendEmail({
+      to: 'reader@example.com',
+      from: 'news@example.com',
+      subject: 'Hello',
+      html: '<p>Hi reader</p>',
+      campaignId: 'campaign-1',
+      contactId: 'contact-1'
+    });
+
+    const [message] = outbox.getMessages({ to: 'reader@example.com' });
+    expect(message.MessageId).toBe(MessageId);
+    expect(message.html).toContain('unsubscribe');
+    expect(message.text).toContain('Hi reader');
+    expect(message.tags).toEqual({ campaignId: 'campaign-1', contactId: 'contact-1' });
+
+    const files = await fs.promises.readdir(process.env.EMAIL_OUTBOX_DIR);
+    expect(files.some(file => file.endsWith(`${MessageId}.json`))).toBe(true);
+  });
+
+  test('leaves transactional emails without the unsubscribe footer', async () => {
+    await emailService.sendEmail({
+      to: 'user@example.com',
+      from: 'accounts@example.com',
+      subject: 'Reset your password',
+      html: '<p>Reset it</p>',
+      transactional: true
+    });
+
+    const [message] = outbox.getMessages({ to: 'user@example.com' });
+    expect(message.html).toBe('<p>Reset it</p>');
+  });
+
+  test('keeps the status of errors the SMTP transport raises', async () => {
+    process.env.EMAIL_TRANSPORT_DOMAINS = 'smtp.example.com:smtp';
+
+    await expect(emailService.verifyEmail('sender@smtp.example.com'))
+      .rejects.toMatchObject({ status: 400 });
+  });
+
+  test('reports outbox statistics in the SES format', async () => {
+    await emailService.sendEmail({ to: 'a@example.com', from: 'news@example.com', subject: 'A', html: '<p>A</p>' });
+    await emailService.sendEmail({ to: 'b@example.com', from: 'news@example.com', subject: 'B', html: '<p>B</p>' });
+
+    const { SendDataPoints } = await emailService.getSendingStatistics();
+    expect(SendDataPoints[0].DeliveryAttempts).toBe(2);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Benchmark of tracking batches: the set-based recordTrackingBatch path against
+ * applying the same events one transaction at a time, as the tracking endpoints
+ * used to. Both runs must leave identical counters, stats and contact fields, and a
+ * batch must take a fixed number of queries however many events it carries.
+ */
+const { Campaign, CampaignStat, Contact, sequelize } = require('../src/models');
+const eventService = require('../src/services/eventService');
+const { setupDatabase, createWorkspace, createCampaign, createContacts } = require('./helpers');
+
+const BATCHES = 4;
+const BATCH_SIZE = 100;
+const CAMPAIGNS = 2;
+const CONTACTS = 50;
+const TYPES = ['send', 'delivery', 'open', 'open', 'click'];
+// Queries a set-based batch may take, whatever the number of events in it
+const MAX_BATCH_QUERIES = 15;
+
+const COUNTERS = {
+  click: ['clicks', 'uniqueClicks'],
+  open: ['opens', 'uniqueOpens'],
+  delivery: ['delivered', null],
+  send: ['sent', null]
+};
+
+/**
+ * Apply one tracking event in its own transaction (the per-event path)
+ */
+async function recordPerEvent({ campaignId, contactId, trackingData }) {
+  await sequelize.transaction(async (transaction) => {
+    const campaign = await Campaign.findByPk(campaignId, { transaction });
+    const contact = await Contact.findByPk(contactId, { transaction });
+
+    const result = await eventService.recordEvent({
+      eventId: trackingData.eventId,
+      campaignId,
+      contactId,
+      type: trackingData.type,
+      timestamp: trackingData.timestamp,
+      link: trackingData.link,
+      payload: trackingData
+    }, { transaction });
+
+    if (result.duplicate) return;
+
+    const [counter, uniqueCounter] = COUNTERS[trackingData.type];
+    await campaign.increment({
+      [counter]: 1,
+      ...(uniqueCounter && result.firstOfType ? { [uniqueCounter]: 1 } : {})
+    }, { transaction });
+
+    const timestamp = new Date(trackingData.timestamp);
+    const updates = { lastEngagement: timestamp };
+    if (trackingData.type === 'click') {
+      updates.lastClicked = timestamp;
+      updates.lastClickedLink = trackingData.link;
+    } else if (trackingData.type === 'open') {
+      updates.lastOpened = timestamp;
+    } else if (trackingData.type === 'delivery') {
+      updates.lastDelivered = timestamp;
+    }
+    await contact.update(updates, { transaction });
+  });
+}
+
+/**
+ * Build the same event stream for a set of campaigns and contacts
+ * Every tenth event replays an earlier one, which both paths must ignore.
+ */
+function buildEvents(prefix, campaigns, contacts) {
+  const start = Date.UTC(2025, 0, 1);
+  const events = [];
+
+  for (let i = 0; i < BATCHES * BATCH_SIZE; i++) {
+    if (i % 10 === 9) {
+      events.push({ ...events[i - 5] });
+      continue;
+    }
+
+    const type = TYPES[i % TYPES.length];
+    events.push({
+      campaignId: campaigns[i % CAMPAIGNS].id,
+      contactId: contacts[(i * 7) % CONTACTS].id,
+      trackingData: {
+        eventId: `${prefix}:${i}`,
+        type,
+        timestamp: new Date(start + i * 1000).toISOString(),
+        link: type === 'click' ? `https://example.com/${i % 3}` : undefined
+      }
+    });
+  }
+
+  return events;
+}
+
+/**
+ * Read back what a run left behind, by campaign and contact position
+ */
+async function snapshot(campaigns, contacts) {
+  const contactIndex = new Map(contacts.map((contact, index) => [contact.id, index]));
+  const campaignIndex = new Map(campaigns.map((campaign, index) => [campaign.id, index]));
+
+  const counters = (await Campaign.findAll({ where: { id: campaigns.map(c => c.id) } }))
+    .map(c => ({
+      index: campaignIndex.get(c.id),
+      sent: c.sent,
+      delivered: c.delivered,
+      opens: c.opens,
+      clicks: c.clicks,
+      uniqueOpens: c.uniqueOpens,
+      uniqueClicks: c.uniqueClicks
+    }))
+    .sort((a, b) => a.index - b.index);
+
+  const stats = (await CampaignStat.findAll({ where: { campaignId: campaigns.map(c => c.id) } }))
+    .map(s => [
+      campaignIndex.get(s.campaignId),
+      contactIndex.get(s.contactId),
+      s.sent, s.delivered, s.opened, s.clicked,
+      s.sentAt && s.sentAt.toISOString(),
+      s.openedAt && s.openedAt.toISOString(),
+      s.clickedAt && s.clickedAt.toISOString()
+    ].join('|'))
+    .sort();
+
+  const contactFields = (await Contact.findAll({ where: { id: contacts.map(c => c.id) } }))
+    .map(c => [
+      contactIndex.get(c.id),
+      c.lastEngagement && new Date(c.lastEngagement).toISOString(),
+      c.lastOpened && new Date(c.lastOpened).toISOString(),
+      c.lastClicked && new Date(c.lastClicked).toISOString(),
+      c.lastClickedLink,
+      c.lastDelivered && new Date(c.lastDelivered).toISOString()
+    ].join('|'))
+    .sort();
+
+  return { counters, stats, contactFields };
+}
+
+/**
+ * Count the queries a function runs
+ * @returns {Promise<number>} - Number of queries
+ */
+async function countQueries(fn) {
+  let count = 0;
+  sequelize.addHook('beforeQuery', 'countQueries', () => { count++; });
+  try {
+    await fn();
+  } finally {
+    sequelize.removeHook('beforeQuery', 'countQueries');
+  }
+  return count;
+}
+
+async function createRecipients() {
+  const workspace = await createWorkspace();
+  const campaigns = [];
+  for (let i = 0; i < CAMPAIGNS; i++) {
+    campaigns.push(await createCampaign(workspace, { status: 'sending' }));
+  }
+  const contacts = await createContacts(workspace, CONTACTS);
+  return { campaigns, contacts };
+}
+
+describe('tracking batch benchmark', () => {
+  beforeAll(setupDatabase);
+
+  test('set-based batches match the per-event path', async () => {
+    const perEvent = await createRecipients();
+    const batched = await createRecipients();
+    const perEventStream = buildEvents('per-event', perEvent.campaigns, perEvent.contacts);
+    const batchedStream = buildEvents('batched', batched.campaigns, batched.contacts);
+
+    const perEventQueries = await countQueries(async () => {
+      for (const event of perEventStream) {
+        await recordPerEvent(event);
+      }
+    });
+
+    const batchQueries = [];
+    for (let i = 0; i < batchedStream.length; i += BATCH_SIZE) {
+      batchQueries.push(await countQueries(async () => {
+        const results = await eventService.recordTrackingBatch(batchedStream.slice(i, i + BATCH_SIZE));
+        expect(results.every(result => result.success)).toBe(true);
+      }));
+    }
+
+    console.log(
+      `${perEventStream.length} events: per-event ${perEventQueries} queries, ` +
+      `set-based ${batchQueries.join(' + ')} queries`
+    );
+
+    const expected = await snapshot(perEvent.campaigns, perEvent.contacts);
+    const actual = await snapshot(batched.campaigns, batched.contacts);
+
+    expect(expected.counters[0].opens).toBeGreaterThan(expected.counters[0].uniqueOpens);
+    expect(actual.counters).toEqual(expected.counters);
+    expect(actual.stats).toEqual(expected.stats);
+    expect(actual.contactFields).toEqual(expected.contactFields);
+    expect(Math.max(...batchQueries)).toBeLessThanOrEqual(MAX_BATCH_QUERIES);
+    expect(perEventQueries).toBeGreaterThan(perEventStream.length);
+  });
+});
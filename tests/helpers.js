@@ -0,0 +1,84 @@
+/**
+ * Fixtures shared by the tests
+ */
+const crypto = require('crypto');
+const { User, Organization, OrganizationMember, Template, Campaign, Contact, sequelize } = require('../src/models');
+
+/**
+ * Create the tables in the test database
+ */
+async function setupDatabase() {
+  await sequelize.sync();
+}
+
+/**
+ * Create a user with a workspace of their own and a template
+ * @returns {Promise<Object>} - { user, organization, template }
+ */
+async function createWorkspace() {
+  const suffix = crypto.randomUUID();
+
+  const user = await User.create({
+    firstName: 'Test',
+    lastName: 'Owner',
+    email: `owner-${suffix}@example.com`,
+    password: 'Password123!',
+    emailVerifiedAt: new Date()
+  });
+  const organization = await Organization.create({ name: `Workspace ${suffix}` });
+  await OrganizationMember.create({ organizationId: organization.id, userId: user.id, role: 'owner' });
+
+  const template = await Template.create({
+    userId: user.id,
+    organizationId: organization.id,
+    name: 'Newsletter',
+    subject: 'News for {{first_name}}',
+    content: '<p>Hi {{first_name}}, here is the news.</p>'
+  });
+
+  return { user, organization, template };
+}
+
+/**
+ * Create a draft campaign in a workspace
+ * @param {Object} workspace - Result of createWorkspace
+ * @param {Object} [attributes] - Campaign attributes to override
+ * @returns {Promise<Campaign>} - Campaign
+ */
+async function createCampaign({ user, organization, template }, attributes = {}) {
+  return Campaign.create({
+    userId: user.id,
+    organizationId: organization.id,
+    templateId: template.id,
+    name: 'Test campaign',
+    subject: template.subject,
+    ...attributes
+  });
+}
+
+/**
+ * Create contacts in a workspace
+ * @param {Object} workspace - Result of createWorkspace
+ * @param {number} count - Number of contacts
+ * @returns {Promise<Contact[]>} - Contacts, in creation order
+ */
+async function createContacts({ user, organization }, count) {
+  const contacts = [];
+  for (let i = 0; i < count; i++) {
+    contacts.push(await Contact.create({
+      userId: user.id,
+      organizationId: organization.id,
+      email: `contact-${i}-${crypto.randomUUID()}@example.com`,
+      firstName: `Contact${i}`,
+      lastName: 'Test'
+    }));
+  }
+  return contacts;
+}
+
+module.exports = {
+  setupDatabase,
+  createWorkspace,
+  createCampaign,
+  createContacts
+};
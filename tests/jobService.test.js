@@ -0,0 +1,89 @@
+/**
+ * Background jobs: lock heartbeat, imports that run on another instance,
+ * and who can see a job
+ */
+process.env.JOB_LOCK_TIMEOUT_MS = '5000';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Contact, ImportFileChunk, Job } = require('../src/models');
+const jobService = require('../src/services/jobService');
+const importService = require('../src/services/importService');
+const jobController = require('../src/controllers/job.controller');
+const { setupDatabase, createWorkspace } = require('./helpers');
+
+/**
+ * Call a job controller action as a member with a role
+ * @returns {Promise<Object>} - { statusCode, body }
+ */
+async function call(action, organization, role, { params = {}, query = {} } = {}) {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; }
+  };
+  await jobController[action]({ params, query, organization, membership: { role } }, res);
+  return res;
+}
+
+describe('jobService', () => {
+  beforeAll(setupDatabase);
+
+  test('keeps the lock of a job whose handler never reports progress', async () => {
+    const lockedAt = [];
+    jobService.register('test.slow', {
+      run: async (job) => {
+        for (let i = 0; i < 3; i++) {
+          await new Promise(resolve => setTimeout(resolve, 1100));
+          lockedAt.push((await Job.findByPk(job.id)).lockedAt.getTime());
+        }
+      }
+    });
+    const job = await jobService.enqueue('test.slow');
+
+    await jobService.processDueJobs();
+
+    expect((await job.reload()).status).toBe('completed');
+    // Refreshed while the handler ran
+    expect(new Set(lockedAt).size).toBeGreaterThan(1);
+  });
+
+  test('imports from the database once the upload is gone', async () => {
+    const { user, organization } = await createWorkspace();
+    const email = `imported-${crypto.randomUUID()}@example.com`;
+    const filePath = path.join(os.tmpdir(), `import-${crypto.randomUUID()}.csv`);
+    await fs.promises.writeFile(filePath, `Email;First name\n${email};Ada\n`);
+
+    const { job } = await importService.createJob(
+      { path: filePath, originalName: 'contacts.csv', size: (await fs.promises.stat(filePath)).size },
+      { userId: user.id, organizationId: organization.id }
+    );
+    // Only the database copy is left for the runner
+    expect(fs.existsSync(filePath)).toBe(false);
+    expect(await ImportFileChunk.count({ where: { importJobId: job.id } })).toBe(1);
+
+    await importService.start(job, { mapping: { Email: 'email', 'First name': 'firstName' } });
+    await jobService.processDueJobs();
+
+    await job.reload();
+    expect(job.status).toBe('completed');
+    expect(job.createdCount).toBe(1);
+    expect(await Contact.count({ where: { email, firstName: 'Ada', organizationId: organization.id } })).toBe(1);
+    expect(await ImportFileChunk.count({ where: { importJobId: job.id } })).toBe(0);
+  });
+
+  test('shows a job only to members with the permission of its type', async () => {
+    const { organization } = await createWorkspace();
+    const job = await jobService.enqueue('contacts.import', {}, { organizationId: organization.id });
+
+    const asViewer = await call('getJobs', organization, 'viewer');
+    expect(asViewer.body.jobs).toEqual([]);
+    expect((await call('getJob', organization, 'viewer', { params: { id: job.id } })).statusCode).toBe(403);
+
+    const asEditor = await call('getJobs', organization, 'editor', { query: { type: 'contacts.import' } });
+    expect(asEditor.body.jobs.map(listed => listed.id)).toEqual([job.id]);
+    expect((await call('getJob', organization, 'editor', { params: { id: job.id } })).statusCode).toBe(200);
+  });
+});
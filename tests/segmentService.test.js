@@ -0,0 +1,37 @@
+/**
+ * Segment rules: text operators match the value literally
+ */
+const { Contact } = require('../src/models');
+const segmentService = require('../src/services/segmentService');
+const { setupDatabase, createWorkspace } = require('./helpers');
+
+describe('segmentService', () => {
+  let workspace;
+
+  const matches = async (rule) => (await segmentService.getContacts({
+    organizationId: workspace.organization.id,
+    rules: rule
+  }, { order: [['email', 'ASC']] })).map(contact => contact.email);
+
+  beforeAll(async () => {
+    await setupDatabase();
+    workspace = await createWorkspace();
+    const emails = ['50%off@example.com', '50xoff@example.com', 'a_b@example.com', 'axb@example.com', 'x!y@example.com'];
+    await Contact.bulkCreate(emails.map((email, i) => ({
+      userId: workspace.user.id,
+      organizationId: workspace.organization.id,
+      email,
+      metadata: { code: i === 0 ? 'PRO_1' : 'PROX1' }
+    })));
+  });
+
+  test('escapes LIKE wildcards in contains, startsWith and endsWith', async () => {
+    expect(await matches({ field: 'email', operator: 'contains', value: '%' })).toEqual(['50%off@example.com']);
+    expect(await matches({ field: 'email', operator: 'startsWith', value: 'a_' })).toEqual(['a_b@example.com']);
+    expect(await matches({ field: 'email', operator: 'contains', value: '!' })).toEqual(['x!y@example.com']);
+    expect(await matches({ field: 'email', operator: 'endsWith', value: '_b@example.com' })).toEqual(['a_b@example.com']);
+    expect(await matches({ field: 'email', operator: 'notContains', value: '_' }))
+      .toEqual(['50%off@example.com', '50xoff@example.com', 'axb@example.com', 'x!y@example.com']);
+    expect(await matches({ field: 'metadata.code', operator: 'contains', value: 'O_' })).toEqual(['50%off@example.com']);
+  });
+});
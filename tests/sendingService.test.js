@@ -0,0 +1,239 @@
+/**
+ * Server engine: offline end-to-end sending through the outbox transport
+ */
+process.env.SENDING_LOCK_TIMEOUT_MS = '60000';
+
+const fs = require('fs');
+const { Campaign, CampaignStat, ContactList, ContactListContacts, Template } = require('../src/models');
+const emailService = require('../src/services/emailService');
+const sendingService = require('../src/services/sendingService');
+const snapshotService = require('../src/services/snapshotService');
+const abTestService = require('../src/services/abTestService');
+const jobService = require('../src/services/jobService');
+const schedulerService = require('../src/services/schedulerService');
+const { findCampaignForSending, workerClient } = require('../src/services/workerService');
+const { setupDatabase, createWorkspace, createCampaign, createContacts } = require('./helpers');
+
+const outbox = emailService.getTransport('outbox');
+
+/**
+ * Create a server engine campaign sent to a new list of contacts
+ */
+async function createServerCampaign(recipientCount, attributes = {}) {
+  const workspace = await createWorkspace();
+  const contacts = await createContacts(workspace, recipientCount);
+  const list = await ContactList.create({
+    userId: workspace.user.id,
+    organizationId: workspace.organization.id,
+    name: 'Readers',
+    count: contacts.length
+  });
+  await ContactListContacts.bulkCreate(contacts.map(contact => ({
+    contactListId: list.id,
+    contactId: contact.id
+  })));
+
+  const campaign = await createCampaign(workspace, {
+    contactListId: list.id,
+    sendingEngine: 'server',
+    ...attributes
+  });
+  return { campaign, contacts };
+}
+
+const sentCount = (campaignId) => CampaignStat.count({ where: { campaignId, sent: true } });
+
+describe('sendingService', () => {
+  beforeAll(setupDatabase);
+
+  beforeEach(() => {
+    outbox.clear();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    schedulerService.stop();
+    await fs.promises.rm(process.env.EMAIL_OUTBOX_DIR, { recursive: true, force: true });
+  });
+
+  test('sends every recipient once and completes the campaign', async () => {
+    const { campaign, contacts } = await createServerCampaign(5);
+
+    const { engine } = await sendingService.launchCampaign(await findCampaignForSending({ id: campaign.id }));
+    expect(engine).toBe('server');
+    await sendingService.run(campaign.id);
+
+    await campaign.reload();
+    expect(campaign.status).toBe('completed');
+    expect(campaign.sent).toBe(contacts.length);
+    expect(campaign.lockedBy).toBeNull();
+    expect(outbox.getMessages().map(message => message.to).sort())
+      .toEqual(contacts.map(contact => contact.email).sort());
+    expect(await sentCount(campaign.id)).toBe(contacts.length);
+  });
+
+  test('records each send before the next email goes out', async () => {
+    const { campaign } = await createServerCampaign(4);
+    const sendEmail = emailService.sendEmail.bind(emailService);
+    const recordedBeforeSend = [];
+
+    jest.spyOn(emailService, 'sendEmail').mockImplementation(async (message) => {
+      recordedBeforeSend.push(await sentCount(campaign.id));
+      return sendEmail(message);
+    });
+
+    await sendingService.launchCampaign(await findCampaignForSending({ id: campaign.id }));
+    await sendingService.run(campaign.id);
+
+    expect(recordedBeforeSend).toEqual([0, 1, 2, 3]);
+  });
+
+  test('the launch job lasts until the server engine is done sending', async () => {
+    const { campaign, contacts } = await createServerCampaign(3);
+    const job = await schedulerService.queueLaunch(campaign, ['draft']);
+
+    await jobService.processDueJobs();
+
+    expect((await job.reload()).status).toBe('completed');
+    expect((await campaign.reload()).status).toBe('completed');
+    expect(outbox.getMessages()).toHaveLength(contacts.length);
+  });
+
+  test('resumes a paused campaign in a job', async () => {
+    const { campaign, contacts } = await createServerCampaign(3);
+    await sendingService.launchCampaign(await findCampaignForSending({ id: campaign.id }));
+    await campaign.update({ status: 'paused' });
+    await sendingService.run(campaign.id);
+    expect(outbox.getMessages()).toHaveLength(0);
+
+    await sendingService.resumeCampaign(campaign);
+    expect(campaign.status).toBe('sending');
+    await jobService.processDueJobs();
+
+    expect((await campaign.reload()).status).toBe('completed');
+    expect(outbox.getMessages()).toHaveLength(contacts.length);
+  });
+
+  test('throttles turtle mode campaigns without emailsPerMinute', () => {
+    expect(sendingService.getSendingRate({ sendingMode: 'turtle', emailsPerMinute: null, maxConcurrentBatches: 10 }))
+      .toEqual({ emailsPerMinute: 60, concurrency: 1 });
+    expect(sendingService.getSendingRate({ sendingMode: 'turtle', emailsPerMinute: 12, maxConcurrentBatches: 10 }))
+      .toEqual({ emailsPerMinute: 12, concurrency: 1 });
+    expect(sendingService.getSendingRate({ sendingMode: 'normal', emailsPerMinute: null, maxConcurrentBatches: 4 }))
+      .toEqual({ emailsPerMinute: null, concurrency: 4 });
+  });
+
+  test('the scheduler takes over a run that died with its process', async () => {
+    const { campaign, contacts } = await createServerCampaign(3);
+    await sendingService.launchCampaign(await findCampaignForSending({ id: campaign.id }));
+    await sendingService.run(campaign.id);
+
+    // Pretend the process died after the first email: sending, one send recorded,
+    // and a lock nobody has refreshed for longer than the timeout
+    await CampaignStat.update({ sent: false }, {
+      where: { campaignId: campaign.id, contactId: contacts.slice(1).map(contact => contact.id) }
+    });
+    await campaign.update({
+      status: 'sending',
+      lockedBy: 'crashed-host:1',
+      lockedAt: new Date(Date.now() - 2 * 60000)
+    });
+    outbox.clear();
+
+    const summary = await schedulerService.processDueCampaigns();
+    expect(summary.reclaimed).toBe(1);
+    // Queued once, however often the scheduler polls before the job runs
+    expect((await schedulerService.processDueCampaigns()).reclaimed).toBe(0);
+    await jobService.processDueJobs();
+
+    await campaign.reload();
+    expect(campaign.status).toBe('completed');
+    expect(outbox.getMessages().map(message => message.to).sort())
+      .toEqual(contacts.slice(1).map(contact => contact.email).sort());
+  });
+
+  test('leaves runs with a fresh lock alone', async () => {
+    const { campaign } = await createServerCampaign(2);
+    await campaign.update({ status: 'sending', lockedBy: 'other-host:1', lockedAt: new Date() });
+
+    expect(await sendingService.reclaimStaleRuns()).not.toContain(campaign.id);
+    expect(await Campaign.count({ where: { id: campaign.id, lockedBy: 'other-host:1' } })).toBe(1);
+  });
+
+  test('sends from the snapshot and renders the same email after settings change', async () => {
+    const { campaign, contacts } = await createServerCampaign(1, { fromAddress: 'news@sender.test' });
+    const workerUrl = process.env.WORKER_URL;
+    process.env.WORKER_URL = 'https://worker.before.test';
+
+    try {
+      await sendingService.launchCampaign(await findCampaignForSending({ id: campaign.id }));
+      await sendingService.run(campaign.id);
+
+      const [sent] = outbox.getMessages();
+      expect(sent.from).toBe('news@sender.test');
+      expect(sent.html).toContain('https://worker.before.test/unsubscribe/');
+      expect(sent.text).toContain('Hi Contact');
+
+      process.env.WORKER_URL = 'https://worker.after.test';
+      await Template.update({ content: '<p>Changed</p>' }, { where: { id: campaign.templateId } });
+
+      const snapshot = await snapshotService.getSnapshot(campaign.id);
+      const [recipient] = await snapshotService.getRecipients(campaign.id);
+      expect(recipient.contactId).toBe(contacts[0].id);
+      const { from, to, subject, html, text } = snapshotService.renderEmail(snapshot, recipient);
+      expect({ from, to, subject, html, text })
+        .toEqual({ from: sent.from, to: sent.to, subject: sent.subject, html: sent.html, text: sent.text });
+    } finally {
+      process.env.WORKER_URL = workerUrl;
+    }
+  });
+
+  test('sends the worker each recipient\'s email rendered with the template engine', async () => {
+    const { campaign, contacts } = await createServerCampaign(1, { sendingEngine: 'worker' });
+    await Template.update({
+      subject: 'News{{#if first_name}} for {{first_name}}{{/if}}',
+      content: '<p>Hi {{company | default: "there"}}{{#each metadata.tags}}, {{this}}{{/each}}</p>'
+    }, { where: { id: campaign.templateId } });
+    await campaign.update({ subject: 'News{{#if first_name}} for {{first_name}}{{/if}}' });
+    await contacts[0].update({ metadata: { tags: ['a', 'b'] } });
+    const post = jest.spyOn(workerClient, 'post').mockResolvedValue({ data: { success: true } });
+
+    await sendingService.launchCampaign(await findCampaignForSending({ id: campaign.id }));
+
+    const [, payload] = post.mock.calls.find(([url]) => url.endsWith('/initialize'));
+    const [recipient] = payload.recipients;
+    expect(payload.rendered).toBe(true);
+    expect(recipient.subject).toBe(`News for ${contacts[0].firstName}`);
+    expect(recipient.html).toContain('<p>Hi there, a, b</p>');
+    expect(recipient.html).toContain('/unsubscribe/');
+    expect(recipient.text).toContain('Hi there, a, b');
+    expect(recipient.html).not.toContain('{{');
+  });
+
+  test('sends the A/B test winner to the rest of the list from a job', async () => {
+    const { campaign, contacts } = await createServerCampaign(10, { abTestPercentage: 40 });
+    await abTestService.setVariants(campaign, [{ subject: 'First' }, { subject: 'Second' }]);
+
+    await sendingService.launchCampaign(await findCampaignForSending({ id: campaign.id }));
+    await sendingService.run(campaign.id);
+    await campaign.reload();
+    expect(campaign.status).toBe('testing');
+    expect(outbox.getMessages()).toHaveLength(4);
+
+    await campaign.update({ abTestEndsAt: new Date(Date.now() - 1000) });
+    const summary = await schedulerService.processDueCampaigns();
+    expect(summary.results).toEqual([expect.objectContaining({ campaignId: campaign.id, status: 'queued' })]);
+    // Still testing until the job runs, but not queued a second time
+    expect((await schedulerService.processDueCampaigns()).results)
+      .toEqual([expect.objectContaining({ campaignId: campaign.id, status: 'skipped' })]);
+    expect(outbox.getMessages()).toHaveLength(4);
+
+    await jobService.processDueJobs();
+
+    await campaign.reload();
+    expect(campaign.status).toBe('completed');
+    expect(campaign.abWinnerVariantId).not.toBeNull();
+    expect(outbox.getMessages().map(message => message.to).sort())
+      .toEqual(contacts.map(contact => contact.email).sort());
+  });
+});
@@ -0,0 +1,28 @@
+/**
+ * Jest setup
+ *
+ * Every test file gets its own in-memory SQLite database, sends through the
+ * outbox transport, and never reaches the worker or AWS.
+ */
+const os = require('os');
+const path = require('path');
+
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+process.env.EMAIL_TRANSPORT = 'outbox';
+process.env.EMAIL_OUTBOX_DIR = path.join(os.tmpdir(), `launch-outbox-${process.pid}`);
+process.env.EMAIL_FROM = process.env.EMAIL_FROM || 'sender@example.com';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.WORKER_SIGNING_KEYS = process.env.WORKER_SIGNING_KEYS || 'test:test-signing-secret';
+
+// Neither is needed offline, and they aren't installed in every environment
+jest.mock('axios', () => ({
+  create: () => ({
+    interceptors: { request: { use: () => {} } },
+    post: jest.fn(() => Promise.reject(new Error('The worker is not reachable in tests'))),
+    get: jest.fn(() => Promise.reject(new Error('The worker is not reachable in tests')))
+  })
+}), { virtual: true });
+jest.mock('aws-sdk', () => ({
+  SES: function SES() {}
+}), { virtual: true });
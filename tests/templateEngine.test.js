@@ -0,0 +1,35 @@
+/**
+ * Template engine parsing and lookups
+ */
+const { parse, render, TemplateSyntaxError } = require('../src/utils/templateEngine');
+
+describe('templateEngine', () => {
+  test.each(['{{#}}', '{{#}}x{{/}}', '{{/}}', '{{}}', '{{#if}}x{{/if}}', '{{#loop x}}{{/loop}}'])(
+    'rejects %s with a TemplateSyntaxError',
+    (source) => {
+      expect(() => parse(source)).toThrow(TemplateSyntaxError);
+    }
+  );
+
+  test('renders variables, conditions and loops', () => {
+    const output = render(
+      'Hi {{first_name | default: "there"}}{{#if metadata.plan == "pro"}} (pro){{/if}}: {{#each metadata.tags}}{{this}}{{#unless @last}}, {{/unless}}{{/each}}',
+      { first_name: 'Ann', metadata: { plan: 'pro', tags: ['a', 'b'] } }
+    );
+
+    expect(output).toBe('Hi Ann (pro): a, b');
+  });
+
+  test('only reads own properties of the context', () => {
+    const output = render(
+      '[{{constructor}}][{{toString}}][{{metadata.__proto__}}][{{first_name.constructor}}][{{#each items}}{{@constructor}}{{/each}}]',
+      { first_name: 'Ann', metadata: {}, items: [1] }
+    );
+
+    expect(output).toBe('[][][][][]');
+  });
+
+  test('still reads own properties of arrays and strings', () => {
+    expect(render('{{items.length}} {{name.length}}', { items: [1, 2], name: 'Ann' })).toBe('2 3');
+  });
+});
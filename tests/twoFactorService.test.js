@@ -0,0 +1,28 @@
+/**
+ * Two-factor: recovery codes are single use, even under concurrent logins
+ */
+const { User } = require('../src/models');
+const twoFactorService = require('../src/services/twoFactorService');
+const totp = require('../src/utils/totp');
+const { setupDatabase, createWorkspace } = require('./helpers');
+
+describe('twoFactorService', () => {
+  beforeAll(setupDatabase);
+
+  test('accepts a recovery code once when two logins use it at the same time', async () => {
+    const { user } = await createWorkspace();
+    const { secret } = await twoFactorService.beginSetup(user);
+    const [recoveryCode] = await twoFactorService.enable(user, totp.generateCode(secret));
+
+    // Both requests loaded the user before either used the code
+    const [first, second] = await Promise.all([User.findByPk(user.id), User.findByPk(user.id)]);
+    const results = await Promise.allSettled([
+      twoFactorService.verify(first, { recoveryCode }),
+      twoFactorService.verify(second, { recoveryCode })
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.status).toBe(401);
+    expect((await user.reload()).twoFactorRecoveryCodes).toHaveLength(9);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * SES notifications delivered through SNS
+ */
+jest.mock('../src/services/snsService', () => ({
+  verifyMessage: jest.fn(),
+  confirmSubscription: jest.fn()
+}));
+
+const snsService = require('../src/services/snsService');
+const { handleSesNotification } = require('../src/controllers/webhook.controller');
+
+function notification(sesEvent) {
+  return {
+    Type: 'Notification',
+    MessageId: 'sns-message-1',
+    Message: JSON.stringify(sesEvent)
+  };
+}
+
+async function deliver(body) {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; }
+  };
+  await handleSesNotification({ body }, res);
+  return res;
+}
+
+describe('handleSesNotification', () => {
+  beforeEach(() => {
+    snsService.verifyMessage.mockReset();
+  });
+
+  test('answers 403 when verification throws', async () => {
+    snsService.verifyMessage.mockRejectedValue(new Error('Certificate download failed'));
+
+    const res = await deliver(notification({ notificationType: 'Bounce', mail: { messageId: 'm1' } }));
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('answers 400 for a bounce without recipients', async () => {
+    snsService.verifyMessage.mockResolvedValue({ valid: true });
+
+    const res = await deliver(notification({
+      notificationType: 'Bounce',
+      mail: { messageId: 'm1' },
+      bounce: { bounceType: 'Permanent' }
+    }));
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('answers 400 for a complaint without recipients', async () => {
+    snsService.verifyMessage.mockResolvedValue({ valid: true });
+
+    const res = await deliver(notification({
+      eventType: 'Complaint',
+      mail: { messageId: 'm1' },
+      complaint: {}
+    }));
+
+    expect(res.statusCode).toBe(400);
+  });
+});
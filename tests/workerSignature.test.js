@@ -0,0 +1,54 @@
+/**
+ * Worker request signatures: signed requests are accepted once, replays are refused
+ */
+process.env.WORKER_SIGNING_KEYS = 'k1:test-signing-secret';
+
+const { signRequest } = require('../src/utils/requestSigning');
+const { validateWorkerSignature } = require('../src/middleware/auth.middleware');
+
+function signedRequest(body, headers = signRequest({ method: 'POST', path: '/api/tracking/contacts/unsubscribe', body })) {
+  return {
+    method: 'POST',
+    originalUrl: '/api/tracking/contacts/unsubscribe',
+    rawBody: body,
+    header: (name) => headers[name]
+  };
+}
+
+async function run(req) {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  await validateWorkerSignature(req, res, () => { passed = true; });
+  return { passed, res };
+}
+
+describe('validateWorkerSignature', () => {
+  const body = JSON.stringify({ email: 'someone@example.com', campaignId: 'c1' });
+
+  test('accepts a signed request once and rejects its replay', async () => {
+    const headers = signRequest({ method: 'POST', path: '/api/tracking/contacts/unsubscribe', body });
+
+    expect((await run(signedRequest(body, headers))).passed).toBe(true);
+
+    const replay = await run(signedRequest(body, headers));
+    expect(replay.passed).toBe(false);
+    expect(replay.res.statusCode).toBe(401);
+  });
+
+  test('accepts the same body again under a new nonce', async () => {
+    expect((await run(signedRequest(body))).passed).toBe(true);
+    expect((await run(signedRequest(body))).passed).toBe(true);
+  });
+
+  test('rejects a request whose nonce was swapped', async () => {
+    const headers = signRequest({ method: 'POST', path: '/api/tracking/contacts/unsubscribe', body });
+    const { passed, res } = await run(signedRequest(body, { ...headers, 'X-Signature-Nonce': 'a'.repeat(32) }));
+
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(401);
+  });
+});